@@ -0,0 +1,52 @@
+#!/bin/bash
+# Historical backfill driver for index-orchestrator.
+# Calls the orchestrator in backfill mode until it reports done. Each call
+# processes ~75s worth of chunks and checkpoints progress, so this script can be
+# stopped and re-run at any time to resume.
+#
+# Usage:   ./backfill-indexer.sh <chain_id> [--restart] [--from <block>]
+# Env:     SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+
+CHAIN_ID=$1
+shift
+
+if [ -z "$CHAIN_ID" ] || [ -z "$SUPABASE_URL" ] || [ -z "$SUPABASE_SERVICE_ROLE_KEY" ]; then
+  echo "Usage: SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... ./backfill-indexer.sh <chain_id> [--restart] [--from <block>]"
+  exit 1
+fi
+
+EXTRA=""
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --restart) EXTRA="$EXTRA, \"restart\": true" ;;
+    --from) EXTRA="$EXTRA, \"fromBlock\": $2"; shift ;;
+  esac
+  shift
+done
+
+echo "🔄 Backfilling chain $CHAIN_ID"
+
+while true; do
+  RESPONSE=$(curl -s -X POST "$SUPABASE_URL/functions/v1/index-orchestrator" \
+    -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $SUPABASE_SERVICE_ROLE_KEY" \
+    -d "{\"mode\": \"backfill\", \"chainId\": $CHAIN_ID$EXTRA}")
+
+  echo "$RESPONSE"
+  echo ""
+
+  # Only the first call may restart or override the start block
+  EXTRA=""
+
+  if echo "$RESPONSE" | grep -q '"done":true'; then
+    echo "✅ Backfill complete!"
+    exit 0
+  fi
+  if echo "$RESPONSE" | grep -q '"success":false'; then
+    echo "❌ Backfill stopped with an error — fix it and re-run to resume."
+    exit 1
+  fi
+  if echo "$RESPONSE" | grep -q '"skipped":true'; then
+    sleep 15
+  fi
+done
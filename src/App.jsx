@@ -26,6 +26,7 @@ import ProfilePage from './pages/ProfilePage';
 import CreateRafflePageV2 from './pages/CreateRafflePageV2';
 import DeployCollectionPageV2 from './pages/DeployCollectionPageV2';
 import RaffleDetailPage from './pages/RaffleDetailPage';
+import CollectionConsolePage from './pages/CollectionConsolePage';
 import AuthCallback from './pages/AuthCallback';
 import DocumentationPage from './pages/DocumentationPage';
 import SupabaseIntegrationTest from './components/SupabaseIntegrationTest';
@@ -101,6 +102,8 @@ const AppContent = () => {
           {(_isDev || _isApp) && <Route path="/deploy-collection" element={<DeployCollectionPageV2 />} />}
           {(_isDev || _isApp) && <Route path="/pool/:raffleAddress" element={<RaffleDetailPage />} />}
           {(_isDev || _isApp) && <Route path="/:chainSlug/pool/:raffleAddress" element={<RaffleDetailPage />} />}
+          {(_isDev || _isApp) && <Route path="/collection/:collectionAddress" element={<CollectionConsolePage />} />}
+          {(_isDev || _isApp) && <Route path="/:chainSlug/collection/:collectionAddress" element={<CollectionConsolePage />} />}
           {/* OAuth Callback Routes */}
           {(_isDev || _isApp) && <Route path="/auth/callback/twitter" element={<AuthCallback />} />}
           {(_isDev || _isApp) && <Route path="/auth/callback/discord" element={<AuthCallback />} />}
@@ -0,0 +1,118 @@
+import React from 'react';
+import { ExternalLink, History } from 'lucide-react';
+import { Button } from './ui/button';
+import { LoadingSpinner } from './ui/loading';
+import { SUPPORTED_NETWORKS } from '../networks';
+
+const shortAddress = (value) => (value ? `${value.slice(0, 6)}...${value.slice(-4)}` : 'unknown');
+
+const forToken = (data) => (data.tokenId !== undefined ? ` for token ID ${data.tokenId}` : '');
+
+/**
+ * One line describing an indexed collection event (see HISTORY_EVENTS in
+ * index-collection-events). Both the ERC721 and ERC1155 argument sets are handled.
+ */
+const describeEvent = (event) => {
+  const data = event.event_data || {};
+  switch (event.event_name) {
+    case 'OwnershipTransferred':
+      return `Ownership transferred to ${shortAddress(data.newOwner)}`;
+    case 'BaseURIUpdated':
+      return 'Base URI updated';
+    case 'UnrevealedURISet':
+      return 'Unrevealed URI set';
+    case 'CollectionRevealed':
+      return 'Collection revealed';
+    case 'KOLApproved':
+      return `KOL ${shortAddress(data.kol)} approved for ${data.poolLimit} pools and ${data.winnerLimit} winners`;
+    case 'KOLRevoked':
+      return `KOL ${shortAddress(data.kol)} revoked`;
+    case 'KOLPoolCreated':
+      return `KOL ${shortAddress(data.kol)} created pool ${shortAddress(data.pool)}`;
+    case 'CreatorAllocationDeclared':
+      return `Creator allocation of ${data.allocation} declared${forToken(data)}`;
+    case 'CreatorAllocationReduced':
+      return `Creator allocation reduced by ${data.reductionAmount} to ${data.newAllocation}${forToken(data)}`;
+    case 'CreatorMinted':
+      return data.amount !== undefined
+        ? `Creator minted ${data.amount} of token ID ${data.tokenId} to ${shortAddress(data.minter)}`
+        : `Creator minted token #${data.tokenId} to ${shortAddress(data.winner)}`;
+    case 'MinterAndAllocationSet':
+      return `Pool ${shortAddress(data.pool)} allocated ${data.allocation}${forToken(data)}`;
+    case 'MinterAllocationRestored':
+      return `Allocation of ${data.allocation} restored from pool ${shortAddress(data.pool)}${forToken(data)}`;
+    case 'SupplyReduced':
+      return `Max supply cut to ${data.newMaxSupply}${forToken(data)}`;
+    case 'VestingConfigured':
+    case 'VestingConfiguredForToken':
+      return `Creator vesting configured${forToken(data)}: ${data.numberOfUnlocks} unlocks of ${data.amountPerUnlock}`;
+    case 'NewTokenAdded':
+      return `Token ID ${data.tokenId} created with a max supply of ${data.maxSupply}`;
+    case 'URIUpdated':
+      return `URI of token ID ${data.tokenId} updated`;
+    default:
+      return event.event_name;
+  }
+};
+
+/**
+ * CollectionHistoryPanel - The collection's owner actions, newest first, as
+ * indexed by index-collection-events. Recent changes show up once indexed.
+ */
+const CollectionHistoryPanel = ({ events, total, loading, hasMore, onLoadMore, chainId }) => {
+  const explorer = SUPPORTED_NETWORKS[chainId]?.explorer;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-base font-medium flex items-center gap-2">
+          <History className="h-4 w-4" />
+          Change history
+        </h3>
+        {total > 0 && <span className="text-xs text-muted-foreground">{total} events</span>}
+      </div>
+
+      {events.length === 0 && !loading && (
+        <p className="text-sm text-muted-foreground">
+          No changes indexed yet. Transactions appear here a few blocks after they are mined.
+        </p>
+      )}
+
+      {events.length > 0 && (
+        <ul className="divide-y divide-border/50 rounded-lg border border-border/50">
+          {events.map((event) => (
+            <li key={`${event.transaction_hash}-${event.log_index}`} className="flex items-start justify-between gap-3 px-3 py-2 text-sm">
+              <div className="min-w-0">
+                <p className="font-medium break-words">{describeEvent(event)}</p>
+                <p className="text-xs text-muted-foreground">
+                  {event.block_timestamp ? new Date(event.block_timestamp).toLocaleString() : `Block ${event.block_number}`}
+                </p>
+              </div>
+              {explorer && (
+                <a
+                  href={`${explorer}/tx/${event.transaction_hash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-shrink-0 text-muted-foreground hover:text-foreground"
+                  title="View transaction"
+                >
+                  <ExternalLink className="h-4 w-4" />
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && <LoadingSpinner size="sm" />}
+
+      {hasMore && !loading && (
+        <Button variant="outline" size="sm" className="w-full" onClick={onLoadMore}>
+          Load more
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default CollectionHistoryPanel;
@@ -10,15 +10,21 @@ import { notifyError } from '../utils/notificationService';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { useMobileBreakpoints } from '../hooks/useMobileBreakpoints';
-
-const CreateNewTokenIDComponent = () => {
+import TokenBatchEditor from './TokenBatchEditor';
+
+/**
+ * @param {Object} collection - Collection loaded by the collection console (useCollectionConsole);
+ *   replaces the address lookup
+ * @param {Function} onCollectionUpdated - Called after a successful transaction
+ */
+const CreateNewTokenIDComponent = ({ collection, onCollectionUpdated } = {}) => {
   const { connected, address } = useWallet();
   const { getContractInstance, executeTransaction } = useContract();
   const { isMobile } = useMobileBreakpoints();
   
   const [loading, setLoading] = useState(false);
   const [collectionData, setCollectionData] = useState({
-    address: ''
+    address: collection?.address || ''
   });
 
   const [tokenCreationData, setTokenCreationData] = useState({
@@ -40,9 +46,23 @@ const CreateNewTokenIDComponent = () => {
     }
   }, [collectionData.address]);
 
+  // Collection console: use the collection it loaded, again after each refresh
+  useEffect(() => {
+    if (!collection) return;
+    setCollectionData({ address: collection.address });
+    setCollectionInfo({
+      address: collection.address,
+      isOwner: collection.isOwner,
+      owner: collection.owner,
+      type: collection.standard,
+      // This component is only for ERC1155 collections
+      isBlocked: collection.standard !== 'erc1155'
+    });
+  }, [collection]);
+
   // Auto-fetch collection info on valid address input
   useEffect(() => {
-    if (!connected || !collectionData.address || !ethers.utils.isAddress(collectionData.address)) return;
+    if (collection || !connected || !collectionData.address || !ethers.utils.isAddress(collectionData.address)) return;
     const t = setTimeout(() => {
       if (!loadingInfo) {
         loadCollectionInfo();
@@ -50,7 +70,7 @@ const CreateNewTokenIDComponent = () => {
     }, 400);
     return () => clearTimeout(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [collectionData.address, connected]);
+  }, [collection, collectionData.address, connected]);
 
   const handleCollectionChange = (field, value) => {
     setCollectionData(prev => ({ ...prev, [field]: value }));
@@ -214,6 +234,7 @@ const CreateNewTokenIDComponent = () => {
 
       if (result.success) {
         toast.success(`Token ID ${tokenId} created successfully with max supply of ${maxSupply}!`);
+        onCollectionUpdated?.();
         // Reset token creation form
         setTokenCreationData({
           tokenId: '',
@@ -270,6 +291,7 @@ const CreateNewTokenIDComponent = () => {
 
       if (result.success) {
         toast.success(`URI set successfully for token ID ${tokenId}!`);
+        onCollectionUpdated?.();
         // Reset URI form
         setUriData({
           tokenId: '',
@@ -296,19 +318,19 @@ const CreateNewTokenIDComponent = () => {
           Create new token IDs for ERC1155 collections and configure token URIs
         </p>
         {/* Collection Lookup Section */}
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium mb-2">Collection Address</label>
-            <ResponsiveAddressInput
-              value={collectionData.address}
-              onChange={(e) => handleCollectionChange('address', e.target.value)}
-              placeholder="0x..."
-              rightElement={loadingInfo && <LoadingSpinner size="sm" />}
-            />
+        {!collection && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Collection Address</label>
+              <ResponsiveAddressInput
+                value={collectionData.address}
+                onChange={(e) => handleCollectionChange('address', e.target.value)}
+                placeholder="0x..."
+                rightElement={loadingInfo && <LoadingSpinner size="sm" />}
+              />
+            </div>
           </div>
-
-          
-        </div>
+        )}
 
         {/* Collection Info Display */}
         {collectionInfo && (
@@ -442,6 +464,15 @@ const CreateNewTokenIDComponent = () => {
           </CardContent>
         </Card>
         )}
+
+        {/* Multi-token editor and existing token IDs */}
+        {collectionInfo && collectionInfo.isOwner && !collectionInfo.isBlocked && (
+          <TokenBatchEditor
+            key={collectionInfo.address}
+            collectionAddress={collectionInfo.address}
+            onCollectionUpdated={onCollectionUpdated}
+          />
+        )}
       </CardContent>
     </Card>
   );
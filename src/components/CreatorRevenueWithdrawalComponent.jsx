@@ -12,7 +12,12 @@ import { notifyError } from '../utils/notificationService';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 
-const CreatorRevenueWithdrawalComponent = () => {
+/**
+ * @param {Object} collection - Creator mint collection loaded by the collection console
+ *   (useCollectionConsole); replaces its address lookup
+ * @param {Function} onCollectionUpdated - Called after a successful creator mint
+ */
+const CreatorRevenueWithdrawalComponent = ({ collection, onCollectionUpdated } = {}) => {
   const { connected, address } = useWallet();
   const { getContractInstance, executeTransaction } = useContract();
   const { formatRevenueAmount, getCurrencySymbol } = useNativeCurrency();
@@ -30,7 +35,7 @@ const CreatorRevenueWithdrawalComponent = () => {
 
   // Creator Mint state
   const [mintData, setMintData] = useState({
-    collectionAddress: '',
+    collectionAddress: collection?.address || '',
     collectionType: 'erc721', // erc721 or erc1155
     recipient: '',
     quantity: '',
@@ -48,7 +53,7 @@ const CreatorRevenueWithdrawalComponent = () => {
     setMintData(prev => ({ ...prev, [field]: value }));
     
     // If this is a tokenId change for ERC1155, fetch token-specific vesting info
-    if (field === 'tokenId' && collectionInfo && collectionInfo.type === 'erc1155') {
+    if (!collection && field === 'tokenId' && collectionInfo && collectionInfo.type === 'erc1155') {
       const tokenId = parseInt(value);
       if (!isNaN(tokenId) && tokenId >= 0) {
         fetchTokenIdVestingInfo(tokenId);
@@ -329,6 +334,7 @@ const CreatorRevenueWithdrawalComponent = () => {
 
       if (result.success) {
         toast.success(`Successfully minted ${quantity} token(s)! Transaction: ${result.hash}`);
+        onCollectionUpdated?.();
         // Clear form
         setMintData(prev => ({
           ...prev,
@@ -521,10 +527,32 @@ const CreatorRevenueWithdrawalComponent = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [raffleData.address, connected]);
 
+  // Collection console: mint into the collection it loaded (vesting of the
+  // entered token ID for ERC1155, token 1 until one is entered), again after each refresh
+  useEffect(() => {
+    if (!collection) return;
+    const creator = collection.standard === 'erc721'
+      ? collection.supply.creator
+      : collection.tokens.find(token => token.tokenId === (mintData.tokenId || '1'))?.creator;
+
+    setMintData(prev => ({ ...prev, collectionAddress: collection.address, collectionType: collection.standard }));
+    setCollectionInfo({
+      address: collection.address,
+      name: collection.name || 'Unknown Collection',
+      symbol: collection.symbol || 'Unknown',
+      owner: collection.owner,
+      type: collection.standard,
+      isOwner: collection.isOwner,
+      vestingConfigured: !!creator?.vesting,
+      unlockedAmount: creator?.vesting ? creator.unlocked : '0',
+      availableAmount: creator?.vesting?.availableToMint || '0'
+    });
+  }, [collection, mintData.tokenId]);
+
   // Auto-fetch mint collection info when a valid address is entered
   useEffect(() => {
     const addr = mintData.collectionAddress;
-    if (!connected || !addr || !ethers.utils.isAddress(addr)) return;
+    if (collection || !connected || !addr || !ethers.utils.isAddress(addr)) return;
     const t = setTimeout(() => {
       if (!loadingCollectionInfo) {
         loadCollectionInfoForMint();
@@ -532,7 +560,7 @@ const CreatorRevenueWithdrawalComponent = () => {
     }, 400);
     return () => clearTimeout(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mintData.collectionAddress, connected]);
+  }, [collection, mintData.collectionAddress, connected]);
 
   const getStateColor = (state) => {
     switch (state) {
@@ -712,15 +740,17 @@ const CreatorRevenueWithdrawalComponent = () => {
 
           {/* Collection Address Input */}
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium mb-1">Collection Contract Address</label>
-              <ResponsiveAddressInput
-                value={mintData.collectionAddress}
-                onChange={(e) => handleMintChange('collectionAddress', e.target.value)}
-                placeholder="0x..."
-                rightElement={loadingCollectionInfo && <LoadingSpinner size="sm" />}
-              />
-            </div>
+            {!collection && (
+              <div>
+                <label className="block text-sm font-medium mb-1">Collection Contract Address</label>
+                <ResponsiveAddressInput
+                  value={mintData.collectionAddress}
+                  onChange={(e) => handleMintChange('collectionAddress', e.target.value)}
+                  placeholder="0x..."
+                  rightElement={loadingCollectionInfo && <LoadingSpinner size="sm" />}
+                />
+              </div>
+            )}
 
             {/* Collection Info Display */}
             {collectionInfo && (
@@ -12,6 +12,11 @@ import { Badge } from './ui/badge';
 import { toast } from './ui/sonner';
 import { extractRevertReason } from '../utils/errorHandling';
 import { notifyError } from '../utils/notificationService';
+import { simulateTransaction, preflightTransaction } from '../utils/txPreflight';
+import { useTransactionPreflight } from '../hooks/useTransactionPreflight';
+import { useTokenApproval } from '../hooks/useTokenApproval';
+import { measureTokenReceived } from '../services/tokenApprovalService';
+import TokenApprovalPanel from './TokenApprovalPanel';
 import {
   Plus,
   Gift,
@@ -50,8 +55,6 @@ const FlywheelRewardsComponent = ({ onBack }) => {
   const [depositAmount, setDepositAmount] = useState('');
   const [tokenInfo, setTokenInfo] = useState(null);
   const [tokenBalance, setTokenBalance] = useState('0');
-  const [allowance, setAllowance] = useState('0');
-  const [needsApproval, setNeedsApproval] = useState(false);
   
   // Claim state
   const [claimTokenAddress, setClaimTokenAddress] = useState('');
@@ -64,6 +67,9 @@ const FlywheelRewardsComponent = ({ onBack }) => {
   const [isCreator, setIsCreator] = useState(false);
   const [userHasSlots, setUserHasSlots] = useState(false);
   
+  // Points reward token deposit state
+  const [pointsDepositAmount, setPointsDepositAmount] = useState('');
+
   // Withdraw state
   const [canWithdraw, setCanWithdraw] = useState(false);
   const [remainingAmount, setRemainingAmount] = useState('0');
@@ -102,8 +108,6 @@ const FlywheelRewardsComponent = ({ onBack }) => {
       setPoolExists(false);
       setTokenInfo(null);
       setTokenBalance('0');
-      setAllowance('0');
-      setNeedsApproval(false);
     }
   }, [poolAddress]);
 
@@ -114,8 +118,6 @@ const FlywheelRewardsComponent = ({ onBack }) => {
     } else {
       setTokenInfo(null);
       setTokenBalance('0');
-      setAllowance('0');
-      setNeedsApproval(false);
     }
   }, [tokenAddress, connected]); // Added connected dependency
 
@@ -373,15 +375,13 @@ const FlywheelRewardsComponent = ({ onBack }) => {
       // Reset token info if not connected
       setTokenInfo(null);
       setTokenBalance('0');
-      setAllowance('0');
-      setNeedsApproval(false);
       return;
     }
 
     try {
       const tokenContract = new ethers.Contract(
         tokenAddress,
-        ['function name() view returns (string)', 'function symbol() view returns (string)', 'function decimals() view returns (uint8)', 'function balanceOf(address) view returns (uint256)', 'function allowance(address owner, address spender) view returns (uint256)'],
+        ['function name() view returns (string)', 'function symbol() view returns (string)', 'function decimals() view returns (uint8)', 'function balanceOf(address) view returns (uint256)'],
         provider
       );
 
@@ -394,23 +394,6 @@ const FlywheelRewardsComponent = ({ onBack }) => {
 
       setTokenInfo({ name, symbol, decimals });
       setTokenBalance(ethers.utils.formatUnits(balance, decimals));
-
-      // Check allowance if we have the RewardsFlywheel address
-      if (SUPPORTED_NETWORKS[chainId]?.contractAddresses?.rewardsFlywheel) {
-        const allowanceAmount = await tokenContract.allowance(
-          address,
-          SUPPORTED_NETWORKS[chainId].contractAddresses.rewardsFlywheel
-        );
-        const formattedAllowance = ethers.utils.formatUnits(allowanceAmount, decimals);
-        setAllowance(formattedAllowance);
-        
-        // Check if we need approval using the newly fetched allowance
-        if (depositAmount && parseFloat(depositAmount) > parseFloat(formattedAllowance)) {
-          setNeedsApproval(true);
-        } else {
-          setNeedsApproval(false);
-        }
-      }
     } catch (err) {
       console.error('Error fetching token info:', err);
       setError('Failed to fetch token information');
@@ -616,40 +599,134 @@ const FlywheelRewardsComponent = ({ onBack }) => {
     }
   };
 
+  // Approve the RewardsFlywheel through the shared approval manager
+  const runApproval = async (approval, setErrorMessage) => {
+    setLoading(true);
+    setErrorMessage('');
+
+    try {
+      const result = await approval.approve();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (!result.alreadyApproved) {
+        toast.success('Token approved successfully!');
+      }
+    } catch (err) {
+      const reason = await extractRevertReason(err, provider);
+      setErrorMessage(reason || 'Approval failed');
+      notifyError(reason || 'Token approval failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleApprove = async () => {
     if (!connected || !tokenAddress || !depositAmount) {
       setError('Please fill all fields');
       return;
     }
+    await runApproval(depositApproval, setError);
+  };
+
+  // Warn when a fee-on-transfer token delivered less than was deposited
+  const warnOnTransferShortfall = (receipt, token, amount, decimals, symbol) => {
+    const { shortfall } = measureTokenReceived(receipt, token, flywheelAddress, amount);
+    if (shortfall.gt(0)) {
+      toast.warning(`The token took a transfer fee: ${ethers.utils.formatUnits(shortfall, decimals)} ${symbol || 'tokens'} less than deposited reached the rewards contract`);
+    }
+  };
+
+  const flywheelAddress = SUPPORTED_NETWORKS[chainId]?.contractAddresses?.rewardsFlywheel;
+
+  // Allowance of the RewardsFlywheel for pool reward deposits
+  const depositApproval = useTokenApproval({
+    tokenAddress,
+    spender: flywheelAddress,
+    amount: depositAmount,
+    enabled: activeTab === 'deposit',
+  });
+  const needsApproval = depositApproval.needsApproval;
+
+  // Simulate the deposit once the inputs are complete so a revert blocks the button before signing
+  const depositPreflight = useTransactionPreflight(
+    activeTab === 'deposit' && connected && !loading && tokenInfo && depositApproval.token && ethers.utils.isAddress(poolAddress) &&
+      parseFloat(depositAmount) > 0 && parseFloat(depositAmount) <= parseFloat(tokenBalance) && !needsApproval
+      ? async () => {
+          const rewardsFlywheelAddress = SUPPORTED_NETWORKS[chainId]?.contractAddresses?.rewardsFlywheel;
+          const rewardsFlywheel = rewardsFlywheelAddress && getContractInstance(rewardsFlywheelAddress, 'rewardsFlywheel');
+          if (!rewardsFlywheel) return { ok: true };
+          const amount = ethers.utils.parseUnits(depositAmount, tokenInfo.decimals);
+          return simulateTransaction(rewardsFlywheel, 'depositERC20Rewards', [poolAddress, tokenAddress, amount]);
+        }
+      : null,
+    [poolAddress, tokenAddress, depositAmount, tokenInfo, chainId, needsApproval]
+  );
+
+  const pointsTokenAddress = pointsSystemInfo?.token && pointsSystemInfo.token !== ethers.constants.AddressZero
+    ? pointsSystemInfo.token
+    : '';
+
+  // Allowance of the RewardsFlywheel for points reward token deposits
+  const pointsDepositApproval = useTokenApproval({
+    tokenAddress: pointsTokenAddress,
+    spender: flywheelAddress,
+    amount: pointsDepositAmount,
+    enabled: !!pointsTokenAddress,
+  });
+
+  const pointsDepositPreflight = useTransactionPreflight(
+    connected && !loading && pointsDepositApproval.token && pointsDepositApproval.amountWei &&
+      !pointsDepositApproval.needsApproval && !pointsDepositApproval.insufficientBalance
+      ? () => {
+          const rewardsFlywheel = getContractInstance(flywheelAddress, 'rewardsFlywheel');
+          if (!rewardsFlywheel) return { ok: true };
+          return simulateTransaction(rewardsFlywheel, 'depositPointsRewardToken', [pointsTokenAddress, pointsDepositApproval.amountWei]);
+        }
+      : null,
+    [pointsTokenAddress, pointsDepositApproval.amountWei?.toString(), pointsDepositApproval.needsApproval, chainId]
+  );
+
+  const handleApprovePoints = async () => {
+    if (!connected || !pointsTokenAddress || !pointsDepositAmount) {
+      setPointsError('Enter an amount to deposit');
+      return;
+    }
+    await runApproval(pointsDepositApproval, setPointsError);
+  };
+
+  const handleDepositPoints = async () => {
+    const amount = pointsDepositApproval.amountWei;
+    if (!connected || !pointsTokenAddress || !amount) {
+      setPointsError('Enter an amount to deposit');
+      return;
+    }
 
     setLoading(true);
-    setError('');
+    setPointsError('');
 
     try {
-      const tokenContract = new ethers.Contract(
-        tokenAddress,
-        ['function approve(address spender, uint256 amount) returns (bool)'],
-        provider.getSigner()
-      );
+      const rewardsFlywheel = flywheelAddress && getContractInstance(flywheelAddress, 'rewardsFlywheel');
+      if (!rewardsFlywheel) {
+        setPointsError('RewardsFlywheel contract not available on this network');
+        return;
+      }
 
-      const amount = ethers.utils.parseUnits(depositAmount, tokenInfo.decimals);
-      const tx = await tokenContract.approve(
-        SUPPORTED_NETWORKS[chainId].contractAddresses.rewardsFlywheel,
-        amount
-      );
+      await preflightTransaction(rewardsFlywheel, 'depositPointsRewardToken', [pointsTokenAddress, amount]);
+      const tx = await rewardsFlywheel.depositPointsRewardToken(pointsTokenAddress, amount);
+      toast.info('Points reward deposit sent...');
+      const receipt = await tx.wait();
+      toast.success('Points rewards funded successfully!');
 
-      toast.info('Approval transaction sent...');
-      await tx.wait();
-      
-      toast.success('Token approved successfully!');
-      setNeedsApproval(false);
-      
-      // Refresh allowance
-      await fetchTokenInfo();
+      const { decimals, symbol } = pointsDepositApproval.token;
+      warnOnTransferShortfall(receipt, pointsTokenAddress, amount, decimals, symbol);
+      setPointsDepositAmount('');
+      pointsDepositApproval.refresh();
+      await fetchPointsData();
     } catch (err) {
       const reason = await extractRevertReason(err, provider);
-      setError(reason || 'Approval failed');
-      notifyError(reason || 'Token approval failed');
+      setPointsError(reason || 'Deposit failed');
+      notifyError(reason || 'Failed to deposit points rewards');
     } finally {
       setLoading(false);
     }
@@ -683,6 +760,7 @@ const FlywheelRewardsComponent = ({ onBack }) => {
       }
 
       const amount = ethers.utils.parseUnits(depositAmount, tokenInfo.decimals);
+      await preflightTransaction(rewardsFlywheel, 'depositERC20Rewards', [poolAddress, tokenAddress, amount]);
       
       const tx = await rewardsFlywheel.depositERC20Rewards(
         poolAddress,
@@ -691,9 +769,11 @@ const FlywheelRewardsComponent = ({ onBack }) => {
       );
 
       toast.info('Deposit transaction sent...');
-      await tx.wait();
+      const receipt = await tx.wait();
       
       toast.success('Rewards deposited successfully!');
+      warnOnTransferShortfall(receipt, tokenAddress, amount, tokenInfo.decimals, tokenInfo.symbol);
+      depositApproval.refresh();
       
       // Refresh pool info and related data
       await fetchPoolInfo();
@@ -969,6 +1049,69 @@ const FlywheelRewardsComponent = ({ onBack }) => {
                   </Button>
                 </div>
               )}
+
+              {pointsTokenAddress && (
+                <div className="p-4 border rounded-lg space-y-3">
+                  <div className="space-y-1">
+                    <div className="text-sm font-medium">Fund Points Rewards</div>
+                    <p className="text-xs text-muted-foreground">
+                      Deposit {pointsRewardTokenInfo?.symbol || 'reward tokens'} that points holders claim against
+                    </p>
+                  </div>
+                  <Input
+                    id="pointsDepositAmount"
+                    type="number"
+                    placeholder="0.0"
+                    value={pointsDepositAmount}
+                    onChange={(e) => setPointsDepositAmount(e.target.value)}
+                    disabled={loading}
+                    className="focus:ring-0 focus-visible:ring-0 focus:border-border"
+                  />
+
+                  {pointsDepositApproval.insufficientBalance && (
+                    <div className="flex items-center gap-2">
+                      <AlertCircle className="h-4 w-4 text-red-600" />
+                      <span className="text-xs text-red-700 dark:text-red-300 break-words">
+                        Insufficient balance. You have {ethers.utils.formatUnits(pointsDepositApproval.token.balance, pointsDepositApproval.token.decimals)} {pointsDepositApproval.token.symbol}
+                      </span>
+                    </div>
+                  )}
+
+                  {pointsDepositPreflight.blocked && pointsDepositPreflight.reason && (
+                    <div className="flex items-center gap-2">
+                      <AlertCircle className="h-4 w-4 text-red-600" />
+                      <span className="text-xs text-red-700 dark:text-red-300 break-words">{pointsDepositPreflight.reason}</span>
+                    </div>
+                  )}
+
+                  {pointsDepositApproval.amountWei && (
+                    <TokenApprovalPanel
+                      approval={pointsDepositApproval}
+                      spenderLabel="the rewards contract"
+                      onApprove={handleApprovePoints}
+                      disabled={loading}
+                    />
+                  )}
+
+                  <Button
+                    onClick={handleDepositPoints}
+                    disabled={
+                      loading ||
+                      !pointsDepositApproval.amountWei ||
+                      pointsDepositApproval.needsApproval ||
+                      pointsDepositApproval.insufficientBalance ||
+                      pointsDepositPreflight.blocked
+                    }
+                    variant="outline"
+                    className="w-full text-sm"
+                  >
+                    {loading ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : null}
+                    Deposit Points Rewards
+                  </Button>
+                </div>
+              )}
             </div>
           )}
 
@@ -1160,13 +1303,7 @@ const FlywheelRewardsComponent = ({ onBack }) => {
                 type="number"
                 placeholder="0.0"
                 value={depositAmount}
-                onChange={(e) => {
-                  setDepositAmount(e.target.value);
-                  // Check if approval is needed
-                  if (tokenInfo && e.target.value) {
-                    setNeedsApproval(parseFloat(e.target.value) > parseFloat(allowance.toString()));
-                  }
-                }}
+                onChange={(e) => setDepositAmount(e.target.value)}
                 disabled={loading || (!tokenInfo && !poolInfo)}
                 className="focus:ring-0 focus-visible:ring-0 focus:border-border"
               />
@@ -1184,18 +1321,20 @@ const FlywheelRewardsComponent = ({ onBack }) => {
               </Alert>
             )}
 
-            {needsApproval && (
-              <Button
-                onClick={handleApprove}
+            {depositPreflight.blocked && depositPreflight.reason && (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{depositPreflight.reason}</AlertDescription>
+              </Alert>
+            )}
+
+            {depositApproval.amountWei && (
+              <TokenApprovalPanel
+                approval={depositApproval}
+                spenderLabel="the rewards contract"
+                onApprove={handleApprove}
                 disabled={loading}
-                variant="outline"
-                className="w-full"
-              >
-                {loading ? (
-                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                ) : null}
-                Approve {tokenInfo?.symbol}
-              </Button>
+              />
             )}
 
             <Button
@@ -1206,6 +1345,7 @@ const FlywheelRewardsComponent = ({ onBack }) => {
                 (!poolInfo && !tokenAddress) ||
                 !depositAmount ||
                 needsApproval ||
+                depositPreflight.blocked ||
                 (tokenInfo && parseFloat(depositAmount) > parseFloat(tokenBalance)) ||
                 (poolInfo && poolInfo.rewardPerSlotCalculated)
               }
@@ -19,11 +19,16 @@ import {
 } from 'lucide-react';
 import { ResponsiveAddressInput, ResponsiveNumberInput } from './ui/responsive-input';
 
-const KOLApprovalComponent = () => {
+/**
+ * @param {Object} collection - Collection loaded by the collection console (useCollectionConsole);
+ *   replaces the address lookup
+ * @param {Function} onCollectionUpdated - Called after a successful transaction
+ */
+const KOLApprovalComponent = ({ collection, onCollectionUpdated } = {}) => {
   const { address, connected, provider } = useWallet();
   const { getContractInstance } = useContract();
   const [loading, setLoading] = useState(false);
-  const [collectionAddress, setCollectionAddress] = useState('');
+  const [collectionAddress, setCollectionAddress] = useState(collection?.address || '');
   const [fetchedCollection, setFetchedCollection] = useState('');
   const [kolAddress, setKolAddress] = useState('');
   const [poolLimit, setPoolLimit] = useState('');
@@ -157,10 +162,21 @@ const KOLApprovalComponent = () => {
     }
   };
 
+  // Collection console: use the collection it loaded, again after each refresh
+  useEffect(() => {
+    if (!collection) return;
+    setCollectionAddress(collection.address);
+    setFetchedCollection(collection.address);
+    setCollectionName(collection.name || 'ERC1155 Collection');
+    setCollectionSymbol(collection.symbol || 'ERC1155');
+    setCollectionType(collection.standard);
+    setIsOwner(collection.isOwner);
+  }, [collection]);
+
   // Auto-fetch collection when a valid address is entered
   useEffect(() => {
     const isValid = collectionAddress && ethers.utils.isAddress(collectionAddress);
-    if (!connected) return;
+    if (collection || !connected) return;
     if (!isValid) return;
     // Debounce to avoid firing on every keystroke
     const t = setTimeout(() => {
@@ -171,7 +187,7 @@ const KOLApprovalComponent = () => {
     }, 300);
     return () => clearTimeout(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [collectionAddress, connected]);
+  }, [collection, collectionAddress, connected]);
 
   const fetchKOLDetails = async () => {
     try {
@@ -295,6 +311,7 @@ const KOLApprovalComponent = () => {
       
       await tx.wait();
       toast.success('KOL approved successfully!');
+      onCollectionUpdated?.();
       toast.success(`KOL ${kolAddress} approved with pool limit ${poolLimit}, slot fee ${enforcedSlotFee} ETH, and ${winnerLimit} winner limit`);
       
       // Clear form
@@ -346,6 +363,7 @@ const KOLApprovalComponent = () => {
       const tx = await contract.revokeKOL(kolAddress);
       await tx.wait();
       toast.success('KOL revoked successfully!');
+      onCollectionUpdated?.();
       setSuccess(`KOL ${kolAddress} revoked`);
       await fetchKOLDetails();
     } catch (err) {
@@ -390,19 +408,21 @@ const KOLApprovalComponent = () => {
         </p>
         {/* Collection Address Input */}
         <div className="space-y-4 p-4 border border-border rounded-lg bg-muted/50">
-          <div className="space-y-2">
-            <Label htmlFor="collection">Collection Address</Label>
-            <ResponsiveAddressInput
-              id="collection"
-              placeholder="0x..."
-              value={collectionAddress}
-              onChange={(e) => setCollectionAddress(e.target.value)}
-              disabled={loading}
-            />
-            {collectionAddress && !ethers.utils.isAddress(collectionAddress) && (
-              <p className="text-sm text-red-600">Invalid Ethereum address</p>
-            )}
-          </div>
+          {!collection && (
+            <div className="space-y-2">
+              <Label htmlFor="collection">Collection Address</Label>
+              <ResponsiveAddressInput
+                id="collection"
+                placeholder="0x..."
+                value={collectionAddress}
+                onChange={(e) => setCollectionAddress(e.target.value)}
+                disabled={loading}
+              />
+              {collectionAddress && !ethers.utils.isAddress(collectionAddress) && (
+                <p className="text-sm text-red-600">Invalid Ethereum address</p>
+              )}
+            </div>
+          )}
 
           {fetchedCollection && (
             <div className="mt-4 p-4 bg-muted rounded-lg">
@@ -10,6 +10,7 @@ import { useWallet } from '../contexts/WalletContext';
 import { useCollections } from '../hooks/useCollections';
 
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from './ui/dialog';
+import TraitExplorerDialog from './raffle/TraitExplorerDialog';
 import {
   Activity,
   Plus,
@@ -31,7 +32,9 @@ import {
   Clock,
   Check,
   Filter,
-  Send
+  Send,
+  Sparkles,
+  Settings
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 
@@ -635,6 +638,29 @@ const ProfileTabs = ({
                       </div>
                     </div>
                   </div>
+
+                  <div className="grid grid-cols-2 gap-2 mt-2">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="w-full text-xs"
+                      onClick={() => navigate(`/${collection.chainId}/collection/${collection.address}`)}
+                    >
+                      <Settings className="h-3.5 w-3.5 mr-1" />
+                      Manage
+                    </Button>
+                    <TraitExplorerDialog
+                      collectionAddress={collection.address}
+                      chainId={collection.chainId}
+                      collectionName={collection.name}
+                      trigger={
+                        <Button size="sm" variant="ghost" className="w-full text-xs">
+                          <Sparkles className="h-3.5 w-3.5 mr-1" />
+                          Traits &amp; rarity
+                        </Button>
+                      }
+                    />
+                  </div>
                 </div>
               </div>
             ))}
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, Eye, Hand, RefreshCw } from 'lucide-react';
+import { useWallet } from '../contexts/WalletContext';
+import { useContract } from '../contexts/ContractContext';
+import { supabaseService } from '../services/supabaseService';
+import { preflightTransaction } from '../utils/txPreflight';
+import { toast } from './ui/sonner';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { LoadingSpinner } from './ui/loading';
+import { Card, CardContent } from './ui/card';
+
+// RevealType enum of the Dropr collection contracts
+const REVEAL_TYPES = {
+  MANUAL: 1,
+  SCHEDULED: 2,
+};
+
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+};
+
+/**
+ * RevealScheduleComponent - Lists the connected creator's collections that are
+ * still waiting for their Manual or Scheduled reveal, with a countdown to the
+ * reveal time and a one-click reveal(). The list comes from the indexer and each
+ * entry is re-checked on-chain, since the indexer can lag behind a reveal.
+ */
+const RevealScheduleComponent = () => {
+  const { connected, address, chainId } = useWallet();
+  const { getContractInstance, executeTransaction } = useContract();
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [unavailable, setUnavailable] = useState(false);
+  const [revealing, setRevealing] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const getCollectionContract = useCallback((collection) => (
+    getContractInstance(collection.address, collection.standard === 0 ? 'erc721Prize' : 'erc1155Prize')
+  ), [getContractInstance]);
+
+  const loadCollections = useCallback(async () => {
+    if (!connected || !address || !chainId) {
+      setCollections([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (!supabaseService.isAvailable()) {
+        supabaseService.initialize();
+      }
+      const response = await supabaseService.getCollections({
+        chainId,
+        creator: address,
+        awaitingReveal: true,
+        limit: 100,
+      });
+
+      if (!response || !response.success) {
+        setUnavailable(true);
+        setCollections([]);
+        return;
+      }
+      setUnavailable(false);
+
+      const checked = await Promise.all((response.collections || []).map(async (coll) => {
+        const collection = {
+          address: coll.address,
+          name: coll.name || 'Unnamed Collection',
+          symbol: coll.symbol || '',
+          standard: coll.standard,
+          revealType: coll.reveal_type,
+          revealTime: coll.reveal_time ? Number(coll.reveal_time) : null,
+          isOwner: null,
+        };
+        const contract = getCollectionContract(collection);
+        if (!contract) return collection;
+
+        try {
+          const [isRevealed, revealType, revealTime, owner] = await Promise.all([
+            contract.isRevealed(),
+            contract.revealType(),
+            contract.revealTime(),
+            contract.owner().catch(() => null),
+          ]);
+          if (isRevealed) return null;
+          return {
+            ...collection,
+            revealType: Number(revealType),
+            revealTime: revealTime.toNumber() || null,
+            isOwner: owner ? owner.toLowerCase() === address.toLowerCase() : null,
+          };
+        } catch (error) {
+          console.warn('[RevealSchedule] Failed to read reveal state for', coll.address, error);
+          return collection;
+        }
+      }));
+
+      setCollections(checked.filter((c) => c && c.revealType !== 0));
+    } catch (error) {
+      console.error('Error loading collections awaiting reveal:', error);
+      setUnavailable(true);
+      setCollections([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [connected, address, chainId, getCollectionContract]);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
+
+  // Tick the countdowns only while a scheduled reveal is pending
+  const hasScheduled = collections.some((c) => c.revealType === REVEAL_TYPES.SCHEDULED && c.revealTime);
+  useEffect(() => {
+    if (!hasScheduled) return;
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [hasScheduled]);
+
+  const handleReveal = async (collection) => {
+    setRevealing(collection.address);
+    try {
+      const contract = getCollectionContract(collection);
+      if (!contract) throw new Error('Failed to create contract instance');
+      await preflightTransaction(contract, 'reveal', []);
+      const result = await executeTransaction(contract.reveal);
+      if (!result.success) throw new Error(result.error);
+
+      toast.success(`${collection.name} revealed! Artwork updates once the reveal is indexed.`);
+      setCollections((prev) => prev.filter((c) => c.address !== collection.address));
+      // Drop the cached awaiting-reveal list so a reload does not bring it back
+      supabaseService.clearCache();
+    } catch (error) {
+      toast.error('Error revealing collection: ' + (error.message || error));
+    } finally {
+      setRevealing(null);
+    }
+  };
+
+  if (!connected) {
+    return (
+      <div className="text-center p-4 bg-muted rounded-lg">
+        <p className="text-muted-foreground">
+          Please connect your wallet to see collections awaiting reveal.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent className="space-y-4 p-4">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-sm text-muted-foreground">
+            Manual and scheduled reveals for collections you deployed
+          </p>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => {
+              supabaseService.clearCache();
+              loadCollections();
+            }}
+            disabled={loading}
+            title="Refresh"
+          >
+            <RefreshCw className={loading ? 'h-4 w-4 animate-spin' : 'h-4 w-4'} />
+          </Button>
+        </div>
+
+        {loading && collections.length === 0 && (
+          <div className="flex justify-center p-4">
+            <LoadingSpinner size="sm" />
+          </div>
+        )}
+
+        {!loading && unavailable && (
+          <p className="text-sm text-muted-foreground text-center p-4 bg-muted/50 rounded-lg">
+            Reveal status is unavailable right now. You can still reveal a collection by address from Royalty &amp; Reveal.
+          </p>
+        )}
+
+        {!loading && !unavailable && collections.length === 0 && (
+          <p className="text-sm text-muted-foreground text-center p-4 bg-muted/50 rounded-lg">
+            No collections are waiting to be revealed.
+          </p>
+        )}
+
+        {collections.map((collection) => {
+          const isScheduled = collection.revealType === REVEAL_TYPES.SCHEDULED;
+          const remaining = isScheduled && collection.revealTime ? collection.revealTime - now : 0;
+          const waiting = remaining > 0;
+          const canReveal = collection.isOwner !== false && !waiting;
+
+          return (
+            <div key={collection.address} className="p-3 bg-muted/50 rounded-lg border border-border/50 space-y-3">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">
+                    {collection.name}{collection.symbol ? ` (${collection.symbol})` : ''}
+                  </div>
+                  <div className="font-mono text-xs text-muted-foreground break-all">{collection.address}</div>
+                </div>
+                <Badge variant="secondary" className="shrink-0 flex items-center gap-1">
+                  {isScheduled ? <Clock className="h-3 w-3" /> : <Hand className="h-3 w-3" />}
+                  {isScheduled ? 'Scheduled' : 'Manual'}
+                </Badge>
+              </div>
+
+              {isScheduled && collection.revealTime && (
+                <div className="text-sm">
+                  {waiting ? (
+                    <>
+                      <span className="text-muted-foreground">Reveals in </span>
+                      <span className="font-semibold">{formatCountdown(remaining)}</span>
+                    </>
+                  ) : (
+                    <span className="text-muted-foreground">Reveal time reached</span>
+                  )}
+                  <span className="block text-xs text-muted-foreground">
+                    {new Date(collection.revealTime * 1000).toLocaleString()}
+                  </span>
+                </div>
+              )}
+
+              <Button
+                onClick={() => handleReveal(collection)}
+                disabled={!canReveal || revealing !== null}
+                variant="primary"
+                size="md"
+                className="w-full h-10 flex items-center justify-center gap-2 shadow-sm text-sm"
+                title={collection.isOwner === false ? 'Only the collection owner can reveal' : waiting ? 'Available once the reveal time is reached' : 'Reveal collection'}
+              >
+                <Eye className="h-4 w-4" />
+                {revealing === collection.address ? 'Revealing...' : 'Reveal Now'}
+              </Button>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RevealScheduleComponent;
@@ -10,12 +10,17 @@ import { LoadingSpinner } from './ui/loading';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 
-const RoyaltyAdjustmentComponent = () => {
+/**
+ * @param {Object} collection - Collection loaded by the collection console (useCollectionConsole);
+ *   replaces the address lookup
+ * @param {Function} onCollectionUpdated - Called after a successful transaction
+ */
+const RoyaltyAdjustmentComponent = ({ collection, onCollectionUpdated } = {}) => {
   const { connected, address } = useWallet();
   const { getContractInstance, executeTransaction } = useContract();
   const [loading, setLoading] = useState(false);
   const [collectionData, setCollectionData] = useState({
-    address: '',
+    address: collection?.address || '',
     type: null, // Will be auto-detected
     royaltyPercentage: '',
     royaltyRecipient: ''
@@ -38,10 +43,33 @@ const RoyaltyAdjustmentComponent = () => {
     }
   }, [collectionData.address]);
 
+  // Collection console: show the collection it loaded, again after each refresh
+  useEffect(() => {
+    if (!collection) return;
+    setCollectionData(prev => ({
+      ...prev,
+      address: collection.address,
+      type: collection.standard,
+      royaltyPercentage: (collection.royalty.bps / 100).toString(),
+      royaltyRecipient: collection.royalty.recipient
+    }));
+    setCollectionInfo({
+      address: collection.address,
+      name: collection.name || 'Unknown Collection',
+      symbol: collection.symbol || 'Unknown',
+      owner: collection.owner,
+      type: collection.standard,
+      isOwner: collection.isOwner,
+      currentRoyaltyPercentage: collection.royalty.bps.toString(),
+      currentRoyaltyRecipient: collection.royalty.recipient
+    });
+    setIsRevealed(collection.reveal.isRevealed);
+  }, [collection]);
+
   // Auto-fetch collection info when a valid address is entered
   useEffect(() => {
     const addr = collectionData.address;
-    if (!addr || !connected) return;
+    if (collection || !addr || !connected) return;
     if (!ethers.utils.isAddress(addr)) return;
 
     const handle = setTimeout(() => {
@@ -49,7 +77,7 @@ const RoyaltyAdjustmentComponent = () => {
     }, 450);
 
     return () => clearTimeout(handle);
-  }, [collectionData.address, connected]);
+  }, [collection, collectionData.address, connected]);
 
   // Check if collection is revealed after loading info
   const checkRevealedStatus = async (contract) => {
@@ -211,6 +239,9 @@ const RoyaltyAdjustmentComponent = () => {
     }
   };
 
+  // The console reloads the collection it passes in; standalone, read it again
+  const reloadCollection = () => (collection ? onCollectionUpdated?.() : loadCollectionInfo());
+
   const handleUpdateRoyalty = async () => {
     if (!connected || !collectionInfo) {
       toast.error('Please connect your wallet and load collection info first');
@@ -254,7 +285,7 @@ const RoyaltyAdjustmentComponent = () => {
       if (result.success) {
         toast.success(`Royalty updated successfully! Transaction: ${result.hash}`);
         // Reload collection info to show updated values
-        await loadCollectionInfo();
+        await reloadCollection();
       } else {
         throw new Error(result.error);
       }
@@ -280,7 +311,7 @@ const RoyaltyAdjustmentComponent = () => {
       const result = await executeTransaction(contract.reveal);
       if (result.success) {
         toast.success('Collection revealed successfully!');
-        await loadCollectionInfo();
+        await reloadCollection();
       } else {
         throw new Error(result.error);
       }
@@ -298,23 +329,25 @@ const RoyaltyAdjustmentComponent = () => {
           Manage royalties and collection reveals for your NFT collections
         </p>
         {/* Collection Lookup Section */}
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium mb-1">Collection Address</label>
-            <div className="relative">
-              <ResponsiveAddressInput
-                value={collectionData.address}
-                onChange={(e) => handleChange('address', e.target.value)}
-                placeholder="0x..."
-              />
-              {loadingInfo && (
-                <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                  <LoadingSpinner size="sm" showText={false} />
-                </div>
-              )}
+        {!collection && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Collection Address</label>
+              <div className="relative">
+                <ResponsiveAddressInput
+                  value={collectionData.address}
+                  onChange={(e) => handleChange('address', e.target.value)}
+                  placeholder="0x..."
+                />
+                {loadingInfo && (
+                  <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
+                    <LoadingSpinner size="sm" showText={false} />
+                  </div>
+                )}
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Collection Info Display */}
         {collectionInfo && (
@@ -6,7 +6,7 @@ import { useMobileBreakpoints } from '../hooks/useMobileBreakpoints';
 import { useNativeCurrency } from '../hooks/useNativeCurrency';
 import { useContract } from '../contexts/ContractContext';
 import { ethers } from 'ethers';
-import { SOCIAL_TASK_CONSTANTS } from '../constants/socialTasks';
+import { SOCIAL_TASK_CONSTANTS, SOCIAL_TASK_ACTIONS } from '../constants/socialTasks';
 
 // Maximum number of social media tasks allowed
 const MAX_SOCIAL_TASKS = SOCIAL_TASK_CONSTANTS.MAX_TASKS;
@@ -130,30 +130,7 @@ const SocialMediaTaskSection = ({
     }
   };
 
-  const getActionOptions = (platform) => {
-    switch (platform) {
-      case 'twitter':
-        return [
-          { value: 'follow', label: 'Follow Account' },
-          { value: 'like', label: 'Like Tweet' },
-          { value: 'retweet', label: 'Retweet' },
-          { value: 'comment', label: 'Comment on Tweet' },
-          { value: 'quote', label: 'Quote Tweet' }
-        ];
-      case 'discord':
-        return [
-          { value: 'join', label: 'Join Server' },
-          { value: 'react', label: 'React to Message' }
-        ];
-      case 'telegram':
-        return [
-          { value: 'join', label: 'Join Channel/Group' },
-          { value: 'follow', label: 'Follow Channel' }
-        ];
-      default:
-        return [];
-    }
-  };
+  const getActionOptions = (platform) => SOCIAL_TASK_ACTIONS[platform] || [];
 
   // Generate task description for smart contract
   const generateTaskDescription = () => {
@@ -0,0 +1,126 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { AlertCircle, CheckCircle, Loader2, Info } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+import { APPROVAL_MODES } from '../services/tokenApprovalService';
+
+const formatAmount = (amount, decimals) => {
+  if (!amount) return '0';
+  if (amount.eq(ethers.constants.MaxUint256)) return 'Unlimited';
+  // Anything above 1e30 base units is an unlimited approval in practice
+  if (amount.gt(ethers.BigNumber.from(10).pow(30))) return 'Unlimited';
+  return ethers.utils.formatUnits(amount, decimals);
+};
+
+/**
+ * TokenApprovalPanel - Allowance status and approval options for a
+ * useTokenApproval result: exact vs unlimited approval and warnings for
+ * non-standard tokens.
+ *
+ * @param {Object} approval - Return value of useTokenApproval
+ * @param {string} spenderLabel - Human name of the contract being approved
+ * @param {Function} onApprove - Called when the approve button is clicked; omit
+ *   to hide the button when the surrounding flow approves on submit
+ * @param {boolean} disabled - Disable the controls
+ */
+const TokenApprovalPanel = ({ approval, spenderLabel = 'the contract', onApprove, disabled = false, className }) => {
+  const { token, loading, error, needsApproval, mode, setMode, approving, status } = approval;
+
+  if (error) {
+    return (
+      <div className={cn('flex items-start gap-2 text-sm text-destructive', className)}>
+        <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+        <span>{error}</span>
+      </div>
+    );
+  }
+
+  if (!token) {
+    return loading ? (
+      <div className={cn('flex items-center gap-2 text-sm text-muted-foreground', className)}>
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Checking token allowance...
+      </div>
+    ) : null;
+  }
+
+  const symbol = token.symbol || 'tokens';
+  const locked = disabled || approving;
+
+  return (
+    <div className={cn('space-y-3 p-3 bg-muted/50 rounded-lg border', className)}>
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="font-medium">Allowance for {spenderLabel}</span>
+        <span className="flex items-center gap-1 text-right break-all">
+          {!needsApproval && approval.amountWei && <CheckCircle className="h-4 w-4 text-green-600 shrink-0" />}
+          {formatAmount(token.allowance, token.decimals)} {symbol}
+        </span>
+      </div>
+
+      {needsApproval && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <Button
+              type="button"
+              size="sm"
+              variant={mode === APPROVAL_MODES.EXACT ? 'primary' : 'outline'}
+              onClick={() => setMode(APPROVAL_MODES.EXACT)}
+              disabled={locked}
+            >
+              Exact amount
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              variant={mode === APPROVAL_MODES.UNLIMITED ? 'primary' : 'outline'}
+              onClick={() => setMode(APPROVAL_MODES.UNLIMITED)}
+              disabled={locked}
+            >
+              Unlimited
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            {mode === APPROVAL_MODES.EXACT
+              ? `Approves only ${ethers.utils.formatUnits(approval.amountWei, token.decimals)} ${symbol}. Future deposits need a new approval.`
+              : `Lets ${spenderLabel} spend any amount of your ${symbol} until you revoke it.`}
+          </p>
+
+          {token.requiresZeroReset && (
+            <div className="flex items-start gap-2 text-xs text-amber-700 dark:text-amber-300">
+              <Info className="h-4 w-4 shrink-0" />
+              <span>
+                {symbol} cannot change a non-zero allowance directly, so it is reset to zero first. Expect two approval transactions.
+              </span>
+            </div>
+          )}
+        </>
+      )}
+
+      {token.feeOnTransfer && (
+        <div className="flex items-start gap-2 text-xs text-amber-700 dark:text-amber-300">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          <span>
+            {symbol} looks like a fee-on-transfer token ({token.feeGetters.join(', ')}). The receiving contract may get less than the amount you send.
+          </span>
+        </div>
+      )}
+
+      {status && (
+        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+          <Loader2 className="h-3 w-3 animate-spin" />
+          {status}
+        </div>
+      )}
+
+      {needsApproval && onApprove && (
+        <Button type="button" onClick={onApprove} disabled={locked} variant="outline" className="w-full">
+          {approving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : null}
+          Approve {symbol}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default TokenApprovalPanel;
@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle2, Loader2, Pencil, Plus, RefreshCw, Trash2, XCircle } from 'lucide-react';
+import { Button } from './ui/button';
+import { Card, CardContent } from './ui/card';
+import { toast } from './ui/sonner';
+import { useMobileBreakpoints } from '../hooks/useMobileBreakpoints';
+import { useTokenBatchPlan } from '../hooks/useTokenBatchPlan';
+import {
+  MAX_TOKEN_ROWS,
+  createTokenRow,
+  nextFreeTokenId,
+  buildTokenPlan,
+} from '../services/tokenBatchService';
+import { SECONDS_PER_DAY } from '../utils/vestingUtils';
+
+const inputClass = 'w-full px-2 py-1.5 border border-border rounded-md bg-background text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary transition-colors text-sm';
+
+const EDITOR_COLUMNS = [
+  { field: 'tokenId', label: 'Token ID', placeholder: '1', width: 'w-24' },
+  { field: 'supply', label: 'Max Supply', placeholder: '100', width: 'w-28' },
+  { field: 'uri', label: 'Token URI', placeholder: 'ipfs://.../1.json', width: 'min-w-[200px]' },
+  { field: 'allocationPercent', label: 'Creator %', placeholder: '10', width: 'w-20' },
+  { field: 'cliff', label: 'Vesting Cliff', type: 'datetime-local', width: 'w-48' },
+  { field: 'unlocks', label: 'Unlocks', placeholder: '4', width: 'w-20' },
+  { field: 'intervalDays', label: 'Interval (days)', placeholder: '7', width: 'w-24' },
+];
+
+const formatDate = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+
+const shortenUri = (uri) => (uri && uri.length > 32 ? `${uri.slice(0, 20)}…${uri.slice(-10)}` : uri);
+
+const StepStatusIcon = ({ status }) => {
+  if (status === 'running') return <Loader2 className="h-4 w-4 animate-spin text-primary" />;
+  if (status === 'done') return <CheckCircle2 className="h-4 w-4 text-green-500" />;
+  if (status === 'failed') return <XCircle className="h-4 w-4 text-destructive" />;
+  return <span className="h-4 w-4 rounded-full border border-border inline-block" />;
+};
+
+/**
+ * TokenBatchEditor - Defines many ERC1155 token IDs at once (supply, URI,
+ * creator allocation and vesting) next to an overview of the collection's
+ * existing IDs, and sends the resulting owner transactions in order.
+ *
+ * @param {string} collectionAddress - ERC1155 collection owned by the connected wallet
+ * @param {Function} onCollectionUpdated - Called after a run, which may have mined some steps
+ */
+const TokenBatchEditor = ({ collectionAddress, onCollectionUpdated }) => {
+  const { isMobile } = useMobileBreakpoints();
+  const { overview, loading, error, refresh, execute, stop, running, stepStatus, completed } =
+    useTokenBatchPlan(collectionAddress);
+  const [rows, setRows] = useState([]);
+  const [royalty, setRoyalty] = useState({ percentage: '', recipient: '' });
+
+  const existingIds = useMemo(() => (overview?.tokens || []).map(token => token.tokenId), [overview]);
+
+  // Prefill the royalty with the collection's current values
+  useEffect(() => {
+    if (!overview?.royalty) return;
+    setRoyalty(prev => (prev.recipient ? prev : {
+      percentage: (overview.royalty.bps / 100).toString(),
+      recipient: overview.royalty.recipient,
+    }));
+  }, [overview]);
+
+  const plan = useMemo(() => buildTokenPlan(rows, overview, royalty), [rows, overview, royalty]);
+  const plannedRowsByKey = useMemo(() => new Map(plan.rows.map(row => [row.key, row])), [plan]);
+
+  const addRow = (values = {}) => {
+    if (rows.length >= MAX_TOKEN_ROWS) {
+      toast.error(`At most ${MAX_TOKEN_ROWS} token IDs per batch`);
+      return;
+    }
+    setRows(prev => [...prev, createTokenRow({ tokenId: nextFreeTokenId(existingIds, prev), ...values })]);
+  };
+
+  const editExisting = (token) => {
+    if (rows.some(row => row.tokenId === token.tokenId)) return;
+    addRow({ tokenId: token.tokenId, supply: token.maxSupply, uri: token.uri });
+  };
+
+  const updateRow = (key, field, value) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (key) => {
+    setRows(prev => prev.filter(row => row.key !== key));
+  };
+
+  const handleRun = async () => {
+    const finished = await execute(plan.steps);
+    onCollectionUpdated?.();
+    if (finished) {
+      toast.success(`${plan.steps.length} transaction${plan.steps.length === 1 ? '' : 's'} confirmed`);
+      setRows([]);
+    }
+  };
+
+  const inputStyle = isMobile ? { fontSize: '16px' } : {};
+
+  return (
+    <div className="space-y-4">
+      {/* Existing token IDs */}
+      <Card>
+        <CardContent className="space-y-4 p-4">
+          <div className="flex items-center justify-between gap-2">
+            <div>
+              <div className="text-base font-medium">Existing Token IDs</div>
+              {overview && (
+                <p className="text-sm text-muted-foreground">
+                  {overview.stats.totalTokenTypes} token type{overview.stats.totalTokenTypes === '1' ? '' : 's'} · {overview.stats.totalTokensMinted} minted
+                </p>
+              )}
+            </div>
+            <Button variant="ghost" size="sm" onClick={refresh} disabled={loading || running} title="Reload token IDs">
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-destructive/10 border border-destructive/20 rounded-md flex items-center gap-2 text-sm text-destructive">
+              <AlertCircle className="h-4 w-4 shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {overview?.statsMismatch && (
+            <div className="p-3 bg-yellow-500/10 border border-yellow-500/20 rounded-md flex items-center gap-2 text-sm text-yellow-700 dark:text-yellow-400">
+              <AlertTriangle className="h-4 w-4 shrink-0" />
+              getAllTokenIds returned {overview.tokens.length} IDs but the collection stats report {overview.stats.totalTokenTypes} token types
+            </div>
+          )}
+
+          {overview && overview.tokens.length === 0 && (
+            <p className="text-sm text-muted-foreground">This collection has no token IDs yet.</p>
+          )}
+
+          {overview && overview.tokens.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                    <th className="py-2 pr-3 font-medium">ID</th>
+                    <th className="py-2 pr-3 font-medium">Minted / Max</th>
+                    <th className="py-2 pr-3 font-medium">URI</th>
+                    <th className="py-2 pr-3 font-medium">Creator Allocation</th>
+                    <th className="py-2 pr-3 font-medium">Vesting</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {overview.tokens.map(token => (
+                    <tr key={token.tokenId} className="border-b border-border/50 last:border-0">
+                      <td className="py-2 pr-3 font-mono">#{token.tokenId}</td>
+                      <td className="py-2 pr-3">{token.currentSupply} / {token.maxSupply}</td>
+                      <td className="py-2 pr-3 font-mono text-xs" title={token.uri}>{shortenUri(token.uri) || '—'}</td>
+                      <td className="py-2 pr-3">{token.allocationDeclared ? token.creatorAllocation : '—'}</td>
+                      <td className="py-2 pr-3 text-xs">
+                        {token.vesting
+                          ? `${token.vesting.numberOfUnlocks} × ${token.vesting.amountPerUnlock} every ${Number(token.vesting.durationBetweenUnlocks) / SECONDS_PER_DAY}d from ${formatDate(token.vesting.cliffEnd)}`
+                          : '—'}
+                      </td>
+                      <td className="py-2 text-right">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => editExisting(token)}
+                          disabled={running || rows.some(row => row.tokenId === token.tokenId)}
+                          title="Edit URI or vesting in the batch"
+                        >
+                          <Pencil className="h-3.5 w-3.5" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Batch editor */}
+      <Card>
+        <CardContent className="space-y-4 p-4">
+          <div>
+            <div className="text-base font-medium">Create Multiple Token IDs</div>
+            <p className="text-sm text-muted-foreground">
+              Define several token IDs with their supply, URI and creator vesting, then send them as one plan.
+              Existing IDs can be added to update their URI or vesting.
+            </p>
+          </div>
+
+          {rows.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    {EDITOR_COLUMNS.map(column => (
+                      <th key={column.field} className="pb-2 pr-2 font-medium whitespace-nowrap">{column.label}</th>
+                    ))}
+                    <th className="pb-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const planned = plannedRowsByKey.get(row.key);
+                    const errors = planned?.errors || {};
+                    const warnings = planned?.warnings || [];
+                    const messages = [...Object.values(errors), ...warnings];
+                    return (
+                      <React.Fragment key={row.key}>
+                        <tr className="align-top">
+                          {EDITOR_COLUMNS.map(column => (
+                            <td key={column.field} className={`pr-2 pt-1 ${column.width}`}>
+                              <input
+                                type={column.type || 'text'}
+                                inputMode={column.type ? undefined : column.field === 'uri' ? 'url' : 'numeric'}
+                                value={row[column.field]}
+                                onChange={(e) => updateRow(row.key, column.field, e.target.value)}
+                                placeholder={column.placeholder}
+                                disabled={running || (column.field === 'supply' && planned && !planned.isNew && !errors.tokenId)}
+                                className={`${inputClass} ${errors[column.field] ? 'border-destructive' : ''}`}
+                                style={inputStyle}
+                              />
+                            </td>
+                          ))}
+                          <td className="pt-1">
+                            <Button variant="ghost" size="sm" onClick={() => removeRow(row.key)} disabled={running} title="Remove row">
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </td>
+                        </tr>
+                        <tr>
+                          <td colSpan={EDITOR_COLUMNS.length + 1} className="pb-3 pt-1">
+                            {messages.length > 0 ? (
+                              <ul className="space-y-0.5 text-xs">
+                                {Object.values(errors).map(message => (
+                                  <li key={message} className="flex items-center gap-1 text-destructive">
+                                    <AlertCircle className="h-3 w-3 shrink-0" />{message}
+                                  </li>
+                                ))}
+                                {warnings.map(message => (
+                                  <li key={message} className="flex items-center gap-1 text-yellow-700 dark:text-yellow-400">
+                                    <AlertTriangle className="h-3 w-3 shrink-0" />{message}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              <span className="text-xs text-muted-foreground">
+                                {planned?.isNew ? 'New token ID' : 'Existing token ID'}
+                                {planned && planned.steps.length === 0 ? ' · already up to date' : ` · ${planned?.steps.length || 0} transaction${planned?.steps.length === 1 ? '' : 's'}`}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <Button variant="outline" size="sm" onClick={() => addRow()} disabled={running || !overview}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Token ID
+          </Button>
+
+          {/* Collection royalty */}
+          <div className="grid gap-3 md:grid-cols-2 pt-2 border-t border-border">
+            <div>
+              <label className="block text-sm font-medium mb-1">Royalty (%)</label>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={royalty.percentage}
+                onChange={(e) => setRoyalty(prev => ({ ...prev, percentage: e.target.value }))}
+                disabled={running}
+                className={`${inputClass} ${plan.royaltyErrors.percentage ? 'border-destructive' : ''}`}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Royalty Recipient</label>
+              <input
+                type="text"
+                value={royalty.recipient}
+                onChange={(e) => setRoyalty(prev => ({ ...prev, recipient: e.target.value }))}
+                placeholder="0x..."
+                disabled={running}
+                className={`${inputClass} font-mono ${plan.royaltyErrors.recipient ? 'border-destructive' : ''}`}
+                style={inputStyle}
+              />
+            </div>
+            <p className="text-xs text-muted-foreground md:col-span-2">
+              ERC1155 royalties apply to every token ID in the collection; a change here is sent once with the plan.
+            </p>
+            {Object.values(plan.royaltyErrors).map(message => (
+              <p key={message} className="text-xs text-destructive md:col-span-2">{message}</p>
+            ))}
+          </div>
+
+          {/* Transaction plan */}
+          {plan.steps.length > 0 && (
+            <div className="space-y-2 pt-2 border-t border-border">
+              <div className="text-sm font-medium">
+                Transaction plan · {plan.steps.length} transaction{plan.steps.length === 1 ? '' : 's'}
+              </div>
+              {plan.invalidCount > 0 && (
+                <p className="text-xs text-yellow-700 dark:text-yellow-400">
+                  {plan.invalidCount} row{plan.invalidCount === 1 ? ' has' : 's have'} errors and {plan.invalidCount === 1 ? 'is' : 'are'} left out of the plan
+                </p>
+              )}
+              <ol className="space-y-1 text-sm">
+                {plan.steps.map((step, index) => {
+                  const status = stepStatus[step.id];
+                  return (
+                    <li key={step.id} className="flex items-start gap-2">
+                      <StepStatusIcon status={status?.status} />
+                      <div className="min-w-0">
+                        <span>{index + 1}. {step.label}</span>
+                        {status?.error && <p className="text-xs text-destructive break-words">{status.error}</p>}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button
+              onClick={handleRun}
+              disabled={running || loading || plan.steps.length === 0 || Object.keys(plan.royaltyErrors).length > 0}
+              variant="primary"
+              size="md"
+              className="flex-1"
+            >
+              {running ? 'Sending transactions...' : plan.steps.length > 0 ? `Send ${plan.steps.length} Transaction${plan.steps.length === 1 ? '' : 's'}` : 'Nothing to send'}
+            </Button>
+            {running && (
+              <Button onClick={stop} variant="outline" size="md">
+                Stop
+              </Button>
+            )}
+          </div>
+
+          {completed.length > 0 && (
+            <div className="space-y-1 pt-2 border-t border-border text-xs">
+              <div className="text-sm font-medium">Confirmed</div>
+              {completed.map(step => (
+                <div key={step.hash} className="flex items-start justify-between gap-2">
+                  <span>
+                    {step.label}
+                    {step.vesting && ` (${step.vesting.amountPerUnlock} per unlock)`}
+                  </span>
+                  <span className="font-mono text-muted-foreground shrink-0">{step.hash.slice(0, 10)}…</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default TokenBatchEditor;
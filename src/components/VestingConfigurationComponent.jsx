@@ -7,13 +7,19 @@ import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Clock, Lock, Unlock, Calendar, TrendingUp, TrendingDown, AlertCircle, CheckCircle2, RefreshCw } from 'lucide-react';
 import { notifyError } from '../utils/notificationService';
+import { getMinimumUnlocks, SECONDS_PER_DAY } from '../utils/vestingUtils';
 
-const VestingConfigurationComponent = () => {
+/**
+ * @param {Object} collection - Collection loaded by the collection console (useCollectionConsole);
+ *   replaces the address lookup
+ * @param {Function} onCollectionUpdated - Called after a successful transaction
+ */
+const VestingConfigurationComponent = ({ collection, onCollectionUpdated } = {}) => {
   const { address, provider } = useWallet();
   const { getContractInstance, executeTransaction } = useContract();
 
   // Collection fetch state
-  const [collectionAddress, setCollectionAddress] = useState('');
+  const [collectionAddress, setCollectionAddress] = useState(collection?.address || '');
   const [fetchedCollection, setFetchedCollection] = useState(null);
   const [isERC721, setIsERC721] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -220,6 +226,7 @@ const VestingConfigurationComponent = () => {
 
   // Auto-fetch collection details when address changes
   useEffect(() => {
+    if (collection) return;
     // Debounce to avoid excessive calls while typing
     const timeoutId = setTimeout(() => {
       if (collectionAddress && ethers.utils.isAddress(collectionAddress)) {
@@ -234,15 +241,60 @@ const VestingConfigurationComponent = () => {
     }, 500); // 500ms debounce
 
     return () => clearTimeout(timeoutId);
-  }, [collectionAddress, address]); // Re-fetch if wallet address changes
+  }, [collection, collectionAddress, address]); // Re-fetch if wallet address changes
 
   // Re-fetch when tokenId changes for ERC1155
   useEffect(() => {
-    if (collectionAddress && ethers.utils.isAddress(collectionAddress) && !isERC721 && fetchedCollection) {
+    if (!collection && collectionAddress && ethers.utils.isAddress(collectionAddress) && !isERC721 && fetchedCollection) {
       fetchCollectionDetails(collectionAddress);
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tokenId]);
 
+  // Collection console: show the collection it loaded (the selected token ID
+  // for ERC1155), again after each refresh
+  useEffect(() => {
+    if (!collection) return;
+    const erc721 = collection.standard === 'erc721';
+    const details = erc721
+      ? collection.supply
+      : collection.tokens.find(token => token.tokenId === String(tokenId));
+
+    setIsERC721(erc721);
+    setIsOwner(collection.isOwner);
+    setFetchedCollection(getContractInstance(collection.address, erc721 ? 'erc721Prize' : 'erc1155Prize'));
+    if (!details) {
+      setCollectionInfo(null);
+      setVestingInfo(null);
+      return;
+    }
+
+    const { creator } = details;
+    setCollectionInfo({
+      ...(erc721 ? { name: collection.name || 'Unknown', symbol: collection.symbol || 'Unknown' } : { tokenId }),
+      maxSupply: details.maxSupply,
+      creatorAllocation: creator.allocation,
+      creationTime: details.creationTime.toString(),
+      vestingConfigured: !!creator.vesting,
+      creatorClaimedCount: creator.claimed,
+      unlockedAmount: creator.unlocked,
+      availableSupply: details.availableSupply,
+      creatorAllocationDeclared: creator.declared,
+      isERC721: erc721
+    });
+    setVestingInfo(creator.vesting ? {
+      cliffEnd: creator.vesting.cliffEnd.toString(),
+      numberOfUnlocks: creator.vesting.numberOfUnlocks.toString(),
+      durationBetweenUnlocks: creator.vesting.durationBetweenUnlocks.toString(),
+      amountPerUnlock: creator.vesting.amountPerUnlock,
+      availableToMint: creator.vesting.availableToMint,
+      unlockedAmount: creator.unlocked
+    } : null);
+  }, [collection, tokenId, getContractInstance]);
+
+  // The console reloads the collection it passes in; standalone, read it again
+  const reloadCollection = () => (collection ? onCollectionUpdated?.() : fetchCollectionDetails(collectionAddress));
+
   // Configure vesting
   const configureVesting = async () => {
     if (!fetchedCollection || !collectionInfo) {
@@ -277,14 +329,7 @@ const VestingConfigurationComponent = () => {
     const creatorAllocation = parseInt(collectionInfo.creatorAllocation);
     
     // Validate minimum unlocks based on allocation
-    let minUnlocks = 2;
-    if (creatorAllocation >= 2000) {
-      minUnlocks = 8;
-    } else if (creatorAllocation >= 1000) {
-      minUnlocks = 8;
-    } else if (creatorAllocation >= 500) {
-      minUnlocks = 4;
-    }
+    const minUnlocks = getMinimumUnlocks(creatorAllocation);
 
     if (numberOfUnlocks < minUnlocks) {
       toast.error(`For an allocation of ${creatorAllocation} tokens, minimum ${minUnlocks} unlocks required`);
@@ -294,7 +339,7 @@ const VestingConfigurationComponent = () => {
     setConfiguring(true);
     try {
       const cliffEnd = Math.floor(cliffDate.getTime() / 1000); // Convert to Unix timestamp
-      const durationBetweenUnlocks = unlockIntervalDays * 86400;
+      const durationBetweenUnlocks = unlockIntervalDays * SECONDS_PER_DAY;
 
       let tx;
       if (isERC721) {
@@ -306,7 +351,7 @@ const VestingConfigurationComponent = () => {
       if (tx) {
         toast.success('Vesting configured successfully!');
         // Refresh collection details
-        await fetchCollectionDetails();
+        await reloadCollection();
       }
     } catch (error) {
       console.error('Error configuring vesting:', error);
@@ -340,7 +385,7 @@ const VestingConfigurationComponent = () => {
         await executeTransaction(() => fetchedCollection.declareCreatorAllocation(tid, percentage));
       }
       toast.success('Creator allocation declared');
-      await fetchCollectionDetails(collectionAddress);
+      await reloadCollection();
     } catch (error) {
       notifyError(error, { action: 'declareAllocation' });
     } finally {
@@ -370,7 +415,7 @@ const VestingConfigurationComponent = () => {
         );
         if (result.success) {
           toast.success('Pool allocation restored successfully');
-          await fetchCollectionDetails(collectionAddress);
+          await reloadCollection();
           setRestorePoolAddress('');
         }
       } else {
@@ -382,7 +427,7 @@ const VestingConfigurationComponent = () => {
         );
         if (result.success) {
           toast.success('Pool allocation restored successfully');
-          await fetchCollectionDetails(collectionAddress);
+          await reloadCollection();
           setRestorePoolAddress('');
           setRestoreTokenId('');
         }
@@ -432,7 +477,7 @@ const VestingConfigurationComponent = () => {
       toast.success('Creator allocation reduced successfully');
       setReductionPercent('');
       setShowReductionWarning(false);
-      await fetchCollectionDetails(collectionAddress);
+      await reloadCollection();
     } catch (error) {
       console.error('Error reducing creator allocation:', error);
       if (error.message.includes('No remaining creator allocation')) {
@@ -473,7 +518,7 @@ const VestingConfigurationComponent = () => {
         await executeTransaction(() => fetchedCollection.cutSupply(tid, percentage));
       }
       toast.success('Supply cut successfully');
-      await fetchCollectionDetails(collectionAddress);
+      await reloadCollection();
     } catch (error) {
       notifyError(error, { action: 'cutSupply' });
     } finally {
@@ -508,17 +553,23 @@ const VestingConfigurationComponent = () => {
       <Card>
         <CardContent className="space-y-4 p-4">
           <p className="text-sm text-muted-foreground">
-            Enter your collection address to view and configure supply, creator allocation and vesting
+            {collection
+              ? 'View and configure supply, creator allocation and vesting'
+              : 'Enter your collection address to view and configure supply, creator allocation and vesting'}
           </p>
           <div className="space-y-2">
-            <label className="text-sm font-medium">Collection Address</label>
-            <input
-              type="text"
-              placeholder="0x..."
-              value={collectionAddress}
-              onChange={(e) => setCollectionAddress(e.target.value)}
-              className="w-full px-3 py-2 border border-border rounded-md bg-background"
-            />
+            {!collection && (
+              <>
+                <label className="text-sm font-medium">Collection Address</label>
+                <input
+                  type="text"
+                  placeholder="0x..."
+                  value={collectionAddress}
+                  onChange={(e) => setCollectionAddress(e.target.value)}
+                  className="w-full px-3 py-2 border border-border rounded-md bg-background"
+                />
+              </>
+            )}
             {loading && (
               <p className="text-xs text-muted-foreground flex items-center gap-2">
                 <span className="animate-spin">⏳</span> Fetching collection details...
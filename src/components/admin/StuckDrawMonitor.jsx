@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { supabase } from '../../config/supabase';
+import { RefreshCw, AlertTriangle, ExternalLink } from 'lucide-react';
+import { toast } from '../ui/sonner';
+import { SUPPORTED_NETWORKS } from '../../networks';
+import { getStuckDrawInfo, formatStuckDuration } from '../../utils/stuckDraw';
+
+const ACTION_LABELS = {
+  request_randomness: 'Request randomness',
+  retry_mints: 'Retry failed mints',
+  check_subscription: 'Fund VRF subscription',
+};
+
+const StuckDrawMonitor = () => {
+  const [stuckPools, setStuckPools] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchStuckPools();
+
+    // Refresh every 5 minutes
+    const interval = setInterval(fetchStuckPools, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchStuckPools = async () => {
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from('pools')
+        .select('address, chain_id, name, creator, state, draw_stuck_reason, draw_stuck_since, draw_stuck_detected_at, draw_stuck_details')
+        .not('draw_stuck_reason', 'is', null)
+        .order('draw_stuck_since', { ascending: true });
+
+      if (error) throw error;
+      setStuckPools(data || []);
+    } catch (error) {
+      console.error('Error fetching stuck draws:', error);
+      toast.error('Failed to load stuck draws');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const poolPath = (pool) => {
+    const network = SUPPORTED_NETWORKS[pool.chain_id];
+    const slug = network ? network.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : null;
+    return slug ? `/${slug}/pool/${pool.address}` : `/pool/${pool.address}`;
+  };
+
+  const formatBalance = (value) => {
+    if (value === undefined || value === null) return '—';
+    return Number(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 4 });
+  };
+
+  return (
+    <div className="space-y-6 p-6 bg-white rounded-lg shadow">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Stuck Draw Monitor</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Pools in the Drawing state past their chain threshold without progress, oldest first
+          </p>
+        </div>
+        <button
+          onClick={fetchStuckPools}
+          disabled={loading}
+          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg flex items-center gap-2 transition-colors"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Pool
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Chain
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Reason
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Stuck For
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Winners
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                VRF Subscription
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Recovery
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {stuckPools.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                  {loading ? 'Loading stuck draws...' : 'No stuck draws'}
+                </td>
+              </tr>
+            ) : (
+              stuckPools.map((pool) => {
+                const info = getStuckDrawInfo(pool.draw_stuck_reason);
+                const details = pool.draw_stuck_details || {};
+                const network = SUPPORTED_NETWORKS[pool.chain_id];
+                const txHash = details.failureTxHash || details.requestTxHash;
+                return (
+                  <tr key={`${pool.chain_id}-${pool.address}`} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <a href={poolPath(pool)} className="text-blue-600 hover:underline">
+                        {pool.name || `${pool.address.slice(0, 6)}...${pool.address.slice(-4)}`}
+                      </a>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {network?.name || pool.chain_id}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <span className="flex items-center text-orange-600">
+                        <AlertTriangle className="w-4 h-4 mr-1" />
+                        {info?.label || pool.draw_stuck_reason}
+                      </span>
+                      {details.failureReason && (
+                        <p className="text-xs text-gray-500 mt-1 break-words">{details.failureReason}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatStuckDuration(pool.draw_stuck_since)}
+                      <p className="text-xs text-gray-500">
+                        flagged {new Date(pool.draw_stuck_detected_at).toLocaleString()}
+                      </p>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {details.winnersSelected ?? '—'}/{details.winnersCount ?? '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {details.subscriptionId ? (
+                        <>
+                          <span title={details.subscriptionId}>
+                            {details.subscriptionId.length > 12
+                              ? `${details.subscriptionId.slice(0, 6)}...${details.subscriptionId.slice(-4)}`
+                              : details.subscriptionId}
+                          </span>
+                          <p className="text-xs">
+                            {formatBalance(details.subscriptionBalance)} LINK · {formatBalance(details.subscriptionNativeBalance)} {network?.nativeCurrency?.symbol || ''}
+                          </p>
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <ul className="space-y-1">
+                        {(info?.actions || []).map((action) => (
+                          <li key={action}>• {ACTION_LABELS[action]}</li>
+                        ))}
+                      </ul>
+                      {txHash && network?.explorer && (
+                        <a
+                          href={`${network.explorer}/tx/${txHash}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center gap-1 text-xs text-blue-600 hover:underline mt-1"
+                        >
+                          {details.failureTxHash ? 'Failed tx' : 'Request tx'}
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Information Panel */}
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <h4 className="text-sm font-semibold text-blue-900 mb-2">Detection</h4>
+        <ul className="text-sm text-blue-800 space-y-1">
+          <li>• <strong>sync-pool-states</strong> flags a pool once it has been Drawing past its chain threshold (30 minutes by default)</li>
+          <li>• <strong>VRF fulfilment missing:</strong> check the subscription balance before asking the creator to request again</li>
+          <li>• Flags clear automatically on the next sync after the draw progresses</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default StuckDrawMonitor;
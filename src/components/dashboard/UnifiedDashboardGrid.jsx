@@ -10,6 +10,7 @@ import { cn } from '../../lib/utils';
 import { useMobileBreakpoints } from '../../hooks/useMobileBreakpoints';
 import DashboardCard from './DashboardCard';
 import RoyaltyAdjustmentComponent from '../RoyaltyAdjustmentComponent';
+import RevealScheduleComponent from '../RevealScheduleComponent';
 import CreateNewTokenIDComponent from '../CreateNewTokenIDComponent';
 import CreatorRevenueWithdrawalComponent from '../CreatorRevenueWithdrawalComponent';
 import KOLApprovalComponent from '../KOLApprovalComponent';
@@ -32,40 +33,47 @@ const UnifiedDashboardGrid = ({
       component: RoyaltyAdjustmentComponent,
       priority: 1 // Higher priority components shown first on mobile
     },
+    {
+      id: 'reveals',
+      title: 'Awaiting Reveal',
+      description: 'Track manual and scheduled reveals and reveal your collections in one click',
+      component: RevealScheduleComponent,
+      priority: 2
+    },
     {
       id: 'flywheel',
       title: 'Flywheel Rewards',
       description: 'Deposit and claim rewards from the RewardsFlywheel contract',
       component: FlywheelRewardsComponent,
-      priority: 2
+      priority: 3
     },
     {
       id: 'vesting',
       title: 'Supply, Creator Allocation & Vesting Management',
       description: 'Configure vesting schedules for creator token allocations to prevent rug pulls',
       component: VestingConfigurationComponent,
-      priority: 3
+      priority: 4
     },
     {
       id: 'kol',
       title: 'KOL Approval Management',
       description: 'Approve Key Opinion Leaders (KOLs) for collections with specific pool limits and slot fees',
       component: KOLApprovalComponent,
-      priority: 4
+      priority: 5
     },
     {
       id: 'tokenCreator',
       title: 'Create New Token ID & Set Token URI',
-      description: 'Add new token IDs to existing ERC1155 collections and set metadata URIs',
+      description: 'Add new token IDs to existing ERC1155 collections, one at a time or in batches, and set metadata URIs',
       component: CreateNewTokenIDComponent,
-      priority: 5
+      priority: 6
     },
     {
       id: 'revenue',
       title: 'Creator Mint & Revenue Withdrawal',
       description: 'Mint tokens to winners and withdraw revenue from your raffles',
       component: CreatorRevenueWithdrawalComponent,
-      priority: 6
+      priority: 7
     }
   ];
 
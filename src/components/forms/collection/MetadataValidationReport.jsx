@@ -0,0 +1,180 @@
+import * as React from "react"
+import {
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle2,
+  Download,
+  FileSearch,
+  Loader2,
+  RefreshCw,
+} from "lucide-react"
+import { cn } from "../../../lib/utils"
+import { Button } from "../../ui/button"
+import { Checkbox } from "../../ui/checkbox"
+import { Progress } from "../../ui/progress"
+import { downloadFile, toFileStem } from "../../../utils/fileDownload"
+
+// Failing tokens listed under the issues before the rest are collapsed
+const VISIBLE_TOKEN_ROWS = 5
+
+/**
+ * MetadataValidationReport - Result of the pre-deploy metadata check for the
+ * deploy summary: progress while gateways are queried, then the issues found,
+ * the failing tokens and a JSON download of the full report.
+ *
+ * @param {Object} validation - Return value of useMetadataValidation
+ * @param {boolean} stale - The form changed since the report was produced
+ * @param {Function} onRun - Start (or restart) the check
+ * @param {boolean} acknowledged - Creator chose to deploy despite errors
+ * @param {Function} onAcknowledgeChange - Toggle the acknowledgement
+ * @param {string} collectionName - Used for the report file name
+ */
+const MetadataValidationReport = ({
+  validation,
+  stale = false,
+  onRun,
+  acknowledged = false,
+  onAcknowledgeChange,
+  collectionName,
+  className,
+}) => {
+  const { report, running, progress, cancel } = validation
+  const [showAllTokens, setShowAllTokens] = React.useState(false)
+
+  if (running) {
+    const percent = progress.total ? Math.round((progress.checked / progress.total) * 100) : 0
+    return (
+      <div className={cn("space-y-2", className)}>
+        <div className="flex items-center justify-between gap-2 text-sm">
+          <span className="flex items-center gap-2 font-medium">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Checking metadata ({progress.checked}/{progress.total || "…"})
+          </span>
+          <Button type="button" variant="ghost" size="sm" onClick={cancel}>
+            Stop
+          </Button>
+        </div>
+        <Progress value={percent} />
+      </div>
+    )
+  }
+
+  if (!report || stale) {
+    return (
+      <div className={cn("flex items-center justify-between gap-3 text-sm", className)}>
+        <span className="flex items-center gap-2 text-muted-foreground">
+          <FileSearch className="h-4 w-4 shrink-0" />
+          {stale ? "Details changed since the last metadata check" : "Metadata has not been checked yet"}
+        </span>
+        <Button type="button" variant="outline" size="sm" onClick={onRun}>
+          Check metadata
+        </Button>
+      </div>
+    )
+  }
+
+  const errors = report.issues.filter(issue => issue.severity === "error")
+  const warnings = report.issues.filter(issue => issue.severity === "warning")
+  const failingTokens = report.tokens.filter(token => token.status !== "ok")
+  const visibleTokens = showAllTokens ? failingTokens : failingTokens.slice(0, VISIBLE_TOKEN_ROWS)
+
+  const handleDownload = () => {
+    downloadFile(
+      `${toFileStem(collectionName)}-metadata-report.json`,
+      JSON.stringify(report, null, 2)
+    )
+  }
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex items-start gap-2 text-sm">
+          {errors.length > 0 ? (
+            <AlertCircle className="h-4 w-4 mt-0.5 shrink-0 text-destructive" />
+          ) : warnings.length > 0 || report.cancelled ? (
+            <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0 text-warning" />
+          ) : (
+            <CheckCircle2 className="h-4 w-4 mt-0.5 shrink-0 text-success" />
+          )}
+          <div>
+            <div className="font-medium">
+              {report.cancelled
+                ? "Metadata check stopped"
+                : errors.length > 0
+                  ? `Metadata check found ${errors.length} problem${errors.length === 1 ? "" : "s"}`
+                  : "Metadata looks good"}
+            </div>
+            <div className="text-xs text-muted-foreground">
+              {report.summary.passed}/{report.summary.checked} tokens passed
+              {report.sampled && !report.unbounded && ` (sample of ${report.summary.planned} from ${report.maxSupply})`}
+              {report.unbounded && " (first token IDs, no max supply set)"}
+              {report.uriPattern && <span className="block break-all">Token URIs: {report.uriPattern}</span>}
+            </div>
+          </div>
+        </div>
+        <div className="flex gap-1 shrink-0">
+          <Button type="button" variant="ghost" size="sm" onClick={onRun} title="Check again">
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+          <Button type="button" variant="ghost" size="sm" onClick={handleDownload} title="Download report">
+            <Download className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {report.issues.length > 0 && (
+        <ul className="space-y-1 text-xs">
+          {[...errors, ...warnings].map((issue, index) => (
+            <li
+              key={`${issue.code}-${issue.scope}-${index}`}
+              className={cn(
+                "flex items-start gap-2",
+                issue.severity === "error" ? "text-destructive" : "text-warning"
+              )}
+            >
+              {issue.severity === "error"
+                ? <AlertCircle className="h-3 w-3 mt-0.5 shrink-0" />
+                : <AlertTriangle className="h-3 w-3 mt-0.5 shrink-0" />}
+              <span className="break-words">{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {failingTokens.length > 0 && (
+        <div className="rounded-md border border-border/50 divide-y divide-border/30 text-xs">
+          {visibleTokens.map(token => (
+            <div key={token.tokenId} className="flex items-start justify-between gap-2 px-3 py-1.5">
+              <span className="font-mono shrink-0">#{token.tokenId}</span>
+              <span className="text-muted-foreground break-all text-right">
+                {token.issues.join(", ").replace(/_/g, " ")}
+              </span>
+            </div>
+          ))}
+          {failingTokens.length > VISIBLE_TOKEN_ROWS && (
+            <button
+              type="button"
+              className="w-full px-3 py-1.5 text-left text-primary hover:underline"
+              onClick={() => setShowAllTokens(prev => !prev)}
+            >
+              {showAllTokens ? "Show fewer" : `Show all ${failingTokens.length} tokens with issues`}
+            </button>
+          )}
+        </div>
+      )}
+
+      {(errors.length > 0 || report.cancelled) && onAcknowledgeChange && (
+        <label className="flex items-start gap-2 text-sm cursor-pointer">
+          <Checkbox
+            checked={acknowledged}
+            onCheckedChange={checked => onAcknowledgeChange(checked === true)}
+            className="mt-0.5"
+          />
+          <span>I understand the metadata may be broken and want to deploy anyway</span>
+        </label>
+      )}
+    </div>
+  )
+}
+
+export { MetadataValidationReport }
@@ -1,2 +1,3 @@
 export { CollectionPreviewCard } from './CollectionPreviewCard'
 export { RevealTypeSelector } from './RevealTypeSelector'
+export { MetadataValidationReport } from './MetadataValidationReport'
@@ -0,0 +1,301 @@
+import React, { useState, useRef, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { Layers, Upload, Loader2, Play, Square, RotateCcw, Download, FileSpreadsheet, AlertCircle, CheckCircle2, ExternalLink } from 'lucide-react'
+import { useNativeCurrency } from '../../../hooks/useNativeCurrency'
+import { Button } from '../../ui/button'
+import { Card } from '../../ui/card'
+import { Badge } from '../../ui/badge'
+import { Progress } from '../../ui/progress'
+import { toast } from '../../ui/sonner'
+import { cn } from '../../../lib/utils'
+import { batchResultsToCsv, MAX_BATCH_ROWS } from '../../../services/poolBatchService'
+import { downloadFile, toFileStem } from '../../../utils/fileDownload'
+import { RAFFLE_TYPES } from './RaffleTypeSelector'
+import { LivePreviewCard } from './LivePreviewCard'
+import { usePoolBatch } from './usePoolBatch'
+
+const STATUS_BADGES = {
+  ready: { label: 'Ready', variant: 'secondary' },
+  invalid: { label: 'Invalid', variant: 'destructive' },
+  submitted: { label: 'Confirming', variant: 'pending' },
+  deployed: { label: 'Deployed', variant: 'success' },
+  failed: { label: 'Failed', variant: 'destructive' },
+}
+
+const EXAMPLE_MANIFEST = [
+  'type,name,startTime,duration,slotLimit,winnersCount,maxSlotsPerAddress,slotFee,prizeToken,prizeAmount,tokenId,amountPerWinner,tasks',
+  'whitelist,Community Whitelist,2030-01-01T12:00,1440,500,100,1,,,,,,twitter:follow:@yourproject|twitter:retweet:https://x.com/yourproject/status/1',
+  'native-giveaway,Weekend Giveaway,2030-01-01T12:00,2880,1000,10,1,,,0.5,,,',
+  'erc20-giveaway,Token Airdrop,2030-01-02T12:00,4320,2000,200,1,,0xTokenAddress,10000,,,',
+  'nft-drop-1155,Edition Drop,2030-01-03T12:00,10080,1000,100,5,0.01,0xCollectionAddress,,1,1,',
+].join('\n')
+
+const typeConfig = (poolType) => RAFFLE_TYPES.find(t => t.id === poolType)
+
+/**
+ * BatchPoolCreator - Bulk pool creation from a CSV or JSON manifest. Rows are
+ * validated with the individual forms' rules, previewed with LivePreviewCard
+ * and deployed one transaction at a time; a failed batch resumes where it stopped.
+ */
+const BatchPoolCreator = () => {
+  const { run, running, currentIndex, loadManifest, deploy, stop, clear, abandonSubmitted } = usePoolBatch()
+  const { getCurrencySymbol } = useNativeCurrency()
+  const [loadingFile, setLoadingFile] = useState(false)
+  const [selectedIndex, setSelectedIndex] = useState(0)
+  const fileInputRef = useRef(null)
+
+  const rows = useMemo(() => run?.rows || [], [run])
+  const counts = useMemo(() => rows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1
+    return acc
+  }, {}), [rows])
+  const deployable = rows.length - (counts.invalid || 0)
+  const deployed = counts.deployed || 0
+  const remaining = deployable - deployed
+  const selectedRow = rows.find(row => row.index === selectedIndex) || rows[0]
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    setLoadingFile(true)
+    try {
+      const { limitsLoaded } = await loadManifest(await file.text(), file.name)
+      setSelectedIndex(0)
+      if (!limitsLoaded) {
+        toast.warning('Protocol limits could not be loaded; durations and slot limits were not checked against them')
+      }
+    } catch (error) {
+      toast.error(`Failed to load manifest: ${error.message}`)
+    } finally {
+      setLoadingFile(false)
+    }
+  }
+
+  const handleDownloadReport = (format) => {
+    const stem = `${toFileStem(run.fileName?.replace(/\.\w+$/, ''))}-results`
+    if (format === 'csv') {
+      downloadFile(`${stem}.csv`, batchResultsToCsv(rows), 'text/csv')
+    } else {
+      const report = rows.map(({ index, poolType, values, status, address, txHash, error }) => ({
+        row: index + 1, type: poolType, name: values?.name, status, poolAddress: address || null, txHash: txHash || null, error: error || null,
+      }))
+      downloadFile(`${stem}.json`, JSON.stringify(report, null, 2))
+    }
+  }
+
+  if (!run) {
+    return (
+      <Card variant="elevated" className="p-8 max-w-3xl mx-auto text-center">
+        <div className="inline-flex items-center justify-center w-14 h-14 rounded-full bg-primary/10 mx-auto mb-4">
+          <Layers className="h-7 w-7 text-primary" />
+        </div>
+        <h3 className="font-display text-xl font-semibold mb-2">Bulk create pools</h3>
+        <p className="text-sm text-muted-foreground mb-6 max-w-lg mx-auto">
+          Upload a CSV or JSON manifest with up to {MAX_BATCH_ROWS} pools. Every row is checked with the same rules as the
+          individual forms before anything is deployed, and pools are then created one transaction at a time.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          <Button onClick={() => fileInputRef.current?.click()} disabled={loadingFile} className="gap-2">
+            {loadingFile ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+            Upload manifest
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => downloadFile('pool-manifest-example.csv', EXAMPLE_MANIFEST, 'text/csv')}
+            className="gap-2"
+          >
+            <FileSpreadsheet className="h-4 w-4" />
+            Example CSV
+          </Button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </Card>
+    )
+  }
+
+  const type = selectedRow ? typeConfig(selectedRow.poolType) : null
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+      <Card variant="elevated" className="p-6 lg:col-span-3 gap-4">
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div className="min-w-0">
+            <h3 className="font-display text-xl font-semibold truncate">{run.fileName || 'Manifest'}</h3>
+            <p className="text-sm text-muted-foreground">
+              {rows.length} pools · {deployable} valid · {deployed} deployed
+              {counts.invalid ? ` · ${counts.invalid} need fixing` : ''}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {running ? (
+              <Button variant="secondary" onClick={stop} className="gap-2">
+                <Square className="h-4 w-4" />
+                Stop after current
+              </Button>
+            ) : (
+              <Button onClick={deploy} disabled={remaining === 0} className="gap-2">
+                <Play className="h-4 w-4" />
+                {deployed > 0 || counts.failed ? `Resume (${remaining})` : `Deploy ${remaining} pools`}
+              </Button>
+            )}
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={clear}
+              disabled={running}
+              aria-label="Start over with another manifest"
+            >
+              <RotateCcw className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+
+        <div>
+          <Progress value={deployable ? (deployed / deployable) * 100 : 0} />
+          <p className="text-xs text-muted-foreground mt-1">
+            {running && currentIndex !== null
+              ? `Deploying row ${currentIndex + 1}: confirm each transaction in your wallet`
+              : `${deployed} of ${deployable} valid pools deployed`}
+          </p>
+        </div>
+
+        {counts.invalid > 0 && (
+          <div className="flex items-start gap-2 text-sm rounded-lg border border-destructive/30 bg-destructive/5 px-3 py-2">
+            <AlertCircle className="h-4 w-4 shrink-0 mt-0.5 text-destructive" />
+            <span>Invalid rows are skipped. Fix them in the manifest and upload it again to include them.</span>
+          </div>
+        )}
+
+        <div className="divide-y divide-border/50 rounded-lg border border-border/50">
+          {rows.map(row => {
+            const badge = STATUS_BADGES[row.status]
+            const isCurrent = running && currentIndex === row.index
+            const firstError = row.error || Object.values(row.errors || {})[0]
+            return (
+              <button
+                key={row.index}
+                type="button"
+                onClick={() => setSelectedIndex(row.index)}
+                className={cn(
+                  'w-full flex items-center gap-3 px-3 py-2 text-left hover:bg-muted/40 transition-colors',
+                  selectedRow?.index === row.index && 'bg-muted/40'
+                )}
+              >
+                <span className="w-6 text-xs text-muted-foreground">{row.index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium truncate">{row.values?.name || 'Unnamed pool'}</p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {row.status === 'deployed' && row.address
+                      ? row.address
+                      : firstError || typeConfig(row.poolType)?.name || row.poolType}
+                  </p>
+                </div>
+                {isCurrent
+                  ? <Loader2 className="h-4 w-4 animate-spin text-primary" />
+                  : <Badge variant={badge.variant} size="sm">{badge.label}</Badge>}
+              </button>
+            )
+          })}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="secondary" size="sm" onClick={() => handleDownloadReport('csv')} className="gap-2">
+            <Download className="h-4 w-4" />
+            Results CSV
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => handleDownloadReport('json')} className="gap-2">
+            <Download className="h-4 w-4" />
+            Results JSON
+          </Button>
+        </div>
+      </Card>
+
+      <div className="lg:col-span-2 space-y-4">
+        {selectedRow && (
+          <>
+            <LivePreviewCard
+              raffleType={selectedRow.poolType}
+              raffleTypeName={type?.name}
+              raffleTypeIcon={type?.icon}
+              raffleTypeColor={type?.color}
+              formData={{
+                ...selectedRow.values,
+                collectionAddress: selectedRow.values.collectionAddress || selectedRow.values.collection,
+              }}
+              currencySymbol={getCurrencySymbol()}
+            />
+
+            {Object.keys(selectedRow.errors || {}).length > 0 && (
+              <Card variant="flat" className="p-4 gap-2">
+                <p className="text-sm font-medium">Row {selectedRow.index + 1} problems</p>
+                <ul className="space-y-1">
+                  {Object.entries(selectedRow.errors).map(([field, message]) => (
+                    <li key={field} className="text-xs text-destructive">
+                      <span className="font-mono">{field}</span>: {message}
+                    </li>
+                  ))}
+                </ul>
+              </Card>
+            )}
+
+            {selectedRow.status === 'failed' && selectedRow.error && (
+              <Card variant="flat" className="p-4 gap-1">
+                <p className="text-sm font-medium">Deployment failed</p>
+                <p className="text-xs text-destructive break-words">{selectedRow.error}</p>
+              </Card>
+            )}
+
+            {selectedRow.status === 'submitted' && selectedRow.error && !running && (
+              <Card variant="flat" className="p-4 gap-2">
+                <p className="text-sm font-medium">Transaction not confirmed</p>
+                <p className="text-xs text-muted-foreground break-all">
+                  {selectedRow.error}. Tx: <span className="font-mono">{selectedRow.txHash}</span>
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  Resume checks it again. If your wallet dropped or replaced it, mark the row failed and resume to deploy it
+                  again; if the old transaction still confirms, you will end up with two pools.
+                </p>
+                <Button variant="secondary" size="sm" onClick={() => abandonSubmitted(selectedRow.index)} className="self-start">
+                  Mark failed
+                </Button>
+              </Card>
+            )}
+
+            {selectedRow.status === 'deployed' && (
+              <Card variant="flat" className="p-4 gap-2">
+                <div className="flex items-center gap-2 text-sm font-medium text-success">
+                  <CheckCircle2 className="h-4 w-4" />
+                  Pool deployed
+                </div>
+                {selectedRow.address ? (
+                  <>
+                    <p className="font-mono text-xs break-all">{selectedRow.address}</p>
+                    <Link to={`/pool/${selectedRow.address}`}>
+                      <Button variant="secondary" size="sm" className="gap-2">
+                        <ExternalLink className="h-4 w-4" />
+                        View Pool
+                      </Button>
+                    </Link>
+                  </>
+                ) : (
+                  <p className="text-xs text-muted-foreground break-all">
+                    The pool address was not found in the receipt. Tx: <span className="font-mono">{selectedRow.txHash}</span>
+                  </p>
+                )}
+              </Card>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BatchPoolCreator
@@ -16,6 +16,9 @@ import { SummaryCard } from '../SummaryCard'
 import TokenGatedSection from '../../TokenGatedSection'
 import SocialMediaTaskSection from '../../SocialMediaTaskSection'
 import PoolMetadataFields from '../../PoolMetadataFields'
+import { simulateTransaction, preflightTransaction } from '../../../utils/txPreflight'
+import { useTransactionPreflight } from '../../../hooks/useTransactionPreflight'
+import { validatePoolSection, buildCreatePoolParams } from '../../../services/poolFormService'
 import {
   useRaffleLimits,
   useCollectionArtwork,
@@ -25,7 +28,7 @@ import {
  * ERC1155DropForm - Create an ERC1155 NFT drop raffle
  * Winners receive semi-fungible tokens from the specified collection
  */
-function ERC1155DropForm({ onReviewStateChange }) {
+function ERC1155DropForm({ onReviewStateChange, initialValues, onValuesChange }) {
   const { connected, address, provider } = useWallet()
   const { contracts } = useContract()
   const { getCurrencyLabel } = useNativeCurrency()
@@ -33,7 +36,7 @@ function ERC1155DropForm({ onReviewStateChange }) {
   const [loading, setLoading] = useState(false)
   const [showSummary, setShowSummary] = useState(false)
   const [createdRaffleAddress, setCreatedRaffleAddress] = useState(null)
-  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(false)
+  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(!!initialValues?.socialEngagementEnabled)
 
   const [sectionCompletion, setSectionCompletion] = useState({
     basic: false,
@@ -69,6 +72,8 @@ function ERC1155DropForm({ onReviewStateChange }) {
     twitterLink: '',
     discordLink: '',
     telegramLink: '',
+    // Draft or duplicated pool being resumed
+    ...initialValues,
   })
 
   // Use the artwork hook
@@ -85,38 +90,7 @@ function ERC1155DropForm({ onReviewStateChange }) {
   }
 
   const validateSection = (section) => {
-    const newErrors = {}
-
-    switch (section) {
-      case 'basic':
-        if (!formData.name?.trim()) newErrors.name = 'Pool name is required'
-        if (!formData.collectionAddress?.trim()) newErrors.collectionAddress = 'Collection address is required'
-        if (!formData.tokenId) newErrors.tokenId = 'Token ID is required'
-        if (!formData.amountPerWinner) newErrors.amountPerWinner = 'Amount per winner is required'
-        break
-      case 'timing':
-        if (!formData.startTime) newErrors.startTime = 'Start time is required'
-        if (!formData.duration) newErrors.duration = 'Duration is required'
-        else if (limits.minDuration && parseInt(formData.duration) * 60 < parseInt(limits.minDuration)) {
-          newErrors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
-        }
-        else if (limits.maxDuration && parseInt(formData.duration) * 60 > parseInt(limits.maxDuration)) {
-          newErrors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
-        }
-        break
-      case 'participation':
-        if (!formData.slotLimit) newErrors.slotLimit = 'Slot limit is required'
-        else if (limits.minSlot && parseInt(formData.slotLimit) < parseInt(limits.minSlot)) {
-          newErrors.slotLimit = `Minimum slots is ${limits.minSlot}`
-        }
-        else if (limits.maxSlot && parseInt(formData.slotLimit) > parseInt(limits.maxSlot)) {
-          newErrors.slotLimit = `Maximum slots is ${limits.maxSlot}`
-        }
-        if (!formData.winnersCount) newErrors.winnersCount = 'Number of winners is required'
-        if (!formData.maxSlotsPerAddress) newErrors.maxSlotsPerAddress = 'Max slots per address is required'
-        break
-    }
-
+    const newErrors = validatePoolSection('nft-drop-1155', section, formData, limits)
     setErrors(prev => ({ ...prev, ...newErrors }))
     return Object.keys(newErrors).length === 0
   }
@@ -130,11 +104,36 @@ function ERC1155DropForm({ onReviewStateChange }) {
     })
   }, [formData])
 
+  // Report edits for draft autosave; null once the pool has been created
+  useEffect(() => {
+    onValuesChange?.(createdRaffleAddress ? null : { ...formData, socialEngagementEnabled })
+  }, [formData, socialEngagementEnabled, createdRaffleAddress, onValuesChange])
+
   const handleReview = () => {
     setShowSummary(true)
     onReviewStateChange?.(true)
   }
 
+  // Build the createPool call from the form; shared by the pre-flight simulation and submit
+  const buildCreatePoolRequest = async () => {
+    // Query social engagement fee if enabled
+    const socialFee = socialEngagementEnabled
+      ? await contracts.poolDeployer.socialEngagementFee()
+      : ethers.BigNumber.from(0)
+    return buildCreatePoolParams('nft-drop-1155', { ...formData, socialEngagementEnabled }, { creator: address, socialFee })
+  }
+
+  // Simulate createPool while the summary is open so a revert blocks submit before signing
+  const simulateCreatePool = async () => {
+    const signer = provider.getSigner()
+    const { params, value } = await buildCreatePoolRequest()
+    return simulateTransaction(contracts.poolDeployer.connect(signer), 'createPool', [params], { value })
+  }
+  const preflight = useTransactionPreflight(
+    showSummary && !createdRaffleAddress && !loading && connected && contracts.poolDeployer && provider ? simulateCreatePool : null,
+    [formData, socialEngagementEnabled]
+  )
+
   const handleSubmit = async () => {
     if (!connected || !contracts.poolDeployer || !provider) {
       toast.error('Please connect your wallet and ensure contracts are configured')
@@ -143,67 +142,11 @@ function ERC1155DropForm({ onReviewStateChange }) {
     setLoading(true)
     try {
       const signer = provider.getSigner()
-      const startTime = Math.floor(new Date(formData.startTime).getTime() / 1000)
-      const duration = parseInt(formData.duration) * 60
-      const slotFee = formData.slotFee && formData.slotFee !== ''
-        ? ethers.utils.parseEther(String(formData.slotFee))
-        : 0
-
-      const params = {
-        name: formData.name,
-        startTime,
-        duration,
-        slotLimit: parseInt(formData.slotLimit),
-        winnersCount: parseInt(formData.winnersCount),
-        maxSlotsPerAddress: parseInt(formData.maxSlotsPerAddress),
-        isPrized: true,
-        customSlotFee: slotFee,
-        erc721Drop: false,
-        erc1155Drop: true,
-        prizeCollection: formData.collectionAddress,
-        standard: 1, // ERC1155
-        prizeTokenId: parseInt(formData.tokenId),
-        amountPerWinner: parseInt(formData.amountPerWinner),
-        creator: address,
-        erc20PrizeToken: ethers.constants.AddressZero,
-        erc20PrizeAmount: 0,
-        nativePrizeAmount: 0,
-        // Token-gated params
-        holderTokenAddress: formData.tokenGatedEnabled
-          ? (formData.holderTokenAddress || ethers.constants.AddressZero)
-          : ethers.constants.AddressZero,
-        holderTokenStandard: formData.tokenGatedEnabled
-          ? parseInt(formData.holderTokenStandard)
-          : 0,
-        minHolderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== ''
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== ''
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenId: formData.tokenGatedEnabled &&
-          (formData.holderTokenStandard === '0' || formData.holderTokenStandard === '1') &&
-          formData.holderTokenId !== ''
-          ? parseInt(formData.holderTokenId)
-          : 0,
-        // Social media params
-        socialEngagementRequired: socialEngagementEnabled,
-        socialTaskDescription: socialEngagementEnabled ? formData.socialTaskDescription : '',
-        // Pool metadata params
-        description: formData.description || '',
-        twitterLink: formData.twitterLink || '',
-        discordLink: formData.discordLink || '',
-        telegramLink: formData.telegramLink || '',
-      }
-
-      // Query social engagement fee if enabled
-      let socialFee = ethers.BigNumber.from(0)
-      if (socialEngagementEnabled) {
-        socialFee = await contracts.poolDeployer.socialEngagementFee()
-        console.log('Social engagement fee:', ethers.utils.formatEther(socialFee), 'ETH')
-      }
+      const { params, value } = await buildCreatePoolRequest()
+      const poolDeployer = contracts.poolDeployer.connect(signer)
+      await preflightTransaction(poolDeployer, 'createPool', [params], { value })
 
-      const tx = await contracts.poolDeployer.connect(signer).createPool(params, { value: socialFee })
+      const tx = await poolDeployer.createPool(params, { value })
       const receipt = await tx.wait()
       
       // Extract pool address from PoolCreated event
@@ -309,6 +252,7 @@ function ERC1155DropForm({ onReviewStateChange }) {
           title="Review Your Pool"
           description="Please review the details before creating your pool"
           data={summaryData}
+          errors={preflight.reason ? [preflight.reason] : []}
           status={loading ? 'submitting' : 'preview'}
           statusMessage={loading ? 'Creating your pool...' : undefined}
           onEdit={() => { setShowSummary(false); onReviewStateChange?.(false); }}
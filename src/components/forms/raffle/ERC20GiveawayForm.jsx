@@ -16,13 +16,18 @@ import { SummaryCard } from '../SummaryCard'
 import TokenGatedSection from '../../TokenGatedSection'
 import SocialMediaTaskSection from '../../SocialMediaTaskSection'
 import PoolMetadataFields from '../../PoolMetadataFields'
-import { useRaffleLimits, approveToken, extractRevertReason } from './useRaffleHooks'
+import { simulateTransaction, preflightTransaction } from '../../../utils/txPreflight'
+import { useTransactionPreflight } from '../../../hooks/useTransactionPreflight'
+import { validatePoolSection, buildCreatePoolParams } from '../../../services/poolFormService'
+import { useTokenApproval } from '../../../hooks/useTokenApproval'
+import TokenApprovalPanel from '../../TokenApprovalPanel'
+import { useRaffleLimits, extractRevertReason } from './useRaffleHooks'
 
 /**
  * ERC20GiveawayForm - Create an ERC20 token giveaway
  * Give away ERC20 tokens to lucky participants
  */
-function ERC20GiveawayForm({ onReviewStateChange }) {
+function ERC20GiveawayForm({ onReviewStateChange, initialValues, onValuesChange }) {
   const { connected, address, provider } = useWallet()
   const { contracts } = useContract()
   const { isMobile } = useMobileBreakpoints()
@@ -30,7 +35,7 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
   const [loading, setLoading] = useState(false)
   const [showSummary, setShowSummary] = useState(false)
   const [createdRaffleAddress, setCreatedRaffleAddress] = useState(null)
-  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(false)
+  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(!!initialValues?.socialEngagementEnabled)
 
   const [sectionCompletion, setSectionCompletion] = useState({
     basic: false,
@@ -64,6 +69,8 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
     twitterLink: '',
     discordLink: '',
     telegramLink: '',
+    // Draft or duplicated pool being resumed
+    ...initialValues,
   })
 
   const handleChange = (field, value) => {
@@ -72,37 +79,7 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
   }
 
   const validateSection = (section) => {
-    const newErrors = {}
-
-    switch (section) {
-      case 'basic':
-        if (!formData.name?.trim()) newErrors.name = 'Pool name is required'
-        if (!formData.tokenAddress?.trim()) newErrors.tokenAddress = 'Token address is required'
-        if (!formData.tokenAmount) newErrors.tokenAmount = 'Token amount is required'
-        break
-      case 'timing':
-        if (!formData.startTime) newErrors.startTime = 'Start time is required'
-        if (!formData.duration) newErrors.duration = 'Duration is required'
-        else if (limits.minDuration && parseInt(formData.duration) * 60 < parseInt(limits.minDuration)) {
-          newErrors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
-        }
-        else if (limits.maxDuration && parseInt(formData.duration) * 60 > parseInt(limits.maxDuration)) {
-          newErrors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
-        }
-        break
-      case 'participation':
-        if (!formData.slotLimit) newErrors.slotLimit = 'Slot limit is required'
-        else if (limits.minSlot && parseInt(formData.slotLimit) < parseInt(limits.minSlot)) {
-          newErrors.slotLimit = `Minimum slots is ${limits.minSlot}`
-        }
-        else if (limits.maxSlot && parseInt(formData.slotLimit) > parseInt(limits.maxSlot)) {
-          newErrors.slotLimit = `Maximum slots is ${limits.maxSlot}`
-        }
-        if (!formData.winnersCount) newErrors.winnersCount = 'Number of winners is required'
-        if (!formData.maxSlotsPerAddress) newErrors.maxSlotsPerAddress = 'Max slots per address is required'
-        break
-    }
-
+    const newErrors = validatePoolSection('erc20-giveaway', section, formData, limits)
     setErrors(prev => ({ ...prev, ...newErrors }))
     return Object.keys(newErrors).length === 0
   }
@@ -115,11 +92,47 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
     })
   }, [formData])
 
+  // Report edits for draft autosave; null once the pool has been created
+  useEffect(() => {
+    onValuesChange?.(createdRaffleAddress ? null : { ...formData, socialEngagementEnabled })
+  }, [formData, socialEngagementEnabled, createdRaffleAddress, onValuesChange])
+
   const handleReview = () => {
     setShowSummary(true)
     onReviewStateChange?.(true)
   }
 
+  // Build the createPool call from the form; shared by the pre-flight simulation and submit
+  const buildCreatePoolRequest = async () => {
+    const tokenContract = new ethers.Contract(formData.tokenAddress, contractABIs.erc20, provider)
+    const erc20Decimals = await tokenContract.decimals()
+    // Query social engagement fee if enabled
+    const socialFee = socialEngagementEnabled
+      ? await contracts.poolDeployer.socialEngagementFee()
+      : ethers.BigNumber.from(0)
+    return buildCreatePoolParams('erc20-giveaway', { ...formData, socialEngagementEnabled }, { creator: address, erc20Decimals, socialFee })
+  }
+
+  // Allowance of the PoolDeployer over the prize tokens, approved on submit
+  const tokenApproval = useTokenApproval({
+    tokenAddress: formData.tokenAddress,
+    spender: contracts.poolDeployer?.address,
+    amount: formData.tokenAmount,
+    enabled: showSummary && !createdRaffleAddress,
+  })
+
+  // Simulate createPool while the summary is open so a revert blocks submit before signing
+  const simulateCreatePool = async () => {
+    // The prize transfer reverts until the token is approved, which happens on submit
+    if (!tokenApproval.token || tokenApproval.needsApproval) return { ok: true }
+    const { params, value } = await buildCreatePoolRequest()
+    return simulateTransaction(contracts.poolDeployer.connect(provider.getSigner()), 'createPool', [params], { value })
+  }
+  const preflight = useTransactionPreflight(
+    showSummary && !createdRaffleAddress && !loading && connected && contracts.poolDeployer && provider ? simulateCreatePool : null,
+    [formData, socialEngagementEnabled, tokenApproval.token, tokenApproval.needsApproval]
+  )
+
   const handleSubmit = async () => {
     if (!connected || !contracts.poolDeployer || !provider) {
       toast.error('Please connect your wallet and ensure contracts are configured')
@@ -129,14 +142,10 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
     try {
       const signer = provider.getSigner()
 
+      const { params, value } = await buildCreatePoolRequest()
+
       // Step 1: Approve token
-      const approvalResult = await approveToken({
-        signer,
-        tokenAddress: formData.tokenAddress,
-        prizeType: 'erc20',
-        spender: contracts.poolDeployer.address,
-        amount: formData.tokenAmount
-      })
+      const approvalResult = await tokenApproval.approve(params.erc20PrizeAmount)
       if (!approvalResult.success) {
         toast.error('Token approval failed: ' + approvalResult.error)
         setLoading(false)
@@ -144,70 +153,13 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
       }
       if (!approvalResult.alreadyApproved) {
         toast.success('Token approval granted')
-        await new Promise(res => setTimeout(res, 2000))
       }
 
       // Step 2: Create raffle
-      const tokenContract = new ethers.Contract(formData.tokenAddress, contractABIs.erc20, signer)
-      const decimals = await tokenContract.decimals()
-      const startTime = Math.floor(new Date(formData.startTime).getTime() / 1000)
-      const duration = parseInt(formData.duration) * 60
-      const tokenAmount = formData.tokenAmount
-        ? ethers.utils.parseUnits(formData.tokenAmount, decimals)
-        : ethers.BigNumber.from(0)
-
-      const params = {
-        name: formData.name,
-        startTime,
-        duration,
-        slotLimit: parseInt(formData.slotLimit),
-        winnersCount: parseInt(formData.winnersCount),
-        maxSlotsPerAddress: parseInt(formData.maxSlotsPerAddress),
-        isPrized: true,
-        customSlotFee: ethers.BigNumber.from(0),
-        erc721Drop: false,
-        prizeCollection: ethers.constants.AddressZero, // Use zero address for ERC20
-        standard: 2, // Use 2 for ERC20
-        prizeTokenId: 0,
-        amountPerWinner: 0,
-        creator: address,
-        erc20PrizeToken: formData.tokenAddress,
-        erc20PrizeAmount: tokenAmount,
-        nativePrizeAmount: ethers.BigNumber.from(0),
-        // Token-gated params
-        holderTokenAddress: formData.tokenGatedEnabled
-          ? formData.holderTokenAddress
-          : ethers.constants.AddressZero,
-        holderTokenStandard: formData.tokenGatedEnabled
-          ? parseInt(formData.holderTokenStandard)
-          : 0,
-        minHolderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== '' && formData.minHolderTokenBalance !== undefined
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== '' && formData.minHolderTokenBalance !== undefined
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenId: formData.tokenGatedEnabled && (formData.holderTokenStandard === '0' || formData.holderTokenStandard === '1')
-          ? (formData.holderTokenId !== '' && formData.holderTokenId !== undefined ? parseInt(formData.holderTokenId) : 0)
-          : 0,
-        // Social media params
-        socialEngagementRequired: socialEngagementEnabled,
-        socialTaskDescription: socialEngagementEnabled ? formData.socialTaskDescription : '',
-        // Pool metadata params
-        description: formData.description || '',
-        twitterLink: formData.twitterLink || '',
-        discordLink: formData.discordLink || '',
-        telegramLink: formData.telegramLink || '',
-      }
-
-      // Query social engagement fee if enabled
-      let socialFee = ethers.BigNumber.from(0)
-      if (socialEngagementEnabled) {
-        socialFee = await contracts.poolDeployer.socialEngagementFee()
-        console.log('Social engagement fee:', ethers.utils.formatEther(socialFee), 'ETH')
-      }
+      const poolDeployer = contracts.poolDeployer.connect(signer)
+      await preflightTransaction(poolDeployer, 'createPool', [params], { value })
 
-      const tx = await contracts.poolDeployer.connect(signer).createPool(params, { value: socialFee })
+      const tx = await poolDeployer.createPool(params, { value })
       const receipt = await tx.wait()
       
       // Extract pool address from PoolCreated event
@@ -320,14 +272,17 @@ function ERC20GiveawayForm({ onReviewStateChange }) {
           title="Review Your Pool"
           description="Please review the details before creating your pool"
           data={summaryData}
+          errors={preflight.reason ? [preflight.reason] : []}
           status={loading ? 'submitting' : 'preview'}
-          statusMessage={loading ? 'Creating your pool...' : undefined}
+          statusMessage={loading ? tokenApproval.status || 'Creating your pool...' : undefined}
           onEdit={() => { setShowSummary(false); onReviewStateChange?.(false); }}
           onCancel={() => { setShowSummary(false); onReviewStateChange?.(false); }}
           onSubmit={handleSubmit}
-          submitLabel="Create Pool"
+          submitLabel={tokenApproval.needsApproval ? 'Approve & Create Pool' : 'Create Pool'}
           editLabel="Edit Details"
-        />
+        >
+          <TokenApprovalPanel approval={tokenApproval} spenderLabel="the pool deployer" disabled={loading} />
+        </SummaryCard>
     )
   }
 
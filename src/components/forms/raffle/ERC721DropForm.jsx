@@ -15,6 +15,9 @@ import { SummaryCard } from '../SummaryCard'
 import TokenGatedSection from '../../TokenGatedSection'
 import SocialMediaTaskSection from '../../SocialMediaTaskSection'
 import PoolMetadataFields from '../../PoolMetadataFields'
+import { simulateTransaction, preflightTransaction } from '../../../utils/txPreflight'
+import { useTransactionPreflight } from '../../../hooks/useTransactionPreflight'
+import { validatePoolSection, buildCreatePoolParams } from '../../../services/poolFormService'
 import {
   useRaffleLimits,
   useCollectionArtwork,
@@ -25,7 +28,7 @@ import {
  * ERC721DropForm - Create an ERC721 NFT drop raffle
  * Winners receive NFTs from the specified collection
  */
-function ERC721DropForm({ collectionAddress: externalCollectionAddress, setCollectionAddress: setExternalCollectionAddress, onReviewStateChange }) {
+function ERC721DropForm({ collectionAddress: externalCollectionAddress, setCollectionAddress: setExternalCollectionAddress, onReviewStateChange, initialValues, onValuesChange }) {
   const { connected, address, provider } = useWallet()
   const { contracts } = useContract()
   const { getCurrencyLabel } = useNativeCurrency()
@@ -33,8 +36,8 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
   const [loading, setLoading] = useState(false)
   const [showSummary, setShowSummary] = useState(false)
   const [createdRaffleAddress, setCreatedRaffleAddress] = useState(null)
-  const [tokenGatedEnabled, setTokenGatedEnabled] = useState(false)
-  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(false)
+  const [tokenGatedEnabled, setTokenGatedEnabled] = useState(!!initialValues?.tokenGatedEnabled)
+  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(!!initialValues?.socialEngagementEnabled)
 
   const [sectionCompletion, setSectionCompletion] = useState({
     basic: false,
@@ -67,6 +70,8 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
     twitterLink: '',
     discordLink: '',
     telegramLink: '',
+    // Draft or duplicated pool being resumed
+    ...initialValues,
   })
 
   // Use the artwork hook
@@ -88,36 +93,7 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
   }
 
   const validateSection = (section) => {
-    const newErrors = {}
-
-    switch (section) {
-      case 'basic':
-        if (!formData.name?.trim()) newErrors.name = 'Pool name is required'
-        if (!formData.collection?.trim()) newErrors.collection = 'Collection address is required'
-        break
-      case 'timing':
-        if (!formData.startTime) newErrors.startTime = 'Start time is required'
-        if (!formData.duration) newErrors.duration = 'Duration is required'
-        else if (limits.minDuration && parseInt(formData.duration) * 60 < parseInt(limits.minDuration)) {
-          newErrors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
-        }
-        else if (limits.maxDuration && parseInt(formData.duration) * 60 > parseInt(limits.maxDuration)) {
-          newErrors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
-        }
-        break
-      case 'participation':
-        if (!formData.slotLimit) newErrors.slotLimit = 'Slot limit is required'
-        else if (limits.minSlot && parseInt(formData.slotLimit) < parseInt(limits.minSlot)) {
-          newErrors.slotLimit = `Minimum slots is ${limits.minSlot}`
-        }
-        else if (limits.maxSlot && parseInt(formData.slotLimit) > parseInt(limits.maxSlot)) {
-          newErrors.slotLimit = `Maximum slots is ${limits.maxSlot}`
-        }
-        if (!formData.winnersCount) newErrors.winnersCount = 'Number of winners is required'
-        if (!formData.maxTicketsPerUser) newErrors.maxTicketsPerUser = 'Max tickets per user is required'
-        break
-    }
-
+    const newErrors = validatePoolSection('nft-drop-721', section, { ...formData, tokenGatedEnabled }, limits)
     setErrors(prev => ({ ...prev, ...newErrors }))
     return Object.keys(newErrors).length === 0
   }
@@ -138,11 +114,36 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
     })
   }, [formData])
 
+  // Report edits for draft autosave; null once the pool has been created
+  useEffect(() => {
+    onValuesChange?.(createdRaffleAddress ? null : { ...formData, tokenGatedEnabled, socialEngagementEnabled })
+  }, [formData, tokenGatedEnabled, socialEngagementEnabled, createdRaffleAddress, onValuesChange])
+
   const handleReview = () => {
     setShowSummary(true)
     onReviewStateChange?.(true)
   }
 
+  // Build the createPool call from the form; shared by the pre-flight simulation and submit
+  const buildCreatePoolRequest = async () => {
+    // Query social engagement fee if enabled
+    const socialFee = socialEngagementEnabled
+      ? await contracts.poolDeployer.socialEngagementFee()
+      : ethers.BigNumber.from(0)
+    return buildCreatePoolParams('nft-drop-721', { ...formData, tokenGatedEnabled, socialEngagementEnabled }, { creator: address, socialFee })
+  }
+
+  // Simulate createPool while the summary is open so a revert blocks submit before signing
+  const simulateCreatePool = async () => {
+    const signer = provider.getSigner()
+    const { params, value } = await buildCreatePoolRequest()
+    return simulateTransaction(contracts.poolDeployer.connect(signer), 'createPool', [params], { value })
+  }
+  const preflight = useTransactionPreflight(
+    showSummary && !createdRaffleAddress && !loading && connected && contracts.poolDeployer && provider ? simulateCreatePool : null,
+    [formData, socialEngagementEnabled]
+  )
+
   const handleSubmit = async () => {
     if (!connected || !contracts) {
       toast.error('Please connect your wallet')
@@ -155,65 +156,11 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
     setLoading(true)
     try {
       const signer = provider.getSigner()
-      const startTime = Math.floor(new Date(formData.startTime).getTime() / 1000)
-      const duration = parseInt(formData.duration) * 60
-      const customSlotFee = formData.slotFee ? ethers.utils.parseEther(formData.slotFee) : 0
-
-      // Token-gated logic
-      const holderTokenAddress = tokenGatedEnabled && formData.holderTokenAddress
-        ? formData.holderTokenAddress
-        : ethers.constants.AddressZero
-      const holderTokenStandard = tokenGatedEnabled ? parseInt(formData.holderTokenStandard) : 0
-      const minHolderTokenBalance = tokenGatedEnabled && formData.minHolderTokenBalance
-        ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-        : ethers.BigNumber.from(0)
-      const holderTokenId = tokenGatedEnabled && formData.holderTokenId
-        ? parseInt(formData.holderTokenId)
-        : 0
-
-      const params = {
-        name: formData.name,
-        startTime,
-        duration,
-        slotLimit: parseInt(formData.slotLimit),
-        winnersCount: parseInt(formData.winnersCount),
-        maxSlotsPerAddress: parseInt(formData.maxTicketsPerUser),
-        isPrized: true,
-        customSlotFee: customSlotFee,
-        erc721Drop: true,
-        erc1155Drop: false,
-        prizeCollection: formData.collection,
-        standard: 0, // ERC721
-        prizeTokenId: 0,
-        amountPerWinner: 1,
-        creator: address,
-        erc20PrizeToken: ethers.constants.AddressZero,
-        erc20PrizeAmount: 0,
-        nativePrizeAmount: 0,
-        // Token-gated params
-        holderTokenAddress,
-        holderTokenStandard,
-        minHolderTokenBalance,
-        holderTokenBalance: minHolderTokenBalance,
-        holderTokenId,
-        // Social media params
-        socialEngagementRequired: socialEngagementEnabled,
-        socialTaskDescription: socialEngagementEnabled ? formData.socialTaskDescription : '',
-        // Pool metadata params
-        description: formData.description || '',
-        twitterLink: formData.twitterLink || '',
-        discordLink: formData.discordLink || '',
-        telegramLink: formData.telegramLink || '',
-      }
-
-      // Query social engagement fee if enabled
-      let socialFee = ethers.BigNumber.from(0)
-      if (socialEngagementEnabled) {
-        socialFee = await contracts.poolDeployer.socialEngagementFee()
-        console.log('Social engagement fee:', ethers.utils.formatEther(socialFee), 'ETH')
-      }
+      const { params, value } = await buildCreatePoolRequest()
+      const poolDeployer = contracts.poolDeployer.connect(signer)
+      await preflightTransaction(poolDeployer, 'createPool', [params], { value })
 
-      const tx = await contracts.poolDeployer.connect(signer).createPool(params, { value: socialFee })
+      const tx = await poolDeployer.createPool(params, { value })
       const receipt = await tx.wait()
       
       // Extract pool address from PoolCreated event
@@ -323,6 +270,7 @@ function ERC721DropForm({ collectionAddress: externalCollectionAddress, setColle
           title="Review Your Pool"
           description="Please review the details before creating your pool"
           data={summaryData}
+          errors={preflight.reason ? [preflight.reason] : []}
           status={loading ? 'submitting' : 'preview'}
           statusMessage={loading ? 'Creating your pool...' : undefined}
           onEdit={() => { setShowSummary(false); onReviewStateChange?.(false); }}
@@ -16,13 +16,16 @@ import { SummaryCard } from '../SummaryCard'
 import TokenGatedSection from '../../TokenGatedSection'
 import SocialMediaTaskSection from '../../SocialMediaTaskSection'
 import PoolMetadataFields from '../../PoolMetadataFields'
+import { simulateTransaction, preflightTransaction } from '../../../utils/txPreflight'
+import { useTransactionPreflight } from '../../../hooks/useTransactionPreflight'
+import { validatePoolSection, buildCreatePoolParams } from '../../../services/poolFormService'
 import { useRaffleLimits, extractRevertReason } from './useRaffleHooks'
 
 /**
  * ETHGiveawayForm - Create a native token (ETH/AVAX) giveaway
  * Give away native tokens to your community
  */
-function ETHGiveawayForm({ onReviewStateChange }) {
+function ETHGiveawayForm({ onReviewStateChange, initialValues, onValuesChange }) {
   const { connected, address, provider } = useWallet()
   const { contracts } = useContract()
   const { isMobile } = useMobileBreakpoints()
@@ -31,7 +34,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
   const [loading, setLoading] = useState(false)
   const [showSummary, setShowSummary] = useState(false)
   const [createdRaffleAddress, setCreatedRaffleAddress] = useState(null)
-  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(false)
+  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(!!initialValues?.socialEngagementEnabled)
 
   const [sectionCompletion, setSectionCompletion] = useState({
     basic: false,
@@ -48,7 +51,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
     duration: '',
     slotLimit: '',
     winnersCount: '',
-    maxTicketsPerParticipant: '',
+    maxSlotsPerAddress: '',
     // Token-gated fields
     tokenGatedEnabled: false,
     holderTokenAddress: '',
@@ -64,6 +67,8 @@ function ETHGiveawayForm({ onReviewStateChange }) {
     twitterLink: '',
     discordLink: '',
     telegramLink: '',
+    // Draft or duplicated pool being resumed
+    ...initialValues,
   })
 
   const handleChange = (field, value) => {
@@ -72,36 +77,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
   }
 
   const validateSection = (section) => {
-    const newErrors = {}
-
-    switch (section) {
-      case 'basic':
-        if (!formData.name?.trim()) newErrors.name = 'Pool name is required'
-        if (!formData.ethAmount) newErrors.ethAmount = 'Prize amount is required'
-        break
-      case 'timing':
-        if (!formData.startTime) newErrors.startTime = 'Start time is required'
-        if (!formData.duration) newErrors.duration = 'Duration is required'
-        else if (limits.minDuration && parseInt(formData.duration) * 60 < parseInt(limits.minDuration)) {
-          newErrors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
-        }
-        else if (limits.maxDuration && parseInt(formData.duration) * 60 > parseInt(limits.maxDuration)) {
-          newErrors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
-        }
-        break
-      case 'participation':
-        if (!formData.slotLimit) newErrors.slotLimit = 'Slot limit is required'
-        else if (limits.minSlot && parseInt(formData.slotLimit) < parseInt(limits.minSlot)) {
-          newErrors.slotLimit = `Minimum slots is ${limits.minSlot}`
-        }
-        else if (limits.maxSlot && parseInt(formData.slotLimit) > parseInt(limits.maxSlot)) {
-          newErrors.slotLimit = `Maximum slots is ${limits.maxSlot}`
-        }
-        if (!formData.winnersCount) newErrors.winnersCount = 'Number of winners is required'
-        if (!formData.maxTicketsPerParticipant) newErrors.maxTicketsPerParticipant = 'Max tickets per participant is required'
-        break
-    }
-
+    const newErrors = validatePoolSection('native-giveaway', section, formData, limits)
     setErrors(prev => ({ ...prev, ...newErrors }))
     return Object.keys(newErrors).length === 0
   }
@@ -110,15 +86,40 @@ function ETHGiveawayForm({ onReviewStateChange }) {
     setSectionCompletion({
       basic: !!formData.name?.trim() && !!formData.ethAmount,
       timing: !!formData.startTime && !!formData.duration,
-      participation: !!formData.slotLimit && !!formData.winnersCount && !!formData.maxTicketsPerParticipant,
+      participation: !!formData.slotLimit && !!formData.winnersCount && !!formData.maxSlotsPerAddress,
     })
   }, [formData])
 
+  // Report edits for draft autosave; null once the pool has been created
+  useEffect(() => {
+    onValuesChange?.(createdRaffleAddress ? null : { ...formData, socialEngagementEnabled })
+  }, [formData, socialEngagementEnabled, createdRaffleAddress, onValuesChange])
+
   const handleReview = () => {
     setShowSummary(true)
     onReviewStateChange?.(true)
   }
 
+  // Build the createPool call from the form; shared by the pre-flight simulation and submit
+  const buildCreatePoolRequest = async () => {
+    // Query social engagement fee if enabled
+    const socialFee = socialEngagementEnabled
+      ? await contracts.poolDeployer.socialEngagementFee()
+      : ethers.BigNumber.from(0)
+    return buildCreatePoolParams('native-giveaway', { ...formData, socialEngagementEnabled }, { creator: address, socialFee })
+  }
+
+  // Simulate createPool while the summary is open so a revert blocks submit before signing
+  const simulateCreatePool = async () => {
+    const signer = provider.getSigner()
+    const { params, value } = await buildCreatePoolRequest()
+    return simulateTransaction(contracts.poolDeployer.connect(signer), 'createPool', [params], { value })
+  }
+  const preflight = useTransactionPreflight(
+    showSummary && !createdRaffleAddress && !loading && connected && contracts.poolDeployer && provider ? simulateCreatePool : null,
+    [formData, socialEngagementEnabled]
+  )
+
   const handleSubmit = async () => {
     if (!connected || !contracts.poolDeployer || !provider) {
       toast.error('Please connect your wallet and ensure contracts are configured')
@@ -127,71 +128,13 @@ function ETHGiveawayForm({ onReviewStateChange }) {
     setLoading(true)
     try {
       const signer = provider.getSigner()
-      const startTime = Math.floor(new Date(formData.startTime).getTime() / 1000)
-      const duration = parseInt(formData.duration) * 60
-      const ethAmount = formData.ethAmount
-        ? ethers.utils.parseEther(formData.ethAmount)
-        : ethers.BigNumber.from(0)
-
-      const params = {
-        name: formData.name,
-        startTime,
-        duration,
-        slotLimit: parseInt(formData.slotLimit),
-        winnersCount: parseInt(formData.winnersCount),
-        maxSlotsPerAddress: parseInt(formData.maxSlotsPerAddress),
-        isPrized: true,
-        customSlotFee: 0,
-        erc721Drop: false,
-        prizeCollection: ethers.constants.AddressZero, // Use zero address for ETH
-        standard: 3, // Use 3 for ETH
-        prizeTokenId: 0,
-        amountPerWinner: 0,
-        creator: address,
-        erc20PrizeToken: ethers.constants.AddressZero,
-        erc20PrizeAmount: ethers.BigNumber.from(0),
-        nativePrizeAmount: ethAmount,
-        // Token-gated params
-        holderTokenAddress: formData.tokenGatedEnabled
-          ? formData.holderTokenAddress
-          : ethers.constants.AddressZero,
-        holderTokenStandard: formData.tokenGatedEnabled
-          ? parseInt(formData.holderTokenStandard)
-          : 0,
-        minHolderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== '' && formData.minHolderTokenBalance !== undefined
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenBalance: formData.tokenGatedEnabled && formData.minHolderTokenBalance !== '' && formData.minHolderTokenBalance !== undefined
-          ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-          : ethers.BigNumber.from(0),
-        holderTokenId: formData.tokenGatedEnabled && (formData.holderTokenStandard === '0' || formData.holderTokenStandard === '1')
-          ? (formData.holderTokenId !== '' && formData.holderTokenId !== undefined ? parseInt(formData.holderTokenId) : 0)
-          : 0,
-        // Social media params
-        socialEngagementRequired: socialEngagementEnabled,
-        socialTaskDescription: socialEngagementEnabled ? formData.socialTaskDescription : '',
-        // Pool metadata params
-        description: formData.description || '',
-        twitterLink: formData.twitterLink || '',
-        discordLink: formData.discordLink || '',
-        telegramLink: formData.telegramLink || '',
-      }
-
-      // Query social engagement fee if enabled
-      let socialFee = ethers.BigNumber.from(0)
-      if (socialEngagementEnabled) {
-        socialFee = await contracts.poolDeployer.socialEngagementFee()
-        console.log('Social engagement fee:', ethers.utils.formatEther(socialFee), 'ETH')
-      }
-
-      // Calculate total value to send (native prize + social fee)
-      const totalValue = ethAmount.add(socialFee)
-      console.log('Native prize amount:', ethers.utils.formatEther(ethAmount), 'ETH')
-      console.log('Total value to send:', ethers.utils.formatEther(totalValue), 'ETH')
+      const { params, value } = await buildCreatePoolRequest()
+      const poolDeployer = contracts.poolDeployer.connect(signer)
+      await preflightTransaction(poolDeployer, 'createPool', [params], { value })
 
       let result = { success: false }
       try {
-        const tx = await contracts.poolDeployer.connect(signer).createPool(params, { value: totalValue })
+        const tx = await poolDeployer.createPool(params, { value })
         const receipt = await tx.wait()
         result = { success: true, receipt, hash: tx.hash }
       } catch (error) {
@@ -248,7 +191,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
       duration: '',
       slotLimit: '',
       winnersCount: '',
-      maxTicketsPerParticipant: '',
+      maxSlotsPerAddress: '',
       tokenGatedEnabled: false,
       holderTokenAddress: '',
       holderTokenStandard: '0',
@@ -306,6 +249,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
           title="Review Your Pool"
           description="Please review the details before creating your pool"
           data={summaryData}
+          errors={preflight.reason ? [preflight.reason] : []}
           status={loading ? 'submitting' : 'preview'}
           statusMessage={loading ? 'Creating your pool...' : undefined}
           onEdit={() => { setShowSummary(false); onReviewStateChange?.(false); }}
@@ -439,7 +383,7 @@ function ETHGiveawayForm({ onReviewStateChange }) {
           icon={Users}
           defaultOpen={true}
           isComplete={sectionCompletion.participation}
-          hasError={!!errors.slotLimit || !!errors.winnersCount || !!errors.maxTicketsPerParticipant}
+          hasError={!!errors.slotLimit || !!errors.winnersCount || !!errors.maxSlotsPerAddress}
         >
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
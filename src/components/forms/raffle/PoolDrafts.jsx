@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react'
+import { FileText, Cloud, HardDrive, Trash2, Loader2, History, X } from 'lucide-react'
+import { Button } from '../../ui/button'
+import { Card } from '../../ui/card'
+import { Input } from '../../ui/input'
+import { Switch } from '../../ui/switch'
+import { toast } from '../../ui/sonner'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '../../ui/dialog'
+import { RAFFLE_TYPES } from './RaffleTypeSelector'
+
+const typeName = (poolType) => RAFFLE_TYPES.find(t => t.id === poolType)?.name || poolType
+
+const formatUpdated = (iso) => {
+  const date = new Date(iso)
+  return isNaN(date.getTime()) ? '' : date.toLocaleString()
+}
+
+/**
+ * PoolDraftList - Saved drafts shown on step 1 of CreateRafflePageV2, plus
+ * the form that was being edited when the page was last left (autosave).
+ */
+export const PoolDraftList = ({ drafts, autosave, onLoad, onDiscardAutosave }) => {
+  const { localDrafts, cloudDrafts, cloudConnected, loadingCloud, cloudError, connectCloud, deleteDraft } = drafts
+  const [deletingId, setDeletingId] = useState(null)
+
+  const allDrafts = [...cloudDrafts, ...localDrafts]
+
+  const handleDelete = async (draft) => {
+    setDeletingId(draft.id)
+    try {
+      await deleteDraft(draft)
+    } catch (error) {
+      toast.error(`Failed to delete draft: ${error.message}`)
+    } finally {
+      setDeletingId(null)
+    }
+  }
+
+  if (!autosave && allDrafts.length === 0 && cloudConnected) return null
+
+  return (
+    <Card variant="flat" className="p-4 mb-8 max-w-3xl mx-auto gap-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 font-medium">
+          <FileText className="h-4 w-4 text-primary" />
+          <span>Drafts</span>
+        </div>
+        {!cloudConnected && (
+          <Button variant="ghost" size="sm" onClick={connectCloud} disabled={loadingCloud}>
+            {loadingCloud ? <Loader2 className="h-4 w-4 animate-spin" /> : <Cloud className="h-4 w-4" />}
+            Load synced drafts
+          </Button>
+        )}
+      </div>
+
+      {cloudError && !cloudConnected && (
+        <p className="text-xs text-muted-foreground">Synced drafts unavailable: {cloudError}</p>
+      )}
+
+      {autosave && (
+        <div className="flex items-center justify-between gap-3 rounded-lg border border-primary/30 bg-primary/5 px-3 py-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <History className="h-4 w-4 shrink-0 text-primary" />
+            <div className="min-w-0">
+              <p className="text-sm font-medium truncate">
+                Unsaved {typeName(autosave.poolType)}{autosave.values?.name ? `: ${autosave.values.name}` : ''}
+              </p>
+              <p className="text-xs text-muted-foreground">Last edited {formatUpdated(autosave.updatedAt)}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1 shrink-0">
+            <Button size="sm" onClick={() => onLoad(autosave)}>Resume</Button>
+            <Button variant="ghost" size="icon" onClick={onDiscardAutosave} aria-label="Discard unsaved form">
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {allDrafts.length === 0 && !autosave && (
+        <p className="text-sm text-muted-foreground">No saved drafts on this network yet.</p>
+      )}
+
+      {allDrafts.map(draft => (
+        <div
+          key={`${draft.source}-${draft.id}`}
+          className="flex items-center justify-between gap-3 rounded-lg border border-border/50 px-3 py-2"
+        >
+          <div className="flex items-center gap-2 min-w-0">
+            {draft.source === 'cloud'
+              ? <Cloud className="h-4 w-4 shrink-0 text-muted-foreground" aria-label="Synced" />
+              : <HardDrive className="h-4 w-4 shrink-0 text-muted-foreground" aria-label="This device" />}
+            <div className="min-w-0">
+              <p className="text-sm font-medium truncate">{draft.name}</p>
+              <p className="text-xs text-muted-foreground truncate">
+                {typeName(draft.poolType)} · {formatUpdated(draft.updatedAt)}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1 shrink-0">
+            <Button variant="secondary" size="sm" onClick={() => onLoad(draft)}>Load</Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => handleDelete(draft)}
+              disabled={deletingId === draft.id}
+              aria-label={`Delete draft ${draft.name}`}
+            >
+              {deletingId === draft.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+            </Button>
+          </div>
+        </div>
+      ))}
+    </Card>
+  )
+}
+
+/**
+ * SaveDraftDialog - Names the current form and saves it as a draft,
+ * optionally synced under the connected wallet.
+ */
+export const SaveDraftDialog = ({ open, onOpenChange, defaultName, onSave }) => {
+  const [name, setName] = useState('')
+  const [sync, setSync] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (open) setName(defaultName || '')
+  }, [open, defaultName])
+
+  const handleSave = async () => {
+    if (!name.trim()) return
+    setSaving(true)
+    try {
+      await onSave({ name: name.trim(), sync })
+      toast.success(sync ? 'Draft saved and synced' : 'Draft saved on this device')
+      onOpenChange(false)
+    } catch (error) {
+      toast.error(`Failed to save draft: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Save draft</DialogTitle>
+          <DialogDescription>
+            Saving with an existing draft name replaces that draft.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && handleSave()}
+          placeholder="e.g. Weekly community drop"
+          maxLength={100}
+          autoFocus
+        />
+
+        <div className="flex items-center gap-3">
+          <Switch checked={sync} onCheckedChange={setSync} size="default" />
+          <div className="text-sm">
+            <p className="font-medium">Sync across devices</p>
+            <p className="text-xs text-muted-foreground">Stores the draft under your wallet. You will be asked to sign a message.</p>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={!name.trim() || saving}>
+            {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
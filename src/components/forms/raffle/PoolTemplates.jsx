@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { LayoutTemplate, Upload, Link2, Download, Trash2, MoreHorizontal, Clock, Users, ListChecks } from 'lucide-react'
+import { Button } from '../../ui/button'
+import { Input } from '../../ui/input'
+import { toast } from '../../ui/sonner'
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuItem,
+} from '../../ui/dropdown-menu'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '../../ui/dialog'
+import { cn } from '../../../lib/utils'
+
+const formatDuration = (minutes) => {
+  if (!minutes) return null
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`
+  if (minutes % 60 === 0) return `${minutes / 60}h`
+  return `${minutes}m`
+}
+
+/**
+ * TemplatePicker - Row of pool templates above the type cards. Selecting one
+ * opens its form with the template's defaults; each template can be shared as
+ * a link or exported as JSON, and JSON files can be imported.
+ */
+export const TemplatePicker = ({ templates, types, onSelect, onShare, onExport, onDelete, onImport }) => {
+  const fileInputRef = useRef(null)
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      onImport(await file.text())
+    } catch (error) {
+      toast.error(`Failed to read file: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2 font-medium">
+          <LayoutTemplate className="h-4 w-4 text-primary" />
+          <span>Start from a template</span>
+        </div>
+        <Button variant="ghost" size="sm" onClick={() => fileInputRef.current?.click()}>
+          <Upload className="h-4 w-4" />
+          Import
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {templates.map(template => {
+          const type = types.find(t => t.id === template.poolType)
+          const Icon = type?.icon || LayoutTemplate
+          const { durationMinutes, slotLimit, socialTasks } = template.values
+          return (
+            <div
+              key={template.id}
+              className="relative flex flex-col rounded-xl border border-border/50 bg-card/50 hover:border-border hover:bg-card/80 transition-colors"
+            >
+              <button
+                type="button"
+                onClick={() => onSelect(template)}
+                className="flex-1 text-left p-4 pr-10"
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={cn('inline-flex items-center justify-center h-6 w-6 rounded-md', type?.bgColor)}>
+                    <Icon className="h-3.5 w-3.5" />
+                  </span>
+                  <span className="font-semibold text-sm truncate">{template.name}</span>
+                </div>
+                <p className="text-xs text-muted-foreground line-clamp-2 mb-2">
+                  {template.description || type?.name}
+                </p>
+                <div className="flex flex-wrap gap-3 text-xs text-muted-foreground">
+                  {durationMinutes && (
+                    <span className="inline-flex items-center gap-1"><Clock className="h-3 w-3" />{formatDuration(durationMinutes)}</span>
+                  )}
+                  {slotLimit && (
+                    <span className="inline-flex items-center gap-1"><Users className="h-3 w-3" />{slotLimit.toLocaleString()}</span>
+                  )}
+                  {socialTasks?.length > 0 && (
+                    <span className="inline-flex items-center gap-1"><ListChecks className="h-3 w-3" />{socialTasks.length}</span>
+                  )}
+                </div>
+              </button>
+
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="absolute top-2 right-2 h-7 w-7"
+                    aria-label={`${template.name} options`}
+                  >
+                    <MoreHorizontal className="h-4 w-4" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  <DropdownMenuItem onClick={() => onShare(template)}>
+                    <Link2 className="h-4 w-4" />
+                    Copy share link
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => onExport(template)}>
+                    <Download className="h-4 w-4" />
+                    Export JSON
+                  </DropdownMenuItem>
+                  {!template.builtIn && (
+                    <DropdownMenuItem onClick={() => onDelete(template)}>
+                      <Trash2 className="h-4 w-4" />
+                      Delete
+                    </DropdownMenuItem>
+                  )}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * SaveTemplateDialog - Saves the current form's timing, slot and social task
+ * settings as a custom template on this device.
+ */
+export const SaveTemplateDialog = ({ open, onOpenChange, defaultName, onSave }) => {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setName(defaultName || '')
+      setDescription('')
+    }
+  }, [open, defaultName])
+
+  const handleSave = () => {
+    if (!name.trim()) return
+    try {
+      onSave({ name: name.trim(), description: description.trim() })
+      toast.success('Template saved')
+      onOpenChange(false)
+    } catch (error) {
+      toast.error(`Failed to save template: ${error.message}`)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Save as template</DialogTitle>
+          <DialogDescription>
+            Keeps the pool type, duration, slots, winners, fees and social tasks. Pool name, prize and start time are not saved.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Template name"
+          maxLength={100}
+          autoFocus
+        />
+        <Input
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && handleSave()}
+          placeholder="Short description (optional)"
+          maxLength={200}
+        />
+
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={!name.trim()}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -12,6 +12,7 @@ import {
 } from "lucide-react"
 import { cn } from "../../../lib/utils"
 import { Card } from "../../ui/card"
+import { TemplatePicker } from "./PoolTemplates"
 
 /**
  * RaffleTypeSelector - Visual card-based raffle type selection
@@ -101,6 +102,11 @@ const RaffleTypeSelector = React.forwardRef(({
   showFeatures = true,
   showDescription = true,
 
+  // Templates: list from poolTemplateService plus
+  // { onSelect, onShare, onExport, onDelete, onImport } handlers
+  templates,
+  templateActions,
+
   // Styling
   className,
 
@@ -131,7 +137,7 @@ const RaffleTypeSelector = React.forwardRef(({
     compact: "grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3",
   }
 
-  return (
+  const grid = (
     <motion.div
       ref={ref}
       className={cn(layoutClasses[layout], className)}
@@ -154,6 +160,15 @@ const RaffleTypeSelector = React.forwardRef(({
       ))}
     </motion.div>
   )
+
+  if (!templates || !templateActions) return grid
+
+  return (
+    <div>
+      <TemplatePicker templates={templates} types={RAFFLE_TYPES} {...templateActions} />
+      {grid}
+    </div>
+  )
 })
 
 RaffleTypeSelector.displayName = "RaffleTypeSelector"
@@ -27,13 +27,16 @@ import { SummaryCard } from '../SummaryCard'
 import TokenGatedSection from '../../TokenGatedSection'
 import SocialMediaTaskSection from '../../SocialMediaTaskSection'
 import PoolMetadataFields from '../../PoolMetadataFields'
+import { simulateTransaction, preflightTransaction } from '../../../utils/txPreflight'
+import { useTransactionPreflight } from '../../../hooks/useTransactionPreflight'
+import { validatePoolSection, buildCreatePoolParams } from '../../../services/poolFormService'
 import { useRaffleLimits, extractRevertReason } from './useRaffleHooks'
 
 /**
  * WhitelistRaffleFormV2 - Enhanced whitelist raffle form with progressive disclosure
  * Features: Collapsible sections, validation indicators, pre-submit summary
  */
-const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
+const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange, initialValues, onValuesChange }) => {
   const { connected, address } = useWallet()
   const { contracts, executeTransaction } = useContract()
   const limits = useRaffleLimits(contracts, false)
@@ -42,8 +45,8 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
   const [loading, setLoading] = useState(false)
   const [showSummary, setShowSummary] = useState(false)
   const [createdRaffleAddress, setCreatedRaffleAddress] = useState(null)
-  const [tokenGatedEnabled, setTokenGatedEnabled] = useState(false)
-  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(false)
+  const [tokenGatedEnabled, setTokenGatedEnabled] = useState(!!initialValues?.tokenGatedEnabled)
+  const [socialEngagementEnabled, setSocialEngagementEnabled] = useState(!!initialValues?.socialEngagementEnabled)
 
   // Section completion state
   const [sectionCompletion, setSectionCompletion] = useState({
@@ -76,6 +79,8 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
     twitterLink: '',
     discordLink: '',
     telegramLink: '',
+    // Draft or duplicated pool being resumed
+    ...initialValues,
   })
 
   // Validation state
@@ -95,44 +100,7 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
 
   // Validate a specific section
   const validateSection = useCallback((section) => {
-    const newErrors = {}
-
-    switch (section) {
-      case 'basic':
-        if (!formData.name?.trim()) newErrors.name = 'Pool name is required'
-        break
-      case 'timing':
-        if (!formData.startTime) newErrors.startTime = 'Start time is required'
-        if (!formData.duration) newErrors.duration = 'Duration is required'
-        else if (limits.minDuration && parseInt(formData.duration) * 60 < parseInt(limits.minDuration)) {
-          newErrors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
-        }
-        else if (limits.maxDuration && parseInt(formData.duration) * 60 > parseInt(limits.maxDuration)) {
-          newErrors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
-        }
-        break
-      case 'participation':
-        if (!formData.slotLimit) newErrors.slotLimit = 'Slot limit is required'
-        else if (limits.minSlot && parseInt(formData.slotLimit) < parseInt(limits.minSlot)) {
-          newErrors.slotLimit = `Minimum slots is ${limits.minSlot}`
-        }
-        else if (limits.maxSlot && parseInt(formData.slotLimit) > parseInt(limits.maxSlot)) {
-          newErrors.slotLimit = `Maximum slots is ${limits.maxSlot}`
-        }
-        if (!formData.winnersCount) newErrors.winnersCount = 'Number of winners is required'
-        else if (parseInt(formData.winnersCount) > parseInt(formData.slotLimit) * 0.3) {
-          newErrors.winnersCount = 'Winners cannot exceed 30% of slot limit'
-        }
-        break
-      case 'tokenGated':
-        if (tokenGatedEnabled) {
-          if (!formData.holderTokenAddress || !ethers.utils.isAddress(formData.holderTokenAddress)) {
-            newErrors.holderTokenAddress = 'Valid token address required'
-          }
-        }
-        break
-    }
-
+    const newErrors = validatePoolSection('whitelist', section, { ...formData, tokenGatedEnabled }, limits)
     setErrors(prev => ({ ...prev, ...newErrors }))
     return Object.keys(newErrors).length === 0
   }, [formData, limits, tokenGatedEnabled])
@@ -159,6 +127,11 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
     return allValid
   }, [validateSection])
 
+  // Report edits for draft autosave; null once the pool has been created
+  useEffect(() => {
+    onValuesChange?.(createdRaffleAddress ? null : { ...formData, tokenGatedEnabled, socialEngagementEnabled })
+  }, [formData, tokenGatedEnabled, socialEngagementEnabled, createdRaffleAddress, onValuesChange])
+
   // Handle pre-submit review
   const handleReview = useCallback(() => {
     if (validateAll()) {
@@ -169,6 +142,25 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
     }
   }, [validateAll, onReviewStateChange])
 
+  // Build the createPool call from the form; shared by the pre-flight simulation and submit
+  const buildCreatePoolRequest = async () => {
+    // Query social engagement fee if enabled
+    const socialFee = socialEngagementEnabled
+      ? await contracts.poolDeployer.socialEngagementFee()
+      : ethers.BigNumber.from(0)
+    return buildCreatePoolParams('whitelist', { ...formData, tokenGatedEnabled, socialEngagementEnabled }, { creator: address, socialFee })
+  }
+
+  // Simulate createPool while the summary is open so a revert blocks submit before signing
+  const simulateCreatePool = async () => {
+    const { params, value } = await buildCreatePoolRequest()
+    return simulateTransaction(contracts.poolDeployer, 'createPool', [params], { value })
+  }
+  const preflight = useTransactionPreflight(
+    showSummary && !createdRaffleAddress && !loading && connected && contracts.poolDeployer ? simulateCreatePool : null,
+    [formData, socialEngagementEnabled, tokenGatedEnabled]
+  )
+
   // Handle form submission
   const handleSubmit = async () => {
     if (!connected || !contracts.poolDeployer) {
@@ -178,62 +170,13 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
 
     setLoading(true)
     try {
-      const startTime = Math.floor(new Date(formData.startTime).getTime() / 1000)
-      const duration = parseInt(formData.duration) * 60
-
-      // Token-gated logic
-      const holderTokenAddress = tokenGatedEnabled && formData.holderTokenAddress
-        ? formData.holderTokenAddress
-        : ethers.constants.AddressZero
-      const holderTokenStandard = tokenGatedEnabled ? parseInt(formData.holderTokenStandard) : 0
-      const minHolderTokenBalance = tokenGatedEnabled && formData.minHolderTokenBalance
-        ? ethers.BigNumber.from(parseInt(formData.minHolderTokenBalance))
-        : ethers.BigNumber.from(0)
-      const holderTokenId = tokenGatedEnabled && formData.holderTokenId
-        ? parseInt(formData.holderTokenId)
-        : 0
-
-      const params = {
-        name: formData.name,
-        startTime,
-        duration,
-        slotLimit: parseInt(formData.slotLimit),
-        winnersCount: parseInt(formData.winnersCount),
-        maxSlotsPerAddress: 1,
-        isPrized: false,
-        customSlotFee: 0,
-        erc721Drop: false,
-        erc1155Drop: true,
-        prizeCollection: ethers.constants.AddressZero,
-        standard: 0,
-        prizeTokenId: 0,
-        amountPerWinner: 0,
-        creator: address,
-        erc20PrizeToken: ethers.constants.AddressZero,
-        erc20PrizeAmount: 0,
-        nativePrizeAmount: 0,
-        holderTokenAddress,
-        holderTokenStandard,
-        minHolderTokenBalance,
-        holderTokenBalance: minHolderTokenBalance,
-        holderTokenId,
-        socialEngagementRequired: socialEngagementEnabled,
-        socialTaskDescription: socialEngagementEnabled ? formData.socialTaskDescription : '',
-        description: formData.description || '',
-        twitterLink: formData.twitterLink || '',
-        discordLink: formData.discordLink || '',
-        telegramLink: formData.telegramLink || '',
-      }
-
-      let socialFee = ethers.BigNumber.from(0)
-      if (socialEngagementEnabled) {
-        socialFee = await contracts.poolDeployer.socialEngagementFee()
-      }
+      const { params, value } = await buildCreatePoolRequest()
+      await preflightTransaction(contracts.poolDeployer, 'createPool', [params], { value })
 
       const result = await executeTransaction(
         contracts.poolDeployer.createPool,
         params,
-        { value: socialFee }
+        { value }
       )
 
       if (result.success) {
@@ -354,6 +297,7 @@ const WhitelistRaffleFormV2 = ({ onFormDataChange, onReviewStateChange }) => {
           title="Review Your Pool"
           description="Please review the details before creating your pool"
           data={summaryData}
+          errors={preflight.reason ? [preflight.reason] : []}
           status={loading ? 'submitting' : 'preview'}
           statusMessage={loading ? 'Creating your pool...' : undefined}
           onEdit={() => { setShowSummary(false); onReviewStateChange?.(false); }}
@@ -13,9 +13,11 @@ export {
 export {
   // Hooks
   useRaffleLimits,
+  useProtocolConfig,
   useCollectionArtwork,
 
   // Utility functions
+  resolveRaffleLimits,
   approveToken,
   checkTokenApproval,
   extractRevertReason,
@@ -27,6 +29,14 @@ export {
 // Live preview component
 export { LivePreviewCard } from './LivePreviewCard'
 
+// Draft list, templates and save dialogs
+export { PoolDraftList, SaveDraftDialog } from './PoolDrafts'
+export { TemplatePicker, SaveTemplateDialog } from './PoolTemplates'
+
+// Bulk creation from a manifest
+export { default as BatchPoolCreator } from './BatchPoolCreator'
+export { usePoolBatch } from './usePoolBatch'
+
 // Individual form components
 export { default as WhitelistRaffleFormV2 } from './WhitelistRaffleFormV2'
 export { default as ERC721DropForm } from './ERC721DropForm'
@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { ethers } from 'ethers'
+import { contractABIs } from '../../../contracts/contractABIs'
+import { useWallet } from '../../../contexts/WalletContext'
+import { useContract } from '../../../contexts/ContractContext'
+import {
+  parseManifest,
+  poolAddressFromReceipt,
+  getBatchRun,
+  saveBatchRun,
+} from '../../../services/poolBatchService'
+import { validatePoolFormValues, buildCreatePoolParams } from '../../../services/poolFormService'
+import {
+  useProtocolConfig,
+  resolveRaffleLimits,
+  approveToken,
+  extractRevertReason,
+} from './useRaffleHooks'
+import { preflightTransaction } from '../../../utils/txPreflight'
+
+// How long a resumed run waits for a transaction sent before the page was left
+const PENDING_TX_TIMEOUT_MS = 60000
+
+/**
+ * Hook behind bulk pool creation: loads a manifest, validates every row with
+ * the forms' rules against the PoolDeployer limits, then deploys the valid rows
+ * one createPool transaction at a time. Row status lives in a saved run, so a
+ * failed or interrupted batch resumes where it stopped.
+ *
+ * Row status: ready | invalid | submitted (tx sent) | deployed | failed
+ */
+export function usePoolBatch() {
+  const { address, provider, chainId } = useWallet()
+  const { contracts } = useContract()
+  const { config } = useProtocolConfig(chainId)
+  const [run, setRun] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [currentIndex, setCurrentIndex] = useState(null)
+  const stopRequestedRef = useRef(false)
+
+  useEffect(() => {
+    setRun(chainId && address ? getBatchRun(chainId, address) : null)
+  }, [chainId, address])
+
+  const updateRow = useCallback((index, changes) => {
+    setRun(prev => {
+      if (!prev) return prev
+      const next = { ...prev, rows: prev.rows.map(row => (row.index === index ? { ...row, ...changes } : row)) }
+      saveBatchRun(next)
+      return next
+    })
+  }, [])
+
+  const loadManifest = useCallback(async (content, fileName) => {
+    const rows = parseManifest(content, fileName)
+    const [prizedLimits, nonPrizedLimits] = await Promise.all([
+      resolveRaffleLimits(contracts, config, true),
+      resolveRaffleLimits(contracts, config, false),
+    ])
+
+    const validated = rows.map(row => {
+      const limits = row.poolType === 'whitelist' ? nonPrizedLimits : prizedLimits
+      const errors = Object.keys(row.errors).length > 0
+        ? row.errors
+        : validatePoolFormValues(row.poolType, row.values, limits || {})
+      return { ...row, errors, status: Object.keys(errors).length === 0 ? 'ready' : 'invalid' }
+    })
+
+    const next = { chainId, creator: address, fileName, createdAt: new Date().toISOString(), rows: validated }
+    saveBatchRun(next)
+    setRun(next)
+    return { limitsLoaded: !!prizedLimits && !!nonPrizedLimits }
+  }, [contracts, config, chainId, address])
+
+  const clear = useCallback(() => {
+    saveBatchRun(null)
+    setRun(null)
+  }, [])
+
+  // Check a row whose transaction was sent before the page was left. Resolves to
+  // the receipt status and pool address; rejects with code TIMEOUT while pending
+  const recoverSubmitted = useCallback(async (row) => {
+    const receipt = await provider.getTransactionReceipt(row.txHash) ||
+      await provider.waitForTransaction(row.txHash, 1, PENDING_TX_TIMEOUT_MS)
+    return {
+      status: receipt?.status,
+      address: receipt?.status === 1 ? poolAddressFromReceipt(receipt, contracts.poolDeployer.interface) : null,
+    }
+  }, [provider, contracts])
+
+  const deployRow = useCallback(async (row, signer, socialFee) => {
+    const { poolType, values } = row
+    let erc20Decimals
+
+    if (poolType === 'erc20-giveaway') {
+      const token = new ethers.Contract(values.tokenAddress, contractABIs.erc20, signer)
+      erc20Decimals = await token.decimals()
+      const approval = await approveToken({
+        signer,
+        tokenAddress: values.tokenAddress,
+        prizeType: 'erc20',
+        spender: contracts.poolDeployer.address,
+        amount: ethers.utils.parseUnits(values.tokenAmount, erc20Decimals).toString(),
+      })
+      if (!approval.success) throw new Error('Token approval failed: ' + approval.error)
+    } else if (poolType === 'lucky-sale') {
+      const approval = await approveToken({
+        signer,
+        tokenAddress: values.collectionAddress,
+        prizeType: 'erc721',
+        spender: contracts.poolDeployer.address,
+        tokenId: values.tokenId,
+      })
+      if (!approval.success) throw new Error('Token approval failed: ' + approval.error)
+    }
+
+    const { params, value } = buildCreatePoolParams(poolType, values, { creator: address, erc20Decimals, socialFee })
+    const poolDeployer = contracts.poolDeployer.connect(signer)
+    await preflightTransaction(poolDeployer, 'createPool', [params], { value })
+    const tx = await poolDeployer.createPool(params, { value })
+    updateRow(row.index, { status: 'submitted', txHash: tx.hash, error: null })
+
+    const receipt = await tx.wait()
+    return { txHash: tx.hash, address: poolAddressFromReceipt(receipt, contracts.poolDeployer.interface) }
+  }, [contracts, address, updateRow])
+
+  /**
+   * Deploy every row that is ready, failed or still submitted, in order.
+   * Stops at the first failure so the creator can fix it and resume.
+   */
+  const deploy = useCallback(async () => {
+    if (!run || running || !provider || !contracts?.poolDeployer) return
+    stopRequestedRef.current = false
+    setRunning(true)
+    const signer = provider.getSigner()
+
+    try {
+      const pending = run.rows.filter(row => ['ready', 'failed', 'submitted'].includes(row.status))
+      const socialFee = pending.some(row => row.values.socialEngagementEnabled)
+        ? await contracts.poolDeployer.socialEngagementFee()
+        : ethers.BigNumber.from(0)
+
+      for (const row of pending) {
+        if (stopRequestedRef.current) break
+        setCurrentIndex(row.index)
+        try {
+          if (row.status === 'submitted' && row.txHash) {
+            const recovered = await recoverSubmitted(row)
+            // Mined: the pool exists even when its address is missing from the logs
+            if (recovered.status === 1) {
+              updateRow(row.index, { status: 'deployed', address: recovered.address, error: null })
+              continue
+            }
+            // Reverted: deploy the row again
+          }
+          const result = await deployRow(row, signer, socialFee)
+          updateRow(row.index, { status: 'deployed', txHash: result.txHash, address: result.address, error: null })
+        } catch (error) {
+          console.error(`[PoolBatch] Row ${row.index + 1} failed:`, error)
+          // A timed-out pending tx stays submitted so resuming checks it again,
+          // unless the creator abandons it (see abandonSubmitted)
+          if (row.status === 'submitted' && error.code === 'TIMEOUT') {
+            updateRow(row.index, { error: 'Transaction not confirmed yet; it may have been dropped or replaced in your wallet' })
+          } else {
+            updateRow(row.index, { status: 'failed', error: extractRevertReason(error) })
+          }
+          break
+        }
+      }
+    } finally {
+      setCurrentIndex(null)
+      setRunning(false)
+    }
+  }, [run, running, provider, contracts, recoverSubmitted, deployRow, updateRow])
+
+  // Give up on a submitted row whose transaction was dropped or replaced, so the
+  // next run deploys it again
+  const abandonSubmitted = useCallback((index) => {
+    updateRow(index, { status: 'failed', error: 'Pending transaction abandoned; resuming deploys this row again' })
+  }, [updateRow])
+
+  // Stop after the row currently being deployed
+  const stop = useCallback(() => {
+    stopRequestedRef.current = true
+  }, [])
+
+  return { run, running, currentIndex, loadManifest, deploy, stop, clear, abandonSubmitted }
+}
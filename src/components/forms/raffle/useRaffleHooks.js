@@ -9,6 +9,9 @@ import {
   resolveURIOrHash,
   getStoredCollectionURIs
 } from '../../../services/uriRegistryService'
+import supabaseService from '../../../services/supabaseService'
+import { APPROVAL_MODES, ensureTokenAllowance } from '../../../services/tokenApprovalService'
+import { useWallet } from '../../../contexts/WalletContext'
 
 /**
  * Shared hooks for raffle form functionality
@@ -151,9 +154,88 @@ export const constructMetadataURIs = (baseUri) => {
 }
 
 /**
- * Hook to fetch raffle limits from PoolDeployer
+ * Hook to fetch the indexed PoolDeployer configuration (fees, limits, gating,
+ * creation pause) from the backend. config is null until loaded, or when the
+ * backend has nothing for this chain.
+ */
+export function useProtocolConfig(chainId) {
+  const [config, setConfig] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!chainId) {
+      setConfig(null)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    supabaseService.getProtocolConfig(chainId)
+      .then((data) => {
+        if (!cancelled) setConfig(data?.config || null)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [chainId])
+
+  return { config, loading }
+}
+
+/**
+ * Resolves the PoolDeployer limits for prized or non-prized pools: from the
+ * indexed config when it has every value, otherwise from the contract.
+ * Values are strings (durations in seconds); null if neither source answers.
+ */
+export async function resolveRaffleLimits(contracts, config, isPrized = false) {
+  const backendMinSlot = isPrized ? config?.minSlotLimitPrized : config?.minSlotLimitNonPrized
+  const hasBackendLimits = config &&
+    [config.minPoolDuration, config.maxPoolDuration, config.maxSlotLimit, backendMinSlot]
+      .every(v => v !== null && v !== undefined)
+
+  if (hasBackendLimits) {
+    return {
+      minSlot: backendMinSlot.toString(),
+      maxSlot: config.maxSlotLimit.toString(),
+      minDuration: config.minPoolDuration.toString(),
+      maxDuration: config.maxPoolDuration.toString(),
+      maxTicketsPerParticipant: undefined, // Not available on PoolDeployer
+    }
+  }
+
+  if (!contracts?.poolDeployer) return null
+
+  try {
+    // Fetch limits from PoolDeployer contract
+    const [minDuration, maxDuration, maxSlot, minSlot] = await Promise.all([
+      contracts.poolDeployer.minPoolDuration(),
+      contracts.poolDeployer.maxPoolDuration(),
+      contracts.poolDeployer.maxSlotLimit(),
+      contracts.poolDeployer.getMinSlotLimit(isPrized)
+    ])
+
+    return {
+      minSlot: minSlot?.toString(),
+      maxSlot: maxSlot?.toString(),
+      minDuration: minDuration?.toString(),
+      maxDuration: maxDuration?.toString(),
+      maxTicketsPerParticipant: undefined, // Not available on PoolDeployer
+    }
+  } catch (e) {
+    console.warn('[useRaffleLimits] Failed to fetch limits from PoolDeployer:', e.message)
+    return null
+  }
+}
+
+/**
+ * Hook to fetch raffle limits. Reads the indexed config first and falls back
+ * to the PoolDeployer contract when the backend has no usable values.
  */
 export function useRaffleLimits(contracts, isPrized = false) {
+  const { chainId } = useWallet()
+  const { config, loading: configLoading } = useProtocolConfig(chainId)
   const [limits, setLimits] = useState({
     minSlot: undefined,
     maxSlot: undefined,
@@ -163,33 +245,16 @@ export function useRaffleLimits(contracts, isPrized = false) {
   })
 
   useEffect(() => {
-    if (!contracts?.poolDeployer) return
+    if (configLoading) return
 
-    async function fetchLimits() {
-      try {
-        // Fetch limits from PoolDeployer contract
-        const [minDuration, maxDuration, maxSlot, minSlot] = await Promise.all([
-          contracts.poolDeployer.minPoolDuration(),
-          contracts.poolDeployer.maxPoolDuration(),
-          contracts.poolDeployer.maxSlotLimit(),
-          contracts.poolDeployer.getMinSlotLimit(isPrized)
-        ])
-
-        setLimits({
-          minSlot: minSlot?.toString(),
-          maxSlot: maxSlot?.toString(),
-          minDuration: minDuration?.toString(),
-          maxDuration: maxDuration?.toString(),
-          maxTicketsPerParticipant: undefined, // Not available on PoolDeployer
-        })
-      } catch (e) {
-        console.warn('[useRaffleLimits] Failed to fetch limits from PoolDeployer:', e.message)
-        // fallback: do nothing
-      }
-    }
+    let cancelled = false
+    resolveRaffleLimits(contracts, config, isPrized).then((resolved) => {
+      // fallback: keep previous limits
+      if (resolved && !cancelled) setLimits(resolved)
+    })
 
-    fetchLimits()
-  }, [contracts, isPrized])
+    return () => { cancelled = true }
+  }, [contracts, isPrized, config, configLoading])
 
   return limits
 }
@@ -427,9 +492,14 @@ export async function checkTokenApproval(signer, tokenAddress, prizeType, spende
 }
 
 /**
- * Utility function for token approval
+ * Utility function for token approval. ERC20 approvals go through the shared
+ * approval manager (allowance check, exact or unlimited, USDT-style reset);
+ * amount is in base units.
  */
-export async function approveToken({ signer, tokenAddress, prizeType, spender, amount, tokenId }) {
+export async function approveToken({ signer, tokenAddress, prizeType, spender, amount, tokenId, mode = APPROVAL_MODES.UNLIMITED }) {
+  if (prizeType === 'erc20') {
+    return ensureTokenAllowance({ signer, tokenAddress, spender, amount, mode })
+  }
   try {
     // Check for existing approval
     const isAlreadyApproved = await checkTokenApproval(signer, tokenAddress, prizeType, spender, amount, tokenId)
@@ -438,11 +508,7 @@ export async function approveToken({ signer, tokenAddress, prizeType, spender, a
     }
 
     let contract, tx
-    if (prizeType === 'erc20') {
-      contract = new ethers.Contract(tokenAddress, contractABIs.erc20, signer)
-      const approvalAmount = ethers.constants.MaxUint256
-      tx = await contract.approve(spender, approvalAmount)
-    } else if (prizeType === 'erc721') {
+    if (prizeType === 'erc721') {
       contract = new ethers.Contract(tokenAddress, contractABIs.erc721Prize, signer)
       try {
         tx = await contract.setApprovalForAll(spender, true)
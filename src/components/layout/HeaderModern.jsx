@@ -25,6 +25,7 @@ import { ethers } from 'ethers';
 import { contractABIs } from '../../contracts/contractABIs';
 import { SUPPORTED_NETWORKS } from '../../networks';
 import NetworkSelector from '../ui/network-selector';
+import HeaderSearch from './HeaderSearch';
 import Logo from '../ui/Logo';
 import { isAppSubdomain, isLocalDev, getAppRootUrl, isExternalUrl } from '../../utils/subdomainUtils';
 import { useMobileBreakpoints } from '../../hooks/useMobileBreakpoints';
@@ -216,6 +217,13 @@ const HeaderModern = () => {
                     <SheetTitle>Menu</SheetTitle>
                   </SheetHeader>
                   <div className="flex flex-col gap-4 mt-6">
+                    {/* Search Section */}
+                    {!isHomepage && (
+                      <div className="px-2">
+                        <HeaderSearch onNavigate={() => setMobileMenuOpen(false)} />
+                      </div>
+                    )}
+
                     {/* Navigation Section */}
                     <div className="space-y-1">
                       <h3 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider px-3">Navigation</h3>
@@ -351,6 +359,13 @@ const HeaderModern = () => {
             )}
           </motion.div>
 
+          {/* Search */}
+          {!isHomepage && (
+            <motion.div variants={itemVariants} className="flex-1 max-w-md mx-6">
+              <HeaderSearch />
+            </motion.div>
+          )}
+
           {/* Right side actions */}
           <div className="flex items-center gap-3 flex-shrink-0">
             {/* Network selector */}
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Loader2 } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useWallet } from '../../contexts/WalletContext';
+import { SUPPORTED_NETWORKS, DEFAULT_CHAIN_ID } from '../../networks';
+import supabaseService from '../../services/supabaseService';
+import { cn } from '../../lib/utils';
+
+const MIN_QUERY_LENGTH = 2;
+const RESULT_LIMIT = 8;
+
+/**
+ * Renders a backend highlight snippet. Matched words arrive wrapped in
+ * <mark></mark>; everything is rendered as text, never as HTML.
+ */
+const HighlightedText = ({ text, className }) => {
+  if (!text) return null;
+  const parts = text.split(/<mark>(.*?)<\/mark>/g);
+  return (
+    <span className={className}>
+      {parts.map((part, i) =>
+        i % 2 === 1
+          ? <mark key={i} className="bg-primary/20 text-foreground rounded-sm px-0.5">{part}</mark>
+          : <React.Fragment key={i}>{part}</React.Fragment>
+      )}
+    </span>
+  );
+};
+
+/**
+ * HeaderSearch - ranked pool search for the header (name, description,
+ * prize collection, creator labels, address). Debounced; results come from
+ * api-pools ?search= with highlight snippets.
+ */
+const HeaderSearch = ({ className, onNavigate }) => {
+  const { chainId: walletChainId } = useWallet();
+  const chainId = walletChainId || DEFAULT_CHAIN_ID;
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Debounced search; stale responses are dropped
+  useEffect(() => {
+    const term = query.trim();
+    if (term.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const handler = setTimeout(async () => {
+      const pools = await supabaseService.searchPools(chainId, term, RESULT_LIMIT);
+      if (cancelled) return;
+      setResults(pools);
+      setActiveIndex(-1);
+      setLoading(false);
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(handler);
+    };
+  }, [query, chainId]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (pool) => {
+    const poolChainId = pool.chain_id || chainId;
+    const network = SUPPORTED_NETWORKS[poolChainId];
+    const slug = network ? network.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : poolChainId;
+    navigate(slug ? `/${slug}/pool/${pool.address}` : `/pool/${pool.address}`);
+    setOpen(false);
+    setQuery('');
+    setResults([]);
+    onNavigate?.();
+  };
+
+  const handleKeyDown = (event) => {
+    if (!results.length) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex(i => (i + 1) % results.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(i => (i <= 0 ? results.length - 1 : i - 1));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      handleSelect(results[activeIndex >= 0 ? activeIndex : 0]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showDropdown = open && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div ref={containerRef} className={cn('relative', className)}>
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground pointer-events-none" />
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search pools, collections, creators..."
+        className="w-full h-9 pl-9 pr-8 rounded-full border border-border bg-background text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:border-primary transition-colors"
+        aria-label="Search pools"
+      />
+      {loading && (
+        <Loader2 className="absolute right-3 top-1/2 -translate-y-1/2 h-4 w-4 animate-spin text-muted-foreground" />
+      )}
+
+      {showDropdown && (
+        <div className="absolute left-0 right-0 top-full mt-2 z-50 bg-popover/95 backdrop-blur-md border border-border/50 rounded-xl shadow-xl max-h-96 overflow-y-auto">
+          {!loading && results.length === 0 && (
+            <div className="px-4 py-3 text-sm text-muted-foreground">No pools found</div>
+          )}
+          {results.map((pool, index) => {
+            const highlights = pool.search_highlights || {};
+            return (
+              <button
+                key={`${pool.chain_id}-${pool.address}`}
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleSelect(pool)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={cn(
+                  'w-full text-left px-4 py-2.5 border-b border-border/20 last:border-b-0 transition-colors',
+                  index === activeIndex ? 'bg-muted' : 'hover:bg-muted/60'
+                )}
+              >
+                <div className="text-sm font-semibold text-foreground truncate">
+                  {highlights.name
+                    ? <HighlightedText text={highlights.name} />
+                    : (pool.name || `Pool ${pool.address.slice(0, 8)}...`)}
+                </div>
+                {highlights.collection && (
+                  <div className="text-xs text-muted-foreground truncate">
+                    Prize: <HighlightedText text={highlights.collection} />
+                  </div>
+                )}
+                {highlights.description && (
+                  <div className="text-xs text-muted-foreground line-clamp-2">
+                    <HighlightedText text={highlights.description} />
+                  </div>
+                )}
+                <div className="text-xs text-muted-foreground font-mono truncate" title={pool.address}>
+                  {pool.address}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeaderSearch;
@@ -0,0 +1,159 @@
+/**
+ * DrawVerifierPanel Component
+ *
+ * "Verify this draw" dialog for completed pools. Re-derives the winners from
+ * the purchase logs and VRF seeds, diffs them against the pool's winners(i)
+ * and offers the inputs and result as a JSON proof bundle.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, CheckCircle, XCircle, MinusCircle, Download, Loader2, ExternalLink } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
+import { Button } from '../ui/button';
+import { useDrawVerification } from '../../hooks/useDrawVerification';
+import { downloadFile } from '../../utils/fileDownload';
+import { SUPPORTED_NETWORKS } from '../../networks';
+
+const shortAddress = (value) => (value ? `${value.slice(0, 6)}...${value.slice(-4)}` : '—');
+
+const CheckIcon = ({ passed }) => {
+  if (passed === true) return <CheckCircle className="h-4 w-4 text-green-500 flex-shrink-0" />;
+  if (passed === false) return <XCircle className="h-4 w-4 text-red-500 flex-shrink-0" />;
+  return <MinusCircle className="h-4 w-4 text-muted-foreground flex-shrink-0" />;
+};
+
+const DrawVerifierPanel = ({ raffle }) => {
+  const [open, setOpen] = useState(false);
+  const { verify, result, progress, loading, error } = useDrawVerification(raffle.address, raffle.chainId, {
+    createdAtBlock: raffle.createdAtBlock,
+  });
+  const explorer = SUPPORTED_NETWORKS[raffle.chainId]?.explorer;
+
+  useEffect(() => {
+    if (open && !result && !loading && !error) verify();
+  }, [open, result, loading, error, verify]);
+
+  const handleDownload = () => {
+    downloadFile(
+      `draw-proof-${raffle.address.toLowerCase()}.json`,
+      JSON.stringify(result.bundle, null, 2)
+    );
+  };
+
+  const scanned = progress
+    ? Math.min(100, Math.round(((progress.scannedTo - progress.fromBlock + 1) / (progress.toBlock - progress.fromBlock + 1)) * 100))
+    : 0;
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="gap-2">
+          <ShieldCheck className="h-4 w-4" />
+          Verify this draw
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Verify this draw</DialogTitle>
+          <DialogDescription>
+            Winners are re-derived in your browser from the pool's purchase logs and Chainlink VRF seeds, then compared with the winners stored on chain.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex flex-col items-center justify-center gap-2 py-8 text-sm text-muted-foreground">
+            <div className="flex items-center gap-2">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              {progress ? `Reading pool logs... ${scanned}%` : 'Reading pool state...'}
+            </div>
+          </div>
+        ) : error ? (
+          <div className="space-y-3 py-6 text-center">
+            <p className="text-sm text-muted-foreground">{error}</p>
+            <Button variant="outline" size="sm" onClick={verify}>Try again</Button>
+          </div>
+        ) : result ? (
+          <div className="space-y-4">
+            <div className={`flex items-center gap-3 rounded-lg border p-3 ${result.passed ? 'border-green-500/40 bg-green-500/10' : 'border-red-500/40 bg-red-500/10'}`}>
+              {result.passed ? <CheckCircle className="h-5 w-5 text-green-500" /> : <XCircle className="h-5 w-5 text-red-500" />}
+              <div>
+                <p className="font-medium">{result.passed ? 'Draw verified' : 'Verification failed'}</p>
+                <p className="text-xs text-muted-foreground">
+                  {result.comparison.rows.length - result.comparison.mismatches} of {result.comparison.rows.length} winners match
+                  {' '}across {result.inputs.batches.length} batch{result.inputs.batches.length === 1 ? '' : 'es'}
+                </p>
+              </div>
+            </div>
+
+            <ul className="space-y-2">
+              {result.checks.map((check) => (
+                <li key={check.id} className="flex items-start gap-2 text-sm">
+                  <CheckIcon passed={check.passed} />
+                  <div className="min-w-0">
+                    <p>{check.label}</p>
+                    <p className="text-xs text-muted-foreground break-words">{check.detail}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {explorer && result.inputs.batches.some(batch => batch.requestTransaction || batch.fulfilmentTransaction) && (
+              <div className="space-y-1 text-xs">
+                {result.inputs.batches.map((batch) => (
+                  <div key={batch.batchNumber} className="flex flex-wrap items-center gap-3 text-muted-foreground">
+                    <span>Batch {batch.batchNumber + 1}</span>
+                    {batch.requestTransaction && (
+                      <a href={`${explorer}/tx/${batch.requestTransaction}`} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 hover:text-foreground">
+                        VRF request <ExternalLink className="h-3 w-3" />
+                      </a>
+                    )}
+                    {batch.fulfilmentTransaction && (
+                      <a href={`${explorer}/tx/${batch.fulfilmentTransaction}`} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 hover:text-foreground">
+                        VRF fulfilment <ExternalLink className="h-3 w-3" />
+                      </a>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="rounded-lg border border-border/50 overflow-hidden">
+              <div className="max-h-64 overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="bg-muted/30 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium">#</th>
+                      <th className="px-3 py-2 text-left font-medium">Derived</th>
+                      <th className="px-3 py-2 text-left font-medium">On chain</th>
+                      <th className="px-3 py-2 text-right font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border/50">
+                    {result.comparison.rows.map((row) => (
+                      <tr key={row.index} className={row.match ? '' : 'bg-red-500/10'}>
+                        <td className="px-3 py-1.5 text-muted-foreground">{row.index + 1}</td>
+                        <td className="px-3 py-1.5 font-mono" title={row.derived || ''}>{shortAddress(row.derived)}</td>
+                        <td className="px-3 py-1.5 font-mono" title={row.onChain || ''}>{shortAddress(row.onChain)}</td>
+                        <td className="px-3 py-1.5 text-right"><CheckIcon passed={row.match} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" size="sm" onClick={verify}>Run again</Button>
+              <Button size="sm" className="gap-2" onClick={handleDownload}>
+                <Download className="h-4 w-4" />
+                Download proof
+              </Button>
+            </div>
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DrawVerifierPanel;
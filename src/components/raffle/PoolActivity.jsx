@@ -10,6 +10,15 @@
  * - random_requested: RandomRequested event
  * - refund_claimed: RefundClaimed event
  * - prize_claimed: PrizeClaimed event
+ * - pool_paused / pool_unpaused: Paused / Unpaused events
+ * - minting_failed: MintingFailed event (carries a decoded reason)
+ * - batch_failed: BatchProcessingFailed / BatchProcessingFailedBytes events
+ *
+ * When prize mints to winners have failed, the pool creator gets a callout to
+ * retry them via batchMintToWinners (onRetryMints).
+ *
+ * Entries the indexer has not yet seen buried under the chain's confirmation
+ * depth carry status 'pending' and are badged as unconfirmed.
  *
  * Variants:
  * - 'standard': For StandardPoolLayout - used inside RaffleInfoTabs
@@ -17,7 +26,7 @@
  */
 
 import React, { useState, useMemo } from 'react';
-import { Activity, Clock, Filter } from 'lucide-react';
+import { Activity, AlertTriangle, Clock, Filter, Hourglass, PauseCircle, RefreshCw } from 'lucide-react';
 
 // Explorer link generator
 function getExplorerLink(addressOrTx, chainIdOverride, isTransaction = false) {
@@ -92,11 +101,32 @@ const getActivityLabel = (activity) => {
       return 'prize claimed';
     case 'raffle_created':
       return 'created pool';
+    case 'pool_paused':
+      return 'paused pool';
+    case 'pool_unpaused':
+      return 'unpaused pool';
+    case 'minting_failed':
+      return 'prize mint failed';
+    case 'batch_failed':
+      return 'batch processing failed';
     default:
       return activity.activity_type || 'activity';
   }
 };
 
+/**
+ * Badge shown next to activity that is still within the confirmation window
+ */
+const PendingBadge = () => (
+  <span
+    className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-medium uppercase tracking-wide bg-amber-500/10 text-amber-600 dark:text-amber-400 border border-amber-500/30"
+    title="Awaiting block confirmations — may still change if the chain reorganizes"
+  >
+    <Hourglass className="h-2.5 w-2.5" />
+    Pending
+  </span>
+);
+
 /**
  * Main PoolActivity Component - Table-based layout
  */
@@ -107,8 +137,20 @@ const ACTIVITY_FILTERS = [
   { value: 'randomness_requested', label: 'Randomness Requests' },
   { value: 'prize_claimed', label: 'Prize Claims' },
   { value: 'refund_claimed', label: 'Refund Claims' },
+  { value: 'failures', label: 'Mint Failures' },
 ];
 
+const FAILURE_ACTIVITY_TYPES = ['minting_failed', 'batch_failed'];
+
+/**
+ * Decoded revert reason shown under failure entries
+ */
+const FailureReason = ({ reason }) => (
+  <span className="block text-xs text-red-500 truncate max-w-full" title={reason}>
+    {reason}
+  </span>
+);
+
 const MAX_VISIBLE_ENTRIES = 7;
 
 const PoolActivity = ({
@@ -116,6 +158,8 @@ const PoolActivity = ({
   activity: propActivity, // Activity data passed from parent
   variant = 'standard',
   className = '',
+  onRetryMints, // Only provided for the pool creator
+  retryingMints = false,
 }) => {
   const [activeFilter, setActiveFilter] = useState('all');
   const [showFilterDropdown, setShowFilterDropdown] = useState(false);
@@ -137,9 +181,18 @@ const PoolActivity = ({
   // Apply user-selected filter
   const activities = useMemo(() => {
     if (activeFilter === 'all') return allActivities;
+    if (activeFilter === 'failures') {
+      return allActivities.filter(activity => FAILURE_ACTIVITY_TYPES.includes(activity.activity_type));
+    }
     return allActivities.filter(activity => activity.activity_type === activeFilter);
   }, [allActivities, activeFilter]);
 
+  // Winners whose latest prize mint failed and hasn't been retried successfully
+  const failedMintWinners = useMemo(() => {
+    const winners = (raffle?._backendWinners || []).filter(w => w.mint_failed);
+    return [...new Set(winners.map(w => w.winner_address))];
+  }, [raffle?._backendWinners]);
+
   const backendAvailable = allActivities.length > 0;
   const loading = false; // Activity is passed from parent, no loading state needed
 
@@ -248,11 +301,17 @@ const PoolActivity = ({
                   </div>
                   <div className="flex items-center gap-3 pl-7">
                     <span className="text-sm font-medium text-foreground">{getActivityLabel(activity)}</span>
+                    {activity.status === 'pending' && <PendingBadge />}
                     <span className="inline-flex items-center gap-1 text-xs text-muted-foreground">
                       <Clock className="h-3 w-3" />
                       {formatRelativeTime(activity.timestamp)}
                     </span>
                   </div>
+                  {activity.reason && (
+                    <div className="pl-7 min-w-0">
+                      <FailureReason reason={activity.reason} />
+                    </div>
+                  )}
                 </div>
 
                 {/* Desktop layout: 12-column grid */}
@@ -287,10 +346,12 @@ const PoolActivity = ({
                   </div>
                   
                   {/* Activity Type/Action */}
-                  <div className="col-span-4 flex justify-center">
-                    <span className="inline-flex items-center gap-1 text-sm font-medium text-foreground">
+                  <div className="col-span-4 flex flex-col items-center min-w-0">
+                    <span className="inline-flex items-center gap-2 text-sm font-medium text-foreground">
                       {getActivityLabel(activity)}
+                      {activity.status === 'pending' && <PendingBadge />}
                     </span>
+                    {activity.reason && <FailureReason reason={activity.reason} />}
                   </div>
                   
                   {/* Time */}
@@ -309,8 +370,42 @@ const PoolActivity = ({
     );
   };
 
+  // Pool-level notices: paused pool and failed prize mints
+  const renderNotices = () => (
+    <>
+      {raffle?.isPaused && (
+        <div className="flex items-center gap-2 px-4 py-2 border-b border-border/50 bg-amber-500/10 text-amber-700 dark:text-amber-400 text-xs">
+          <PauseCircle className="h-4 w-4 shrink-0" />
+          <span>This pool is currently paused by the protocol.</span>
+        </div>
+      )}
+      {failedMintWinners.length > 0 && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2 px-4 py-2 border-b border-border/50 bg-red-500/10 text-xs">
+          <div className="flex items-start gap-2 flex-1 min-w-0 text-red-600 dark:text-red-400">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            <span>
+              Prize minting failed for {failedMintWinners.length} winner{failedMintWinners.length !== 1 ? 's' : ''}
+              {raffle?.lastMintFailureReason ? `: ${raffle.lastMintFailureReason}` : '.'}
+            </span>
+          </div>
+          {onRetryMints && (
+            <button
+              onClick={onRetryMints}
+              disabled={retryingMints}
+              className="inline-flex items-center justify-center gap-1.5 px-3 py-1 rounded-md text-xs font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-60 transition-colors"
+            >
+              <RefreshCw className={`h-3 w-3 ${retryingMints ? 'animate-spin' : ''}`} />
+              {retryingMints ? 'Retrying...' : 'Retry Mint'}
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+
   return (
     <div className={`pool-activity-content h-full flex flex-col ${className}`}>
+      {renderNotices()}
       {renderActivityTable()}
     </div>
   );
@@ -0,0 +1,143 @@
+/**
+ * PoolExportDialog Component
+ *
+ * Creator-only download of a pool's participants or winners as CSV, JSON or a
+ * plain allowlist, optionally with a Merkle root and per-address proofs.
+ * Files come from api-pools/:address/export, which checks the wallet signature
+ * against the pool creator.
+ */
+
+import React, { useState } from 'react';
+import { Download, Loader2, Copy } from 'lucide-react';
+import { toast } from '../ui/sonner';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Switch } from '../ui/switch';
+import { useWallet } from '../../contexts/WalletContext';
+import supabaseService from '../../services/supabaseService';
+import { withWalletAuth } from '../../utils/walletAuth';
+import { downloadFile } from '../../utils/fileDownload';
+
+const LISTS = [
+  { id: 'participants', label: 'Participants' },
+  { id: 'winners', label: 'Winners' },
+];
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv' },
+  { id: 'json', label: 'JSON', extension: 'json' },
+  { id: 'allowlist', label: 'Allowlist', extension: 'txt' },
+];
+
+const OptionGroup = ({ label, options, value, onChange }) => (
+  <div className="space-y-2">
+    <p className="text-sm font-medium">{label}</p>
+    <div className="flex flex-wrap gap-2">
+      {options.map((option) => (
+        <Button
+          key={option.id}
+          type="button"
+          size="sm"
+          variant={value === option.id ? 'default' : 'outline'}
+          onClick={() => onChange(option.id)}
+        >
+          {option.label}
+        </Button>
+      ))}
+    </div>
+  </div>
+);
+
+const PoolExportDialog = ({ raffle, hasWinners }) => {
+  const { signer, address } = useWallet();
+  const [open, setOpen] = useState(false);
+  const [list, setList] = useState('participants');
+  const [format, setFormat] = useState('csv');
+  const [merkle, setMerkle] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [merkleRoot, setMerkleRoot] = useState(null);
+
+  const lists = hasWinners ? LISTS : LISTS.filter((option) => option.id !== 'winners');
+
+  const handleExport = async () => {
+    setExporting(true);
+    setMerkleRoot(null);
+    try {
+      const result = await withWalletAuth(signer, address, (headers) =>
+        supabaseService.exportPool(raffle.address, raffle.chainId, { list, format, merkle }, headers)
+      );
+      const extension = FORMATS.find((option) => option.id === format).extension;
+      const suffix = format === 'allowlist' ? '-allowlist' : '';
+      downloadFile(`${raffle.address.toLowerCase()}-${list}${suffix}.${extension}`, result.content, result.contentType);
+      if (result.merkleRoot) setMerkleRoot(result.merkleRoot);
+    } catch (error) {
+      console.error('Pool export failed:', error);
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const copyRoot = async () => {
+    try {
+      await navigator.clipboard.writeText(merkleRoot);
+      toast.success('Merkle root copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="gap-2">
+          <Download className="h-4 w-4" />
+          Export
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export pool data</DialogTitle>
+          <DialogDescription>
+            Participants include slots, spend, wins, claim and refund status and social task completion. Allowlists have one checksummed address per line.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <OptionGroup label="List" options={lists} value={list} onChange={setList} />
+          <OptionGroup label="Format" options={FORMATS} value={format} onChange={setFormat} />
+
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm font-medium">Merkle proofs</p>
+              <p className="text-xs text-muted-foreground">
+                Root over keccak256(abi.encodePacked(address)) leaves, OpenZeppelin MerkleProof compatible.
+                {format === 'allowlist' && ' The allowlist file itself only lists addresses.'}
+              </p>
+            </div>
+            <Switch checked={merkle} onCheckedChange={setMerkle} />
+          </div>
+
+          {merkleRoot && (
+            <div className="rounded-lg border border-border/50 p-3 space-y-1">
+              <p className="text-xs text-muted-foreground">Merkle root</p>
+              <div className="flex items-center gap-2">
+                <code className="text-xs break-all flex-1">{merkleRoot}</code>
+                <Button variant="ghost" size="sm" onClick={copyRoot} title="Copy">
+                  <Copy className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+
+          <Button className="w-full gap-2" onClick={handleExport} disabled={exporting || !address}>
+            {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            {exporting ? 'Preparing...' : 'Download'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PoolExportDialog;
@@ -15,6 +15,7 @@ import { ethers } from 'ethers';
 import { Card, CardContent } from '../ui/card';
 import { useContract } from '../../contexts/ContractContext';
 import { useCollabDetection } from '../../contexts/CollabDetectionContext';
+import { useWallet } from '../../contexts/WalletContext';
 import { Image, ImageOff, ExternalLink, Gift, Sparkles } from 'lucide-react';
 import { constructMetadataURIs } from '../../utils/nftMetadataUtils';
 import {
@@ -22,6 +23,7 @@ import {
   isZeroHash,
   resolveURIOrHash
 } from '../../services/uriRegistryService';
+import PrizeRarityPanel from './PrizeRarityPanel';
 
 // Gateway configurations for decentralized storage
 const IPFS_GATEWAYS = [
@@ -63,6 +65,7 @@ const PrizeImageCard = ({
 }) => {
   const { getContractInstance } = useContract();
   const { getCollabStatus } = useCollabDetection();
+  const { chainId: walletChainId } = useWallet();
   const [imageUrl, setImageUrl] = useState(null);
   const [loading, setLoading] = useState(true);
   const [fetchSource, setFetchSource] = useState(null);
@@ -530,6 +533,17 @@ const PrizeImageCard = ({
     return `#${id}`;
   };
 
+  // Rarity rank for escrowed prizes whose collection metadata has been indexed
+  const rarityPanel = isEscrowedPrize && raffle?.prizeTokenId !== undefined && variant !== 'compact' ? (
+    <PrizeRarityPanel
+      collectionAddress={raffle.prizeCollection}
+      chainId={raffle.chainId || walletChainId}
+      tokenId={raffle.prizeTokenId}
+      collectionName={collectionName}
+      className={isHero ? 'mt-4' : 'mt-4 max-w-[256px]'}
+    />
+  ) : null;
+
   // Hero variant render
   if (isHero) {
     const mediaElement = isVideo ? (
@@ -553,7 +567,7 @@ const PrizeImageCard = ({
 
     // If no badges needed, return just the media element
     if (!showEscrowedBadge && !showNFTDropBadge) {
-      return <div className={className}>{mediaElement}</div>;
+      return <div className={className}>{mediaElement}{rarityPanel}</div>;
     }
 
     // Render with badge overlay
@@ -579,6 +593,8 @@ const PrizeImageCard = ({
             </span>
           </div>
         )}
+
+        {rarityPanel}
       </div>
     );
   }
@@ -605,6 +621,7 @@ const PrizeImageCard = ({
             onError={handleMediaError}
           />
         )}
+        {rarityPanel}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,78 @@
+/**
+ * PrizeRarityPanel Component
+ *
+ * Shows where an escrowed prize NFT ranks within its collection by
+ * statistical rarity, with the frequency of each of its traits.
+ */
+
+import React from 'react';
+import { Gem } from 'lucide-react';
+import { Button } from '../ui/button';
+import { cn } from '../../lib/utils';
+import TraitExplorerDialog from './TraitExplorerDialog';
+import { useCollectionTraits } from '../../hooks/useCollectionTraits';
+import { formatTraitFrequency, formatRankPercentile } from '../../utils/rarityUtils';
+
+const PrizeRarityPanel = ({ collectionAddress, chainId, tokenId, collectionName, className = '' }) => {
+  const { traits, tokensById } = useCollectionTraits(collectionAddress, chainId);
+
+  const token = tokenId !== undefined && tokenId !== null ? tokensById.get(String(tokenId)) : null;
+
+  // Nothing indexed for this prize yet; the artwork speaks for itself
+  if (!traits || !token) return null;
+
+  const frequencyOf = (traitType, value) =>
+    traits.traitTypes
+      .find(type => type.traitType === traitType)
+      ?.values.find(entry => entry.value === value)
+      ?.frequency;
+
+  const percentile = formatRankPercentile(token.rank, traits.totalTokens);
+
+  return (
+    <div className={cn('w-full space-y-3 text-sm', className)}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="flex items-center gap-2 font-medium">
+          <Gem className="h-4 w-4 text-primary" />
+          Rarity rank #{token.rank} of {traits.totalTokens}
+        </span>
+        {percentile && (
+          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-primary/10 text-primary">
+            {percentile}
+          </span>
+        )}
+      </div>
+
+      {Object.keys(token.traits).length > 0 && (
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(token.traits).map(([traitType, value]) => {
+            const frequency = frequencyOf(traitType, value);
+            return (
+              <div key={traitType} className="rounded-md border border-border/50 px-2 py-1.5">
+                <p className="text-xs text-muted-foreground truncate">{traitType}</p>
+                <p className="font-medium truncate" title={value}>{value}</p>
+                {frequency !== undefined && (
+                  <p className="text-xs text-muted-foreground">{formatTraitFrequency(frequency)} have this</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <TraitExplorerDialog
+        collectionAddress={collectionAddress}
+        chainId={chainId}
+        collectionName={collectionName}
+        highlightTokenId={tokenId}
+        trigger={
+          <Button variant="outline" size="sm" className="w-full">
+            Explore collection traits
+          </Button>
+        }
+      />
+    </div>
+  );
+};
+
+export default PrizeRarityPanel;
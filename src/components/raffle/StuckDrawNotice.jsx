@@ -0,0 +1,124 @@
+/**
+ * StuckDrawNotice Component
+ *
+ * Shown to the pool creator when sync-pool-states has flagged the draw as
+ * stuck (pools.draw_stuck_reason). Explains the reason and offers the matching
+ * recovery action: request randomness again, retry failed mints, or check the
+ * VRF subscription balance.
+ */
+
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { AlertTriangle, ExternalLink, RefreshCw } from 'lucide-react';
+import { Button } from '../ui/button';
+import { toast } from '../ui/sonner';
+import { useContract } from '../../contexts/ContractContext';
+import { notifyError } from '../../utils/notificationService';
+import { getStuckDrawInfo, formatStuckDuration } from '../../utils/stuckDraw';
+import { SUPPORTED_NETWORKS } from '../../networks';
+
+const formatBalance = (value) => {
+  if (value === undefined || value === null) return 'unknown';
+  return Number(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 4 });
+};
+
+const StuckDrawNotice = ({ raffle, onRetryMints, retryingMints, onRecovered }) => {
+  const { getContractInstance, executeTransaction } = useContract();
+  const [requesting, setRequesting] = useState(false);
+
+  const info = getStuckDrawInfo(raffle.drawStuckReason);
+  if (!info || raffle.stateNum !== 3) return null;
+
+  const details = raffle.drawStuckDetails || {};
+  // Retrying mints only helps winners whose mint is recorded as failed
+  const canRetryMints = info.actions.includes('retry_mints') && (raffle._backendWinners || []).some(w => w.mint_failed);
+  const network = SUPPORTED_NETWORKS[raffle.chainId];
+  const nativeSymbol = network?.nativeCurrency?.symbol || 'native';
+
+  const handleRequestRandomness = async () => {
+    setRequesting(true);
+    try {
+      const poolContract = getContractInstance(raffle.address, 'pool');
+      if (!poolContract) throw new Error('Failed to get pool contract');
+      try {
+        await poolContract.callStatic.requestRandomness();
+      } catch (simErr) {
+        notifyError(simErr, { action: 'requestRandomness', phase: 'preflight' });
+        return;
+      }
+      const result = await executeTransaction(poolContract.requestRandomness);
+      if (!result.success) throw new Error(result.error);
+      toast.success('Randomness requested');
+      onRecovered?.();
+    } catch (error) {
+      notifyError(error, { action: 'requestRandomness' });
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-amber-50/80 dark:bg-amber-900/20 backdrop-blur-sm border border-amber-200/50 dark:border-amber-700/50 rounded-lg space-y-3">
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="h-5 w-5 text-amber-600 flex-shrink-0 mt-0.5" />
+        <div className="space-y-1">
+          <p className="text-sm font-medium text-amber-900 dark:text-amber-100">
+            Draw stuck for {formatStuckDuration(raffle.drawStuckSince)}: {info.label}
+          </p>
+          <p className="text-sm text-amber-800 dark:text-amber-200">{info.description}</p>
+          {details.failureReason && (
+            <p className="text-xs text-amber-800 dark:text-amber-200 break-words">Revert reason: {details.failureReason}</p>
+          )}
+          <p className="text-xs text-amber-700 dark:text-amber-300">
+            {details.winnersSelected ?? raffle.winnersSelected}/{details.winnersCount ?? raffle.winnersCount} winners selected
+            {details.requestTxHash && network?.explorer && (
+              <>
+                {' · '}
+                <a
+                  href={`${network.explorer}/tx/${details.requestTxHash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 underline"
+                >
+                  Last request <ExternalLink className="h-3 w-3" />
+                </a>
+              </>
+            )}
+          </p>
+        </div>
+      </div>
+
+      {info.actions.includes('retry_mints') && (
+        <p className="text-xs text-amber-800 dark:text-amber-200">
+          {canRetryMints
+            ? 'Some winners\' prize mints failed and can be retried.'
+            : 'No winner mints are recorded as failed, so there is nothing to retry. Request randomness to continue the draw.'}
+        </p>
+      )}
+
+      {info.actions.includes('check_subscription') && details.subscriptionId && (
+        <div className="text-xs text-amber-800 dark:text-amber-200 rounded-md border border-amber-200/60 dark:border-amber-700/60 p-2">
+          VRF subscription {details.subscriptionId.length > 12 ? `${details.subscriptionId.slice(0, 6)}...${details.subscriptionId.slice(-4)}` : details.subscriptionId}:
+          {' '}{formatBalance(details.subscriptionBalance)} LINK, {formatBalance(details.subscriptionNativeBalance)} {nativeSymbol}.
+          {' '}Subscriptions are funded by the protocol; if the balance is low, contact the Dropr team before requesting again.
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {canRetryMints && onRetryMints && (
+          <Button size="sm" variant="outline" onClick={onRetryMints} disabled={retryingMints}>
+            {retryingMints ? 'Retrying...' : 'Retry failed mints'}
+          </Button>
+        )}
+        {info.actions.includes('request_randomness') && (
+          <Button size="sm" onClick={handleRequestRandomness} disabled={requesting} className="gap-2">
+            <RefreshCw className={`h-4 w-4 ${requesting ? 'animate-spin' : ''}`} />
+            {requesting ? 'Requesting...' : 'Request randomness'}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StuckDrawNotice;
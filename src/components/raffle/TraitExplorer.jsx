@@ -0,0 +1,126 @@
+/**
+ * TraitExplorer Component
+ *
+ * Filters a collection's tokens by trait and lists them by statistical rarity
+ * rank. Fed by useCollectionTraits (api-collections?include=traits).
+ */
+
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Select, SelectTrigger, SelectContent, SelectItem, SelectValue } from '../ui/select';
+import { cn } from '../../lib/utils';
+import { NONE_TRAIT_VALUE, formatTraitFrequency, formatRarityOdds } from '../../utils/rarityUtils';
+
+const ANY_VALUE = '__any__';
+const PAGE_SIZE = 50;
+
+const TraitExplorer = ({ traits, highlightTokenId, className = '' }) => {
+  const [filters, setFilters] = useState({});
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const activeFilters = useMemo(
+    () => Object.entries(filters).filter(([, value]) => value !== ANY_VALUE),
+    [filters]
+  );
+
+  const matchingTokens = useMemo(() => {
+    if (!traits) return [];
+    return traits.tokens.filter(token =>
+      activeFilters.every(([traitType, value]) => (token.traits[traitType] ?? NONE_TRAIT_VALUE) === value)
+    );
+  }, [traits, activeFilters]);
+
+  if (!traits || traits.totalTokens === 0) {
+    return (
+      <p className={cn('text-sm text-muted-foreground text-center p-4', className)}>
+        No trait data has been indexed for this collection yet.
+      </p>
+    );
+  }
+
+  const setFilter = (traitType, value) => {
+    setFilters(prev => ({ ...prev, [traitType]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const highlight = highlightTokenId !== undefined && highlightTokenId !== null ? String(highlightTokenId) : null;
+
+  return (
+    <div className={cn('space-y-4', className)}>
+      {/* Trait filters */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {traits.traitTypes.map(({ traitType, values }) => (
+          <div key={traitType}>
+            <label className="block text-xs font-medium text-muted-foreground mb-1">{traitType}</label>
+            <Select value={filters[traitType] || ANY_VALUE} onValueChange={value => setFilter(traitType, value)}>
+              <SelectTrigger className="h-9 text-sm">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY_VALUE}>Any</SelectItem>
+                {values.map(({ value, count, frequency }) => (
+                  <SelectItem key={value} value={value}>
+                    {value} · {count} ({formatTraitFrequency(frequency)})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="text-muted-foreground">
+          {matchingTokens.length} of {traits.totalTokens} tokens
+        </span>
+        {activeFilters.length > 0 && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              setFilters({});
+              setVisibleCount(PAGE_SIZE);
+            }}
+          >
+            <X className="h-4 w-4 mr-1" />
+            Clear filters
+          </Button>
+        )}
+      </div>
+
+      {/* Rarity ranking */}
+      <div className="rounded-lg border border-border/50 divide-y divide-border/30">
+        <div className="grid grid-cols-3 gap-2 px-3 py-2 text-xs font-medium text-muted-foreground">
+          <span>Rank</span>
+          <span>Token</span>
+          <span className="text-right">Odds</span>
+        </div>
+        {matchingTokens.slice(0, visibleCount).map(token => (
+          <div
+            key={token.tokenId}
+            className={cn(
+              'grid grid-cols-3 gap-2 px-3 py-2 text-sm',
+              highlight === String(token.tokenId) && 'bg-primary/10 font-semibold'
+            )}
+          >
+            <span>#{token.rank}</span>
+            <span className="font-mono">#{token.tokenId}</span>
+            <span className="text-right text-muted-foreground">{formatRarityOdds(token.statisticalRarity)}</span>
+          </div>
+        ))}
+        {matchingTokens.length === 0 && (
+          <p className="px-3 py-4 text-sm text-muted-foreground text-center">No tokens match these traits.</p>
+        )}
+      </div>
+
+      {matchingTokens.length > visibleCount && (
+        <Button variant="outline" size="sm" className="w-full" onClick={() => setVisibleCount(count => count + PAGE_SIZE)}>
+          Show more
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default TraitExplorer;
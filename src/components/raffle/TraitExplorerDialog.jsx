@@ -0,0 +1,47 @@
+/**
+ * TraitExplorerDialog Component
+ *
+ * Opens TraitExplorer for a collection in a dialog. Trait data is only loaded
+ * once the dialog is opened.
+ */
+
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
+import TraitExplorer from './TraitExplorer';
+import { useCollectionTraits } from '../../hooks/useCollectionTraits';
+
+const TraitExplorerDialog = ({ collectionAddress, chainId, collectionName, highlightTokenId, trigger }) => {
+  const [open, setOpen] = useState(false);
+  const { traits, truncated, loading, error } = useCollectionTraits(collectionAddress, chainId, { enabled: open });
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{collectionName ? `${collectionName} traits` : 'Collection traits'}</DialogTitle>
+        </DialogHeader>
+        {loading ? (
+          <div className="flex items-center justify-center gap-2 py-8 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading traits...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-muted-foreground text-center py-8">{error}</p>
+        ) : (
+          <>
+            {truncated && (
+              <p className="text-xs text-muted-foreground">
+                Only the first {traits?.totalTokens} indexed tokens are included in these counts.
+              </p>
+            )}
+            <TraitExplorer traits={traits} highlightTokenId={highlightTokenId} />
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TraitExplorerDialog;
@@ -8,6 +8,8 @@ import { useRaffleEventListener } from '../../hooks/useRaffleService';
 import { Button } from '../ui/button';
 import supabaseService from '../../services/supabaseService';
 import { SUPPORTED_NETWORKS, DEFAULT_CHAIN_ID } from '../../networks';
+import DrawVerifierPanel from './DrawVerifierPanel';
+import PoolExportDialog from './PoolExportDialog';
 
 const POOL_STATE_LABELS = [
   'Pending',
@@ -1447,9 +1449,19 @@ const WinnersSection = React.memo(({ raffle, isMintableERC721, isEscrowedPrize,
     }
   };
 
+  const isDrawComplete = raffle.stateNum === 4 || raffle.stateNum === 6;
+  const isCreator = !!connectedAddress && connectedAddress.toLowerCase() === raffle.creator?.toLowerCase();
+
   return (
     <div className="winners-section-content h-full flex flex-col">
       {getStateContent()}
+      {(isDrawComplete || isCreator) && raffle.chainId && (
+        <div className="flex flex-wrap justify-center gap-2 px-4 py-3 border-t border-border/50">
+          {/* Completed draws can be replayed from chain data */}
+          {isDrawComplete && <DrawVerifierPanel raffle={raffle} />}
+          {isCreator && <PoolExportDialog raffle={raffle} hasWinners={winnersSelectedCount > 0} />}
+        </div>
+      )}
     </div>
   );
 });
@@ -11,3 +11,8 @@ export { default as StandardPoolLayout } from './StandardPoolLayout';
 export { default as PoolActivity } from './PoolActivity';
 export { default as WinnersSection } from './WinnersSection';
 export { default as RaffleInfoTabs } from './RaffleInfoTabs';
+export { default as TraitExplorer } from './TraitExplorer';
+export { default as PrizeRarityPanel } from './PrizeRarityPanel';
+export { default as DrawVerifierPanel } from './DrawVerifierPanel';
+export { default as PoolExportDialog } from './PoolExportDialog';
+export { default as StuckDrawNotice } from './StuckDrawNotice';
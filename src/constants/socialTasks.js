@@ -4,3 +4,23 @@ export const SOCIAL_TASK_CONSTANTS = {
   MAX_DESCRIPTION_LENGTH: 1000,    // Matches SocialEngagementManager.MAX_DESCRIPTION_LENGTH
   TASK_SEPARATOR: '|'              // Used for task separation in descriptions
 };
+
+// Actions offered per platform. Labels end up in the on-chain task description
+// ("PLATFORM: Label - target"), so changing one changes how tasks read back.
+export const SOCIAL_TASK_ACTIONS = {
+  twitter: [
+    { value: 'follow', label: 'Follow Account' },
+    { value: 'like', label: 'Like Tweet' },
+    { value: 'retweet', label: 'Retweet' },
+    { value: 'comment', label: 'Comment on Tweet' },
+    { value: 'quote', label: 'Quote Tweet' }
+  ],
+  discord: [
+    { value: 'join', label: 'Join Server' },
+    { value: 'react', label: 'React to Message' }
+  ],
+  telegram: [
+    { value: 'join', label: 'Join Channel/Group' },
+    { value: 'follow', label: 'Follow Channel' }
+  ]
+};
@@ -0,0 +1,278 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useContract } from '../contexts/ContractContext';
+import { useWallet } from '../contexts/WalletContext';
+import { supabaseService } from '../services/supabaseService';
+
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const HISTORY_PAGE_SIZE = 25;
+// Largest page api-collections returns
+const EVENT_PAGE_SIZE = 100;
+// Token IDs whose details are read in parallel
+const TOKEN_CHUNK_SIZE = 10;
+
+// Indexed events that name the KOLs and minter pools to read on-chain
+const KOL_EVENTS = ['KOLApproved', 'KOLRevoked'];
+const MINTER_EVENTS = ['MinterAndAllocationSet', 'MinterAllocationRestored'];
+
+// Vesting schedule plus how much of the creator allocation is mintable now;
+// tokenId only for ERC1155
+const readVesting = async (contract, ...tokenId) => {
+  const [config, availableToMint] = await Promise.all([
+    contract.vestingConfig(...tokenId),
+    contract.getAvailableCreatorMint(...tokenId),
+  ]);
+  return {
+    cliffEnd: config.cliffEnd.toNumber(),
+    numberOfUnlocks: config.numberOfUnlocks.toNumber(),
+    durationBetweenUnlocks: config.durationBetweenUnlocks.toNumber(),
+    amountPerUnlock: config.amountPerUnlock.toString(),
+    availableToMint: availableToMint.toString(),
+  };
+};
+
+const readERC721Supply = async (contract) => {
+  const [maxSupply, totalSupply, allocatedSupply, availableSupply, creationTime, creatorAllocation, allocationDeclared, creatorClaimed, creatorUnlocked, vestingConfigured] = await Promise.all([
+    contract.maxSupply(),
+    contract.totalSupply(),
+    contract.totalAllocatedSupply(),
+    contract.availableSupply(),
+    contract.creationTime(),
+    contract.creatorAllocation(),
+    contract.creatorAllocationDeclared(),
+    contract.creatorClaimedCount(),
+    contract.getUnlockedCreatorAllocation(),
+    contract.vestingConfigured(),
+  ]);
+  const vesting = vestingConfigured ? await readVesting(contract) : null;
+
+  return {
+    maxSupply: maxSupply.toString(),
+    totalSupply: totalSupply.toString(),
+    allocatedSupply: allocatedSupply.toString(),
+    availableSupply: availableSupply.toString(),
+    creationTime: creationTime.toNumber(),
+    creator: {
+      allocation: creatorAllocation.toString(),
+      declared: allocationDeclared,
+      claimed: creatorClaimed.toString(),
+      unlocked: creatorUnlocked.toString(),
+      vesting,
+    },
+  };
+};
+
+const readERC1155Tokens = async (contract) => {
+  const ids = await contract.getAllTokenIds();
+  const tokens = [];
+  for (let i = 0; i < ids.length; i += TOKEN_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + TOKEN_CHUNK_SIZE);
+    const details = await Promise.all(chunk.map(async (id) => {
+      const [info, availableSupply, allocatedSupply, creationTime, creatorAllocation, allocationDeclared, creatorClaimed, creatorUnlocked, vestingConfigured] = await Promise.all([
+        contract.getTokenInfo(id),
+        contract.availableSupply(id),
+        contract.tokenAllocatedSupply(id),
+        contract.tokenCreationTime(id),
+        contract.creatorAllocation(id),
+        contract.creatorAllocationDeclared(id),
+        contract.creatorClaimedCount(id),
+        contract.getUnlockedCreatorAllocation(id),
+        contract.vestingConfigured(id),
+      ]);
+      const vesting = vestingConfigured ? await readVesting(contract, id) : null;
+      return {
+        tokenId: id.toString(),
+        maxSupply: info.maxSupply_.toString(),
+        totalSupply: info.currentSupply_.toString(),
+        allocatedSupply: allocatedSupply.toString(),
+        availableSupply: availableSupply.toString(),
+        creationTime: creationTime.toNumber(),
+        creator: {
+          allocation: creatorAllocation.toString(),
+          declared: allocationDeclared,
+          claimed: creatorClaimed.toString(),
+          unlocked: creatorUnlocked.toString(),
+          vesting,
+        },
+      };
+    }));
+    tokens.push(...details);
+  }
+  return tokens;
+};
+
+/**
+ * Addresses (and token IDs) named by a collection's indexed events, across every page
+ * @returns {Promise<Array>} Event data, newest first
+ */
+const fetchEventData = async (collectionAddress, chainId, eventNames) => {
+  const events = [];
+  for (let offset = 0; ; offset += EVENT_PAGE_SIZE) {
+    const result = await supabaseService.getCollectionHistory(collectionAddress, chainId, { limit: EVENT_PAGE_SIZE, offset, eventNames });
+    if (!result) {
+      // A partial list would hide KOLs and minters, so fail the whole read
+      if (offset > 0) throw new Error('Failed to load collection events');
+      break;
+    }
+    events.push(...(result.events || []));
+    if (!result.pagination?.hasMore) break;
+  }
+  return events.map(event => event.event_data || {});
+};
+
+/**
+ * Custom hook behind the collection management console: reads a collection's
+ * ownership, supply, royalty, creator allocation and vesting, reveal state,
+ * KOL approvals and minter allocations in one pass, and pages through its
+ * change history from the indexer. KOLs and minter pools are discovered from
+ * the indexed events and their current state is then read on-chain.
+ *
+ * @param {string} collectionAddress - Collection address
+ * @param {number} chainId - Chain the collection lives on
+ * @param {Object} options - { enabled }
+ * @returns {Object} { collection, loading, error, refresh, history, historyTotal, historyLoading, hasMoreHistory, loadMoreHistory }
+ */
+export const useCollectionConsole = (collectionAddress, chainId, { enabled = true } = {}) => {
+  const { getContractInstance } = useContract();
+  const { address } = useWallet();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const isValid = enabled && !!collectionAddress && ethers.utils.isAddress(collectionAddress) && !!chainId;
+
+  const loadCollection = useCallback(async () => {
+    if (!isValid) {
+      setCollection(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      if (!supabaseService.isAvailable()) {
+        supabaseService.initialize();
+      }
+
+      let contract = getContractInstance(collectionAddress, 'erc721Prize');
+      if (!contract) throw new Error('Failed to create contract instance');
+      const isERC721 = await contract.supportsInterface(ERC721_INTERFACE_ID).catch(() => false);
+      if (!isERC721) {
+        contract = getContractInstance(collectionAddress, 'erc1155Prize');
+      }
+
+      const [owner, name, symbol, royaltyBps, royaltyRecipient, isRevealed, revealType, revealTime] = await Promise.all([
+        contract.owner(),
+        isERC721 ? contract.name().catch(() => null) : null,
+        isERC721 ? contract.symbol().catch(() => null) : null,
+        contract.royaltyPercentage(),
+        contract.royaltyRecipient(),
+        contract.isRevealed(),
+        contract.revealType(),
+        contract.revealTime(),
+      ]);
+
+      const [supply, tokens, kolEvents, minterEvents] = await Promise.all([
+        isERC721 ? readERC721Supply(contract) : null,
+        isERC721 ? null : readERC1155Tokens(contract),
+        fetchEventData(collectionAddress, chainId, KOL_EVENTS),
+        fetchEventData(collectionAddress, chainId, MINTER_EVENTS),
+      ]);
+
+      const kolAddresses = [...new Set(kolEvents.map(data => data.kol).filter(Boolean))];
+      const kols = await Promise.all(kolAddresses.map(async (kol) => {
+        const details = await contract.getKOLApprovalDetails(kol);
+        return {
+          address: kol,
+          approved: details.approved,
+          poolLimit: details.poolLimit.toString(),
+          enforcedSlotFee: ethers.utils.formatEther(details.enforcedSlotFee),
+          winnerLimit: details.winnerLimit.toString(),
+          poolCount: details.poolCount.toString(),
+          winnerCount: details.winnerCount.toString(),
+        };
+      }));
+
+      const minterKeys = new Map();
+      for (const data of minterEvents) {
+        if (!data.pool) continue;
+        const tokenId = isERC721 ? null : data.tokenId;
+        minterKeys.set(`${data.pool}:${tokenId}`, { pool: data.pool, tokenId });
+      }
+      const minters = await Promise.all([...minterKeys.values()].map(async ({ pool, tokenId }) => {
+        const allocation = isERC721
+          ? await contract.allocatedSupply(pool)
+          : await contract.allocatedSupply(pool, tokenId);
+        return { pool, tokenId, allocation: allocation.toString() };
+      }));
+
+      setCollection({
+        address: collectionAddress,
+        standard: isERC721 ? 'erc721' : 'erc1155',
+        name,
+        symbol,
+        owner,
+        isOwner: !!address && owner.toLowerCase() === address.toLowerCase(),
+        royalty: { bps: royaltyBps.toNumber(), recipient: royaltyRecipient },
+        reveal: { isRevealed, revealType: Number(revealType), revealTime: revealTime.toNumber() || null },
+        supply,
+        tokens,
+        kols,
+        minters: minters.filter(minter => minter.allocation !== '0'),
+      });
+    } catch (err) {
+      console.error('[CollectionConsole] Failed to load collection:', err);
+      setError('Failed to load this collection. Make sure it is a Dropr collection on the connected network.');
+      setCollection(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [isValid, collectionAddress, chainId, address, getContractInstance]);
+
+  const loadHistory = useCallback(async (offset = 0) => {
+    if (!isValid) {
+      setHistory([]);
+      setHistoryTotal(0);
+      return;
+    }
+
+    setHistoryLoading(true);
+    try {
+      if (!supabaseService.isAvailable()) {
+        supabaseService.initialize();
+      }
+      const result = await supabaseService.getCollectionHistory(collectionAddress, chainId, {
+        limit: HISTORY_PAGE_SIZE,
+        offset,
+      });
+      const events = result?.events || [];
+      setHistory(prev => (offset === 0 ? events : [...prev, ...events]));
+      setHistoryTotal(result?.pagination?.total || 0);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [isValid, collectionAddress, chainId]);
+
+  const refresh = useCallback(() => Promise.all([loadCollection(), loadHistory(0)]), [loadCollection, loadHistory]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const loadMoreHistory = useCallback(() => loadHistory(history.length), [loadHistory, history.length]);
+
+  return {
+    collection,
+    loading,
+    error,
+    refresh,
+    history,
+    historyTotal,
+    historyLoading,
+    hasMoreHistory: history.length < historyTotal,
+    loadMoreHistory,
+  };
+};
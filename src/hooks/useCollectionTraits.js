@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo } from 'react';
+import { supabaseService } from '../services/supabaseService';
+
+/**
+ * Custom hook that loads trait counts and statistical rarity ranks for an
+ * indexed collection from api-collections?include=traits.
+ *
+ * @param {string} collectionAddress - Collection address
+ * @param {number} chainId - Chain the collection lives on
+ * @param {Object} options - { enabled }
+ * @returns {Object} { traits, tokensById, truncated, loading, error }
+ */
+export const useCollectionTraits = (collectionAddress, chainId, { enabled = true } = {}) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !collectionAddress || !chainId) {
+      setData(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    if (!supabaseService.isAvailable()) {
+      supabaseService.initialize();
+    }
+
+    supabaseService.getCollectionTraits(collectionAddress, chainId)
+      .then(result => {
+        if (cancelled) return;
+        setData(result);
+        if (!result) setError('Trait data is unavailable');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionAddress, chainId, enabled]);
+
+  const tokensById = useMemo(() => {
+    const map = new Map();
+    for (const token of data?.traits?.tokens || []) {
+      map.set(String(token.tokenId), token);
+    }
+    return map;
+  }, [data]);
+
+  return {
+    traits: data?.traits || null,
+    tokensById,
+    truncated: !!data?.truncated,
+    loading,
+    error,
+  };
+};
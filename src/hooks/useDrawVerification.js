@@ -0,0 +1,64 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { SUPPORTED_NETWORKS } from '../networks';
+import { verifyDraw } from '../services/drawVerificationService';
+
+/**
+ * Custom hook that re-derives a completed pool's winners from chain data and
+ * compares them with the pool's winners(i). Nothing is fetched until verify()
+ * is called; reads go through the chain's public RPC so no wallet is needed.
+ *
+ * @param {string} poolAddress - Pool address
+ * @param {number} chainId - Chain the pool lives on
+ * @param {Object} options - { createdAtBlock } to skip the deployment block search
+ * @returns {Object} { verify, result, progress, loading, error }
+ */
+export const useDrawVerification = (poolAddress, chainId, { createdAtBlock } = {}) => {
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const runRef = useRef(0);
+
+  useEffect(() => {
+    // Drop results from a previous pool
+    runRef.current++;
+    setResult(null);
+    setProgress(null);
+    setError(null);
+    setLoading(false);
+  }, [poolAddress, chainId]);
+
+  const verify = useCallback(async () => {
+    const rpcUrl = SUPPORTED_NETWORKS[chainId]?.rpcUrl;
+    if (!poolAddress || !rpcUrl) {
+      setError('This network is not supported');
+      return;
+    }
+
+    const run = ++runRef.current;
+    setLoading(true);
+    setError(null);
+    setResult(null);
+    setProgress(null);
+
+    try {
+      const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+      const verification = await verifyDraw(provider, poolAddress, {
+        chainId,
+        fromBlock: createdAtBlock ? Number(createdAtBlock) : undefined,
+        onProgress: (update) => {
+          if (run === runRef.current) setProgress(update);
+        },
+      });
+      if (run === runRef.current) setResult(verification);
+    } catch (err) {
+      console.error('Draw verification failed:', err);
+      if (run === runRef.current) setError(err.reason || err.message || 'Could not read the draw from chain');
+    } finally {
+      if (run === runRef.current) setLoading(false);
+    }
+  }, [poolAddress, chainId, createdAtBlock]);
+
+  return { verify, result, progress, loading, error };
+};
@@ -0,0 +1,64 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { validateCollectionMetadata } from '../services/metadataValidationService';
+
+/**
+ * Custom hook that runs the pre-deploy metadata validator and keeps its report,
+ * progress and the inputs it was produced for.
+ *
+ * @returns {Object} { report, running, progress, inputKey, run, cancel, reset }
+ */
+export const useMetadataValidation = () => {
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ checked: 0, total: 0 });
+  const [inputKey, setInputKey] = useState(null);
+  const controllerRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Stop outstanding gateway requests when the page unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  /**
+   * @param {Object} options - validateCollectionMetadata options (signal and onProgress are set here)
+   * @param {string} key - Identifies the inputs, so callers can tell when the report is stale
+   */
+  const run = useCallback(async (options, key = null) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setRunning(true);
+    setReport(null);
+    setInputKey(key);
+    setProgress({ checked: 0, total: 0 });
+    try {
+      const result = await validateCollectionMetadata({
+        ...options,
+        signal: controller.signal,
+        onProgress: (next) => {
+          if (controllerRef.current === controller) setProgress(next);
+        },
+      });
+      // A newer run replaced this one; its report is the one to keep
+      if (controllerRef.current === controller) setReport(result);
+      return result;
+    } catch (error) {
+      console.warn('[MetadataValidation] Failed to validate metadata:', error);
+      return null;
+    } finally {
+      if (controllerRef.current === controller) setRunning(false);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    setReport(null);
+    setInputKey(null);
+    setRunning(false);
+  }, []);
+
+  return { report, running, progress, inputKey, run, cancel, reset };
+};
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../contexts/WalletContext';
+import {
+  getLocalDrafts,
+  saveLocalDraft,
+  deleteLocalDraft,
+  getRemoteDrafts,
+  saveRemoteDraft,
+  deleteRemoteDraft,
+  hasDraftSyncSession,
+} from '../services/poolDraftService';
+
+/**
+ * Custom hook for the pool drafts of the current chain: this device's drafts
+ * plus, once the wallet has signed in, the drafts synced under the wallet.
+ * Synced drafts load silently when a sign-in is cached; otherwise they load
+ * after connectCloud() (which asks the wallet to sign).
+ */
+export const usePoolDrafts = (chainId) => {
+  const { address, signer } = useWallet();
+  const [localDrafts, setLocalDrafts] = useState([]);
+  const [cloudDrafts, setCloudDrafts] = useState([]);
+  const [cloudConnected, setCloudConnected] = useState(false);
+  const [loadingCloud, setLoadingCloud] = useState(false);
+  const [cloudError, setCloudError] = useState(null);
+
+  const refreshLocal = useCallback(() => {
+    setLocalDrafts(chainId ? getLocalDrafts(chainId) : []);
+  }, [chainId]);
+
+  const loadCloud = useCallback(async (prompt) => {
+    if (!address || !chainId) return;
+    setLoadingCloud(true);
+    setCloudError(null);
+    try {
+      const drafts = await getRemoteDrafts(prompt ? signer : null, address, chainId);
+      setCloudDrafts(drafts);
+      setCloudConnected(true);
+    } catch (error) {
+      console.warn('Failed to load synced drafts:', error);
+      setCloudError(error.message);
+      setCloudConnected(false);
+    } finally {
+      setLoadingCloud(false);
+    }
+  }, [address, signer, chainId]);
+
+  useEffect(() => {
+    refreshLocal();
+    setCloudDrafts([]);
+    setCloudConnected(false);
+    if (address && hasDraftSyncSession(address)) {
+      loadCloud(false);
+    }
+  }, [refreshLocal, address, loadCloud]);
+
+  /**
+   * Save the draft locally, and under the wallet when sync is true
+   */
+  const saveDraft = useCallback(async ({ name, poolType, values, sync }) => {
+    const draft = { name, poolType, chainId, values };
+    saveLocalDraft(draft);
+    refreshLocal();
+    if (sync) {
+      const saved = await saveRemoteDraft(signer, address, draft);
+      setCloudDrafts(prev => [saved, ...prev.filter(d => d.id !== saved.id)]);
+      setCloudConnected(true);
+    }
+  }, [chainId, signer, address, refreshLocal]);
+
+  const deleteDraft = useCallback(async (draft) => {
+    if (draft.source === 'cloud') {
+      await deleteRemoteDraft(signer, address, draft.id);
+      setCloudDrafts(prev => prev.filter(d => d.id !== draft.id));
+    } else {
+      deleteLocalDraft(draft.id);
+      refreshLocal();
+    }
+  }, [signer, address, refreshLocal]);
+
+  return {
+    localDrafts,
+    cloudDrafts,
+    cloudConnected,
+    loadingCloud,
+    cloudError,
+    connectCloud: () => loadCloud(true),
+    saveDraft,
+    deleteDraft,
+  };
+};
@@ -4,6 +4,7 @@ import { useContract } from '../contexts/ContractContext';
 import { ethers } from 'ethers';
 import { toast } from '../components/ui/sonner';
 import { getTicketsSoldCount } from '../utils/contractCallUtils';
+import { preflightTransaction, simulateTransaction } from '../utils/txPreflight';
 import { handleError } from '../utils/errorHandling';
 import { APP_CONFIG } from '../constants';
 
@@ -690,6 +691,7 @@ export const useProfileData = () => {
         return;
       }
 
+      await preflightTransaction(raffleContract, 'claimRefund');
       await executeTransaction(raffleContract, 'claimRefund', []);
       toast.success('Refund claimed successfully!');
 
@@ -702,6 +704,13 @@ export const useProfileData = () => {
     }
   }, [stableConnected, getContractInstance, executeTransaction, fetchPurchasedTickets, fetchDirectTotals, extractRevertReason]);
 
+  // Simulate claimRefund for a refund button's useTransactionPreflight
+  const simulateClaimRefund = useCallback(async (raffleAddress) => {
+    const raffleContract = raffleAddress && getContractInstance(raffleAddress, 'pool');
+    if (!raffleContract) return null;
+    return simulateTransaction(raffleContract, 'claimRefund');
+  }, [getContractInstance]);
+
   return {
     // Data
     userActivity,
@@ -722,6 +731,7 @@ export const useProfileData = () => {
     fetchPurchasedTickets,
     withdrawRevenue,
     claimRefund,
+    simulateClaimRefund,
     extractRevertReason,
     mapRaffleState,
 
@@ -7,6 +7,10 @@ import raffleService from '../services/RaffleService';
 import { ethers } from 'ethers';
 import { DEFAULT_CHAIN_ID } from '../networks';
 
+// api-pools caps a page at 100 rows
+const BACKEND_PAGE_SIZE = 100;
+const MAX_BACKEND_PAGES = 50;
+
 /**
  * Enhanced Raffle Service Hook
  * Implements Supabase-first data fetching with RPC fallback
@@ -158,22 +162,42 @@ export const useRaffleServiceEnhanced = (options = {}) => {
       const result = await supabaseService.getPoolsEnhanced({
         chainId: targetChainId,
         state: undefined, // Fetch all states to enable filtering/searching hidden pools
-        limit: maxRaffles,
+        limit: maxRaffles || BACKEND_PAGE_SIZE,
         offset: 0,
         sortBy: 'created_at_timestamp',
         sortOrder: 'desc',
         includeFilterCounts: true,
       });
 
+      // Without a cap, follow nextCursor until the list is exhausted. Cursors are
+      // keyed on (created_at_timestamp, address), so pools created mid-walk
+      // cannot shift later pages and cause skips or duplicates. The first page is
+      // cached by supabaseService, so pages are concatenated into a new array.
+      let pools = result.pools || [];
+      if (!maxRaffles) {
+        let nextCursor = result.pagination?.nextCursor;
+        for (let page = 1; nextCursor && page < MAX_BACKEND_PAGES; page++) {
+          const next = await supabaseService.getPoolsEnhanced({
+            chainId: targetChainId,
+            limit: BACKEND_PAGE_SIZE,
+            cursor: nextCursor,
+            sortBy: 'created_at_timestamp',
+            sortOrder: 'desc',
+          });
+          pools = [...pools, ...(next.pools || [])];
+          nextCursor = next.pagination?.nextCursor;
+        }
+      }
+
       console.log('📊 Backend response:', {
-        poolsCount: result.pools?.length || 0,
+        poolsCount: pools.length,
         pagination: result.pagination,
         filterCounts: result.filterCounts,
-        pools: result.pools?.map(p => ({ address: p.address, name: p.name, state: p.state }))
+        pools: pools.map(p => ({ address: p.address, name: p.name, state: p.state }))
       });
 
-      if (result.pools && result.pools.length > 0) {
-        const transformedRaffles = result.pools.map(transformBackendPool);
+      if (pools.length > 0) {
+        const transformedRaffles = pools.map(transformBackendPool);
         
         // Return all pools without filtering
         // Filtering will be applied in LandingPage component based on user filters/search
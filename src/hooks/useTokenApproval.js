@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { useWallet } from '../contexts/WalletContext';
+import {
+  APPROVAL_MODES,
+  inspectTokenApproval,
+  ensureTokenAllowance,
+} from '../services/tokenApprovalService';
+
+/**
+ * Parse a human-readable amount with the token's decimals; null when the
+ * amount is empty or not a valid number for that token.
+ */
+const parseAmount = (amount, decimals) => {
+  if (amount === undefined || amount === null || amount === '' || decimals === undefined) return null;
+  if (ethers.BigNumber.isBigNumber(amount)) return amount;
+  try {
+    const parsed = ethers.utils.parseUnits(String(amount), decimals);
+    return parsed.gt(0) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Custom hook that tracks the allowance a spender has over the connected
+ * wallet's tokens and approves it through the shared approval manager.
+ *
+ * @param {Object} options
+ * @param {string} options.tokenAddress - ERC20 address
+ * @param {string} options.spender - Contract that pulls the tokens
+ * @param {string|ethers.BigNumber} options.amount - Human-readable amount or base units
+ * @param {boolean} options.enabled - Set false to pause reads
+ * @returns {Object} Token state, approval options and { approve, refresh }
+ */
+export const useTokenApproval = ({ tokenAddress, spender, amount, enabled = true }) => {
+  const { address, provider, connected } = useWallet();
+  const [token, setToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [approving, setApproving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(APPROVAL_MODES.EXACT);
+  const [nonce, setNonce] = useState(0);
+
+  const ready = enabled && connected && !!provider && !!address &&
+    ethers.utils.isAddress(tokenAddress || '') && ethers.utils.isAddress(spender || '');
+
+  // Ignore state read for a previous token address
+  const current = token && tokenAddress && token.address.toLowerCase() === tokenAddress.toLowerCase() ? token : null;
+  const amountWei = useMemo(() => parseAmount(amount, current?.decimals), [amount, current?.decimals]);
+  const amountKey = amountWei ? amountWei.toString() : '';
+
+  useEffect(() => {
+    if (!ready) {
+      setToken(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    inspectTokenApproval(provider, tokenAddress, address, spender, amountWei)
+      .then(result => {
+        if (cancelled) return;
+        setToken(result);
+        setError(null);
+      })
+      .catch(err => {
+        console.warn('[TokenApproval] Failed to read token state:', err);
+        if (!cancelled) {
+          setToken(null);
+          setError('Failed to read token information');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // amountWei is tracked through amountKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready, provider, address, tokenAddress, spender, amountKey, nonce]);
+
+  const refresh = useCallback(() => setNonce(n => n + 1), []);
+
+  const approve = useCallback(async (amountOverride) => {
+    const required = amountOverride || amountWei;
+    if (!provider || !required) {
+      return { success: false, error: 'Enter an amount to approve' };
+    }
+    setApproving(true);
+    try {
+      const result = await ensureTokenAllowance({
+        signer: provider.getSigner(),
+        tokenAddress,
+        spender,
+        amount: required,
+        mode,
+        onStatus: setStatus,
+      });
+      refresh();
+      return result;
+    } finally {
+      setStatus(null);
+      setApproving(false);
+    }
+  }, [provider, tokenAddress, spender, amountWei, mode, refresh]);
+
+  return {
+    token: current,
+    loading,
+    error,
+    amountWei,
+    needsApproval: !!current && !!amountWei && current.allowance.lt(amountWei),
+    insufficientBalance: !!current && !!amountWei && current.balance.lt(amountWei),
+    mode,
+    setMode,
+    approving,
+    status,
+    approve,
+    refresh,
+  };
+};
@@ -0,0 +1,176 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { ethers } from 'ethers';
+import { useContract } from '../contexts/ContractContext';
+import { preflightTransaction } from '../utils/txPreflight';
+import { vestingFromReceipt } from '../services/tokenBatchService';
+
+// Token IDs whose details are read in parallel
+const OVERVIEW_CHUNK_SIZE = 10;
+
+/**
+ * Read every existing token ID of an ERC1155 collection with its supply, URI,
+ * creator allocation and vesting, plus the collection stats and royalty.
+ * @param {Object} contract - ERC1155 collection contract
+ * @returns {Promise<Object>} { tokens, stats, royalty, statsMismatch }
+ */
+const loadTokenOverview = async (contract) => {
+  const [ids, stats, royaltyBps, royaltyRecipient] = await Promise.all([
+    contract.getAllTokenIds(),
+    contract.getCollectionStats(),
+    contract.royaltyPercentage(),
+    contract.royaltyRecipient(),
+  ]);
+
+  const tokens = [];
+  for (let i = 0; i < ids.length; i += OVERVIEW_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + OVERVIEW_CHUNK_SIZE);
+    const details = await Promise.all(chunk.map(async (id) => {
+      const [info, uri, creatorAllocation, allocationDeclared, vestingConfigured] = await Promise.all([
+        contract.getTokenInfo(id),
+        contract.uri(id).catch(() => ''),
+        contract.creatorAllocation(id),
+        contract.creatorAllocationDeclared(id),
+        contract.vestingConfigured(id),
+      ]);
+      const vesting = vestingConfigured ? await contract.vestingConfig(id) : null;
+      return {
+        tokenId: id.toString(),
+        maxSupply: info.maxSupply_.toString(),
+        currentSupply: info.currentSupply_.toString(),
+        exists: info.exists_,
+        uri,
+        creatorAllocation: creatorAllocation.toString(),
+        allocationDeclared,
+        vestingConfigured,
+        vesting: vesting && {
+          cliffEnd: vesting.cliffEnd.toString(),
+          numberOfUnlocks: vesting.numberOfUnlocks.toString(),
+          durationBetweenUnlocks: vesting.durationBetweenUnlocks.toString(),
+          amountPerUnlock: vesting.amountPerUnlock.toString(),
+        },
+      };
+    }));
+    tokens.push(...details);
+  }
+
+  return {
+    tokens,
+    stats: {
+      totalTokenTypes: stats.totalTokenTypes.toString(),
+      totalTokensMinted: stats.totalTokensMinted.toString(),
+    },
+    royalty: { bps: royaltyBps.toNumber(), recipient: royaltyRecipient },
+    // getAllTokenIds and the stats counter should agree; if not, the overview may be incomplete
+    statsMismatch: !stats.totalTokenTypes.eq(ids.length),
+  };
+};
+
+/**
+ * Custom hook behind the ERC1155 multi-token editor: loads the collection's
+ * existing token IDs and runs a plan from buildTokenPlan one owner transaction
+ * at a time, simulating each step just before it is signed. The overview is
+ * reloaded after a run, so finished steps drop out of the rebuilt plan.
+ *
+ * Step status: running | done | failed
+ *
+ * @param {string} collectionAddress - ERC1155 collection address
+ * @param {Object} options - { enabled }
+ * @returns {Object} { overview, loading, error, refresh, execute, stop, running, stepStatus, completed }
+ */
+export const useTokenBatchPlan = (collectionAddress, { enabled = true } = {}) => {
+  const { getContractInstance, executeTransaction } = useContract();
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [stepStatus, setStepStatus] = useState({});
+  const [completed, setCompleted] = useState([]);
+  const stopRequestedRef = useRef(false);
+
+  const refresh = useCallback(async () => {
+    if (!enabled || !collectionAddress || !ethers.utils.isAddress(collectionAddress)) {
+      setOverview(null);
+      return null;
+    }
+    const contract = getContractInstance(collectionAddress, 'erc1155Prize');
+    if (!contract) return null;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const next = await loadTokenOverview(contract);
+      setOverview(next);
+      return next;
+    } catch (err) {
+      console.error('[TokenBatch] Failed to load token IDs:', err);
+      setError('Failed to load the existing token IDs of this collection');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [collectionAddress, enabled, getContractInstance]);
+
+  useEffect(() => {
+    setStepStatus({});
+    setCompleted([]);
+    refresh();
+  }, [refresh]);
+
+  const updateStep = (id, changes) => {
+    setStepStatus(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  /**
+   * Send the plan's steps in order. Stops at the first failure; running the
+   * rebuilt plan again resumes from there.
+   * @param {Array} steps - Steps from buildTokenPlan
+   * @returns {Promise<boolean>} Whether every step was mined
+   */
+  const execute = useCallback(async (steps) => {
+    if (running || steps.length === 0) return false;
+    const contract = getContractInstance(collectionAddress, 'erc1155Prize');
+    if (!contract) return false;
+
+    stopRequestedRef.current = false;
+    setRunning(true);
+    setStepStatus({});
+    let finished = true;
+
+    try {
+      for (const step of steps) {
+        if (stopRequestedRef.current) {
+          finished = false;
+          break;
+        }
+        updateStep(step.id, { status: 'running', error: null });
+        try {
+          await preflightTransaction(contract, step.method, step.args);
+          const result = await executeTransaction(() => contract[step.method](...step.args));
+          if (!result.success) throw new Error(result.error);
+
+          const vesting = step.method === 'configureCreatorVesting'
+            ? vestingFromReceipt(result.receipt, contract.interface)
+            : null;
+          updateStep(step.id, { status: 'done', hash: result.hash });
+          setCompleted(prev => [...prev, { ...step, hash: result.hash, vesting }]);
+        } catch (err) {
+          console.error(`[TokenBatch] ${step.method} for token ${step.tokenId} failed:`, err);
+          updateStep(step.id, { status: 'failed', error: err.reason || err.message });
+          finished = false;
+          break;
+        }
+      }
+    } finally {
+      setRunning(false);
+      await refresh();
+    }
+    return finished;
+  }, [running, collectionAddress, getContractInstance, executeTransaction, refresh]);
+
+  // Stop after the step currently being sent
+  const stop = useCallback(() => {
+    stopRequestedRef.current = true;
+  }, []);
+
+  return { overview, loading, error, refresh, execute, stop, running, stepStatus, completed };
+};
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const DEFAULT_DEBOUNCE_MS = 400;
+
+/**
+ * Custom hook that keeps a pre-flight simulation of a write up to date, so the
+ * submit button can be blocked with the revert reason before the user signs.
+ *
+ * @param {Function|null} simulate - Async function resolving to a
+ *   simulateTransaction result ({ ok, reason }); null disables the check
+ * @param {Array} deps - Values that should trigger a new simulation
+ * @param {Object} options - { debounceMs }
+ * @returns {Object} { checking, blocked, reason, recheck }
+ */
+export const useTransactionPreflight = (simulate, deps = [], { debounceMs = DEFAULT_DEBOUNCE_MS } = {}) => {
+  const [state, setState] = useState({ checking: false, blocked: false, reason: null });
+  const [nonce, setNonce] = useState(0);
+  const simulateRef = useRef(simulate);
+  simulateRef.current = simulate;
+
+  const enabled = typeof simulate === 'function';
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ checking: false, blocked: false, reason: null });
+      return;
+    }
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, checking: true }));
+    const timer = setTimeout(async () => {
+      try {
+        const result = await simulateRef.current();
+        if (!cancelled) {
+          setState({ checking: false, blocked: result ? !result.ok : false, reason: result?.ok ? null : result?.reason || null });
+        }
+      } catch (error) {
+        // Building the call failed (e.g. incomplete input); the submit path reports it
+        console.warn('[Preflight] Simulation could not run:', error);
+        if (!cancelled) setState({ checking: false, blocked: false, reason: null });
+      }
+    }, debounceMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, nonce, debounceMs, ...deps]);
+
+  const recheck = useCallback(() => setNonce(n => n + 1), []);
+
+  return { ...state, recheck };
+};
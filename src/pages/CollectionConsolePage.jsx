@@ -0,0 +1,352 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { Check, Coins, Copy, Crown, Layers, LayoutDashboard, Percent, RefreshCw, Users } from 'lucide-react';
+import { useWallet } from '../contexts/WalletContext';
+import { useCollectionConsole } from '../hooks/useCollectionConsole';
+import { useMobileBreakpoints } from '../hooks/useMobileBreakpoints';
+import { useNativeCurrency } from '../hooks/useNativeCurrency';
+import { resolveChainIdFromSlug } from '../utils/urlNetworks';
+import { SUPPORTED_NETWORKS } from '../networks';
+import { PageContainer } from '../components/Layout';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Card, CardContent } from '../components/ui/card';
+import { Tabs, TabsContent } from '../components/ui/tabs';
+import { LoadingSpinner } from '../components/ui/loading';
+import WalletConnectionPrompt from '../components/ui/WalletConnectionPrompt';
+import CollectionHistoryPanel from '../components/CollectionHistoryPanel';
+import RoyaltyAdjustmentComponent from '../components/RoyaltyAdjustmentComponent';
+import KOLApprovalComponent from '../components/KOLApprovalComponent';
+import VestingConfigurationComponent from '../components/VestingConfigurationComponent';
+import CreateNewTokenIDComponent from '../components/CreateNewTokenIDComponent';
+import CreatorRevenueWithdrawalComponent from '../components/CreatorRevenueWithdrawalComponent';
+
+// RevealType enum of the Dropr collection contracts
+const REVEAL_TYPE_LABELS = ['Instant', 'Manual', 'Scheduled'];
+
+const shortAddress = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+const formatDays = (seconds) => {
+  const days = seconds / 86400;
+  return `${Number.isInteger(days) ? days : days.toFixed(1)} day${days === 1 ? '' : 's'}`;
+};
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="bg-card/80 backdrop-blur-sm border border-border/50 rounded-xl p-3">
+    <p className="text-xs text-muted-foreground">{label}</p>
+    <p className="text-lg font-semibold">{value}</p>
+    {detail && <p className="text-xs text-muted-foreground">{detail}</p>}
+  </div>
+);
+
+const describeVesting = (creator) => {
+  if (!creator.declared) return 'No creator allocation declared';
+  if (!creator.vesting) return `${creator.allocation} allocated, vesting not configured`;
+  const { cliffEnd, numberOfUnlocks, durationBetweenUnlocks } = creator.vesting;
+  return `${creator.allocation} over ${numberOfUnlocks} unlocks every ${formatDays(durationBetweenUnlocks)} from ${new Date(cliffEnd * 1000).toLocaleDateString()}`;
+};
+
+const describeReveal = ({ isRevealed, revealType, revealTime }) => {
+  if (isRevealed) return 'Revealed';
+  const label = REVEAL_TYPE_LABELS[revealType] || 'Unknown';
+  return revealTime ? `${label}, ${new Date(revealTime * 1000).toLocaleString()}` : label;
+};
+
+/**
+ * Collection summary: supply, royalty, reveal, creator allocation, KOLs and
+ * minter pools as read by useCollectionConsole.
+ */
+const CollectionOverview = ({ collection }) => {
+  const { getCurrencySymbol } = useNativeCurrency();
+  const isERC721 = collection.standard === 'erc721';
+  const totalMinted = isERC721
+    ? collection.supply.totalSupply
+    : collection.tokens.reduce((sum, token) => sum.add(token.totalSupply), ethers.BigNumber.from(0)).toString();
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-3 grid-cols-2 lg:grid-cols-4">
+        {isERC721 ? (
+          <StatCard
+            label="Minted / max supply"
+            value={`${collection.supply.totalSupply} / ${collection.supply.maxSupply}`}
+            detail={`${collection.supply.allocatedSupply} allocated to pools, ${collection.supply.availableSupply} available`}
+          />
+        ) : (
+          <StatCard label="Token IDs" value={collection.tokens.length} detail={`${totalMinted} tokens minted`} />
+        )}
+        <StatCard label="Royalty" value={`${collection.royalty.bps / 100}%`} detail={shortAddress(collection.royalty.recipient)} />
+        <StatCard label="Reveal" value={collection.reveal.isRevealed ? 'Revealed' : 'Hidden'} detail={describeReveal(collection.reveal)} />
+        <StatCard
+          label="KOLs"
+          value={collection.kols.filter(kol => kol.approved).length}
+          detail={`${collection.minters.length} pool allocation${collection.minters.length === 1 ? '' : 's'}`}
+        />
+      </div>
+
+      {isERC721 && (
+        <div className="text-sm">
+          <span className="font-medium">Creator allocation: </span>
+          <span className="text-muted-foreground">{describeVesting(collection.supply.creator)}</span>
+        </div>
+      )}
+
+      {!isERC721 && collection.tokens.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                <th className="py-2 pr-3">Token ID</th>
+                <th className="py-2 pr-3">Minted / max</th>
+                <th className="py-2 pr-3">Allocated</th>
+                <th className="py-2 pr-3">Available</th>
+                <th className="py-2">Creator allocation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {collection.tokens.map(token => (
+                <tr key={token.tokenId} className="border-b border-border/50">
+                  <td className="py-2 pr-3 font-medium">{token.tokenId}</td>
+                  <td className="py-2 pr-3">{token.totalSupply} / {token.maxSupply}</td>
+                  <td className="py-2 pr-3">{token.allocatedSupply}</td>
+                  <td className="py-2 pr-3">{token.availableSupply}</td>
+                  <td className="py-2 text-muted-foreground">{describeVesting(token.creator)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {collection.kols.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-base font-medium">KOL approvals</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-3">KOL</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2 pr-3">Pools</th>
+                  <th className="py-2 pr-3">Winners</th>
+                  <th className="py-2">Slot fee</th>
+                </tr>
+              </thead>
+              <tbody>
+                {collection.kols.map(kol => (
+                  <tr key={kol.address} className="border-b border-border/50">
+                    <td className="py-2 pr-3 font-mono" title={kol.address}>{shortAddress(kol.address)}</td>
+                    <td className="py-2 pr-3">
+                      <Badge variant={kol.approved ? 'default' : 'secondary'}>{kol.approved ? 'Approved' : 'Revoked'}</Badge>
+                    </td>
+                    <td className="py-2 pr-3">{kol.poolCount} / {kol.poolLimit}</td>
+                    <td className="py-2 pr-3">{kol.winnerCount} / {kol.winnerLimit}</td>
+                    <td className="py-2">{kol.enforcedSlotFee} {getCurrencySymbol()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {collection.minters.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-base font-medium">Pool allocations</h3>
+          <ul className="text-sm space-y-1">
+            {collection.minters.map(minter => (
+              <li key={`${minter.pool}-${minter.tokenId}`} className="flex justify-between gap-3">
+                <span className="font-mono" title={minter.pool}>{shortAddress(minter.pool)}</span>
+                <span className="text-muted-foreground">
+                  {minter.allocation} token{minter.allocation === '1' ? '' : 's'}
+                  {minter.tokenId !== null && ` of token ID ${minter.tokenId}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * CollectionConsolePage - One place to manage a Dropr collection: a summary
+ * read once from the contract, the owner tools as tabs working from that same
+ * read (and refreshing it after each transaction), and the collection's change
+ * history from the indexer.
+ */
+const CollectionConsolePage = () => {
+  const { collectionAddress, chainSlug } = useParams();
+  const { connected, chainId: walletChainId, switchNetwork } = useWallet();
+  const { isMobile } = useMobileBreakpoints();
+  const [activeTab, setActiveTab] = useState('overview');
+  const [copied, setCopied] = useState(false);
+
+  const chainId = resolveChainIdFromSlug(chainSlug) || walletChainId;
+  const wrongNetwork = !!walletChainId && !!chainId && chainId !== walletChainId;
+  const validAddress = !!collectionAddress && ethers.utils.isAddress(collectionAddress);
+
+  const {
+    collection,
+    loading,
+    error,
+    refresh,
+    history,
+    historyTotal,
+    historyLoading,
+    hasMoreHistory,
+    loadMoreHistory,
+  } = useCollectionConsole(collectionAddress, chainId, { enabled: connected && validAddress && !wrongNetwork });
+
+  if (!connected) {
+    return (
+      <WalletConnectionPrompt
+        subtitle="Please connect your wallet to manage this collection."
+      />
+    );
+  }
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(collectionAddress);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const tabs = [
+    { id: 'overview', label: 'Overview', icon: LayoutDashboard },
+    { id: 'supply', label: 'Supply & Vesting', icon: Layers },
+    { id: 'royalty', label: 'Royalty & Reveal', icon: Percent },
+    { id: 'kol', label: 'KOLs', icon: Users },
+    ...(collection?.standard === 'erc1155' ? [{ id: 'tokens', label: 'Token IDs', icon: Crown }] : []),
+    { id: 'mint', label: 'Creator Mint', icon: Coins },
+  ];
+
+  const renderBody = () => {
+    if (!validAddress) {
+      return <p className="text-sm text-destructive">{collectionAddress} is not a valid collection address.</p>;
+    }
+    if (wrongNetwork) {
+      return (
+        <Card>
+          <CardContent className="p-4 space-y-3">
+            <p className="text-sm">
+              This collection is on {SUPPORTED_NETWORKS[chainId]?.name || `chain ${chainId}`}. Switch networks to manage it.
+            </p>
+            <Button size="sm" onClick={() => switchNetwork(chainId)}>Switch network</Button>
+          </CardContent>
+        </Card>
+      );
+    }
+    if (loading && !collection) {
+      return <LoadingSpinner />;
+    }
+    if (error || !collection) {
+      return <p className="text-sm text-destructive">{error || 'Collection not found.'}</p>;
+    }
+
+    return (
+      <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
+        <div
+          className={`grid w-full border-b border-border ${isMobile ? 'grid-cols-2' : ''}`}
+          style={isMobile ? undefined : { gridTemplateColumns: `repeat(${tabs.length}, 1fr)` }}
+        >
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex items-center justify-center gap-2 px-4 py-3 text-sm font-medium transition-colors border-b-2 -mb-px ${
+                activeTab === tab.id
+                  ? 'border-primary text-foreground bg-muted/30'
+                  : 'border-transparent text-muted-foreground hover:text-foreground hover:bg-muted/20'
+              }`}
+            >
+              <tab.icon className="h-4 w-4" />
+              <span>{tab.label}</span>
+            </button>
+          ))}
+        </div>
+
+        <TabsContent value="overview" className="mt-6 space-y-8">
+          <CollectionOverview collection={collection} />
+          <CollectionHistoryPanel
+            events={history}
+            total={historyTotal}
+            loading={historyLoading}
+            hasMore={hasMoreHistory}
+            onLoadMore={loadMoreHistory}
+            chainId={chainId}
+          />
+        </TabsContent>
+
+        <TabsContent value="supply" className="mt-6">
+          <VestingConfigurationComponent collection={collection} onCollectionUpdated={refresh} />
+        </TabsContent>
+
+        <TabsContent value="royalty" className="mt-6">
+          <RoyaltyAdjustmentComponent collection={collection} onCollectionUpdated={refresh} />
+        </TabsContent>
+
+        <TabsContent value="kol" className="mt-6">
+          <KOLApprovalComponent collection={collection} onCollectionUpdated={refresh} />
+        </TabsContent>
+
+        {collection.standard === 'erc1155' && (
+          <TabsContent value="tokens" className="mt-6">
+            <CreateNewTokenIDComponent collection={collection} onCollectionUpdated={refresh} />
+          </TabsContent>
+        )}
+
+        <TabsContent value="mint" className="mt-6">
+          <CreatorRevenueWithdrawalComponent collection={collection} onCollectionUpdated={refresh} />
+        </TabsContent>
+      </Tabs>
+    );
+  };
+
+  return (
+    <PageContainer variant="profile" className="pt-8 pb-4">
+      <div className="mb-8">
+        <div className={`${isMobile ? 'mb-4' : 'flex items-start justify-between gap-4 mb-4'}`}>
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+              <h1 className={`font-bold font-display ${isMobile ? 'text-2xl' : 'text-3xl'}`}>
+                {collection?.name || 'Collection Console'}
+              </h1>
+              {collection?.symbol && <Badge variant="secondary">{collection.symbol}</Badge>}
+              {collection && <Badge variant="outline">{collection.standard.toUpperCase()}</Badge>}
+            </div>
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              <span className="font-mono truncate">{collectionAddress}</span>
+              <Button size="sm" variant="ghost" onClick={handleCopy} className="h-7 w-7 p-0" title={copied ? 'Copied!' : 'Copy address'}>
+                {copied ? <Check className="h-3.5 w-3.5 text-green-500" /> : <Copy className="h-3.5 w-3.5" />}
+              </Button>
+            </div>
+            {collection && (
+              <p className="text-sm text-muted-foreground mt-1">
+                Owner: <span className="font-mono">{shortAddress(collection.owner)}</span>
+                {collection.isOwner && ' (you)'}
+              </p>
+            )}
+          </div>
+          {collection && (
+            <Button variant="outline" size="sm" onClick={refresh} disabled={loading} className={isMobile ? 'mt-3' : ''}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          )}
+        </div>
+        {collection && !collection.isOwner && (
+          <p className="text-sm text-amber-600">
+            The connected wallet does not own this collection; management transactions will be rejected.
+          </p>
+        )}
+      </div>
+
+      {renderBody()}
+    </PageContainer>
+  );
+};
+
+export default CollectionConsolePage;
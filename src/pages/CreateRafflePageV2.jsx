@@ -1,17 +1,38 @@
-import React, { useState, useMemo, useCallback, useEffect } from 'react'
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react'
 import { useLocation } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   Sparkles,
   ArrowLeft,
   Check,
+  PauseCircle,
+  Save,
+  LayoutTemplate,
+  Layers,
 } from 'lucide-react'
 import { useWallet } from '../contexts/WalletContext'
+import { useContract } from '../contexts/ContractContext'
 import { useMobileBreakpoints } from '../hooks/useMobileBreakpoints'
+import { usePoolDrafts } from '../hooks/usePoolDrafts'
+import { getAutosave, setAutosave } from '../services/poolDraftService'
+import {
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  exportTemplate,
+  importTemplates,
+  getTemplateShareUrl,
+  decodeTemplateParam,
+  templateToFormValues,
+  formValuesToTemplateValues,
+  applyProtocolLimits,
+} from '../services/poolTemplateService'
+import { downloadFile, toFileStem } from '../utils/fileDownload'
 import { SUPPORTED_NETWORKS } from '../networks'
 
 // UI Components
 import { Button } from '../components/ui/button'
+import { toast } from '../components/ui/sonner'
 import { RaffleErrorDisplay } from '../components/ui/raffle-error-display'
 import WalletConnectionPrompt from '../components/ui/WalletConnectionPrompt'
 
@@ -20,33 +41,133 @@ import { PageHero } from '../components/forms/PageHero'
 import {
   RaffleTypeSelector,
   useRaffleTypeConfig,
+  useProtocolConfig,
   WhitelistRaffleFormV2,
   ERC721DropForm,
   ERC1155DropForm,
   LuckySaleERC721Form,
   ETHGiveawayForm,
   ERC20GiveawayForm,
+  PoolDraftList,
+  SaveDraftDialog,
+  SaveTemplateDialog,
+  BatchPoolCreator,
+  resolveRaffleLimits,
 } from '../components/forms/raffle'
 
+// Delay before an edited form is autosaved
+const AUTOSAVE_DELAY_MS = 1000
+
 /**
  * CreateRafflePageV2 - Redesigned raffle creation with wizard flow
  * Phase 2 implementation with visual type selector and live preview
  */
 const CreateRafflePageV2 = () => {
   const { connected, chainId } = useWallet()
+  const { contracts } = useContract()
   const { isMobile } = useMobileBreakpoints()
   const location = useLocation()
 
   // Wizard state
   const [selectedType, setSelectedType] = useState(null)
   const [showingReview, setShowingReview] = useState(false)
+  const [batchMode, setBatchMode] = useState(false)
 
   // For ERC721DropForm
   const [existingCollectionAddress, setExistingCollectionAddress] = useState('')
 
-  // Handle incoming route state from collection deployment
+  // Values the form mounts with (draft, autosave or duplicated pool); a new key remounts it
+  const [formSeed, setFormSeed] = useState({ key: 0, values: undefined })
+  const [autosave, setAutosaveState] = useState(null)
+  const [saveDialogOpen, setSaveDialogOpen] = useState(false)
+  const [templates, setTemplates] = useState(() => getTemplates())
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false)
+  const drafts = usePoolDrafts(chainId)
+
+  // Latest values reported by the form, and the values it mounted with
+  const currentValuesRef = useRef(null)
+  const baselineRef = useRef(null)
+  const autosaveTimerRef = useRef(null)
+
+  useEffect(() => {
+    setAutosaveState(chainId ? getAutosave(chainId) : null)
+  }, [chainId, selectedType])
+
+  useEffect(() => () => clearTimeout(autosaveTimerRef.current), [])
+
+  // Mount the form for poolType with the given values
+  const openForm = useCallback((poolType, values) => {
+    setSelectedType(poolType)
+    setExistingCollectionAddress(poolType === 'nft-drop-721' ? (values?.collection || '') : '')
+    setFormSeed(prev => ({ key: prev.key + 1, values }))
+    currentValuesRef.current = null
+    baselineRef.current = null
+  }, [])
+
+  // Indexed PoolDeployer config; also warms the cache the forms' limits read from
+  const { config: protocolConfig } = useProtocolConfig(chainId)
+
+  // Open a template's form, bringing its values within the PoolDeployer limits first
+  const applyTemplate = useCallback(async (template) => {
+    const limits = await resolveRaffleLimits(contracts, protocolConfig, template.poolType !== 'whitelist')
+    const { values, adjustments } = applyProtocolLimits(templateToFormValues(template), limits, template.poolType)
+    if (adjustments.length > 0) {
+      toast.warning(`"${template.name}" was adjusted to protocol limits: ${adjustments.join('; ')}`)
+    } else if (!limits) {
+      toast.warning('Protocol limits could not be loaded; check the template values before deploying')
+    }
+    openForm(template.poolType, values)
+  }, [contracts, protocolConfig, openForm])
+
+  // Shared template link (?template=...)
   useEffect(() => {
-    if (location.state?.fromDeployment) {
+    const encoded = new URLSearchParams(location.search).get('template')
+    if (!encoded) return
+    window.history.replaceState({}, document.title, location.pathname)
+    try {
+      applyTemplate(decodeTemplateParam(encoded))
+    } catch (error) {
+      toast.error(error.message)
+    }
+    // Only on arrival; applyTemplate changes as the protocol config loads
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [location.search])
+
+  const templateActions = useMemo(() => ({
+    onSelect: applyTemplate,
+    onShare: async (template) => {
+      try {
+        await navigator.clipboard.writeText(getTemplateShareUrl(template))
+        toast.success('Template link copied')
+      } catch {
+        toast.error('Failed to copy link')
+      }
+    },
+    onExport: (template) => {
+      downloadFile(`${toFileStem(template.name)}.template.json`, exportTemplate(template))
+    },
+    onDelete: (template) => {
+      deleteTemplate(template.id)
+      setTemplates(getTemplates())
+    },
+    onImport: (json) => {
+      try {
+        const imported = importTemplates(json)
+        setTemplates(getTemplates())
+        toast.success(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`)
+      } catch (error) {
+        toast.error(`Import failed: ${error.message}`)
+      }
+    },
+  }), [applyTemplate])
+
+  // Handle incoming route state from a duplicated pool or collection deployment
+  useEffect(() => {
+    if (location.state?.duplicateFrom) {
+      const { poolType, values } = location.state.duplicateFrom
+      openForm(poolType, values)
+      window.history.replaceState({}, document.title)
+    } else if (location.state?.fromDeployment) {
       const { collectionType, collectionAddress } = location.state
       
       // Map collection type to raffle type
@@ -61,7 +182,7 @@ const CreateRafflePageV2 = () => {
       // Clear the state to prevent re-triggering on navigation
       window.history.replaceState({}, document.title)
     }
-  }, [location.state])
+  }, [location.state, openForm])
 
   // Get selected raffle type config
   const selectedTypeConfig = useRaffleTypeConfig(selectedType)
@@ -80,21 +201,74 @@ const CreateRafflePageV2 = () => {
 
   // Handle type selection
   const handleTypeSelect = useCallback((type) => {
-    setSelectedType(type.id)
+    openForm(type.id, undefined)
+  }, [openForm])
+
+  // Autosave edits (debounced) so the form survives a refresh or wallet switch.
+  // The first report is the values the form mounted with and is not saved.
+  const handleValuesChange = useCallback((values) => {
+    clearTimeout(autosaveTimerRef.current)
+    if (values === null) {
+      currentValuesRef.current = null
+      setAutosave(null)
+      return
+    }
+
+    currentValuesRef.current = values
+    const serialized = JSON.stringify(values)
+    if (baselineRef.current === null) {
+      baselineRef.current = serialized
+      return
+    }
+    if (serialized === baselineRef.current) return
+
+    autosaveTimerRef.current = setTimeout(() => {
+      autosaveTimerRef.current = null
+      setAutosave({ poolType: selectedType, chainId, values })
+    }, AUTOSAVE_DELAY_MS)
+  }, [selectedType, chainId])
+
+  const handleSaveDraft = useCallback(({ name, sync }) => {
+    return drafts.saveDraft({ name, poolType: selectedType, values: currentValuesRef.current || {}, sync })
+  }, [drafts, selectedType])
+
+  const handleSaveTemplate = useCallback(({ name, description }) => {
+    saveTemplate({
+      name,
+      description,
+      poolType: selectedType,
+      values: formValuesToTemplateValues(selectedType, currentValuesRef.current || {}),
+    })
+    setTemplates(getTemplates())
+  }, [selectedType])
+
+  const handleDiscardAutosave = useCallback(() => {
+    setAutosave(null)
+    setAutosaveState(null)
   }, [])
 
   // Handle going back to type selection
   const handleBack = useCallback(() => {
+    // Write a pending autosave now so step 1 can offer to resume it
+    if (autosaveTimerRef.current) {
+      clearTimeout(autosaveTimerRef.current)
+      autosaveTimerRef.current = null
+      setAutosave({ poolType: selectedType, chainId, values: currentValuesRef.current })
+    }
     setSelectedType(null)
     setExistingCollectionAddress('')
     setShowingReview(false)
-  }, [])
+  }, [selectedType, chainId])
 
   // Render the appropriate form based on selected type
   const renderForm = useMemo(() => {
     if (!selectedType) return null
 
-    const commonProps = { onReviewStateChange: setShowingReview }
+    const commonProps = {
+      initialValues: formSeed.values,
+      onValuesChange: handleValuesChange,
+      onReviewStateChange: setShowingReview,
+    }
 
     switch (selectedType) {
       case 'whitelist':
@@ -118,7 +292,7 @@ const CreateRafflePageV2 = () => {
       default:
         return null
     }
-  }, [selectedType, existingCollectionAddress])
+  }, [selectedType, existingCollectionAddress, formSeed.values, handleValuesChange])
 
   // Animation variants
   const pageVariants = {
@@ -165,8 +339,36 @@ const CreateRafflePageV2 = () => {
       {/* Main Content */}
       <div className={`${isMobile ? 'px-4' : 'container mx-auto px-6 lg:px-8'} py-8`}>
         <div className="max-w-7xl mx-auto">
+          {protocolConfig?.creationPaused && (
+            <div className="flex items-center gap-2 px-4 py-3 mb-6 rounded-lg border border-amber-500/30 bg-amber-500/10 text-amber-700 dark:text-amber-400 text-sm">
+              <PauseCircle className="h-4 w-4 shrink-0" />
+              <span>Pool creation is currently paused by the protocol. New pools cannot be deployed until it resumes.</span>
+            </div>
+          )}
+
           <AnimatePresence mode="wait">
-            {!selectedType ? (
+            {batchMode ? (
+              // Bulk creation from a manifest
+              <motion.div
+                key="batch"
+                variants={pageVariants}
+                initial="hidden"
+                animate="visible"
+                exit="exit"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <Button
+                    variant="ghost"
+                    onClick={() => setBatchMode(false)}
+                    className="gap-2"
+                  >
+                    <ArrowLeft className="h-4 w-4" />
+                    Back
+                  </Button>
+                </div>
+                <BatchPoolCreator />
+              </motion.div>
+            ) : !selectedType ? (
               // Step 1: Type Selection
               <motion.div
                 key="type-selection"
@@ -187,8 +389,24 @@ const CreateRafflePageV2 = () => {
                   <p className="text-muted-foreground max-w-xl mx-auto">
                     Select the type that best fits your needs. Each option has different features and requirements.
                   </p>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setBatchMode(true)}
+                    className="gap-2 mt-3"
+                  >
+                    <Layers className="h-4 w-4" />
+                    Creating many pools? Bulk create from a CSV/JSON manifest
+                  </Button>
                 </div>
 
+                <PoolDraftList
+                  drafts={drafts}
+                  autosave={autosave}
+                  onLoad={(draft) => openForm(draft.poolType, draft.values)}
+                  onDiscardAutosave={handleDiscardAutosave}
+                />
+
                 {/* Type Selector */}
                 <RaffleTypeSelector
                   selectedType={selectedType}
@@ -196,6 +414,8 @@ const CreateRafflePageV2 = () => {
                   layout={isMobile ? "list" : "grid"}
                   showFeatures={!isMobile}
                   showDescription={true}
+                  templates={templates}
+                  templateActions={templateActions}
                 />
               </motion.div>
             ) : (
@@ -218,14 +438,48 @@ const CreateRafflePageV2 = () => {
                     Back
                   </Button>
 
-                  <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-primary/10 text-primary text-sm font-medium">
-                    <Check className="h-4 w-4" />
-                    <span>{showingReview ? 'Step 3 of 3' : 'Step 2 of 3'}</span>
+                  <div className="flex items-center gap-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setSaveTemplateOpen(true)}
+                      className="gap-2"
+                    >
+                      <LayoutTemplate className="h-4 w-4" />
+                      Save as template
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setSaveDialogOpen(true)}
+                      className="gap-2"
+                    >
+                      <Save className="h-4 w-4" />
+                      Save draft
+                    </Button>
+                    <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-primary/10 text-primary text-sm font-medium">
+                      <Check className="h-4 w-4" />
+                      <span>{showingReview ? 'Step 3 of 3' : 'Step 2 of 3'}</span>
+                    </div>
                   </div>
                 </div>
 
+                <SaveDraftDialog
+                  open={saveDialogOpen}
+                  onOpenChange={setSaveDialogOpen}
+                  defaultName={saveDialogOpen ? currentValuesRef.current?.name : ''}
+                  onSave={handleSaveDraft}
+                />
+
+                <SaveTemplateDialog
+                  open={saveTemplateOpen}
+                  onOpenChange={setSaveTemplateOpen}
+                  defaultName={saveTemplateOpen ? currentValuesRef.current?.name : ''}
+                  onSave={handleSaveTemplate}
+                />
+
                 {/* Form Content */}
-                <div className="max-w-3xl mx-auto">
+                <div key={formSeed.key} className="max-w-3xl mx-auto">
                   {renderForm}
                 </div>
               </motion.div>
@@ -23,6 +23,9 @@ import { useContract } from '../contexts/ContractContext'
 import { toast } from '../components/ui/sonner'
 import { ethers } from 'ethers'
 import { registerURI } from '../services/uriRegistryService'
+import { simulateTransaction, preflightTransaction } from '../utils/txPreflight'
+import { useTransactionPreflight } from '../hooks/useTransactionPreflight'
+import { useMetadataValidation } from '../hooks/useMetadataValidation'
 import { Button } from '../components/ui/button'
 import { Input } from '../components/ui/input'
 import { Label } from '../components/ui/label'
@@ -51,7 +54,7 @@ import { FormSection } from '../components/forms/FormSection'
 import { FormField } from '../components/forms/FormField'
 import { AddressInput } from '../components/forms/AddressInput'
 import { SummaryCard } from '../components/forms/SummaryCard'
-import { CollectionPreviewCard, RevealTypeSelector } from '../components/forms/collection'
+import { CollectionPreviewCard, RevealTypeSelector, MetadataValidationReport } from '../components/forms/collection'
 
 const DeployCollectionPageV2 = () => {
   const { connected, address, provider } = useWallet()
@@ -349,6 +352,110 @@ const DeployCollectionPageV2 = () => {
     ]
   }, [currentFormData, collectionType])
 
+  // deployCollection arguments from the form; shared by the pre-flight simulation and submit
+  const buildDeployCollectionArgs = () => {
+    const formData = currentFormData
+    const isERC721 = collectionType === 'ERC721'
+    const standard = isERC721 ? 0 : 1
+
+    let revealType = parseInt(formData.revealType)
+    let unrevealedBaseURI = formData.unrevealedBaseURI
+    let revealTime = 0
+
+    if (revealType === 2) {
+      revealTime = Math.floor(new Date(formData.revealTime).getTime() / 1000)
+    }
+
+    if (revealType === 0) {
+      unrevealedBaseURI = ''
+      revealTime = 0
+    }
+
+    // Compute keccak256 hashes for URIs (gas optimization)
+    const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000'
+    const dropURI = formData.dropURI?.trim() || ''
+    const dropURIHash = dropURI && dropURI.length > 0
+      ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(dropURI))
+      : ZERO_BYTES32
+    const unrevealedURIHash = unrevealedBaseURI && unrevealedBaseURI.trim().length > 0
+      ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(unrevealedBaseURI))
+      : ZERO_BYTES32
+
+    // Convert to optimized types
+    const royaltyBps = formData.royaltyPercentage ? parseInt(formData.royaltyPercentage) * 100 : 0
+    const maxSupply = parseInt(formData.maxSupply || '0')
+    const revealTimeUint48 = revealTime
+
+    return [
+      standard,                    // enum PrizeTypes.Standard
+      formData.name,               // string name
+      formData.symbol,             // string symbol
+      formData.baseURI,            // string baseURI
+      dropURI,                     // string dropURI (full URI string)
+      dropURIHash,                 // bytes32 dropURIHash (hash of dropURI)
+      address,                     // address initialOwner
+      royaltyBps,                  // uint96 royaltyBps
+      formData.royaltyRecipient,   // address royaltyRecipient
+      maxSupply,                   // uint64 maxSupply
+      revealType,                  // enum PrizeTypes.RevealType
+      unrevealedBaseURI,           // string unrevealedURI (full URI string)
+      unrevealedURIHash,           // bytes32 unrevealedURIHash (hash of unrevealedURI)
+      revealTimeUint48             // uint48 revealTime
+    ]
+  }
+
+  // Metadata check for the URIs about to be deployed; errors block deploy until fixed or acknowledged
+  const metadataCheck = useMetadataValidation()
+  const [metadataAcknowledged, setMetadataAcknowledged] = useState(false)
+  const metadataInputKey = JSON.stringify([
+    collectionType,
+    currentFormData.baseURI,
+    currentFormData.dropURI,
+    currentFormData.unrevealedBaseURI,
+    currentFormData.maxSupply,
+    currentFormData.revealType,
+  ])
+  const metadataStale = !!metadataCheck.report && metadataCheck.inputKey !== metadataInputKey
+
+  const runMetadataCheck = () => {
+    setMetadataAcknowledged(false)
+    metadataCheck.run({
+      baseURI: currentFormData.baseURI,
+      dropURI: currentFormData.dropURI,
+      unrevealedURI: currentFormData.unrevealedBaseURI,
+      maxSupply: currentFormData.maxSupply,
+      standard: collectionType === 'ERC721' ? 0 : 1,
+      revealDelayed: currentFormData.revealType === '1' || currentFormData.revealType === '2',
+    }, metadataInputKey)
+  }
+
+  // Check automatically whenever the summary opens with unchecked inputs
+  useEffect(() => {
+    if (showSummary && validateForm.length === 0 && !metadataCheck.running && metadataCheck.inputKey !== metadataInputKey) {
+      runMetadataCheck()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showSummary, validateForm.length])
+
+  const { running: metadataRunning, report: metadataReport } = metadataCheck
+  const metadataErrors = useMemo(() => {
+    if (metadataRunning) return ['Checking collection metadata...']
+    const report = metadataReport
+    if (!report || metadataStale) return ['Check the collection metadata before deploying']
+    if (metadataAcknowledged) return []
+    if (report.cancelled) return ['Metadata check was stopped; run it again or confirm deploying anyway']
+    if (report.errorCount > 0) return ['Metadata check found problems; fix them or confirm deploying anyway']
+    return []
+  }, [metadataRunning, metadataReport, metadataStale, metadataAcknowledged])
+
+  // Simulate deployCollection while the summary is open so a revert blocks deploy before signing
+  const preflight = useTransactionPreflight(
+    showSummary && validateForm.length === 0 && !deployedCollectionAddress && !loading && connected && contracts.nftFactory && provider
+      ? () => simulateTransaction(contracts.nftFactory.connect(provider.getSigner()), 'deployCollection', buildDeployCollectionArgs())
+      : null,
+    [currentFormData, collectionType, validateForm]
+  )
+
   const deployCollection = async () => {
     if (!connected || !contracts.nftFactory || !provider) {
       toast.error('Please connect your wallet and ensure contracts are configured')
@@ -358,54 +465,11 @@ const DeployCollectionPageV2 = () => {
     setLoading(true)
     try {
       const signer = provider.getSigner()
-      const formData = currentFormData
-      const isERC721 = collectionType === 'ERC721'
-      const standard = isERC721 ? 0 : 1
+      const deployArgs = buildDeployCollectionArgs()
+      const nftFactory = contracts.nftFactory.connect(signer)
+      await preflightTransaction(nftFactory, 'deployCollection', deployArgs)
 
-      let revealType = parseInt(formData.revealType)
-      let unrevealedBaseURI = formData.unrevealedBaseURI
-      let revealTime = 0
-
-      if (revealType === 2) {
-        revealTime = Math.floor(new Date(formData.revealTime).getTime() / 1000)
-      }
-
-      if (revealType === 0) {
-        unrevealedBaseURI = ''
-        revealTime = 0
-      }
-
-      // Compute keccak256 hashes for URIs (gas optimization)
-      const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000'
-      const dropURI = formData.dropURI?.trim() || ''
-      const dropURIHash = dropURI && dropURI.length > 0
-        ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(dropURI))
-        : ZERO_BYTES32
-      const unrevealedURIHash = unrevealedBaseURI && unrevealedBaseURI.trim().length > 0
-        ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(unrevealedBaseURI))
-        : ZERO_BYTES32
-
-      // Convert to optimized types
-      const royaltyBps = formData.royaltyPercentage ? parseInt(formData.royaltyPercentage) * 100 : 0
-      const maxSupply = parseInt(formData.maxSupply || '0')
-      const revealTimeUint48 = revealTime
-
-      const tx = await contracts.nftFactory.connect(signer).deployCollection(
-        standard,                    // enum PrizeTypes.Standard
-        formData.name,               // string name
-        formData.symbol,             // string symbol
-        formData.baseURI,            // string baseURI
-        dropURI,                     // string dropURI (full URI string)
-        dropURIHash,                 // bytes32 dropURIHash (hash of dropURI)
-        address,                     // address initialOwner
-        royaltyBps,                  // uint96 royaltyBps
-        formData.royaltyRecipient,   // address royaltyRecipient
-        maxSupply,                   // uint64 maxSupply
-        revealType,                  // enum PrizeTypes.RevealType
-        unrevealedBaseURI,           // string unrevealedURI (full URI string)
-        unrevealedURIHash,           // bytes32 unrevealedURIHash (hash of unrevealedURI)
-        revealTimeUint48             // uint48 revealTime
-      )
+      const tx = await nftFactory.deployCollection(...deployArgs)
       const receipt = await tx.wait()
 
       // Extract collection address from CollectionDeployed event
@@ -435,7 +499,7 @@ const DeployCollectionPageV2 = () => {
         console.warn('Could not extract collection address from receipt')
       }
 
-      toast.success(`${isERC721 ? 'ERC721' : 'ERC1155'} collection deployed successfully!`)
+      toast.success(`${collectionType} collection deployed successfully!`)
       setShowSummary(false)
     } catch (error) {
       console.error('Error deploying collection:', error)
@@ -460,6 +524,7 @@ const DeployCollectionPageV2 = () => {
   // Handle deploying another collection (reset form)
   const handleDeployAnother = () => {
     setDeployedCollectionAddress(null)
+    metadataCheck.reset()
     const isERC721 = collectionType === 'ERC721'
     setCurrentFormData({
       name: '',
@@ -840,7 +905,7 @@ const DeployCollectionPageV2 = () => {
                     title="Review Your Collection"
                     description={`Please review the details below before deploying your ${collectionType} collection.`}
                     data={summaryData}
-                    errors={validateForm}
+                    errors={[...validateForm, ...metadataErrors, ...(preflight.reason ? [preflight.reason] : [])]}
                     status={loading ? 'submitting' : 'preview'}
                     statusMessage={loading ? 'Deploying collection to the blockchain...' : undefined}
                     onSubmit={deployCollection}
@@ -849,7 +914,16 @@ const DeployCollectionPageV2 = () => {
                     submitLabel={loading ? 'Deploying...' : 'Deploy Collection'}
                     editLabel="Edit Details"
                     variant="elevated"
-                  />
+                  >
+                    <MetadataValidationReport
+                      validation={metadataCheck}
+                      stale={metadataStale}
+                      onRun={runMetadataCheck}
+                      acknowledged={metadataAcknowledged}
+                      onAcknowledgeChange={setMetadataAcknowledged}
+                      collectionName={currentFormData.name}
+                    />
+                  </SummaryCard>
                 </div>
               ) : (
                 <CollectionPreviewCard
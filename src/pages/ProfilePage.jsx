@@ -17,6 +17,8 @@ import { useNativeCurrency } from '../hooks/useNativeCurrency';
 import { useRaffleSummaries } from '../hooks/useRaffleSummaries';
 import { useWinnerCount, getDynamicPrizeLabel } from '../hooks/useWinnerCount';
 import { getTicketsSoldCount } from '../utils/contractCallUtils';
+import { preflightTransaction, simulateTransaction } from '../utils/txPreflight';
+import { useTransactionPreflight } from '../hooks/useTransactionPreflight';
 import NewMobileProfilePage from './mobile/NewMobileProfilePage';
 import WalletConnectionPrompt from '../components/ui/WalletConnectionPrompt';
 
@@ -306,6 +308,7 @@ const CreatedRaffleCard = ({ raffle, onDelete, onViewRevenue }) => {
 
 const PurchasedTicketsCard = ({ ticket, onClaimPrize, onClaimRefund }) => {
   const navigate = useNavigate();
+  const { getContractInstance } = useContract();
   const { winnerCount } = useWinnerCount(ticket.raffleAddress);
 
   const canClaimPrize = () => {
@@ -316,6 +319,30 @@ const PurchasedTicketsCard = ({ ticket, onClaimPrize, onClaimRefund }) => {
     return !ticket.isWinner && (ticket.raffleState === 'Completed' || ticket.raffleState === 'AllPrizesClaimed') && !ticket.refundClaimed;
   };
 
+  // Simulate the claims so a revert blocks the button before signing
+  const claimPrizePreflight = useTransactionPreflight(
+    canClaimPrize()
+      ? () => {
+          const poolContract = getContractInstance(ticket.raffleAddress, 'pool');
+          if (!poolContract) return null;
+          return ticket.prizeAmount > 1
+            ? simulateTransaction(poolContract, 'claimPrizes', [ticket.prizeAmount])
+            : simulateTransaction(poolContract, 'claimPrize');
+        }
+      : null,
+    [ticket.raffleAddress, ticket.raffleState, ticket.prizeClaimed, ticket.prizeAmount]
+  );
+  const claimRefundPreflight = useTransactionPreflight(
+    canClaimRefund()
+      ? () => {
+          const poolContract = getContractInstance(ticket.raffleAddress, 'pool');
+          if (!poolContract) return null;
+          return simulateTransaction(poolContract, 'claimRefund');
+        }
+      : null,
+    [ticket.raffleAddress, ticket.raffleState, ticket.refundClaimed]
+  );
+
   return (
     <div className="bg-card/80 backdrop-blur-sm border border-border/50 rounded-xl p-4 hover:shadow-lg transition-all duration-300">
       <div className="flex items-center justify-between mb-2">
@@ -365,7 +392,7 @@ const PurchasedTicketsCard = ({ ticket, onClaimPrize, onClaimRefund }) => {
 
         <Button
           onClick={() => onClaimPrize(ticket)}
-          disabled={!canClaimPrize()}
+          disabled={!canClaimPrize() || claimPrizePreflight.blocked}
           className="bg-[#614E41] text-white px-3 py-2 rounded-md hover:bg-[#4a3a30] transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
           title={canClaimPrize() ? "Claim your prize" : "Prize not available for claiming"}
         >
@@ -375,12 +402,19 @@ const PurchasedTicketsCard = ({ ticket, onClaimPrize, onClaimRefund }) => {
         {canClaimRefund() && (
           <button
             onClick={() => onClaimRefund(ticket)}
-            className="bg-[#614E41] text-white px-3 py-2 rounded-md hover:bg-[#4a3a30] transition-colors text-sm"
+            disabled={claimRefundPreflight.blocked}
+            className="bg-[#614E41] text-white px-3 py-2 rounded-md hover:bg-[#4a3a30] transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Claim Refund
           </button>
         )}
       </div>
+
+      {[claimPrizePreflight, claimRefundPreflight].map((preflight, i) => preflight.blocked && preflight.reason && (
+        <div key={i} className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">
+          <p>{preflight.reason}</p>
+        </div>
+      ))}
     </div>
   );
 };
@@ -746,9 +780,11 @@ const DesktopProfilePage = () => {
       let result;
       if (ticket.prizeAmount > 1) {
         // Multiple prizes - use claimPrizes
+        await preflightTransaction(poolContract, 'claimPrizes', [ticket.prizeAmount]);
         result = await executeTransaction(poolContract.claimPrizes, ticket.prizeAmount);
       } else {
         // Single prize - use claimPrize
+        await preflightTransaction(poolContract, 'claimPrize');
         result = await executeTransaction(poolContract.claimPrize);
       }
 
@@ -779,6 +815,7 @@ const DesktopProfilePage = () => {
       const refundClaimed = await poolContract.refundedNonWinningTickets(address);
       const refundClaimedBool = refundClaimed && refundClaimed.gt && refundClaimed.gt(0);
 
+      await preflightTransaction(poolContract, 'claimRefund');
       const result = await executeTransaction(poolContract.claimRefund);
 
       if (result.success) {
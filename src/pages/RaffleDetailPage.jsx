@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom';
 import { resolveChainIdFromSlug } from '../utils/urlNetworks';
 import { getAppRootUrl } from '../utils/subdomainUtils';
-import { Ticket, Clock, Trophy, Users, ArrowLeft, AlertCircle, CheckCircle, DollarSign, Trash2, Info, ChevronDown, Twitter, MessageCircle, Send, Coins, Gift, Sparkles, Star } from 'lucide-react';
+import { Ticket, Clock, Trophy, Users, ArrowLeft, AlertCircle, CheckCircle, DollarSign, Trash2, Info, ChevronDown, Twitter, MessageCircle, Send, Coins, Gift, Sparkles, Star, Copy } from 'lucide-react';
 import { getPoolMetadata, hasAnyMetadata, formatSocialLink } from '../utils/poolMetadataService';
 import { SUPPORTED_NETWORKS, DEFAULT_CHAIN_ID } from '../networks';
 import { useWallet } from '../contexts/WalletContext';
@@ -29,8 +29,11 @@ import signatureService from '../services/signatureService';
 import verificationService from '../services/verificationService';
 import purchaseAuthService from '../services/purchaseAuthService';
 import supabaseService from '../services/supabaseService';
+import { poolToDraftValues, getDuplicatePoolType } from '../services/poolDraftService';
 import { useRealtimePool } from '../hooks/useRealtimePool';
 import { parseContractError, logContractError, formatErrorForDisplay } from '../utils/contractErrorHandler';
+import { preflightTransaction, simulateTransaction } from '../utils/txPreflight';
+import { useTransactionPreflight } from '../hooks/useTransactionPreflight';
 import {
   batchContractCalls,
   safeContractCall,
@@ -42,13 +45,15 @@ import {
 import { useErrorHandler } from '../utils/errorHandling';
 // Pool type detection and layout components
 import { isNFTPrizedPool, getPoolType } from '../utils/poolTypeUtils';
+import { calculateWinOdds, simulatePurchaseOdds, formatOdds } from '../utils/winOdds';
 import {
   PrizeImageCard as PrizeImageCardNew,
   RaffleDetailsCard,
   NFTPoolLayout,
   StandardPoolLayout,
   PoolActivity,
-  WinnersSection
+  WinnersSection,
+  StuckDrawNotice
 } from '../components/raffle';
 
 const POOL_STATE_LABELS = [
@@ -62,6 +67,9 @@ const POOL_STATE_LABELS = [
   'Unengaged'
 ];
 
+// Purchase signatures are valid for 15 minutes; the purchase card's simulation reuses one for 10
+const PREVIEW_AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
 // Note: Using parseContractError from contractErrorHandler for better custom error handling
 
 // Helper function to safely convert slotFee to BigNumber
@@ -280,14 +288,15 @@ const TokenSelector = React.memo(({ raffle, selectedTokenIds, setSelectedTokenId
 
 TokenSelector.displayName = 'TokenSelector';
 
-const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, winners, shouldShowClaimPrize, prizeAlreadyClaimed, claimingPrize, handleClaimPrize, shouldShowClaimRefund, claimingRefund, handleClaimRefund, refundableAmount, isMintableERC721, isEscrowedPrize, isCollabPool, isPrized, isMobile, onStateChange, socialEngagementRequired, hasCompletedSocialEngagement }) => {
+const TicketPurchaseSection = React.memo(({ raffle, onPurchase, simulatePurchase, simulateClaimPrize, simulateClaimRefund, timeRemaining, winners, shouldShowClaimPrize, prizeAlreadyClaimed, claimingPrize, handleClaimPrize, shouldShowClaimRefund, claimingRefund, handleClaimRefund, refundableAmount, isMintableERC721, isEscrowedPrize, isCollabPool, isPrized, isMobile, onStateChange, socialEngagementRequired, hasCompletedSocialEngagement }) => {
   const { connected, address, provider } = useWallet();
   const { getContractInstance, executeTransaction } = useContract();
   const { formatSlotFee, getCurrencySymbol } = useNativeCurrency();
   const [quantity, setQuantity] = useState(1);
   const [loading, setLoading] = useState(false);
   const [userSlots, setUserSlots] = useState(0);
-  const [winningChance, setWinningChance] = useState(null);
+  const [userWins, setUserWins] = useState(0);
+  const [participantSlots, setParticipantSlots] = useState(0);
   
   // ERC721 Token ID Selection State
   const [selectedTokenIds, setSelectedTokenIds] = useState([]);
@@ -300,7 +309,18 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
 
   useEffect(() => {
     fetchUserSlots();
-  }, [raffle.address, address, raffle.slotsSold]);
+  }, [raffle.address, address, raffle.slotsSold, raffle.winnersSelected]);
+
+  // Real-time slotsSold can run ahead of the last participants read
+  const oddsParams = useMemo(() => ({
+    totalSlots: Math.max(participantSlots, raffle.slotsSold || 0),
+    userSlots,
+    winnersCount: raffle.winnersCount,
+    winnersSelected: raffle.winnersSelected,
+    userWins,
+  }), [participantSlots, raffle.slotsSold, userSlots, raffle.winnersCount, raffle.winnersSelected, userWins]);
+
+  const winOdds = useMemo(() => calculateWinOdds(oddsParams), [oddsParams]);
 
   // Auto-clamp quantity when available slots change (e.g., from real-time updates)
   useEffect(() => {
@@ -459,7 +479,7 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
   const fetchUserSlots = async () => {
     if (!raffle.address || !address) {
       setUserSlots(0);
-      setWinningChance(null);
+      setUserWins(0);
       return;
     }
     try {
@@ -467,6 +487,12 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
       if (!poolContract) return;
       const slots = await poolContract.slotsPurchased(address);
       setUserSlots(slots.toNumber ? slots.toNumber() : Number(slots));
+      if (raffle.winnersSelected > 0) {
+        const wins = await poolContract.winsPerAddress(address);
+        setUserWins(wins.toNumber ? wins.toNumber() : Number(wins));
+      } else {
+        setUserWins(0);
+      }
       let totalSlots = 0;
       try {
         const participantsCount = await poolContract.getParticipantsCount();
@@ -483,14 +509,10 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
           }
         }
       }
-      if (totalSlots > 0 && slots > 0) {
-        setWinningChance(((slots / totalSlots) * 100).toFixed(2));
-      } else {
-        setWinningChance(null);
-      }
+      setParticipantSlots(totalSlots);
     } catch (e) {
       setUserSlots(0);
-      setWinningChance(null);
+      setUserWins(0);
     }
   };
 
@@ -700,6 +722,24 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
   const remainingSlots = raffle.slotLimit - raffle.slotsSold;
   const userRemainingAllocation = Math.max(0, raffle.maxSlotsPerAddress - userSlots);
   const maxPurchasable = Math.min(remainingSlots, userRemainingAllocation);
+  const purchaseOdds = maxPurchasable > 0 ? simulatePurchaseOdds(oddsParams, isNaN(quantity) ? 1 : quantity) : null;
+
+  // Simulate the purchase and claims as their inputs change so a revert blocks the button before signing
+  const purchasePreflight = useTransactionPreflight(
+    connected && !loading && canPurchaseTickets() && maxPurchasable > 0 && quantity <= maxPurchasable &&
+      !(socialEngagementRequired && !hasCompletedSocialEngagement) && isTokenSelectionValid()
+      ? () => simulatePurchase(quantity, selectedTokenIds)
+      : null,
+    [raffle.address, address, quantity, selectedTokenIds, raffle.slotsSold, userSlots]
+  );
+  const claimPrizePreflight = useTransactionPreflight(
+    connected && !claimingPrize && [4, 5, 6, 7].includes(raffle.stateNum) && canClaimPrize() ? simulateClaimPrize : null,
+    [raffle.address, address, raffle.stateNum]
+  );
+  const claimRefundPreflight = useTransactionPreflight(
+    connected && !claimingRefund && canClaimRefund() ? simulateClaimRefund : null,
+    [raffle.address, address, raffle.stateNum, refundableAmount?.toString()]
+  );
 
   return (
     <div className="bg-card/80 text-foreground backdrop-blur-sm border border-border rounded-xl p-6 shadow-lg hover:shadow-xl transition-all duration-300 h-full flex flex-col min-h-[360px] sm:min-h-[380px] lg:min-h-[420px] overflow-hidden">
@@ -742,8 +782,21 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
             <p className="font-body text-[length:var(--text-base)] font-medium">{userSlots || 0}</p>
           </div>
           <div>
-            <span className="text-muted-foreground">Winning Chance:</span>
-            <p className="font-body text-[length:var(--text-base)] font-medium">{winningChance !== null ? `${winningChance}%` : 'N/A'}</p>
+            <span className="text-muted-foreground flex items-center gap-2">Winning Chance:
+              {winOdds && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <span className="inline-flex items-center cursor-help" aria-label="Winning chance info">
+                      <Info className="h-3.5 w-3.5 opacity-70" tabIndex={0} />
+                    </span>
+                  </TooltipTrigger>
+                  <TooltipContent side="top" align="center">
+                    Chance of at least one win if the pool closed now. Expected wins: {winOdds.expectedWins.toFixed(2)} (max {winOdds.maxWins})
+                  </TooltipContent>
+                </Tooltip>
+              )}
+            </span>
+            <p className="font-body text-[length:var(--text-base)] font-medium">{winOdds ? formatOdds(winOdds.atLeastOne) : 'N/A'}</p>
             </div>
             <div>
               <span className="text-muted-foreground">Max per user:</span>
@@ -764,32 +817,40 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
           <>
             <div className="mt-auto">
               {(canClaimPrize() || canClaimRefund()) ? (
-                <div className="flex flex-col sm:flex-row gap-2 w-full">
-                  {canClaimPrize() && (
-                    <Button
-                      onClick={handleClaimPrize}
-                      disabled={claimingPrize || !connected}
-                      variant="primary"
-                      size="lg"
-                      className="flex-1"
-                    >
-                      {claimingPrize
-                        ? (!isEscrowedPrize ? 'Minting...' : 'Claiming...')
-                        : (!isEscrowedPrize ? 'Mint' : 'Claim Prize')}
-                    </Button>
-                  )}
-                  {canClaimRefund() && (
-                    <Button
-                      onClick={handleClaimRefund}
-                      disabled={claimingRefund || !connected}
-                      variant="primary"
-                      size="lg"
-                      className="flex-1"
-                    >
-                      {claimingRefund ? 'Claiming...' : 'Claim Refund'}
-                    </Button>
-                  )}
-                </div>
+                <>
+                  <div className="flex flex-col sm:flex-row gap-2 w-full">
+                    {canClaimPrize() && (
+                      <Button
+                        onClick={handleClaimPrize}
+                        disabled={claimingPrize || !connected || claimPrizePreflight.blocked}
+                        variant="primary"
+                        size="lg"
+                        className="flex-1"
+                      >
+                        {claimingPrize
+                          ? (!isEscrowedPrize ? 'Minting...' : 'Claiming...')
+                          : (!isEscrowedPrize ? 'Mint' : 'Claim Prize')}
+                      </Button>
+                    )}
+                    {canClaimRefund() && (
+                      <Button
+                        onClick={handleClaimRefund}
+                        disabled={claimingRefund || !connected || claimRefundPreflight.blocked}
+                        variant="primary"
+                        size="lg"
+                        className="flex-1"
+                      >
+                        {claimingRefund ? 'Claiming...' : 'Claim Refund'}
+                      </Button>
+                    )}
+                  </div>
+                  {[claimPrizePreflight, claimRefundPreflight].map((preflight, i) => preflight.blocked && preflight.reason && (
+                    <div key={i} className="flex items-center gap-2 mt-2">
+                      <AlertCircle className="h-4 w-4 text-red-600" />
+                      <span className="text-xs text-red-700 dark:text-red-300 break-words">{preflight.reason}</span>
+                    </div>
+                  ))}
+                </>
               ) : (
                 <Button
                   disabled
@@ -905,6 +966,12 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
                         Total: {formatSlotFee(safeSlotFeeToBigNumber(raffle.slotFee).mul(isNaN(quantity) ? 1 : quantity))}
                       </span>
                     </p>
+                    {purchaseOdds && (
+                      <p className="text-xs text-muted-foreground mt-1">
+                        Buy {quantity} more → odds become <span className="font-medium text-foreground">{formatOdds(purchaseOdds.atLeastOne)}</span>
+                        {' '}({purchaseOdds.expectedWins.toFixed(2)} expected win{purchaseOdds.expectedWins.toFixed(2) === '1.00' ? '' : 's'})
+                      </p>
+                    )}
                   </div>
                 </>
               ) : null}
@@ -928,13 +995,19 @@ const TicketPurchaseSection = React.memo(({ raffle, onPurchase, timeRemaining, w
               )}
               <Button
                 onClick={() => handlePurchase(quantity, selectedTokenIds)}
-                disabled={loading || !connected || !canPurchaseTickets() || maxPurchasable <= 0 || quantity > maxPurchasable || (socialEngagementRequired && !hasCompletedSocialEngagement) || !isTokenSelectionValid()}
+                disabled={loading || !connected || !canPurchaseTickets() || maxPurchasable <= 0 || quantity > maxPurchasable || (socialEngagementRequired && !hasCompletedSocialEngagement) || !isTokenSelectionValid() || purchasePreflight.blocked}
                 variant="primary"
                 size="lg"
                 className="w-full shadow-sm"
               >
                 {loading ? 'Processing...' : `Purchase ${quantity} Slot${quantity > 1 ? 's' : ''}`}
               </Button>
+              {purchasePreflight.blocked && purchasePreflight.reason && (
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4 text-red-600" />
+                  <span className="text-xs text-red-700 dark:text-red-300 break-words">{purchasePreflight.reason}</span>
+                </div>
+              )}
               {socialEngagementRequired && !hasCompletedSocialEngagement && address?.toLowerCase() !== raffle.creator?.toLowerCase() && (
                 <div className="text-center pt-1.5">
                   <p className="text-muted-foreground text-sm">
@@ -1696,6 +1769,25 @@ function getExplorerLink(addressOrTx, chainIdOverride, isTransaction = false) {
 }
 
 
+/**
+ * Merges freshly fetched backend activity into the list already on screen.
+ * Real-time entries that aren't indexed yet are kept; entries present in both
+ * take the backend copy so pending → final status changes are picked up.
+ */
+function mergeBackendActivity(prev, backendActivities) {
+  if (prev.length === 0) return backendActivities;
+  const backendById = new Map(backendActivities.map(a => [a.id, a]));
+  const existingIds = new Set(prev.map(a => a.id));
+  const newFromBackend = backendActivities.filter(a => !existingIds.has(a.id));
+  const hasStatusChange = prev.some(a => backendById.has(a.id) && backendById.get(a.id).status !== a.status);
+  if (newFromBackend.length === 0 && !hasStatusChange) return prev;
+  const refreshed = prev.map(a => backendById.get(a.id) || a);
+  return [...refreshed, ...newFromBackend].sort((a, b) => {
+    const timeA = new Date(a.timestamp || a.created_at).getTime();
+    const timeB = new Date(b.timestamp || b.created_at).getTime();
+    return timeB - timeA;
+  });
+}
 
 // PrizeTypes.Standard enum mapping
 const PRIZE_TYPE_OPTIONS = [
@@ -1750,6 +1842,7 @@ const RaffleDetailPage = () => {
   const [canClaimParticipantPoints, setCanClaimParticipantPoints] = useState(false);
   const [canClaimCreatorPoints, setCanClaimCreatorPoints] = useState(false);
   const [claimingPoints, setClaimingPoints] = useState(false);
+  const [retryingMints, setRetryingMints] = useState(false);
   const [pointsSystemActive, setPointsSystemActive] = useState(false);
   // If URL includes a chain slug, gently ensure wallet is on the right network
   useEffect(() => {
@@ -1806,6 +1899,7 @@ const RaffleDetailPage = () => {
   const actualDurationDebounceRef = useRef(null);
   const lastPolledStateRef = useRef(null);
   const hasInitiallyLoadedRef = useRef(false);
+  const previewAuthorizationRef = useRef(null);
   const fetchActualDurationImmediate = useCallback(async () => {
     try {
       const contract = getContractInstance(stableRaffleAddress || raffleAddress, 'pool');
@@ -1937,8 +2031,18 @@ const RaffleDetailPage = () => {
       minHolderTokenBalance: pool.min_holder_token_balance ? ethers.BigNumber.from(pool.min_holder_token_balance) : ethers.BigNumber.from(0),
       isRefundable: pool.is_refundable || false,
       chainId: pool.chain_id,
+      createdAtBlock: pool.created_at_block || null,
+      drawStuckReason: pool.draw_stuck_reason || null,
+      drawStuckSince: pool.draw_stuck_since || null,
+      drawStuckDetails: pool.draw_stuck_details || null,
       socialEngagementRequired: pool.social_engagement_required || false,
       socialTaskDescription: pool.social_task_description || null,
+      isPaused: pool.paused || false,
+      pausedAt: pool.paused_at || null,
+      selectionStartedAt: pool.selection_started_at || null,
+      failedMintCount: pool.failed_mint_count || 0,
+      batchFailureCount: pool.batch_failure_count || 0,
+      lastMintFailureReason: pool.last_mint_failure_reason || null,
       // Pool metadata from backend
       _backendMetadata: (pool.description || pool.twitter_link || pool.discord_link || pool.telegram_link) ? {
         description: pool.description || '',
@@ -1989,18 +2093,7 @@ const RaffleDetailPage = () => {
           setIsRefundable(transformedPool.isRefundable);
           setIsCollabPool(transformedPool.isCollabPool);
           setIsEscrowedPrize(transformedPool.isEscrowedPrize);
-          setPoolActivity(prev => {
-            const backendActivities = transformedPool._backendActivity || [];
-            if (prev.length === 0) return backendActivities;
-            const existingIds = new Set(prev.map(a => a.id));
-            const newFromBackend = backendActivities.filter(a => !existingIds.has(a.id));
-            if (newFromBackend.length === 0) return prev;
-            return [...prev, ...newFromBackend].sort((a, b) => {
-              const timeA = new Date(a.timestamp || a.created_at).getTime();
-              const timeB = new Date(b.timestamp || b.created_at).getTime();
-              return timeB - timeA;
-            });
-          });
+          setPoolActivity(prev => mergeBackendActivity(prev, transformedPool._backendActivity || []));
           if (transformedPool._backendMetadata) {
             setPoolMetadata(transformedPool._backendMetadata);
           }
@@ -2078,19 +2171,7 @@ const RaffleDetailPage = () => {
                 setIsEscrowedPrize(transformedPool.isEscrowedPrize);
                 // Merge backend activities with any real-time activities already received
                 // to avoid losing activities that arrived via subscription but aren't yet indexed
-                setPoolActivity(prev => {
-                  const backendActivities = transformedPool._backendActivity || [];
-                  if (prev.length === 0) return backendActivities;
-                  // Merge: keep all existing real-time activities, add any new backend ones
-                  const existingIds = new Set(prev.map(a => a.id));
-                  const newFromBackend = backendActivities.filter(a => !existingIds.has(a.id));
-                  if (newFromBackend.length === 0) return prev;
-                  return [...prev, ...newFromBackend].sort((a, b) => {
-                    const timeA = new Date(a.timestamp || a.created_at).getTime();
-                    const timeB = new Date(b.timestamp || b.created_at).getTime();
-                    return timeB - timeA;
-                  });
-                });
+                setPoolActivity(prev => mergeBackendActivity(prev, transformedPool._backendActivity || []));
                 // Use backend metadata if available (avoids RPC event queries)
                 if (transformedPool._backendMetadata) {
                   setPoolMetadata(transformedPool._backendMetadata);
@@ -2452,6 +2533,22 @@ const RaffleDetailPage = () => {
           });
         }
       )
+      // Pending → final promotions once the indexer sees enough confirmations
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'user_activity',
+          filter: `pool_address=eq.${addr}`
+        },
+        (payload) => {
+          const updated = payload.new;
+          if (!updated) return;
+
+          setPoolActivity(prev => prev.map(a => (a.id === updated.id ? { ...a, ...updated } : a)));
+        }
+      )
       // New participants — immediately increment slotsSold (arrives before pools UPDATE)
       .on(
         'postgres_changes',
@@ -2685,27 +2782,9 @@ const RaffleDetailPage = () => {
     fetchMetadata();
   }, [raffleAddress, contracts?.poolDeployer, poolMetadata?.hasMetadata]);
 
-  const handlePurchaseTickets = async (quantity, selectedTokenIds = []) => {
-    if (!connected || !raffle) {
-      throw new Error('Wallet not connected or raffle not loaded');
-    }
-
-    const poolContract = getContractInstance(raffle.address, 'pool');
-    if (!poolContract) {
-      throw new Error('Failed to get pool contract');
-    }
-
-    // Ensure slotFee is properly handled as BigNumber
-    const slotFeeBN = safeSlotFeeToBigNumber(raffle.slotFee);
-    const totalCost = slotFeeBN.mul(quantity);
-
-    // Check if signature is required for social media verification
-    let signature = null;
-    let deadline = 0;
-    
-    // Determine signature based on social engagement requirements
-    let signatureToUse = '0x'; // Default empty signature
-    
+  // Server-signed purchase authorization: social verification signature for
+  // social pools, PurchaseAuthorizer signature (anti-bot) for the rest
+  const getPurchaseAuthorization = async (quantity) => {
     if (raffle.socialEngagementRequired) {
       // Always attempt to generate signature when social engagement is required
       // This covers both:
@@ -2720,9 +2799,7 @@ const RaffleDetailPage = () => {
         );
         
         if (signatureResult.success) {
-          signature = signatureResult.signature;
-          deadline = signatureResult.deadline;
-          signatureToUse = signature;
+          return { deadline: signatureResult.deadline, signature: signatureResult.signature };
         } else {
           throw new Error(signatureResult.error || 'Failed to generate signature');
         }
@@ -2736,39 +2813,57 @@ const RaffleDetailPage = () => {
           throw new Error('Failed to generate signature. Please try again.');
         }
       }
-    } else {
-      // Non-social pools: server-signed purchase authorization (anti-bot)
-      // Every purchase needs a fresh PurchaseAuthorizer signature
-      try {
-        const authResult = await purchaseAuthService.generatePurchaseAuthorization(
-          address,
-          raffle.address,
-          raffle.chainId
-        );
+    }
 
-        if (authResult.success) {
-          deadline = authResult.deadline;
-          signatureToUse = authResult.signature;
-        } else {
-          throw new Error(authResult.error || 'Failed to generate purchase authorization');
-        }
-      } catch (authError) {
-        console.error('Purchase authorization failed:', authError);
-        throw new Error('Failed to authorize purchase. Please try again.');
+    // Non-social pools: every purchase needs a fresh PurchaseAuthorizer signature
+    try {
+      const authResult = await purchaseAuthService.generatePurchaseAuthorization(
+        address,
+        raffle.address,
+        raffle.chainId
+      );
+
+      if (authResult.success) {
+        return { deadline: authResult.deadline, signature: authResult.signature };
+      } else {
+        throw new Error(authResult.error || 'Failed to generate purchase authorization');
       }
+    } catch (authError) {
+      console.error('Purchase authorization failed:', authError);
+      throw new Error('Failed to authorize purchase. Please try again.');
     }
+  };
 
-    // Call purchaseSlots with deadline, signature, and selected token IDs
-    // Convert token IDs to numbers for contract (contract expects uint256[])
-    const numericTokenIds = selectedTokenIds.map(id => {
-      const tokenId = Number(id);
-      if (isNaN(tokenId) || tokenId < 0) {
-        throw new Error(`Invalid token ID: ${id}`);
-      }
-      return tokenId;
-    });
-    
-    const tx = await poolContract.purchaseSlots(quantity, deadline, signatureToUse, numericTokenIds, { value: totalCost });
+  // Convert token IDs to numbers for contract (contract expects uint256[])
+  const toNumericTokenIds = (selectedTokenIds) => selectedTokenIds.map(id => {
+    const tokenId = Number(id);
+    if (isNaN(tokenId) || tokenId < 0) {
+      throw new Error(`Invalid token ID: ${id}`);
+    }
+    return tokenId;
+  });
+
+  const handlePurchaseTickets = async (quantity, selectedTokenIds = []) => {
+    if (!connected || !raffle) {
+      throw new Error('Wallet not connected or raffle not loaded');
+    }
+
+    const poolContract = getContractInstance(raffle.address, 'pool');
+    if (!poolContract) {
+      throw new Error('Failed to get pool contract');
+    }
+
+    // Ensure slotFee is properly handled as BigNumber
+    const slotFeeBN = safeSlotFeeToBigNumber(raffle.slotFee);
+    const totalCost = slotFeeBN.mul(quantity);
+
+    const { deadline, signature } = await getPurchaseAuthorization(quantity);
+    const numericTokenIds = toNumericTokenIds(selectedTokenIds);
+
+    // Simulate with the fresh signature so a revert is reported before the wallet prompt
+    await preflightTransaction(poolContract, 'purchaseSlots', [quantity, deadline, signature, numericTokenIds], { value: totalCost });
+
+    const tx = await poolContract.purchaseSlots(quantity, deadline, signature, numericTokenIds, { value: totalCost });
     const receipt = await tx.wait();
     
     toast.success(`Successfully purchased ${quantity} slot${quantity > 1 ? 's' : ''}!`);
@@ -2776,6 +2871,23 @@ const RaffleDetailPage = () => {
     triggerRefresh();
   };
 
+  // Simulation for the purchase card. The authorization endpoints are rate limited
+  // and neither signature covers the quantity, so one is reused until it nears its
+  // deadline; the purchase itself still requests a fresh one.
+  const simulatePurchase = async (quantity, selectedTokenIds = []) => {
+    const poolContract = getContractInstance(raffle.address, 'pool');
+    if (!poolContract) return null;
+
+    const key = `${raffle.address}:${address}`.toLowerCase();
+    const cached = previewAuthorizationRef.current;
+    if (!cached || cached.key !== key || Date.now() - cached.fetchedAt > PREVIEW_AUTHORIZATION_TTL_MS) {
+      previewAuthorizationRef.current = { key, fetchedAt: Date.now(), ...(await getPurchaseAuthorization(quantity)) };
+    }
+    const { deadline, signature } = previewAuthorizationRef.current;
+    const totalCost = safeSlotFeeToBigNumber(raffle.slotFee).mul(quantity);
+    return simulateTransaction(poolContract, 'purchaseSlots', [quantity, deadline, signature, toNumericTokenIds(selectedTokenIds)], { value: totalCost });
+  };
+
   const handleDeleteRaffle = async () => {
     if (!raffle || !getContractInstance) return;
 
@@ -2962,6 +3074,65 @@ const RaffleDetailPage = () => {
     }
   };
 
+  // Retry prize mints the indexer saw fail (MintingFailed). Quantities are read
+  // from the contract so only still-unclaimed wins are re-minted.
+  const handleRetryFailedMints = async () => {
+    if (!raffle || !connected || !getContractInstance) return;
+
+    const failedWinners = [...new Set(
+      (raffle._backendWinners || [])
+        .filter(w => w.mint_failed)
+        .map(w => w.winner_address)
+    )];
+    if (failedWinners.length === 0) return;
+
+    setRetryingMints(true);
+    try {
+      const poolContract = getContractInstance(raffle.address, 'pool');
+      if (!poolContract) {
+        throw new Error('Pool contract instance not available');
+      }
+
+      const pending = await Promise.all(failedWinners.map(async (winner) => {
+        const [wins, claimed] = await Promise.all([
+          poolContract.winsPerAddress(winner),
+          poolContract.claimedWins(winner),
+        ]);
+        return { winner, quantity: wins.sub(claimed) };
+      }));
+      const retry = pending.filter(p => p.quantity.gt(0));
+      if (retry.length === 0) {
+        toast.info('All failed mints have already been delivered');
+        return;
+      }
+
+      const winnerAddresses = retry.map(p => p.winner);
+      const quantities = retry.map(p => p.quantity);
+
+      // Preflight simulate
+      try {
+        await poolContract.callStatic.batchMintToWinners(winnerAddresses, quantities);
+      } catch (simErr) {
+        notifyError(simErr, { action: 'batchMintToWinners', phase: 'preflight' });
+        throw simErr;
+      }
+
+      const result = await executeTransaction(() => poolContract.batchMintToWinners(winnerAddresses, quantities));
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      toast.success(`Retried minting for ${retry.length} winner${retry.length !== 1 ? 's' : ''}`);
+      triggerRefresh();
+    } catch (error) {
+      logContractError(error, 'Retry Failed Mints');
+      notifyError(error, { action: 'batchMintToWinners' });
+    } finally {
+      setRetryingMints(false);
+    }
+  };
+
+  const isPoolCreator = !!address && address.toLowerCase() === raffle?.creator?.toLowerCase();
+
   const getStatusBadge = () => {
     if (!raffle) return null;
 
@@ -3203,11 +3374,7 @@ const RaffleDetailPage = () => {
       
       // Preflight simulate to capture revert reason
       try {
-        if (isMintablePrize) {
-          await poolContract.callStatic.mint();
-        } else {
-          await poolContract.callStatic.claimPrize();
-        }
+        await preflightTransaction(poolContract, functionName);
       } catch (simErr) {
         notifyError(simErr, { action: functionName, phase: 'preflight' });
         throw simErr;
@@ -3272,7 +3439,7 @@ const RaffleDetailPage = () => {
       if (!poolContract) throw new Error('Failed to get pool contract');
       // Preflight simulate to surface revert reason
       try {
-        await poolContract.callStatic.claimRefund();
+        await preflightTransaction(poolContract, 'claimRefund');
       } catch (simErr) {
         notifyError(simErr, { action: 'claimRefund', phase: 'preflight' });
         throw simErr;
@@ -3294,6 +3461,49 @@ const RaffleDetailPage = () => {
     }
   };
 
+  // Simulations for the claim buttons, kept live by the purchase card
+  const simulateClaimPrize = () => {
+    const poolContract = getContractInstance(raffle.address, 'pool');
+    if (!poolContract) return null;
+    return simulateTransaction(poolContract, raffle.isPrized && !raffle.isEscrowedPrize ? 'mint' : 'claimPrize');
+  };
+
+  const simulateClaimRefund = () => {
+    const poolContract = getContractInstance(raffle.address, 'pool');
+    if (!poolContract) return null;
+    return simulateTransaction(poolContract, 'claimRefund');
+  };
+
+  // Open the matching create form pre-filled with this pool's parameters
+  const handleDuplicatePool = async () => {
+    const pool = {
+      ...raffle,
+      isEscrowedPrize,
+      isCollabPool,
+      _backendMetadata: poolMetadata || raffle._backendMetadata,
+    };
+    let erc20Decimals = 18;
+    if (getDuplicatePoolType(pool) === 'erc20-giveaway' && provider) {
+      try {
+        const token = new ethers.Contract(raffle.erc20PrizeToken, ['function decimals() view returns (uint8)'], provider);
+        erc20Decimals = await token.decimals();
+      } catch {
+        toast.error('Could not read the prize token decimals');
+        return;
+      }
+    }
+    const duplicate = poolToDraftValues(pool, { erc20Decimals });
+    if (!duplicate) {
+      toast.error('This pool type cannot be duplicated');
+      return;
+    }
+    navigate('/create-raffle', { state: { duplicateFrom: duplicate } });
+  };
+
+  const canDuplicatePool = !!raffle && !!address &&
+    address.toLowerCase() === raffle.creator?.toLowerCase() &&
+    !!getDuplicatePoolType({ ...raffle, isEscrowedPrize, isCollabPool });
+
   if (loading || (isReconnecting && !raffle)) {
     return (
       <PageContainer className="max-w-[85rem]">
@@ -3414,6 +3624,16 @@ const RaffleDetailPage = () => {
                   <path d="M3.9 12a5 5 0 0 1 5-5h2v2h-2a3 3 0 0 0 0 6h2v2h-2a5 5 0 0 1-5-5zm7-1h2v2h-2v-2zm4.1-4a5 5 0 0 1 0 10h-2v-2h2a3 3 0 0 0 0-6h-2V7h2z" />
                 </svg>
               </Button>
+              {canDuplicatePool && (
+                <Button
+                  onClick={handleDuplicatePool}
+                  title="Duplicate this pool"
+                  variant="tertiary"
+                  size="icon"
+                >
+                  <Copy className="w-5 h-5" />
+                </Button>
+              )}
             </div>
             
             {/* Pool Metadata - displayed right under pool name */}
@@ -3480,6 +3700,15 @@ const RaffleDetailPage = () => {
           </div>
         </div>
 
+        {isPoolCreator && raffle.drawStuckReason && (
+          <StuckDrawNotice
+            raffle={raffle}
+            onRetryMints={handleRetryFailedMints}
+            retryingMints={retryingMints}
+            onRecovered={triggerRefresh}
+          />
+        )}
+
         {canDelete() && raffle.slotsSold > 0 && (
           <div className="mt-4 p-4 bg-blue-50/80 dark:bg-blue-900/20 backdrop-blur-sm border border-blue-200/50 dark:border-blue-700/50 rounded-lg">
             <p className="text-sm text-blue-800">
@@ -3554,6 +3783,9 @@ const RaffleDetailPage = () => {
               shouldShowClaimRefund={shouldShowClaimRefund}
               claimingRefund={claimingRefund}
               handleClaimRefund={handleClaimRefund}
+              simulatePurchase={simulatePurchase}
+              simulateClaimPrize={simulateClaimPrize}
+              simulateClaimRefund={simulateClaimRefund}
               refundableAmount={refundableAmount}
               isMintableERC721={isMintableERC721}
               isEscrowedPrize={isEscrowedPrize}
@@ -3591,6 +3823,8 @@ const RaffleDetailPage = () => {
               raffle={raffle}
               activity={poolActivity}
               variant="nft"
+              onRetryMints={isPoolCreator ? handleRetryFailedMints : undefined}
+              retryingMints={retryingMints}
             />
           }
           socialVerification={
@@ -3623,6 +3857,9 @@ const RaffleDetailPage = () => {
               shouldShowClaimRefund={shouldShowClaimRefund}
               claimingRefund={claimingRefund}
               handleClaimRefund={handleClaimRefund}
+              simulatePurchase={simulatePurchase}
+              simulateClaimPrize={simulateClaimPrize}
+              simulateClaimRefund={simulateClaimRefund}
               refundableAmount={refundableAmount}
               isMintableERC721={isMintableERC721}
               isEscrowedPrize={isEscrowedPrize}
@@ -3660,6 +3897,8 @@ const RaffleDetailPage = () => {
               raffle={raffle}
               activity={poolActivity}
               variant="standard"
+              onRetryMints={isPoolCreator ? handleRetryFailedMints : undefined}
+              retryingMints={retryingMints}
             />
           }
           prizeImageCard={
@@ -0,0 +1,277 @@
+/**
+ * Draw Verification Service
+ *
+ * Collects everything needed to re-check a completed pool's draw straight
+ * from chain, then replays it with utils/drawVerification:
+ *
+ *   SlotsPurchased logs     participant slots in the order the pool pushed them
+ *   SelectionStarted logs   shuffleStartIndex and batchSize of each batch
+ *   batchRandomSeeds(k)     seed each batch was drawn with
+ *   WinnersSelected logs    one per batch, mined in the VRF fulfilment tx
+ *   RandomWordsFulfilled    coordinator log in that tx; its outputSeed must
+ *                           hash to the batch seed
+ *   RandomRequested logs    the request the fulfilment answered
+ *   winners(i)              the winner list the replay is compared against
+ *
+ * The pool's participants array is shuffled in place by the draw, so the
+ * pre-draw order can only come from the purchase logs.
+ */
+
+import { ethers } from 'ethers'
+import { contractABIs } from '../contracts/contractABIs'
+import {
+  participantsFromPurchases,
+  replayDraw,
+  vrfWordFromOutputSeed,
+  compareWinners,
+  buildProofBundle,
+} from '../utils/drawVerification'
+
+// Safe getLogs range for most RPC providers
+export const LOG_CHUNK_SIZE = 5000
+// Storage reads sent in parallel
+const READ_CHUNK_SIZE = 20
+
+// VRF v2.5 coordinator fulfilment event; older 2.5 coordinators emit it without onlyPremium
+const FULFILMENT_EVENTS = [
+  'event RandomWordsFulfilled(uint256 indexed requestId, uint256 outputSeed, uint256 indexed subId, uint96 payment, bool nativePayment, bool success, bool onlyPremium)',
+  'event RandomWordsFulfilled(uint256 indexed requestId, uint256 outputSeed, uint256 indexed subId, uint96 payment, bool nativePayment, bool success)',
+]
+const fulfilmentInterface = new ethers.utils.Interface(FULFILMENT_EVENTS)
+const FULFILMENT_TOPICS = Object.values(fulfilmentInterface.events).map(fragment => fulfilmentInterface.getEventTopic(fragment))
+
+const poolInterface = new ethers.utils.Interface(contractABIs.pool)
+const DRAW_EVENTS = ['SlotsPurchased', 'RandomRequested', 'SelectionStarted', 'WinnersSelected']
+const DRAW_TOPICS = DRAW_EVENTS.map(name => poolInterface.getEventTopic(name))
+
+async function readIndexed(count, read) {
+  const values = []
+  for (let i = 0; i < count; i += READ_CHUNK_SIZE) {
+    const chunk = Array.from({ length: Math.min(READ_CHUNK_SIZE, count - i) }, (_, k) => i + k)
+    values.push(...await Promise.all(chunk.map(read)))
+  }
+  return values
+}
+
+/**
+ * First block the pool has code at, by bisection (needs an archive-capable RPC)
+ * @param {Object} provider - ethers provider
+ * @param {string} address - Pool address
+ * @param {number} latest - Latest block
+ * @returns {Promise<number>} Deployment block
+ */
+export async function findDeploymentBlock(provider, address, latest) {
+  let low = 0
+  let high = latest
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    const code = await provider.getCode(address, mid)
+    if (code && code !== '0x') high = mid
+    else low = mid + 1
+  }
+  return low
+}
+
+/**
+ * The pool's draw-related logs from its deployment on, in chain order. Stops
+ * early once `expectedBatches` WinnersSelected logs have been seen.
+ * @param {Object} provider - ethers provider
+ * @param {string} poolAddress - Pool address
+ * @param {number} fromBlock - Deployment block
+ * @param {Object} options - { expectedBatches, onProgress }
+ * @returns {Promise<Array>} Parsed logs { name, args, blockNumber, transactionHash, logIndex }
+ */
+export async function fetchDrawLogs(provider, poolAddress, fromBlock, { expectedBatches = Infinity, onProgress } = {}) {
+  const latest = await provider.getBlockNumber()
+  const logs = []
+  let batchesSeen = 0
+
+  for (let start = fromBlock; start <= latest; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, latest)
+    const chunk = await provider.getLogs({ address: poolAddress, topics: [DRAW_TOPICS], fromBlock: start, toBlock: end })
+    for (const log of chunk) {
+      const parsed = poolInterface.parseLog(log)
+      logs.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+      })
+      if (parsed.name === 'WinnersSelected') batchesSeen++
+    }
+    onProgress?.({ fromBlock, toBlock: latest, scannedTo: end })
+    if (batchesSeen >= expectedBatches) break
+  }
+
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+}
+
+/**
+ * The coordinator's fulfilment log in a WinnersSelected transaction
+ * @returns {Promise<Object|null>} { requestId, outputSeed, coordinator }
+ */
+async function findFulfilment(provider, transactionHash) {
+  const receipt = await provider.getTransactionReceipt(transactionHash)
+  for (const log of receipt?.logs || []) {
+    if (!FULFILMENT_TOPICS.includes(log.topics[0])) continue
+    try {
+      const parsed = fulfilmentInterface.parseLog(log)
+      return {
+        requestId: parsed.args.requestId.toString(),
+        outputSeed: parsed.args.outputSeed.toString(),
+        coordinator: log.address,
+      }
+    } catch {
+      // Same topic, different layout
+    }
+  }
+  return null
+}
+
+/**
+ * Read every input of a completed pool's draw from chain
+ * @param {Object} provider - ethers provider for the pool's chain
+ * @param {string} poolAddress - Pool address
+ * @param {Object} options - { fromBlock, onProgress }
+ * @returns {Promise<Object>} Draw inputs
+ */
+export async function loadDrawInputs(provider, poolAddress, { fromBlock, onProgress } = {}) {
+  const pool = new ethers.Contract(poolAddress, contractABIs.pool, provider)
+
+  const [participantCount, winnersCount, winnersSelected, batchCount] = await Promise.all([
+    pool.getParticipantsCount(),
+    pool.winnersCount(),
+    pool.winnersSelected(),
+    pool.batchCount(),
+  ])
+
+  const [seeds, onChainWinners] = await Promise.all([
+    readIndexed(batchCount.toNumber(), k => pool.batchRandomSeeds(k).then(seed => seed.toString())),
+    readIndexed(winnersSelected.toNumber(), i => pool.winners(i).then(winner => winner.toLowerCase())),
+  ])
+
+  const startBlock = fromBlock ?? await findDeploymentBlock(provider, poolAddress, await provider.getBlockNumber())
+  const logs = await fetchDrawLogs(provider, poolAddress, startBlock, { expectedBatches: batchCount.toNumber(), onProgress })
+
+  const purchases = logs
+    .filter(log => log.name === 'SlotsPurchased')
+    .map(log => ({
+      participant: log.args.participant.toLowerCase(),
+      quantity: log.args.quantity.toString(),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    }))
+  const requests = logs.filter(log => log.name === 'RandomRequested')
+  const selections = logs.filter(log => log.name === 'SelectionStarted')
+  const draws = logs.filter(log => log.name === 'WinnersSelected')
+
+  const fulfilments = await Promise.all(draws.map(draw => findFulfilment(provider, draw.transactionHash)))
+
+  const batches = seeds.map((seed, k) => {
+    // A failed batch is retried under the same number; the last SelectionStarted is the one drawn
+    const selection = selections.filter(log => log.args.batchNumber.eq(k)).pop()
+    const draw = draws[k]
+    const fulfilment = fulfilments[k]
+    const request = fulfilment && requests.find(log => log.args.requestId.toString() === fulfilment.requestId)
+    return {
+      batchNumber: k,
+      seed,
+      shuffleStartIndex: selection ? selection.args.shuffleStartIndex.toNumber() : null,
+      batchSize: selection ? selection.args.batchSize.toNumber() : null,
+      participantCount: selection ? selection.args.participantCount.toNumber() : null,
+      selectionTransaction: selection?.transactionHash || null,
+      requestId: fulfilment?.requestId || null,
+      requestTransaction: request?.transactionHash || null,
+      fulfilmentTransaction: draw?.transactionHash || null,
+      fulfilmentBlock: draw?.blockNumber || null,
+      vrfCoordinator: fulfilment?.coordinator || null,
+      vrfOutputSeed: fulfilment?.outputSeed || null,
+      emittedWinners: draw ? draw.args.winners.map(winner => winner.toLowerCase()) : [],
+    }
+  })
+
+  return {
+    participantCount: participantCount.toNumber(),
+    winnersCount: winnersCount.toNumber(),
+    winnersSelected: winnersSelected.toNumber(),
+    purchases,
+    participants: participantsFromPurchases(purchases),
+    batches,
+    onChainWinners,
+  }
+}
+
+/**
+ * Consistency checks on the inputs; passed is null when a check could not be made
+ */
+function checkInputs(inputs) {
+  const checks = []
+
+  checks.push({
+    id: 'participants',
+    label: 'Participant slots rebuilt from purchase logs',
+    passed: inputs.participants.length === inputs.participantCount,
+    detail: `${inputs.participants.length} slots from ${inputs.purchases.length} purchases, pool reports ${inputs.participantCount}`,
+  })
+
+  let expectedStart = 0
+  const layoutOk = inputs.batches.every(batch => {
+    const ok = batch.shuffleStartIndex === expectedStart && batch.batchSize !== null
+    expectedStart += batch.batchSize || 0
+    return ok
+  })
+  checks.push({
+    id: 'batches',
+    label: 'Batches cover the winner list without gaps',
+    passed: inputs.batches.length > 0 && layoutOk && expectedStart === inputs.winnersSelected,
+    detail: `${inputs.batches.length} batch${inputs.batches.length === 1 ? '' : 'es'}, ${expectedStart} of ${inputs.winnersSelected} winners`,
+  })
+
+  for (const batch of inputs.batches) {
+    const word = batch.vrfOutputSeed ? vrfWordFromOutputSeed(batch.vrfOutputSeed) : null
+    checks.push({
+      id: `vrf-${batch.batchNumber}`,
+      label: `Batch ${batch.batchNumber + 1} seed is the VRF word of request ${batch.requestId || 'unknown'}`,
+      passed: word === null ? null : word === batch.seed,
+      detail: word === null
+        ? 'No VRF fulfilment log found in the draw transaction'
+        : `keccak256(outputSeed, 0) ${word === batch.seed ? 'matches' : 'does not match'} batchRandomSeeds(${batch.batchNumber})`,
+    })
+  }
+
+  return checks
+}
+
+/**
+ * Verify a completed pool's draw end to end
+ * @param {Object} provider - ethers provider for the pool's chain
+ * @param {string} poolAddress - Pool address
+ * @param {Object} options - { chainId, fromBlock, onProgress }
+ * @returns {Promise<Object>} { inputs, derivedWinners, comparison, checks, passed, bundle }
+ */
+export async function verifyDraw(provider, poolAddress, { chainId, fromBlock, onProgress } = {}) {
+  const inputs = await loadDrawInputs(provider, poolAddress, { fromBlock, onProgress })
+  const { winners: derivedWinners } = replayDraw(inputs.participants, inputs.batches)
+  const comparison = compareWinners(derivedWinners, inputs.onChainWinners)
+  const checks = checkInputs(inputs)
+
+  const bundle = buildProofBundle({
+    pool: poolAddress.toLowerCase(),
+    chainId,
+    inputs,
+    derivedWinners,
+    comparison,
+    checks,
+  })
+
+  return {
+    inputs,
+    derivedWinners,
+    comparison,
+    checks,
+    passed: bundle.result.passed,
+    bundle,
+  }
+}
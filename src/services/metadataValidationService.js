@@ -0,0 +1,428 @@
+/**
+ * Metadata Validation Service
+ *
+ * Checks a collection's metadata before NFTFactory.deployCollection: walks the
+ * token IDs 0..maxSupply-1 under baseURI (a sample for large supplies) across
+ * the IPFS/Arweave gateways used for previews, plus the dropURI and
+ * unrevealedBaseURI documents, and reports:
+ *   - tokens whose JSON is missing (404) or unreachable on every gateway
+ *   - responses that are not a JSON object
+ *   - metadata without name or image, or without attributes
+ *   - images spread over several hosts (e.g. part IPFS, part a web server)
+ */
+
+import { convertDecentralizedToHTTP, constructMetadataURIs } from '../components/forms/raffle/useRaffleHooks'
+
+export const ISSUE_CODES = {
+  NOT_FOUND: 'not_found',
+  UNREACHABLE: 'unreachable',
+  INVALID_JSON: 'invalid_json',
+  MISSING_NAME: 'missing_name',
+  MISSING_IMAGE: 'missing_image',
+  MISSING_ATTRIBUTES: 'missing_attributes',
+  MIXED_IMAGE_HOSTS: 'mixed_image_hosts',
+}
+
+const SEVERITY = {
+  [ISSUE_CODES.NOT_FOUND]: 'error',
+  [ISSUE_CODES.UNREACHABLE]: 'error',
+  [ISSUE_CODES.INVALID_JSON]: 'error',
+  [ISSUE_CODES.MISSING_NAME]: 'error',
+  [ISSUE_CODES.MISSING_IMAGE]: 'error',
+  [ISSUE_CODES.MISSING_ATTRIBUTES]: 'warning',
+  [ISSUE_CODES.MIXED_IMAGE_HOSTS]: 'warning',
+}
+
+// Token IDs checked when the supply is too large to walk completely
+export const DEFAULT_SAMPLE_SIZE = 40
+// Sampling always includes the first and last IDs, where off-by-one uploads show up
+const HEAD_SAMPLE = 10
+const TAIL_SAMPLE = 5
+// IDs checked when the collection has no max supply (ERC1155 with maxSupply 0)
+const UNBOUNDED_SAMPLE = 5
+// Tokens tried while discovering how tokenURI is built from baseURI
+const PATTERN_DISCOVERY_ATTEMPTS = 3
+const FETCH_TIMEOUT_MS = 10000
+const CONCURRENCY = 4
+// Token IDs listed in an issue message before it is truncated
+const MAX_LISTED_IDS = 8
+
+const hexId = (id) => BigInt(id).toString(16).padStart(64, '0')
+
+/**
+ * Pick the token IDs to check
+ * @param {number} maxSupply - Collection max supply; 0 means unbounded
+ * @param {number} sampleSize - Maximum number of IDs to check
+ * @returns {Object} { tokenIds, sampled, unbounded }
+ */
+export function selectTokenIds(maxSupply, sampleSize = DEFAULT_SAMPLE_SIZE) {
+  const total = Math.max(0, parseInt(maxSupply || 0, 10) || 0)
+  if (total === 0) {
+    return { tokenIds: Array.from({ length: UNBOUNDED_SAMPLE }, (_, i) => i), sampled: true, unbounded: true }
+  }
+  if (total <= sampleSize) {
+    return { tokenIds: Array.from({ length: total }, (_, i) => i), sampled: false, unbounded: false }
+  }
+
+  const ids = new Set()
+  for (let i = 0; i < HEAD_SAMPLE; i++) ids.add(i)
+  for (let i = total - TAIL_SAMPLE; i < total; i++) ids.add(i)
+  // Spread the rest evenly over the middle of the range
+  const remaining = sampleSize - ids.size
+  const step = (total - HEAD_SAMPLE - TAIL_SAMPLE) / (remaining + 1)
+  for (let i = 1; i <= remaining; i++) ids.add(HEAD_SAMPLE + Math.floor(step * i))
+
+  return { tokenIds: [...ids].sort((a, b) => a - b), sampled: true, unbounded: false }
+}
+
+/**
+ * The ways a collection may append a token ID to baseURI, most common first
+ */
+const tokenURIPatterns = (baseURI, standard) => {
+  if (baseURI.includes('{id}')) {
+    return [
+      { label: baseURI, build: (id) => baseURI.replace('{id}', hexId(id)) },
+      { label: baseURI.replace('{id}', '{decimal id}'), build: (id) => baseURI.replace('{id}', String(id)) },
+    ]
+  }
+
+  const slashed = baseURI.endsWith('/') ? baseURI : `${baseURI}/`
+  const patterns = [
+    { label: `${baseURI}{id}`, build: (id) => `${baseURI}${id}` },
+    { label: `${baseURI}{id}.json`, build: (id) => `${baseURI}${id}.json` },
+  ]
+  if (slashed !== baseURI) {
+    patterns.push(
+      { label: `${slashed}{id}`, build: (id) => `${slashed}${id}` },
+      { label: `${slashed}{id}.json`, build: (id) => `${slashed}${id}.json` }
+    )
+  }
+  if (standard === 1) {
+    patterns.push(
+      { label: `${slashed}{hex id}`, build: (id) => `${slashed}${hexId(id)}` },
+      { label: `${slashed}{hex id}.json`, build: (id) => `${slashed}${hexId(id)}.json` }
+    )
+  }
+  return patterns
+}
+
+/**
+ * Classify where an image is hosted: ipfs, ipns, arweave, data URI or a web host
+ */
+export function imageHostOf(uri) {
+  if (uri.startsWith('ipfs://')) return 'ipfs'
+  if (uri.startsWith('ipns://')) return 'ipns'
+  if (uri.startsWith('ar://')) return 'arweave'
+  if (uri.startsWith('data:')) return 'data URI'
+  try {
+    const url = new URL(uri)
+    if (url.pathname.includes('/ipfs/')) return 'ipfs'
+    if (url.pathname.includes('/ipns/')) return 'ipns'
+    if (url.hostname.endsWith('arweave.net')) return 'arweave'
+    return url.hostname
+  } catch {
+    return 'invalid URL'
+  }
+}
+
+/**
+ * Check a parsed metadata document for the fields marketplaces rely on
+ * @param {boolean} requireAttributes - Token metadata should carry attributes
+ * @returns {Object} { issues, name, image, imageHost }
+ */
+export function inspectMetadata(metadata, requireAttributes = true) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { issues: [ISSUE_CODES.INVALID_JSON], name: null, image: null, imageHost: null }
+  }
+
+  const issues = []
+  const name = typeof metadata.name === 'string' && metadata.name.trim() ? metadata.name : null
+  const rawImage = metadata.image || metadata.image_url
+  const image = typeof rawImage === 'string' && rawImage.trim() ? rawImage.trim() : null
+
+  if (!name) issues.push(ISSUE_CODES.MISSING_NAME)
+  if (!image) issues.push(ISSUE_CODES.MISSING_IMAGE)
+  if (requireAttributes && (!Array.isArray(metadata.attributes) || metadata.attributes.length === 0)) {
+    issues.push(ISSUE_CODES.MISSING_ATTRIBUTES)
+  }
+
+  return { issues, name, image, imageHost: image ? imageHostOf(image) : null }
+}
+
+const fetchWithTimeout = async (url, signal) => {
+  const controller = new AbortController()
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort)
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+  try {
+    return await fetch(url, {
+      headers: { 'Accept': 'application/json, text/plain, */*' },
+      signal: controller.signal,
+    })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Fetch one metadata URI through every gateway it maps to
+ * @returns {Promise<Object>} { status: 'ok' | 'not_found' | 'unreachable' | 'invalid_json', metadata, url }
+ */
+const fetchMetadataDocument = async (uri, context) => {
+  const urls = convertDecentralizedToHTTP(uri)
+  // Try the gateway that answered last time first
+  if (context.preferredHost) {
+    urls.sort((a, b) => Number(b.includes(context.preferredHost)) - Number(a.includes(context.preferredHost)))
+  }
+
+  let notFound = 0
+  let invalidUrl = null
+
+  for (const url of urls) {
+    if (context.signal?.aborted) break
+    try {
+      const response = await fetchWithTimeout(url, context.signal)
+      if (response.status === 404 || response.status === 410) {
+        notFound++
+        continue
+      }
+      if (!response.ok) continue
+
+      const text = await response.text()
+      try {
+        const metadata = JSON.parse(text)
+        context.preferredHost = new URL(url).host
+        return { status: 'ok', metadata, url }
+      } catch {
+        // Some gateways answer 200 with an HTML error page; another gateway may still serve the JSON
+        invalidUrl = invalidUrl || url
+      }
+    } catch {
+      // Timeout or network error on this gateway
+    }
+  }
+
+  if (invalidUrl) return { status: ISSUE_CODES.INVALID_JSON, metadata: null, url: invalidUrl }
+  if (notFound > 0) return { status: ISSUE_CODES.NOT_FOUND, metadata: null, url: urls[0] }
+  return { status: ISSUE_CODES.UNREACHABLE, metadata: null, url: urls[0] }
+}
+
+const checkToken = async (tokenId, patterns, context) => {
+  let last = null
+  for (const pattern of patterns) {
+    const uri = pattern.build(tokenId)
+    const result = await fetchMetadataDocument(uri, context)
+    last = { ...result, uri, pattern }
+    if (result.status === 'ok' || result.status === ISSUE_CODES.INVALID_JSON) break
+  }
+
+  if (last.status !== 'ok') {
+    return { tokenId, uri: last.uri, status: last.status, issues: [last.status], pattern: null }
+  }
+  const inspected = inspectMetadata(last.metadata)
+  return {
+    tokenId,
+    uri: last.uri,
+    status: inspected.issues.length ? 'issues' : 'ok',
+    issues: inspected.issues,
+    name: inspected.name,
+    image: inspected.image,
+    imageHost: inspected.imageHost,
+    pattern: last.pattern,
+  }
+}
+
+/**
+ * Check a collection-level document (dropURI, unrevealedBaseURI) using the
+ * same URI variants as the deploy page preview
+ */
+const checkDocument = async (uri, context) => {
+  let last = null
+  for (const variant of constructMetadataURIs(uri)) {
+    last = { ...(await fetchMetadataDocument(variant, context)), uri: variant }
+    if (last.status === 'ok') break
+  }
+
+  if (last.status !== 'ok') {
+    return { uri, status: last.status, issues: [last.status] }
+  }
+  const inspected = inspectMetadata(last.metadata, false)
+  return {
+    uri,
+    resolvedUri: last.uri,
+    status: inspected.issues.length ? 'issues' : 'ok',
+    issues: inspected.issues,
+    name: inspected.name,
+    image: inspected.image,
+    imageHost: inspected.imageHost,
+  }
+}
+
+const listIds = (ids) => {
+  const shown = ids.slice(0, MAX_LISTED_IDS).map(id => `#${id}`).join(', ')
+  return ids.length > MAX_LISTED_IDS ? `${shown} and ${ids.length - MAX_LISTED_IDS} more` : shown
+}
+
+const TOKEN_MESSAGES = {
+  [ISSUE_CODES.NOT_FOUND]: 'returned 404 on every gateway',
+  [ISSUE_CODES.UNREACHABLE]: 'could not be reached on any gateway',
+  [ISSUE_CODES.INVALID_JSON]: 'did not return valid JSON',
+  [ISSUE_CODES.MISSING_NAME]: 'have no name',
+  [ISSUE_CODES.MISSING_IMAGE]: 'have no image',
+  [ISSUE_CODES.MISSING_ATTRIBUTES]: 'have no attributes',
+}
+
+const DOCUMENT_MESSAGES = {
+  [ISSUE_CODES.NOT_FOUND]: 'returned 404 on every gateway',
+  [ISSUE_CODES.UNREACHABLE]: 'could not be reached on any gateway',
+  [ISSUE_CODES.INVALID_JSON]: 'is not valid JSON',
+  [ISSUE_CODES.MISSING_NAME]: 'has no name',
+  [ISSUE_CODES.MISSING_IMAGE]: 'has no image',
+}
+
+const DOCUMENT_LABELS = { drop: 'Drop URI', unrevealed: 'Unrevealed URI' }
+
+/**
+ * Validate a collection's metadata before deployment.
+ *
+ * With a delayed reveal the revealed folder is often kept private until reveal
+ * time, so missing or unreachable token metadata is reported as a warning.
+ *
+ * @param {Object} options
+ * @param {string} options.baseURI - Revealed metadata base URI
+ * @param {string} options.dropURI - Drop artwork metadata URI (optional)
+ * @param {string} options.unrevealedURI - Unrevealed metadata URI (optional)
+ * @param {number|string} options.maxSupply - Max supply; 0 means unbounded
+ * @param {number} options.standard - 0 = ERC721, 1 = ERC1155
+ * @param {boolean} options.revealDelayed - Manual or scheduled reveal
+ * @param {number} options.sampleSize - Token IDs to check at most
+ * @param {AbortSignal} options.signal - Cancels the remaining requests
+ * @param {Function} options.onProgress - Called with { checked, total }
+ * @returns {Promise<Object>} Validation report
+ */
+export async function validateCollectionMetadata({
+  baseURI,
+  dropURI,
+  unrevealedURI,
+  maxSupply,
+  standard = 0,
+  revealDelayed = false,
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  signal,
+  onProgress,
+}) {
+  const base = (baseURI || '').trim()
+  const { tokenIds, sampled, unbounded } = selectTokenIds(maxSupply, sampleSize)
+  const documentURIs = {
+    drop: (dropURI || '').trim(),
+    unrevealed: revealDelayed ? (unrevealedURI || '').trim() : '',
+  }
+  const documentKeys = Object.keys(documentURIs).filter(key => documentURIs[key])
+  const total = tokenIds.length + documentKeys.length
+  const context = { signal, preferredHost: null }
+  let checked = 0
+  const progress = () => onProgress?.({ checked, total })
+  progress()
+
+  // Discover how tokenURI is built from the first tokens, then reuse that pattern
+  const patterns = tokenURIPatterns(base, standard)
+  const tokens = []
+  let pattern = null
+  let index = 0
+  while (index < tokenIds.length && index < PATTERN_DISCOVERY_ATTEMPTS && !pattern && !signal?.aborted) {
+    const result = await checkToken(tokenIds[index], patterns, context)
+    tokens.push(result)
+    pattern = result.pattern
+    index++
+    checked++
+    progress()
+  }
+
+  const remaining = tokenIds.slice(index)
+  const activePatterns = [pattern || patterns[0]]
+  for (let i = 0; i < remaining.length && !signal?.aborted; i += CONCURRENCY) {
+    const batch = await Promise.all(remaining.slice(i, i + CONCURRENCY).map(id => checkToken(id, activePatterns, context)))
+    tokens.push(...batch)
+    checked += batch.length
+    progress()
+  }
+
+  const documents = {}
+  for (const key of documentKeys) {
+    if (signal?.aborted) break
+    documents[key] = await checkDocument(documentURIs[key], context)
+    checked++
+    progress()
+  }
+
+  // Aggregate token issues by code
+  const issues = []
+  const tokensByIssue = {}
+  for (const token of tokens) {
+    for (const code of token.issues) {
+      tokensByIssue[code] = tokensByIssue[code] || []
+      tokensByIssue[code].push(token.tokenId)
+    }
+  }
+  for (const [code, ids] of Object.entries(tokensByIssue)) {
+    const fetchFailure = code === ISSUE_CODES.NOT_FOUND || code === ISSUE_CODES.UNREACHABLE
+    const severity = fetchFailure && (revealDelayed || unbounded) ? 'warning' : SEVERITY[code]
+    let message = `${ids.length} of ${tokens.length} tokens ${TOKEN_MESSAGES[code]} (${listIds(ids)})`
+    if (fetchFailure && revealDelayed) message += '. Expected if the revealed folder stays private until reveal'
+    else if (fetchFailure && unbounded) message += '. Token IDs without metadata may be added later'
+    issues.push({ code, severity, scope: 'token', message, tokenIds: ids })
+  }
+
+  const imageHosts = {}
+  for (const token of tokens) {
+    if (token.imageHost) imageHosts[token.imageHost] = (imageHosts[token.imageHost] || 0) + 1
+  }
+  const hostNames = Object.keys(imageHosts)
+  if (hostNames.length > 1) {
+    issues.push({
+      code: ISSUE_CODES.MIXED_IMAGE_HOSTS,
+      severity: SEVERITY[ISSUE_CODES.MIXED_IMAGE_HOSTS],
+      scope: 'token',
+      message: `Images are spread over ${hostNames.length} hosts: ${hostNames.map(host => `${host} (${imageHosts[host]})`).join(', ')}`,
+    })
+  }
+
+  for (const [key, document] of Object.entries(documents)) {
+    for (const code of document.issues) {
+      issues.push({
+        code,
+        severity: SEVERITY[code],
+        scope: key,
+        message: `${DOCUMENT_LABELS[key]} ${DOCUMENT_MESSAGES[code]}`,
+      })
+    }
+  }
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length
+  const warningCount = issues.length - errorCount
+  const cancelled = !!signal?.aborted
+
+  return {
+    baseURI: base,
+    standard,
+    maxSupply: parseInt(maxSupply || 0, 10) || 0,
+    uriPattern: pattern?.label || null,
+    sampled,
+    unbounded,
+    tokens: tokens.sort((a, b) => a.tokenId - b.tokenId),
+    documents,
+    imageHosts,
+    issues,
+    summary: {
+      checked: tokens.length,
+      planned: tokenIds.length,
+      passed: tokens.filter(token => token.status === 'ok').length,
+    },
+    errorCount,
+    warningCount,
+    ok: errorCount === 0 && !cancelled,
+    cancelled,
+    checkedAt: new Date().toISOString(),
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Pool Batch Service
+ *
+ * Bulk pool creation from a CSV or JSON manifest. Each manifest entry becomes
+ * the values one of the CreateRafflePageV2 forms would hold, so it can be
+ * validated with the forms' rules, previewed with LivePreviewCard and turned
+ * into the same PoolDeployer.createPool params the form would submit (both
+ * through poolFormService).
+ *
+ * Manifest columns / keys (one pool per row):
+ *   type                whitelist | nft-drop-721 | nft-drop-1155 | lucky-sale |
+ *                       native-giveaway | erc20-giveaway
+ *   name, startTime     startTime as a date string or unix seconds
+ *   duration            minutes
+ *   slotLimit, winnersCount, maxSlotsPerAddress
+ *   slotFee             custom slot fee in native currency (NFT drops, lucky sale)
+ *   prizeToken          collection (NFT types) or ERC20 token address
+ *   prizeAmount         native amount or ERC20 amount (giveaways)
+ *   tokenId, amountPerWinner
+ *   tasks               "twitter:follow:@handle|twitter:retweet:<url>" in CSV,
+ *                       or [{ platform, action, target }] in JSON
+ *   holderTokenAddress, holderTokenStandard, minHolderTokenBalance
+ *   description, twitterLink, discordLink, telegramLink
+ *
+ * A run (rows plus their deployment status) is kept in localStorage so an
+ * interrupted or failed batch can be resumed without redeploying finished rows.
+ */
+
+import { MAX_SLOTS_FIELD, buildSocialTaskDescription } from './poolDraftService'
+import { SOCIAL_TASK_CONSTANTS, SOCIAL_TASK_ACTIONS } from '../constants/socialTasks'
+
+// Storage keys
+const BATCH_RUN_KEY = 'dropr_pool_batch_run'
+
+export const MAX_BATCH_ROWS = 50
+
+// Shorthands accepted in the type column
+const TYPE_ALIASES = {
+  'nft-drop': 'nft-drop-721',
+  'erc721-drop': 'nft-drop-721',
+  'erc1155-drop': 'nft-drop-1155',
+  'native': 'native-giveaway',
+  'eth': 'native-giveaway',
+  'erc20': 'erc20-giveaway',
+  'token': 'erc20-giveaway',
+}
+
+// Form field holding the manifest's prizeToken / prizeAmount, per type
+const PRIZE_TOKEN_FIELD = {
+  'nft-drop-721': 'collection',
+  'nft-drop-1155': 'collectionAddress',
+  'lucky-sale': 'collectionAddress',
+  'erc20-giveaway': 'tokenAddress',
+}
+const PRIZE_AMOUNT_FIELD = {
+  'native-giveaway': 'ethAmount',
+  'erc20-giveaway': 'tokenAmount',
+}
+const SLOT_FEE_TYPES = ['nft-drop-721', 'nft-drop-1155', 'lucky-sale']
+
+const TEXT_FIELDS = ['description', 'twitterLink', 'discordLink', 'telegramLink']
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''))
+  if (nonEmpty.length === 0) return []
+  const headers = nonEmpty[0].map(h => h.trim())
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()]))
+  )
+}
+
+/**
+ * Parses the tasks column: a JSON list, or "platform:action:target" entries joined by "|"
+ * @returns {Array} Tasks { platform, action, target }
+ * @throws {Error} On an unknown platform/action
+ */
+function parseTasks(input) {
+  if (!input) return []
+  const tasks = Array.isArray(input)
+    ? input
+    : String(input).split(SOCIAL_TASK_CONSTANTS.TASK_SEPARATOR).filter(part => part.trim()).map(part => {
+      const [platform, action, ...target] = part.split(':')
+      return { platform: platform?.trim().toLowerCase(), action: action?.trim().toLowerCase(), target: target.join(':').trim() }
+    })
+
+  return tasks.map(task => {
+    const actions = SOCIAL_TASK_ACTIONS[task?.platform]
+    if (!actions || !actions.some(a => a.value === task.action)) {
+      throw new Error(`Unknown social task "${task?.platform}:${task?.action}"`)
+    }
+    return { platform: task.platform, action: task.action, target: String(task.target ?? '') }
+  })
+}
+
+function toStartTime(value) {
+  if (value === undefined || value === null || value === '') return ''
+  // Unix seconds
+  if (/^\d{9,11}$/.test(String(value))) return new Date(Number(value) * 1000).toISOString()
+  return String(value)
+}
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim())
+
+/**
+ * Turn one manifest entry into form values
+ * @param {Object} entry - Manifest row / object
+ * @param {number} index - Position in the manifest
+ * @returns {Object} Row { index, poolType, values, errors }
+ */
+export function manifestEntryToRow(entry, index) {
+  const errors = {}
+  const rawType = text(entry.type ?? entry.poolType).toLowerCase()
+  const poolType = TYPE_ALIASES[rawType] || rawType
+
+  if (!MAX_SLOTS_FIELD[poolType]) {
+    return { index, poolType, values: { name: text(entry.name) }, errors: { poolType: `Unknown pool type "${rawType}"` } }
+  }
+
+  const values = {
+    name: text(entry.name),
+    startTime: toStartTime(entry.startTime),
+    duration: text(entry.duration),
+    slotLimit: text(entry.slotLimit),
+    winnersCount: text(entry.winnersCount),
+    [MAX_SLOTS_FIELD[poolType]]: text(entry.maxSlotsPerAddress),
+    tokenGatedEnabled: false,
+    holderTokenAddress: '',
+    holderTokenStandard: '0',
+    minHolderTokenBalance: '',
+    holderTokenId: '0',
+    socialEngagementEnabled: false,
+    socialEngagementRequired: false,
+    socialTaskDescription: '',
+    socialTasks: [],
+  }
+  for (const field of TEXT_FIELDS) values[field] = text(entry[field])
+
+  for (const field of ['duration', 'slotLimit', 'winnersCount', MAX_SLOTS_FIELD[poolType]]) {
+    if (values[field] && !/^\d+$/.test(values[field])) errors[field] = 'Must be a whole number'
+  }
+
+  if (PRIZE_TOKEN_FIELD[poolType]) values[PRIZE_TOKEN_FIELD[poolType]] = text(entry.prizeToken)
+  if (PRIZE_AMOUNT_FIELD[poolType]) {
+    const field = PRIZE_AMOUNT_FIELD[poolType]
+    values[field] = text(entry.prizeAmount)
+    if (values[field] && (!DECIMAL_PATTERN.test(values[field]) || Number(values[field]) <= 0)) {
+      errors[field] = 'Prize amount must be a positive number'
+    }
+  }
+  if (SLOT_FEE_TYPES.includes(poolType)) {
+    values.slotFee = text(entry.slotFee)
+    if (values.slotFee && !DECIMAL_PATTERN.test(values.slotFee)) errors.slotFee = 'Slot fee must be a decimal amount'
+  }
+  if (poolType === 'nft-drop-1155' || poolType === 'lucky-sale') {
+    values.tokenId = text(entry.tokenId)
+    if (values.tokenId && !/^\d+$/.test(values.tokenId)) errors.tokenId = 'Token ID must be a whole number'
+  }
+  if (poolType === 'nft-drop-1155') values.amountPerWinner = text(entry.amountPerWinner)
+
+  const holderTokenAddress = text(entry.holderTokenAddress)
+  if (holderTokenAddress) {
+    values.tokenGatedEnabled = true
+    values.holderTokenAddress = holderTokenAddress
+    values.holderTokenStandard = text(entry.holderTokenStandard) || '0'
+    values.minHolderTokenBalance = text(entry.minHolderTokenBalance)
+  }
+
+  try {
+    const tasks = parseTasks(entry.tasks)
+    if (tasks.length > 0) {
+      values.socialEngagementEnabled = true
+      values.socialEngagementRequired = true
+      values.socialTasks = tasks.map((task, i) => ({ id: index * 10 + i, ...task, description: '' }))
+      values.socialTaskDescription = buildSocialTaskDescription(tasks)
+    }
+  } catch (error) {
+    errors.socialTasks = error.message
+  }
+
+  return { index, poolType, values, errors }
+}
+
+/**
+ * Parse a CSV or JSON manifest
+ * @param {string} content - File contents
+ * @param {string} fileName - Used to pick the format (.json, otherwise CSV)
+ * @returns {Array} Rows { index, poolType, values, errors }
+ * @throws {Error} When the file cannot be read as a manifest at all
+ */
+export function parseManifest(content, fileName = '') {
+  const trimmed = content.trim()
+  let entries
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed
+    try {
+      parsed = JSON.parse(trimmed)
+    } catch {
+      throw new Error('File is not valid JSON')
+    }
+    entries = Array.isArray(parsed) ? parsed : parsed?.pools
+    if (!Array.isArray(entries)) throw new Error('JSON manifest must be a list of pools or { "pools": [...] }')
+  } else {
+    entries = parseCsv(content)
+  }
+
+  if (entries.length === 0) throw new Error('Manifest has no pools')
+  if (entries.length > MAX_BATCH_ROWS) throw new Error(`At most ${MAX_BATCH_ROWS} pools per batch`)
+  return entries.map((entry, index) => manifestEntryToRow(entry || {}, index))
+}
+
+// ============================================================================
+// RECEIPTS
+// ============================================================================
+
+/**
+ * Pool address from a createPool receipt's PoolCreated event
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} poolDeployerInterface - ethers Interface of PoolDeployer
+ * @returns {string|null} Pool address
+ */
+export function poolAddressFromReceipt(receipt, poolDeployerInterface) {
+  for (const log of receipt?.logs || []) {
+    try {
+      const parsed = poolDeployerInterface.parseLog(log)
+      if (parsed.name === 'PoolCreated') return parsed.args.pool || parsed.args[0]
+    } catch {
+      // Log from another contract
+    }
+  }
+  return null
+}
+
+// ============================================================================
+// RUN STATE
+// ============================================================================
+
+/**
+ * The saved batch run for a chain and creator, if any
+ * @param {number} chainId - Chain ID
+ * @param {string} creator - Creator wallet address
+ */
+export function getBatchRun(chainId, creator) {
+  try {
+    const stored = localStorage.getItem(BATCH_RUN_KEY)
+    const run = stored ? JSON.parse(stored) : null
+    return run && run.chainId === chainId && run.creator?.toLowerCase() === creator?.toLowerCase() ? run : null
+  } catch (error) {
+    console.warn('[PoolBatch] Failed to read from localStorage:', error)
+    return null
+  }
+}
+
+/**
+ * Save a batch run, or clear it with null
+ * @param {Object|null} run - { chainId, creator, fileName, rows }
+ */
+export function saveBatchRun(run) {
+  try {
+    if (run) localStorage.setItem(BATCH_RUN_KEY, JSON.stringify(run))
+    else localStorage.removeItem(BATCH_RUN_KEY)
+  } catch (error) {
+    console.warn('[PoolBatch] Failed to save to localStorage:', error)
+  }
+}
+
+// ============================================================================
+// RESULTS REPORT
+// ============================================================================
+
+const csvCell = (value) => {
+  const s = value === undefined || value === null ? '' : String(value)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * Results report of a run as CSV (one line per manifest row)
+ * @param {Array} rows - Run rows
+ * @returns {string} CSV text
+ */
+export function batchResultsToCsv(rows) {
+  const header = ['row', 'type', 'name', 'status', 'poolAddress', 'txHash', 'error']
+  const lines = rows.map(row => [
+    row.index + 1,
+    row.poolType,
+    row.values?.name,
+    row.status,
+    row.address,
+    row.txHash,
+    row.error,
+  ].map(csvCell).join(','))
+  return [header.join(','), ...lines].join('\n')
+}
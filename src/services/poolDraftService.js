@@ -0,0 +1,329 @@
+/**
+ * Pool Draft Service
+ *
+ * Named drafts of the CreateRafflePageV2 forms. Drafts always live in
+ * localStorage on this device; they can also be synced to the pool_drafts
+ * table (via api-drafts) under the creator's wallet so they follow the
+ * creator across devices.
+ *
+ * A draft's `values` is the form's formData plus the tokenGatedEnabled and
+ * socialEngagementEnabled toggles, so any form can be re-mounted from it.
+ */
+
+import { ethers } from 'ethers'
+import supabaseService from './supabaseService'
+import { getCachedWalletAuthHeaders, withWalletAuth } from '../utils/walletAuth'
+import { SOCIAL_TASK_CONSTANTS, SOCIAL_TASK_ACTIONS } from '../constants/socialTasks'
+
+// Storage keys
+const DRAFTS_KEY = 'dropr_pool_drafts'
+const AUTOSAVE_KEY = 'dropr_pool_draft_autosave'
+
+const MAX_LOCAL_DRAFTS = 50
+
+// Field each form's "max slots per address" input writes and submits
+// (the whitelist form has no input and always submits 1)
+export const MAX_SLOTS_FIELD = {
+  'whitelist': 'maxTicketsPerParticipant',
+  'nft-drop-721': 'maxTicketsPerUser',
+  'nft-drop-1155': 'maxSlotsPerAddress',
+  'lucky-sale': 'maxSlotsPerAddress',
+  'native-giveaway': 'maxSlotsPerAddress',
+  'erc20-giveaway': 'maxSlotsPerAddress',
+}
+
+// Contract prize standards (see RaffleDetailPage)
+const STANDARD_ERC721 = 0
+const STANDARD_ERC1155 = 1
+const STANDARD_ERC20 = 2
+const STANDARD_NATIVE = 3
+
+// ============================================================================
+// LOCAL DRAFTS
+// ============================================================================
+
+function readLocal(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : fallback
+  } catch (error) {
+    console.warn('[PoolDrafts] Failed to read from localStorage:', error)
+    return fallback
+  }
+}
+
+function writeLocal(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn('[PoolDrafts] Failed to save to localStorage:', error)
+  }
+}
+
+/**
+ * Get this device's drafts for a chain, newest first
+ * @param {number} chainId - Chain ID
+ * @returns {Array} Drafts { id, name, poolType, chainId, values, updatedAt, source: 'local' }
+ */
+export function getLocalDrafts(chainId) {
+  return readLocal(DRAFTS_KEY, [])
+    .filter(d => d.chainId === chainId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+/**
+ * Save a draft on this device; a draft with the same name on the same chain is overwritten
+ * @param {Object} draft - { name, poolType, chainId, values }
+ * @returns {Object} The stored draft
+ */
+export function saveLocalDraft({ name, poolType, chainId, values }) {
+  const drafts = readLocal(DRAFTS_KEY, [])
+  const existing = drafts.find(d => d.chainId === chainId && d.name === name)
+  const draft = {
+    id: existing?.id || `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    poolType,
+    chainId,
+    values,
+    updatedAt: new Date().toISOString(),
+    source: 'local',
+  }
+  const others = drafts.filter(d => d.id !== draft.id)
+  writeLocal(DRAFTS_KEY, [draft, ...others].slice(0, MAX_LOCAL_DRAFTS))
+  return draft
+}
+
+/**
+ * Delete a draft from this device
+ * @param {string} id - Local draft id
+ */
+export function deleteLocalDraft(id) {
+  writeLocal(DRAFTS_KEY, readLocal(DRAFTS_KEY, []).filter(d => d.id !== id))
+}
+
+/**
+ * Keep the form currently being edited, so it survives a refresh or wallet switch.
+ * @param {Object|null} draft - { poolType, chainId, values }, or null to clear
+ */
+export function setAutosave(draft) {
+  if (!draft) {
+    try {
+      localStorage.removeItem(AUTOSAVE_KEY)
+    } catch {
+      // ignore
+    }
+    return
+  }
+  writeLocal(AUTOSAVE_KEY, { ...draft, updatedAt: new Date().toISOString() })
+}
+
+/**
+ * Get the autosaved form for a chain, if any
+ * @param {number} chainId - Chain ID
+ */
+export function getAutosave(chainId) {
+  const autosave = readLocal(AUTOSAVE_KEY, null)
+  return autosave?.chainId === chainId ? autosave : null
+}
+
+// ============================================================================
+// SYNCED DRAFTS (api-drafts)
+// ============================================================================
+
+function fromRemote(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    poolType: row.pool_type,
+    chainId: row.chain_id,
+    values: row.form_data,
+    updatedAt: row.updated_at,
+    source: 'cloud',
+  }
+}
+
+/**
+ * Whether synced drafts can be listed without asking the wallet to sign
+ * @param {string} address - Wallet address
+ */
+export function hasDraftSyncSession(address) {
+  return !!getCachedWalletAuthHeaders(address)
+}
+
+/**
+ * List the wallet's synced drafts for a chain
+ * @param {Object|null} signer - Signer used to sign in if needed; null never prompts
+ * @param {string} address - Wallet address
+ * @param {number} chainId - Chain ID
+ */
+export async function getRemoteDrafts(signer, address, chainId) {
+  const rows = await withWalletAuth(signer, address, headers => supabaseService.getPoolDrafts(chainId, headers))
+  return rows.map(fromRemote)
+}
+
+/**
+ * Save a draft under the wallet; same name on the same chain is overwritten
+ * @param {Object} signer - Signer used to sign in if needed
+ * @param {string} address - Wallet address
+ * @param {Object} draft - { name, poolType, chainId, values }
+ */
+export async function saveRemoteDraft(signer, address, { name, poolType, chainId, values }) {
+  const row = await withWalletAuth(signer, address, headers =>
+    supabaseService.savePoolDraft({ chainId, name, poolType, formData: values }, headers)
+  )
+  return fromRemote(row)
+}
+
+/**
+ * Delete a synced draft
+ * @param {Object} signer - Signer used to sign in if needed
+ * @param {string} address - Wallet address
+ * @param {string} id - Draft id
+ */
+export async function deleteRemoteDraft(signer, address, id) {
+  await withWalletAuth(signer, address, headers => supabaseService.deletePoolDraft(id, headers))
+}
+
+// ============================================================================
+// DUPLICATE FROM AN EXISTING POOL
+// ============================================================================
+
+/**
+ * Form type that can recreate a pool, or null if none of the forms can
+ * @param {Object} raffle - Pool data as loaded by RaffleDetailPage
+ */
+export function getDuplicatePoolType(raffle) {
+  if (!raffle) return null
+  const standard = Number(raffle.standard)
+
+  // NFT drops mint from the prize collection and are the only collab pools
+  if (raffle.isCollabPool) {
+    if (standard === STANDARD_ERC721) return 'nft-drop-721'
+    if (standard === STANDARD_ERC1155) return 'nft-drop-1155'
+    return null
+  }
+  if (!raffle.isPrized) return 'whitelist'
+  if (standard === STANDARD_NATIVE) return 'native-giveaway'
+  if (standard === STANDARD_ERC20) return 'erc20-giveaway'
+  if (standard === STANDARD_ERC721 && raffle.isEscrowedPrize) return 'lucky-sale'
+  return null
+}
+
+function toBigNumber(value) {
+  if (value === undefined || value === null || value === '') return null
+  try {
+    return ethers.BigNumber.from(value.toString())
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Rebuilds SocialMediaTaskSection tasks from an on-chain task description
+ * ("TWITTER: Follow Account - @handle|..."). Unrecognised parts are skipped.
+ * @param {string} description - Task description stored by the pool
+ * @returns {Array} Tasks { id, platform, action, target, description }
+ */
+export function parseSocialTaskDescription(description) {
+  if (!description) return []
+  return description
+    .split(SOCIAL_TASK_CONSTANTS.TASK_SEPARATOR)
+    .map((part, index) => {
+      const match = part.match(/^\s*(\w+):\s*(.+?)\s+-\s+(.*)$/)
+      if (!match) return null
+      const platform = match[1].toLowerCase()
+      const action = (SOCIAL_TASK_ACTIONS[platform] || []).find(opt => opt.label === match[2])
+      if (!action) return null
+      return { id: Date.now() + index, platform, action: action.value, target: match[3].trim(), description: '' }
+    })
+    .filter(Boolean)
+    .slice(0, SOCIAL_TASK_CONSTANTS.MAX_TASKS)
+}
+
+/**
+ * The on-chain task description for a list of tasks, in the format
+ * SocialMediaTaskSection generates and parseSocialTaskDescription reads.
+ * @param {Array} tasks - Tasks { platform, action, target }
+ * @returns {string} Task description
+ */
+export function buildSocialTaskDescription(tasks) {
+  return (tasks || [])
+    .map(task => {
+      const label = (SOCIAL_TASK_ACTIONS[task.platform] || []).find(opt => opt.value === task.action)?.label || task.action
+      return `${task.platform.toUpperCase()}: ${label} - ${task.target}`
+    })
+    .join(SOCIAL_TASK_CONSTANTS.TASK_SEPARATOR)
+}
+
+/**
+ * Builds form values from an existing pool's on-chain parameters. The start
+ * time is left empty, and an escrowed NFT's token id is not copied because that
+ * token has already been given away.
+ * @param {Object} raffle - Pool data as loaded by RaffleDetailPage
+ * @param {Object} options - { erc20Decimals } for ERC20 prize pools
+ * @returns {Object|null} { poolType, values }
+ */
+export function poolToDraftValues(raffle, { erc20Decimals = 18 } = {}) {
+  const poolType = getDuplicatePoolType(raffle)
+  if (!poolType) return null
+
+  const hasHolderToken = !!raffle.holderTokenAddress && raffle.holderTokenAddress !== ethers.constants.AddressZero
+  const minHolderBalance = toBigNumber(raffle.minHolderTokenBalance)
+  const metadata = raffle._backendMetadata || {}
+
+  const values = {
+    name: raffle.name || '',
+    startTime: '',
+    duration: raffle.duration ? String(Math.round(raffle.duration / 60)) : '',
+    slotLimit: raffle.slotLimit ? String(raffle.slotLimit) : '',
+    winnersCount: raffle.winnersCount ? String(raffle.winnersCount) : '',
+    [MAX_SLOTS_FIELD[poolType]]: raffle.maxSlotsPerAddress ? String(raffle.maxSlotsPerAddress) : '',
+    tokenGatedEnabled: hasHolderToken,
+    holderTokenAddress: hasHolderToken ? raffle.holderTokenAddress : '',
+    holderTokenStandard: hasHolderToken ? String(raffle.holderTokenStandard ?? 0) : '0',
+    minHolderTokenBalance: hasHolderToken && minHolderBalance ? minHolderBalance.toString() : '',
+    socialEngagementEnabled: !!raffle.socialEngagementRequired,
+    socialEngagementRequired: !!raffle.socialEngagementRequired,
+    socialTaskDescription: raffle.socialTaskDescription || '',
+    socialTasks: parseSocialTaskDescription(raffle.socialTaskDescription),
+    description: metadata.description || '',
+    twitterLink: metadata.twitterLink || '',
+    discordLink: metadata.discordLink || '',
+    telegramLink: metadata.telegramLink || '',
+  }
+
+  // Only custom slot fees are copied; otherwise the protocol default applies again
+  const slotFee = raffle.usesCustomFee ? toBigNumber(raffle.slotFee) : null
+  const slotFeeValue = slotFee && !slotFee.isZero() ? ethers.utils.formatEther(slotFee) : ''
+
+  switch (poolType) {
+    case 'nft-drop-721':
+      values.collection = raffle.prizeCollection || ''
+      values.slotFee = slotFeeValue
+      break
+    case 'nft-drop-1155':
+      values.collectionAddress = raffle.prizeCollection || ''
+      values.tokenId = raffle.prizeTokenId !== undefined ? raffle.prizeTokenId.toString() : ''
+      values.amountPerWinner = raffle.amountPerWinner ? String(raffle.amountPerWinner) : ''
+      values.slotFee = slotFeeValue
+      break
+    case 'lucky-sale':
+      values.collectionAddress = raffle.prizeCollection || ''
+      values.tokenId = ''
+      values.slotFee = slotFeeValue
+      break
+    case 'native-giveaway': {
+      const amount = toBigNumber(raffle.nativePrizeAmount)
+      values.ethAmount = amount ? ethers.utils.formatEther(amount) : ''
+      break
+    }
+    case 'erc20-giveaway': {
+      const amount = toBigNumber(raffle.erc20PrizeAmount)
+      values.tokenAddress = raffle.erc20PrizeToken || ''
+      values.tokenAmount = amount ? ethers.utils.formatUnits(amount, erc20Decimals) : ''
+      break
+    }
+  }
+
+  return { poolType, values }
+}
@@ -0,0 +1,224 @@
+/**
+ * Pool Form Service
+ *
+ * Validation rules and PoolDeployer.createPool params for the
+ * CreateRafflePageV2 pool forms. The forms and the batch creator both go
+ * through these, so a manifest row is checked and submitted exactly as the
+ * matching form would check and submit it.
+ *
+ * Values are the forms' values (see poolDraftService), including the
+ * tokenGatedEnabled and socialEngagementEnabled toggles.
+ */
+
+import { ethers } from 'ethers'
+import { MAX_SLOTS_FIELD } from './poolDraftService'
+import { SOCIAL_TASK_CONSTANTS } from '../constants/socialTasks'
+
+export const POOL_FORM_SECTIONS = ['basic', 'timing', 'participation', 'tokenGated']
+
+// Prize fields each form requires, with the form's error messages
+const PRIZE_FIELD_RULES = {
+  'whitelist': [],
+  'nft-drop-721': [['collection', 'Collection address is required']],
+  'nft-drop-1155': [
+    ['collectionAddress', 'Collection address is required'],
+    ['tokenId', 'Token ID is required'],
+    ['amountPerWinner', 'Amount per winner is required'],
+  ],
+  'lucky-sale': [
+    ['collectionAddress', 'Collection address is required'],
+    ['tokenId', 'Token ID is required'],
+  ],
+  'native-giveaway': [['ethAmount', 'Prize amount is required']],
+  'erc20-giveaway': [
+    ['tokenAddress', 'Token address is required'],
+    ['tokenAmount', 'Token amount is required'],
+  ],
+}
+
+const MAX_SLOTS_MESSAGE = {
+  'nft-drop-721': 'Max tickets per user is required',
+}
+
+const ADDRESS_FIELDS = ['collection', 'collectionAddress', 'tokenAddress']
+
+const SLOT_FEE_TYPES = ['nft-drop-721', 'nft-drop-1155', 'lucky-sale']
+
+// Contract prize standards (see RaffleDetailPage)
+const STANDARD_ERC721 = 0
+const STANDARD_ERC1155 = 1
+const STANDARD_ERC20 = 2
+const STANDARD_NATIVE = 3
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate one form section
+ * @param {string} poolType - Form type id
+ * @param {string} section - basic | timing | participation | tokenGated
+ * @param {Object} values - Form values
+ * @param {Object} limits - From resolveRaffleLimits / useRaffleLimits
+ * @returns {Object} Errors keyed by form field; empty when valid
+ */
+export function validatePoolSection(poolType, section, values, limits = {}) {
+  const errors = {}
+
+  switch (section) {
+    case 'basic':
+      if (!values.name?.trim()) errors.name = 'Pool name is required'
+      for (const [field, message] of PRIZE_FIELD_RULES[poolType] || []) {
+        if (!values[field]?.toString().trim()) errors[field] = message
+      }
+      break
+    case 'timing':
+      if (!values.startTime) errors.startTime = 'Start time is required'
+      if (!values.duration) errors.duration = 'Duration is required'
+      else if (limits?.minDuration && parseInt(values.duration) * 60 < parseInt(limits.minDuration)) {
+        errors.duration = `Minimum duration is ${Math.ceil(parseInt(limits.minDuration) / 60)} minutes`
+      }
+      else if (limits?.maxDuration && parseInt(values.duration) * 60 > parseInt(limits.maxDuration)) {
+        errors.duration = `Maximum duration is ${Math.floor(parseInt(limits.maxDuration) / 60)} minutes`
+      }
+      break
+    case 'participation': {
+      if (!values.slotLimit) errors.slotLimit = 'Slot limit is required'
+      else if (limits?.minSlot && parseInt(values.slotLimit) < parseInt(limits.minSlot)) {
+        errors.slotLimit = `Minimum slots is ${limits.minSlot}`
+      }
+      else if (limits?.maxSlot && parseInt(values.slotLimit) > parseInt(limits.maxSlot)) {
+        errors.slotLimit = `Maximum slots is ${limits.maxSlot}`
+      }
+      if (!values.winnersCount) errors.winnersCount = 'Number of winners is required'
+      else if (poolType === 'whitelist' && parseInt(values.winnersCount) > parseInt(values.slotLimit) * 0.3) {
+        errors.winnersCount = 'Winners cannot exceed 30% of slot limit'
+      }
+      // The whitelist form always creates one slot per address
+      const maxSlotsField = MAX_SLOTS_FIELD[poolType]
+      if (poolType !== 'whitelist' && !values[maxSlotsField]) {
+        errors[maxSlotsField] = MAX_SLOTS_MESSAGE[poolType] || 'Max slots per address is required'
+      }
+      break
+    }
+    case 'tokenGated':
+      if (values.tokenGatedEnabled && !ethers.utils.isAddress(values.holderTokenAddress || '')) {
+        errors.holderTokenAddress = 'Valid token address required'
+      }
+      break
+  }
+
+  return errors
+}
+
+/**
+ * Validate a form's values outside the form (e.g. a batch manifest row): every
+ * section, plus the checks the form's inputs and task editor make as you type
+ * @param {string} poolType - Form type id
+ * @param {Object} values - Form values
+ * @param {Object} limits - From resolveRaffleLimits / useRaffleLimits
+ * @returns {Object} Errors keyed by form field; empty when valid
+ */
+export function validatePoolFormValues(poolType, values, limits = {}) {
+  if (!MAX_SLOTS_FIELD[poolType]) return { poolType: `Unknown pool type "${poolType}"` }
+
+  const errors = {}
+  for (const section of POOL_FORM_SECTIONS) {
+    Object.assign(errors, validatePoolSection(poolType, section, values, limits))
+  }
+
+  for (const field of ADDRESS_FIELDS) {
+    if (values[field] && !errors[field] && !ethers.utils.isAddress(values[field])) {
+      errors[field] = 'Invalid contract address'
+    }
+  }
+  if (values.startTime && isNaN(new Date(values.startTime).getTime())) errors.startTime = 'Invalid start time'
+
+  if (values.socialEngagementEnabled) {
+    const description = values.socialTaskDescription || ''
+    if (!description) errors.socialTasks = 'At least one social task is required'
+    else if (description.length > SOCIAL_TASK_CONSTANTS.MAX_DESCRIPTION_LENGTH) {
+      errors.socialTasks = `Task description too long (max ${SOCIAL_TASK_CONSTANTS.MAX_DESCRIPTION_LENGTH} characters)`
+    }
+    else if (values.socialTasks?.length > SOCIAL_TASK_CONSTANTS.MAX_TASKS) {
+      errors.socialTasks = `Too many tasks (max ${SOCIAL_TASK_CONSTANTS.MAX_TASKS})`
+    }
+  }
+
+  return errors
+}
+
+// ============================================================================
+// CONTRACT PARAMS
+// ============================================================================
+
+const bn = (value) => ethers.BigNumber.from(value || 0)
+
+/**
+ * PoolDeployer.createPool params and the native value to send with them
+ * @param {string} poolType - Form type id
+ * @param {Object} values - Form values
+ * @param {Object} options - { creator, erc20Decimals, socialFee }; socialFee is
+ *   PoolDeployer.socialEngagementFee(), only needed when social tasks are on
+ * @returns {Object} { params, value } where value is the native prize plus the social fee
+ */
+export function buildCreatePoolParams(poolType, values, { creator, erc20Decimals = 18, socialFee }) {
+  const gated = !!values.tokenGatedEnabled
+  const social = !!values.socialEngagementEnabled
+  const minHolderTokenBalance = gated && values.minHolderTokenBalance ? bn(values.minHolderTokenBalance) : bn(0)
+  // Only NFT holder tokens have a token ID
+  const holderTokenId = gated && ['0', '1'].includes(String(values.holderTokenStandard)) && values.holderTokenId
+    ? parseInt(values.holderTokenId)
+    : 0
+  const slotFee = SLOT_FEE_TYPES.includes(poolType) && values.slotFee ? ethers.utils.parseEther(String(values.slotFee)) : bn(0)
+  const nativePrizeAmount = poolType === 'native-giveaway' && values.ethAmount ? ethers.utils.parseEther(values.ethAmount) : bn(0)
+  const erc20PrizeAmount = poolType === 'erc20-giveaway' && values.tokenAmount
+    ? ethers.utils.parseUnits(values.tokenAmount, erc20Decimals)
+    : bn(0)
+
+  const prize = {
+    // Whitelist pools set erc1155Drop with no prize
+    'whitelist': { isPrized: false, erc1155Drop: true, standard: STANDARD_ERC721, prizeCollection: ethers.constants.AddressZero, prizeTokenId: 0, amountPerWinner: 0 },
+    'nft-drop-721': { erc721Drop: true, standard: STANDARD_ERC721, prizeCollection: values.collection, prizeTokenId: 0, amountPerWinner: 1 },
+    'nft-drop-1155': { erc1155Drop: true, standard: STANDARD_ERC1155, prizeCollection: values.collectionAddress, prizeTokenId: parseInt(values.tokenId), amountPerWinner: parseInt(values.amountPerWinner) },
+    'lucky-sale': { standard: STANDARD_ERC721, prizeCollection: values.collectionAddress, prizeTokenId: parseInt(values.tokenId), amountPerWinner: 1 },
+    'native-giveaway': { standard: STANDARD_NATIVE, prizeCollection: ethers.constants.AddressZero, prizeTokenId: 0, amountPerWinner: 0 },
+    'erc20-giveaway': { standard: STANDARD_ERC20, prizeCollection: ethers.constants.AddressZero, prizeTokenId: 0, amountPerWinner: 0 },
+  }[poolType]
+
+  const params = {
+    name: values.name,
+    startTime: Math.floor(new Date(values.startTime).getTime() / 1000),
+    duration: parseInt(values.duration) * 60,
+    slotLimit: parseInt(values.slotLimit),
+    winnersCount: parseInt(values.winnersCount),
+    // The whitelist form always creates one slot per address
+    maxSlotsPerAddress: poolType === 'whitelist' ? 1 : parseInt(values[MAX_SLOTS_FIELD[poolType]]),
+    isPrized: true,
+    customSlotFee: slotFee,
+    erc721Drop: false,
+    erc1155Drop: false,
+    ...prize,
+    creator,
+    erc20PrizeToken: poolType === 'erc20-giveaway' ? values.tokenAddress : ethers.constants.AddressZero,
+    erc20PrizeAmount,
+    nativePrizeAmount,
+    // Token-gated params
+    holderTokenAddress: gated && values.holderTokenAddress ? values.holderTokenAddress : ethers.constants.AddressZero,
+    holderTokenStandard: gated ? parseInt(values.holderTokenStandard) : 0,
+    minHolderTokenBalance,
+    holderTokenBalance: minHolderTokenBalance,
+    holderTokenId,
+    // Social media params
+    socialEngagementRequired: social,
+    socialTaskDescription: social ? values.socialTaskDescription : '',
+    // Pool metadata params
+    description: values.description || '',
+    twitterLink: values.twitterLink || '',
+    discordLink: values.discordLink || '',
+    telegramLink: values.telegramLink || '',
+  }
+
+  const value = social && socialFee ? nativePrizeAmount.add(socialFee) : nativePrizeAmount
+  return { params, value }
+}
@@ -0,0 +1,400 @@
+/**
+ * Pool Template Service
+ *
+ * Reusable presets for the CreateRafflePageV2 forms: a pool type plus default
+ * timing, slot and social task values. Built-in templates ship with the app;
+ * custom ones are kept in localStorage. Templates travel as JSON (export and
+ * import) or inside a share URL (?template=<base64url JSON>).
+ *
+ * Template shape:
+ *   { id, name, description, poolType, builtIn?, values: {
+ *       durationMinutes, slotLimit, winnersCount, maxSlotsPerAddress, slotFee,
+ *       socialTasks: [{ platform, action, target }],
+ *       description, twitterLink, discordLink, telegramLink } }
+ */
+
+import { MAX_SLOTS_FIELD } from './poolDraftService'
+import { SOCIAL_TASK_CONSTANTS, SOCIAL_TASK_ACTIONS } from '../constants/socialTasks'
+
+// Storage keys
+const TEMPLATES_KEY = 'dropr_pool_templates'
+
+const TEMPLATE_VERSION = 1
+const MAX_CUSTOM_TEMPLATES = 50
+
+// Pool types whose forms take a custom slot fee
+const SLOT_FEE_TYPES = ['nft-drop-721', 'nft-drop-1155', 'lucky-sale']
+
+const INTEGER_FIELDS = ['durationMinutes', 'slotLimit', 'winnersCount', 'maxSlotsPerAddress']
+const TEXT_FIELDS = ['description', 'twitterLink', 'discordLink', 'telegramLink']
+
+// Whitelist pools cap winners at 30% of slots (see WhitelistRaffleFormV2)
+const WHITELIST_MAX_WINNER_RATIO = 0.3
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin:24h-whitelist',
+    name: '24h Whitelist',
+    description: '500 slots, 100 winners, Twitter follow + retweet',
+    poolType: 'whitelist',
+    builtIn: true,
+    values: {
+      durationMinutes: 1440,
+      slotLimit: 500,
+      winnersCount: 100,
+      // Whitelist pools always take one slot per wallet
+      maxSlotsPerAddress: 1,
+      socialTasks: [
+        { platform: 'twitter', action: 'follow', target: '' },
+        { platform: 'twitter', action: 'retweet', target: '' },
+      ],
+    },
+  },
+  {
+    id: 'builtin:weekly-nft-drop',
+    name: 'Weekly NFT Drop',
+    description: '7 days, 1,000 slots, 100 winners, max 10 per wallet',
+    poolType: 'nft-drop-721',
+    builtIn: true,
+    values: {
+      durationMinutes: 10080,
+      slotLimit: 1000,
+      winnersCount: 100,
+      maxSlotsPerAddress: 10,
+    },
+  },
+  {
+    id: 'builtin:community-giveaway',
+    name: 'Community Giveaway',
+    description: '48h native token giveaway, 10 winners, one slot per wallet',
+    poolType: 'native-giveaway',
+    builtIn: true,
+    values: {
+      durationMinutes: 2880,
+      slotLimit: 1000,
+      winnersCount: 10,
+      maxSlotsPerAddress: 1,
+      socialTasks: [
+        { platform: 'twitter', action: 'follow', target: '' },
+      ],
+    },
+  },
+  {
+    id: 'builtin:token-airdrop',
+    name: 'Token Airdrop',
+    description: '3 days, 2,000 slots, 200 winners, one slot per wallet',
+    poolType: 'erc20-giveaway',
+    builtIn: true,
+    values: {
+      durationMinutes: 4320,
+      slotLimit: 2000,
+      winnersCount: 200,
+      maxSlotsPerAddress: 1,
+    },
+  },
+]
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates and normalizes a template from an untrusted source (import, URL).
+ * Unknown fields are dropped.
+ * @param {Object} input - Template-like object
+ * @returns {Object} Normalized template (without id)
+ * @throws {Error} When the template is unusable
+ */
+export function validateTemplate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Template must be an object')
+  }
+  if (input.version !== undefined && input.version > TEMPLATE_VERSION) {
+    throw new Error(`Unsupported template version ${input.version}`)
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim().slice(0, 100) : ''
+  if (!name) throw new Error('Template name is required')
+  if (!MAX_SLOTS_FIELD[input.poolType]) throw new Error(`Unknown pool type "${input.poolType}"`)
+
+  const source = input.values || {}
+  const values = {}
+
+  for (const field of INTEGER_FIELDS) {
+    if (source[field] === undefined || source[field] === null || source[field] === '') continue
+    const number = Number(source[field])
+    if (!Number.isInteger(number) || number <= 0) {
+      throw new Error(`${field} must be a positive whole number`)
+    }
+    values[field] = number
+  }
+
+  if (source.slotFee !== undefined && source.slotFee !== '' && SLOT_FEE_TYPES.includes(input.poolType)) {
+    if (!/^\d+(\.\d+)?$/.test(String(source.slotFee))) throw new Error('slotFee must be a decimal amount')
+    values.slotFee = String(source.slotFee)
+  }
+
+  if (source.socialTasks !== undefined) {
+    if (!Array.isArray(source.socialTasks)) throw new Error('socialTasks must be a list')
+    if (source.socialTasks.length > SOCIAL_TASK_CONSTANTS.MAX_TASKS) {
+      throw new Error(`At most ${SOCIAL_TASK_CONSTANTS.MAX_TASKS} social tasks are allowed`)
+    }
+    values.socialTasks = source.socialTasks.map((task) => {
+      const actions = SOCIAL_TASK_ACTIONS[task?.platform]
+      if (!actions || !actions.some(a => a.value === task.action)) {
+        throw new Error(`Unknown social task ${task?.platform}/${task?.action}`)
+      }
+      return { platform: task.platform, action: task.action, target: typeof task.target === 'string' ? task.target : '' }
+    })
+  }
+
+  for (const field of TEXT_FIELDS) {
+    if (typeof source[field] === 'string' && source[field]) values[field] = source[field]
+  }
+
+  return {
+    name,
+    description: typeof input.description === 'string' ? input.description.slice(0, 200) : '',
+    poolType: input.poolType,
+    values,
+  }
+}
+
+// ============================================================================
+// CUSTOM TEMPLATES
+// ============================================================================
+
+function readCustom() {
+  try {
+    const stored = localStorage.getItem(TEMPLATES_KEY)
+    return stored ? JSON.parse(stored) : []
+  } catch (error) {
+    console.warn('[PoolTemplates] Failed to read from localStorage:', error)
+    return []
+  }
+}
+
+function writeCustom(templates) {
+  try {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates))
+  } catch (error) {
+    console.warn('[PoolTemplates] Failed to save to localStorage:', error)
+  }
+}
+
+/**
+ * Built-in templates followed by this device's custom templates
+ */
+export function getTemplates() {
+  return [...BUILT_IN_TEMPLATES, ...readCustom()]
+}
+
+/**
+ * Validate and store a custom template; one with the same name is replaced
+ * @param {Object} template - Template-like object
+ * @returns {Object} The stored template
+ */
+export function saveTemplate(template) {
+  const normalized = validateTemplate(template)
+  const custom = readCustom()
+  const existing = custom.find(t => t.name === normalized.name)
+  const stored = {
+    ...normalized,
+    id: existing?.id || `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  }
+  writeCustom([...custom.filter(t => t.id !== stored.id), stored].slice(-MAX_CUSTOM_TEMPLATES))
+  return stored
+}
+
+/**
+ * Delete a custom template (built-in templates cannot be deleted)
+ * @param {string} id - Template id
+ */
+export function deleteTemplate(id) {
+  writeCustom(readCustom().filter(t => t.id !== id))
+}
+
+// ============================================================================
+// SHARING: JSON AND URL
+// ============================================================================
+
+/**
+ * Serialize a template for export
+ * @param {Object} template - Template
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportTemplate(template) {
+  return JSON.stringify(toPortable(template), null, 2)
+}
+
+function toPortable({ name, description, poolType, values }) {
+  return { version: TEMPLATE_VERSION, name, description, poolType, values }
+}
+
+/**
+ * Parse exported JSON (one template or a list) and store each as a custom template
+ * @param {string} json - File contents
+ * @returns {Array} Stored templates
+ * @throws {Error} On invalid JSON or an invalid template (nothing is stored then)
+ */
+export function importTemplates(json) {
+  let parsed
+  try {
+    parsed = JSON.parse(json)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+  const list = Array.isArray(parsed) ? parsed : [parsed]
+  list.forEach(validateTemplate)
+  return list.map(saveTemplate)
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  bytes.forEach(b => { binary += String.fromCharCode(b) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)))
+}
+
+/**
+ * Link to the create page with the template pre-selected
+ * @param {Object} template - Template
+ * @returns {string} Absolute URL
+ */
+export function getTemplateShareUrl(template) {
+  const encoded = toBase64Url(JSON.stringify(toPortable(template)))
+  return `${window.location.origin}/create-raffle?template=${encoded}`
+}
+
+/**
+ * Decode the ?template= parameter of a share link
+ * @param {string} encoded - base64url JSON
+ * @returns {Object} Normalized template (not stored)
+ * @throws {Error} When the link is malformed
+ */
+export function decodeTemplateParam(encoded) {
+  let parsed
+  try {
+    parsed = JSON.parse(fromBase64Url(encoded))
+  } catch {
+    throw new Error('Template link is malformed')
+  }
+  return { ...validateTemplate(parsed), id: 'shared' }
+}
+
+// ============================================================================
+// APPLYING A TEMPLATE
+// ============================================================================
+
+/**
+ * Form values for a template's pool type
+ * @param {Object} template - Template
+ * @returns {Object} Values to mount the form with
+ */
+export function templateToFormValues(template) {
+  const { poolType, values: v } = template
+  const values = {}
+
+  if (v.durationMinutes) values.duration = String(v.durationMinutes)
+  if (v.slotLimit) values.slotLimit = String(v.slotLimit)
+  if (v.winnersCount) values.winnersCount = String(v.winnersCount)
+  if (v.maxSlotsPerAddress) values[MAX_SLOTS_FIELD[poolType]] = String(v.maxSlotsPerAddress)
+  if (v.slotFee && SLOT_FEE_TYPES.includes(poolType)) values.slotFee = v.slotFee
+  if (v.socialTasks?.length) {
+    values.socialEngagementEnabled = true
+    values.socialEngagementRequired = true
+    values.socialTasks = v.socialTasks.map((task, index) => ({
+      id: Date.now() + index,
+      ...task,
+      description: '',
+    }))
+  }
+  for (const field of TEXT_FIELDS) {
+    if (v[field]) values[field] = v[field]
+  }
+
+  return values
+}
+
+/**
+ * Template values from a form's current values (for "Save as template")
+ * @param {string} poolType - Form type id
+ * @param {Object} formValues - Values reported by the form
+ * @returns {Object} Template values
+ */
+export function formValuesToTemplateValues(poolType, formValues) {
+  const values = {}
+  const number = (value) => {
+    const n = parseInt(value)
+    return Number.isInteger(n) && n > 0 ? n : undefined
+  }
+
+  values.durationMinutes = number(formValues.duration)
+  values.slotLimit = number(formValues.slotLimit)
+  values.winnersCount = number(formValues.winnersCount)
+  values.maxSlotsPerAddress = number(formValues[MAX_SLOTS_FIELD[poolType]])
+  if (SLOT_FEE_TYPES.includes(poolType) && formValues.slotFee) values.slotFee = formValues.slotFee
+  if (formValues.socialEngagementEnabled && formValues.socialTasks?.length) {
+    values.socialTasks = formValues.socialTasks.map(({ platform, action, target }) => ({ platform, action, target }))
+  }
+  for (const field of TEXT_FIELDS) {
+    if (formValues[field]) values[field] = formValues[field]
+  }
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Brings template values within the PoolDeployer limits (minPoolDuration,
+ * maxPoolDuration, min/max slot limit) and the form rules that depend on them.
+ * @param {Object} values - Form values from templateToFormValues
+ * @param {Object|null} limits - From resolveRaffleLimits (durations in seconds)
+ * @param {string} poolType - Form type id
+ * @returns {Object} { values, adjustments } where adjustments describe each change
+ */
+export function applyProtocolLimits(values, limits, poolType) {
+  const result = { ...values }
+  const adjustments = []
+  const clamp = (field, label, min, max, unit = '') => {
+    if (result[field] === undefined) return
+    const current = parseInt(result[field])
+    let next = current
+    if (min !== undefined && next < min) next = min
+    if (max !== undefined && next > max) next = max
+    if (next !== current) {
+      result[field] = String(next)
+      adjustments.push(`${label} changed from ${current}${unit} to ${next}${unit}`)
+    }
+  }
+  const parse = (value) => (value !== undefined && value !== null ? parseInt(value) : undefined)
+
+  if (limits) {
+    const minDuration = parse(limits.minDuration)
+    const maxDuration = parse(limits.maxDuration)
+    clamp(
+      'duration',
+      'Duration',
+      minDuration !== undefined ? Math.ceil(minDuration / 60) : undefined,
+      maxDuration !== undefined ? Math.floor(maxDuration / 60) : undefined,
+      ' min'
+    )
+    clamp('slotLimit', 'Slot limit', parse(limits.minSlot), parse(limits.maxSlot))
+  }
+
+  if (result.slotLimit !== undefined) {
+    const slotLimit = parseInt(result.slotLimit)
+    const maxWinners = poolType === 'whitelist'
+      ? Math.max(1, Math.floor(slotLimit * WHITELIST_MAX_WINNER_RATIO))
+      : slotLimit
+    clamp('winnersCount', 'Winners', undefined, maxWinners)
+    clamp(MAX_SLOTS_FIELD[poolType], 'Max slots per wallet', undefined, slotLimit)
+  }
+
+  return { values: result, adjustments }
+}
@@ -126,6 +126,7 @@ class SupabaseService {
    * @param {boolean} options.isPrized - Filter prized pools
    * @param {number} options.limit - Results per page
    * @param {number} options.offset - Pagination offset
+   * @param {string} options.cursor - pagination.nextCursor from the previous page (replaces offset)
    * @param {string} options.sortBy - Sort field
    * @param {string} options.sortOrder - Sort order (asc/desc)
    */
@@ -140,7 +141,11 @@ class SupabaseService {
     }
     if (options.isPrized !== undefined) params.set('isPrized', options.isPrized);
     if (options.limit) params.set('limit', options.limit);
-    if (options.offset) params.set('offset', options.offset);
+    if (options.cursor) {
+      params.set('cursor', options.cursor);
+    } else if (options.offset) {
+      params.set('offset', options.offset);
+    }
     if (options.sortBy) params.set('sortBy', options.sortBy);
     if (options.sortOrder) params.set('sortOrder', options.sortOrder);
 
@@ -292,6 +297,7 @@ class SupabaseService {
     if (options.chainId) params.set('chainId', options.chainId);
     if (options.creator) params.set('creator', options.creator.toLowerCase());
     if (options.isRevealed !== undefined) params.set('isRevealed', options.isRevealed);
+    if (options.awaitingReveal) params.set('awaitingReveal', 'true');
     if (options.limit) params.set('limit', options.limit);
     if (options.offset) params.set('offset', options.offset);
 
@@ -400,6 +406,92 @@ class SupabaseService {
     }, 60 * 60 * 1000); // Cache metadata for 1 hour
   }
 
+  /**
+   * Get trait counts and statistical rarity ranks for a collection
+   * @param {string} address - Collection address
+   * @param {number} chainId - Chain ID
+   * @returns {Object|null} { traits: { totalTokens, traitTypes, tokens }, truncated }
+   */
+  async getCollectionTraits(address, chainId) {
+    if (!this.isAvailable() || !address || !chainId) return null;
+
+    const params = new URLSearchParams({
+      address: address.toLowerCase(),
+      chainId: chainId.toString(),
+      include: 'traits'
+    });
+
+    const cacheKey = `traits:${address.toLowerCase()}:${chainId}`;
+
+    return this.getCached(cacheKey, async () => {
+      try {
+        const response = await fetch(
+          `${this.SUPABASE_URL}/functions/v1/api-collections?${params}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        if (!response.ok) {
+          throw new Error(`API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.success ? { traits: data.traits, truncated: data.truncated } : null;
+      } catch (error) {
+        console.error('Error fetching collection traits:', error);
+        return null;
+      }
+    }, 10 * 60 * 1000); // Traits only change when new metadata is indexed
+  }
+
+  /**
+   * Get a collection's change history (owner actions indexed from its events)
+   * @param {string} address - Collection address
+   * @param {number} chainId - Chain ID
+   * @param {Object} options - { limit, offset, eventNames } (eventNames narrows the history to those events)
+   * @returns {Object|null} { events: [{ event_name, block_number, transaction_hash, block_timestamp, event_data }], pagination }
+   */
+  async getCollectionHistory(address, chainId, { limit = 50, offset = 0, eventNames = [] } = {}) {
+    if (!this.isAvailable() || !address || !chainId) return null;
+
+    const params = new URLSearchParams({
+      address: address.toLowerCase(),
+      chainId: chainId.toString(),
+      include: 'history',
+      limit: limit.toString(),
+      offset: offset.toString()
+    });
+    if (eventNames.length > 0) {
+      params.append('events', eventNames.join(','));
+    }
+
+    try {
+      const response = await fetch(
+        `${this.SUPABASE_URL}/functions/v1/api-collections?${params}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.success ? { events: data.events, pagination: data.pagination } : null;
+    } catch (error) {
+      console.error('Error fetching collection history:', error);
+      return null;
+    }
+  }
+
   // ==================== STATS API ====================
 
   /**
@@ -440,6 +532,195 @@ class SupabaseService {
     }, 60 * 1000); // Cache stats for 1 minute
   }
 
+  /**
+   * Get bucketed time series for trend charts
+   * @param {number} chainId - Chain ID filter (optional; omitted sums all chains)
+   * @param {Object} options - { interval: 'hour'|'day', from, to, poolType, byPoolType }
+   * @returns {Object|null} { interval, from, to, poolType, points, byPoolType? } or null
+   */
+  async getStatsSeries(chainId = null, options = {}) {
+    if (!this.isAvailable()) return null;
+
+    const { interval = 'day', from, to, poolType = 'all', byPoolType = false } = options;
+    const params = new URLSearchParams({ series: interval, poolType });
+    if (chainId) params.set('chainId', chainId);
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    if (byPoolType) params.set('byPoolType', 'true');
+
+    const cacheKey = `stats-series:${params}`;
+
+    return this.getCached(cacheKey, async () => {
+      try {
+        const response = await fetch(
+          `${this.SUPABASE_URL}/functions/v1/api-stats?${params}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        if (!response.ok) {
+          throw new Error(`API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.series || null;
+      } catch (error) {
+        console.error('Error fetching stats series:', error);
+        return null;
+      }
+    }, 60 * 1000);
+  }
+
+  // ==================== PROTOCOL CONFIG API ====================
+
+  /**
+   * Get the indexed PoolDeployer configuration for a chain
+   * @param {number} chainId - Chain ID
+   * @param {Object} options - { includeHistory, limit }
+   * @returns {Object|null} { config, history? } or null when unavailable
+   */
+  async getProtocolConfig(chainId, options = {}) {
+    if (!this.isAvailable() || !chainId) return null;
+
+    const { includeHistory = false, limit } = options;
+    const params = new URLSearchParams({ chainId: chainId.toString() });
+    if (includeHistory) params.set('includeHistory', 'true');
+    if (limit) params.set('limit', limit.toString());
+
+    const cacheKey = `protocolConfig:${chainId}:${includeHistory}:${limit || 'default'}`;
+
+    return this.getCached(cacheKey, async () => {
+      try {
+        const response = await fetch(
+          `${this.SUPABASE_URL}/functions/v1/api-protocol-config?${params}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        if (!response.ok) {
+          throw new Error(`API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.success ? data : null;
+      } catch (error) {
+        console.error('Error fetching protocol config:', error);
+        return null;
+      }
+    }, 60 * 1000); // Cache config for 1 minute
+  }
+
+  // ==================== POOL DRAFTS API ====================
+  // Private per-wallet data: never cached, and every call needs wallet auth
+  // headers from utils/walletAuth. Errors are thrown with a `status` field so
+  // callers can re-sign on 401.
+
+  async _draftsRequest(method, query, authHeaders, body) {
+    if (!this.isAvailable()) throw new Error('Supabase not configured');
+
+    const response = await fetch(
+      `${this.SUPABASE_URL}/functions/v1/api-drafts${query ? `?${query}` : ''}`,
+      {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json',
+          ...authHeaders
+        },
+        body: body ? JSON.stringify(body) : undefined
+      }
+    );
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || `API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * List the signed-in wallet's pool drafts
+   * @param {number} chainId - Chain ID filter (optional)
+   * @param {Object} authHeaders - Wallet auth headers
+   * @returns {Promise<Array>} Drafts, newest first
+   */
+  async getPoolDrafts(chainId, authHeaders) {
+    const params = new URLSearchParams();
+    if (chainId) params.set('chainId', chainId.toString());
+    const data = await this._draftsRequest('GET', params.toString(), authHeaders);
+    return data.drafts || [];
+  }
+
+  /**
+   * Save a pool draft; a draft with the same name on the same chain is overwritten
+   * @param {Object} draft - { chainId, name, poolType, formData }
+   * @param {Object} authHeaders - Wallet auth headers
+   * @returns {Promise<Object>} Saved draft row
+   */
+  async savePoolDraft(draft, authHeaders) {
+    const data = await this._draftsRequest('POST', '', authHeaders, draft);
+    return data.draft;
+  }
+
+  /**
+   * Delete a pool draft by id
+   * @param {string} id - Draft id
+   * @param {Object} authHeaders - Wallet auth headers
+   */
+  async deletePoolDraft(id, authHeaders) {
+    await this._draftsRequest('DELETE', new URLSearchParams({ id }).toString(), authHeaders);
+  }
+
+  // ==================== POOL EXPORT API ====================
+
+  /**
+   * Creator-only export of a pool's participants or winners (api-pools/:address/export)
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {Object} options - { list: 'participants'|'winners', format: 'json'|'csv'|'allowlist', merkle }
+   * @param {Object} authHeaders - Wallet auth headers of the pool creator
+   * @returns {Promise<Object>} { content, contentType, merkleRoot }
+   */
+  async exportPool(poolAddress, chainId, { list = 'participants', format = 'json', merkle = false } = {}, authHeaders) {
+    if (!this.isAvailable()) throw new Error('Supabase not configured');
+
+    const params = new URLSearchParams({ chainId: chainId.toString(), list, format });
+    if (merkle) params.set('merkle', 'true');
+
+    const response = await fetch(
+      `${this.SUPABASE_URL}/functions/v1/api-pools/${poolAddress.toLowerCase()}/export?${params.toString()}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${this.SUPABASE_ANON_KEY}`,
+          ...authHeaders
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || `API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      content: await response.text(),
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+      merkleRoot: response.headers.get('x-merkle-root')
+    };
+  }
+
   // ==================== REAL-TIME SUBSCRIPTIONS ====================
 
   /**
@@ -670,11 +951,13 @@ class SupabaseService {
   /**
    * Fetch pools from backend with filters (Enhanced version for LandingPage)
    * @param {Object} options - Query options
+   * @param {string} options.cursor - pagination.nextCursor from the previous page; replaces offset
    * @returns {Promise<Object>} - { pools, pagination, filterCounts }
+   *   pagination.nextCursor is null on the last page
    */
   async getPoolsEnhanced(options = {}) {
     if (!this.isAvailable()) {
-      return { pools: [], pagination: { total: 0, limit: 50, offset: 0, hasMore: false }, filterCounts: null };
+      return { pools: [], pagination: { total: 0, limit: 50, offset: 0, hasMore: false, nextCursor: null }, filterCounts: null };
     }
 
     const {
@@ -689,7 +972,9 @@ class SupabaseService {
       search,
       limit = 50,
       offset = 0,
-      sortBy = 'created_at_timestamp',
+      cursor,
+      // Searches default to relevance order (no sortBy)
+      sortBy = search ? undefined : 'created_at_timestamp',
       sortOrder = 'desc',
       includeFilterCounts = false,
     } = options;
@@ -712,7 +997,11 @@ class SupabaseService {
       if (prizeStandard !== undefined) params.append('prizeStandard', prizeStandard.toString());
       if (search) params.append('search', search);
       if (limit !== null && limit !== undefined) params.append('limit', limit.toString());
-      if (offset !== null && offset !== undefined) params.append('offset', offset.toString());
+      if (cursor) {
+        params.append('cursor', cursor);
+      } else if (offset !== null && offset !== undefined) {
+        params.append('offset', offset.toString());
+      }
       if (sortBy) params.append('sortBy', sortBy);
       if (sortOrder) params.append('sortOrder', sortOrder);
       if (includeFilterCounts) params.append('includeFilterCounts', 'true');
@@ -736,17 +1025,17 @@ class SupabaseService {
       if (data?.success) {
         const result = {
           pools: data.pools || [],
-          pagination: data.pagination || { total: 0, limit, offset, hasMore: false },
+          pagination: data.pagination || { total: 0, limit, offset, hasMore: false, nextCursor: null },
           filterCounts: data.filterCounts || null,
         };
         this.setCache(cacheKey, result, 60000); // 1 minute cache
         return result;
       }
 
-      return { pools: [], pagination: { total: 0, limit, offset, hasMore: false }, filterCounts: null };
+      return { pools: [], pagination: { total: 0, limit, offset, hasMore: false, nextCursor: null }, filterCounts: null };
     } catch (error) {
       console.error('Error fetching pools from backend:', error);
-      return { pools: [], pagination: { total: 0, limit, offset, hasMore: false }, filterCounts: null };
+      return { pools: [], pagination: { total: 0, limit, offset, hasMore: false, nextCursor: null }, filterCounts: null };
     }
   }
 
@@ -843,7 +1132,9 @@ class SupabaseService {
   }
 
   /**
-   * Search pools by name or address
+   * Search pools by name, description, prize collection, creator or address.
+   * Results are ranked by relevance; each pool carries search_rank and
+   * search_highlights ({ name, description, collection } with <mark> tags).
    * @param {number} chainId
    * @param {string} searchTerm
    * @param {number} limit
@@ -859,8 +1150,6 @@ class SupabaseService {
         chainId,
         search: searchTerm.trim(),
         limit,
-        sortBy: 'created_at_timestamp',
-        sortOrder: 'desc',
       });
 
       return result.pools || [];
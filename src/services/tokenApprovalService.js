@@ -0,0 +1,220 @@
+/**
+ * Token Approval Service
+ *
+ * Shared allowance handling for every flow that pulls ERC20 tokens from the
+ * user: ERC20 prize escrow on pool creation, pool reward deposits and points
+ * reward token deposits. It reads the current allowance, approves either the
+ * exact amount or an unlimited amount, and copes with non-standard tokens:
+ *   - USDT-style tokens that revert when a non-zero allowance is changed to
+ *     another non-zero value (reset to zero first)
+ *   - fee-on-transfer tokens, where the receiving contract gets less than the
+ *     amount sent (flagged up front by probing common fee getters, confirmed
+ *     afterwards from the Transfer logs)
+ */
+
+import { ethers } from 'ethers'
+
+export const APPROVAL_MODES = {
+  EXACT: 'exact',
+  UNLIMITED: 'unlimited',
+}
+
+const TOKEN_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]
+
+const tokenInterface = new ethers.utils.Interface(TOKEN_ABI)
+
+// Tokens known to require approve(0) before a non-zero allowance can change
+const ZERO_RESET_TOKENS = [
+  '0xdac17f958d2ee523a2206206994597c13d831ec7', // USDT (Ethereum)
+  '0xdd974d5c2e2928dea5f71b9825b8b646686bd200', // KNC legacy (Ethereum)
+]
+
+// Getters exposed by common fee-on-transfer / tax token implementations
+const FEE_GETTERS = [
+  'taxFee', '_taxFee', 'transferFee', '_transferFee', 'transferTax', 'buyTax', 'sellTax',
+  'totalFees', '_totalFees', 'liquidityFee', '_liquidityFee', 'feeRate', 'burnFee', '_burnFee',
+].map(name => ({ name, data: ethers.utils.id(`${name}()`).slice(0, 10) }))
+
+// Static token properties (metadata, fee getters) per chain
+const tokenCache = new Map()
+
+const cacheKey = (chainId, tokenAddress) => `${chainId}:${tokenAddress.toLowerCase()}`
+
+const tryCall = async (promise, fallback = null) => {
+  try {
+    return await promise
+  } catch {
+    return fallback
+  }
+}
+
+const probeFeeGetters = async (provider, tokenAddress) => {
+  const results = await Promise.all(FEE_GETTERS.map(async ({ name, data }) => {
+    const result = await tryCall(provider.call({ to: tokenAddress, data }))
+    if (!result || result.length !== 66) return null
+    return ethers.BigNumber.from(result).gt(0) ? name : null
+  }))
+  return results.filter(Boolean)
+}
+
+const getTokenProfile = async (provider, tokenAddress) => {
+  const { chainId } = await provider.getNetwork()
+  const key = cacheKey(chainId, tokenAddress)
+  if (tokenCache.has(key)) return tokenCache.get(key)
+
+  const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider)
+  const [name, symbol, decimals, feeGetters] = await Promise.all([
+    tryCall(token.name(), ''),
+    tryCall(token.symbol(), ''),
+    token.decimals(),
+    probeFeeGetters(provider, tokenAddress),
+  ])
+
+  const profile = {
+    address: ethers.utils.getAddress(tokenAddress),
+    chainId,
+    name,
+    symbol,
+    decimals,
+    knownZeroReset: ZERO_RESET_TOKENS.includes(tokenAddress.toLowerCase()),
+    feeGetters,
+    feeOnTransfer: feeGetters.length > 0,
+  }
+  tokenCache.set(key, profile)
+  return profile
+}
+
+/**
+ * Whether approve(spender, amount) reverts while a non-zero allowance is set,
+ * checked with an eth_call from the owner. Tokens that return nothing from
+ * approve (USDT) are handled because the raw call is not decoded.
+ */
+const requiresZeroReset = async (provider, profile, owner, spender, amount, currentAllowance) => {
+  if (currentAllowance.isZero()) return false
+  if (profile.knownZeroReset) return true
+  const data = tokenInterface.encodeFunctionData('approve', [spender, amount])
+  try {
+    const result = await provider.call({ from: owner, to: profile.address, data })
+    // A token that refuses by returning false needs the reset as well
+    return result.length === 66 && ethers.BigNumber.from(result).isZero()
+  } catch {
+    return true
+  }
+}
+
+/**
+ * Read everything an approval UI needs about a token for one owner/spender
+ * @param {Object} provider - ethers provider
+ * @param {string} tokenAddress - ERC20 address
+ * @param {string} owner - Token holder
+ * @param {string} spender - Contract that pulls the tokens
+ * @param {ethers.BigNumber|null} amount - Amount that will be pulled, if known
+ * @returns {Promise<Object>} Token profile plus { balance, allowance, needsApproval, requiresZeroReset }
+ */
+export async function inspectTokenApproval(provider, tokenAddress, owner, spender, amount = null) {
+  const profile = await getTokenProfile(provider, tokenAddress)
+  const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider)
+  const [balance, allowance] = await Promise.all([
+    token.balanceOf(owner),
+    token.allowance(owner, spender),
+  ])
+  const needsApproval = !!amount && allowance.lt(amount)
+  const zeroReset = needsApproval
+    ? await requiresZeroReset(provider, profile, owner, spender, amount, allowance)
+    : profile.knownZeroReset
+
+  return { ...profile, balance, allowance, needsApproval, requiresZeroReset: zeroReset }
+}
+
+/**
+ * Make sure spender may pull amount of the token from the signer.
+ *
+ * Always an on-chain approve: none of the protocol contracts accept an EIP-2612
+ * permit signature, so a permit would still be a gas-paying transaction sent
+ * by the holder and would gain nothing over approve.
+ *
+ * @param {Object} options
+ * @param {Object} options.signer - ethers signer of the token holder
+ * @param {string} options.tokenAddress - ERC20 address
+ * @param {string} options.spender - Contract that pulls the tokens
+ * @param {ethers.BigNumber|string} options.amount - Amount in base units
+ * @param {string} options.mode - APPROVAL_MODES.EXACT or APPROVAL_MODES.UNLIMITED
+ * @param {Function} options.onStatus - Called with a short progress message
+ * @returns {Promise<Object>} { success, alreadyApproved, method, error }
+ */
+export async function ensureTokenAllowance({
+  signer,
+  tokenAddress,
+  spender,
+  amount,
+  mode = APPROVAL_MODES.EXACT,
+  onStatus,
+}) {
+  try {
+    const owner = await signer.getAddress()
+    const required = ethers.BigNumber.from(amount || 0)
+    const state = await inspectTokenApproval(signer.provider, tokenAddress, owner, spender, required)
+    if (!state.needsApproval) {
+      return { success: true, alreadyApproved: true, method: null }
+    }
+
+    const target = mode === APPROVAL_MODES.UNLIMITED ? ethers.constants.MaxUint256 : required
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, signer)
+
+    if (state.requiresZeroReset) {
+      onStatus?.(`${state.symbol || 'This token'} requires resetting the allowance to zero first`)
+      const resetTx = await token.approve(spender, 0)
+      await resetTx.wait()
+    }
+    onStatus?.(`Approve ${state.symbol || 'the token'} in your wallet`)
+    const tx = await token.approve(spender, target)
+    await tx.wait()
+
+    // Some tokens return false instead of reverting; trust the allowance, not the tx
+    const allowance = await token.allowance(owner, spender)
+    if (allowance.lt(required)) {
+      return { success: false, method: 'approve', error: 'Allowance was not updated by the token contract' }
+    }
+    return { success: true, alreadyApproved: false, method: 'approve' }
+  } catch (error) {
+    return { success: false, error: error.reason || error.message }
+  }
+}
+
+/**
+ * Sum the token amount a recipient received in a transaction, from its
+ * Transfer logs. Used after a deposit to confirm fee-on-transfer behaviour.
+ * @returns {Object} { received, shortfall } in base units
+ */
+export function measureTokenReceived(receipt, tokenAddress, recipient, expected) {
+  const token = tokenAddress.toLowerCase()
+  const to = recipient.toLowerCase()
+  let received = ethers.BigNumber.from(0)
+
+  for (const log of receipt?.logs || []) {
+    if (log.address.toLowerCase() !== token) continue
+    try {
+      const parsed = tokenInterface.parseLog(log)
+      if (parsed.name === 'Transfer' && parsed.args.to.toLowerCase() === to) {
+        received = received.add(parsed.args.value)
+      }
+    } catch {
+      // Not a Transfer event
+    }
+  }
+
+  // No transfer to the recipient means the tokens went elsewhere, not that a fee was taken
+  const expectedAmount = ethers.BigNumber.from(expected || 0)
+  const shortfall = received.gt(0) && received.lt(expectedAmount)
+    ? expectedAmount.sub(received)
+    : ethers.BigNumber.from(0)
+  return { received, shortfall }
+}
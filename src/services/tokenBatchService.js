@@ -0,0 +1,286 @@
+/**
+ * Token Batch Service
+ *
+ * Multi-token editor for ERC1155 collections. Each editor row describes one
+ * token ID (supply, URI and creator vesting); rows are validated against the
+ * collection's existing token IDs and turned into the ordered list of owner
+ * transactions that brings the chain in line with them:
+ *
+ *   createNewToken(id, supply)                      new token IDs only
+ *   setURI(id, uri)                                 when the URI differs
+ *   declareCreatorAllocation(id, percentage)        when not yet declared
+ *   configureCreatorVesting(id, cliff, unlocks, interval)  when not yet configured
+ *   setRoyalty(bps, recipient)                      once, when changed
+ *
+ * The plan is derived from on-chain state, so after a partial run (or a page
+ * reload with the same rows) the steps already mined simply drop out.
+ */
+
+import { ethers } from 'ethers'
+import { getMinimumUnlocks, SECONDS_PER_DAY } from '../utils/vestingUtils'
+
+export const MAX_TOKEN_ROWS = 50
+
+const WHOLE_NUMBER_PATTERN = /^\d+$/
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/
+const URI_SCHEMES = ['ipfs://', 'ipns://', 'ar://', 'https://', 'http://', 'data:']
+
+let rowCounter = 0
+
+/**
+ * An empty editor row
+ * @param {Object} values - Initial values
+ * @returns {Object} Row { key, tokenId, supply, uri, allocationPercent, cliff, unlocks, intervalDays }
+ */
+export function createTokenRow(values = {}) {
+  rowCounter += 1
+  return {
+    key: `row-${Date.now()}-${rowCounter}`,
+    tokenId: '',
+    supply: '',
+    uri: '',
+    allocationPercent: '',
+    cliff: '',
+    unlocks: '',
+    intervalDays: '',
+    ...values,
+  }
+}
+
+/**
+ * Next unused token ID after the existing ones and the editor rows
+ * @param {Array} existingIds - Token IDs on chain (strings)
+ * @param {Array} rows - Editor rows
+ * @returns {string} Token ID
+ */
+export function nextFreeTokenId(existingIds, rows) {
+  const taken = [...existingIds, ...rows.map(row => row.tokenId)]
+    .filter(id => WHOLE_NUMBER_PATTERN.test(String(id)))
+    .map(id => ethers.BigNumber.from(id))
+  if (taken.length === 0) return '1'
+  return taken.reduce((max, id) => (id.gt(max) ? id : max)).add(1).toString()
+}
+
+const normalizeId = (value) => ethers.BigNumber.from(value).toString()
+
+const hasVestingInput = (row) => !!(row.cliff || row.unlocks || row.intervalDays)
+
+/**
+ * Creator allocation, in tokens, a percentage of the supply declares
+ * @param {string|number} supply - Max supply
+ * @param {string|number} percentage - Whole percentage
+ * @returns {number} Allocation
+ */
+export function allocationFromPercentage(supply, percentage) {
+  return Math.floor((Number(supply) * Number(percentage)) / 100)
+}
+
+function validateVesting(row, allocation, errors, now) {
+  if (!row.cliff) {
+    errors.cliff = 'Cliff end is required for vesting'
+  } else {
+    const cliffTime = new Date(row.cliff).getTime()
+    if (isNaN(cliffTime)) errors.cliff = 'Invalid date'
+    else if (cliffTime <= now) errors.cliff = 'Cliff must be in the future'
+  }
+
+  const minUnlocks = getMinimumUnlocks(allocation)
+  if (!WHOLE_NUMBER_PATTERN.test(row.unlocks)) {
+    errors.unlocks = 'Number of unlocks is required'
+  } else if (Number(row.unlocks) < minUnlocks) {
+    errors.unlocks = `At least ${minUnlocks} unlocks for an allocation of ${allocation}`
+  }
+
+  if (!WHOLE_NUMBER_PATTERN.test(row.intervalDays) || Number(row.intervalDays) < 1) {
+    errors.intervalDays = 'Interval must be at least 1 day'
+  }
+}
+
+/**
+ * Validate one row and list the transactions it needs
+ * @param {Object} row - Editor row
+ * @param {Map} tokensById - Existing tokens (see useTokenBatchPlan) keyed by token ID
+ * @param {Set} duplicateIds - Token IDs used by more than one row
+ * @param {number} now - Current time in ms
+ * @returns {Object} { key, tokenId, isNew, errors, warnings, steps }
+ */
+function planRow(row, tokensById, duplicateIds, now) {
+  const errors = {}
+  const warnings = []
+  const steps = []
+
+  if (!WHOLE_NUMBER_PATTERN.test(row.tokenId)) {
+    errors.tokenId = 'Token ID must be a whole number'
+    return { key: row.key, tokenId: row.tokenId, isNew: false, errors, warnings, steps }
+  }
+  const tokenId = normalizeId(row.tokenId)
+  if (duplicateIds.has(tokenId)) errors.tokenId = `Token ID ${tokenId} is used by another row`
+
+  const existing = tokensById.get(tokenId)
+  const isNew = !existing
+
+  // Supply: required for new IDs; existing IDs keep their on-chain max supply
+  let supply = existing?.maxSupply
+  if (isNew) {
+    if (!WHOLE_NUMBER_PATTERN.test(row.supply) || Number(row.supply) <= 0) {
+      errors.supply = 'Max supply must be a positive whole number'
+    } else {
+      supply = row.supply
+    }
+  } else if (row.supply && (!WHOLE_NUMBER_PATTERN.test(row.supply) || normalizeId(row.supply) !== existing.maxSupply)) {
+    errors.supply = `Token ID ${tokenId} already exists with a max supply of ${existing.maxSupply}; use Cut Supply to reduce it`
+  }
+
+  const uri = row.uri.trim()
+  if (uri && !URI_SCHEMES.some(scheme => uri.toLowerCase().startsWith(scheme))) {
+    warnings.push('URI does not start with ipfs://, ar:// or https://')
+  }
+
+  // Creator allocation and vesting
+  const percentage = row.allocationPercent
+  let allocation = existing?.allocationDeclared ? Number(existing.creatorAllocation) : null
+  if (percentage) {
+    if (!DECIMAL_PATTERN.test(percentage) || !Number.isInteger(Number(percentage)) || Number(percentage) <= 0 || Number(percentage) > 100) {
+      errors.allocationPercent = 'Allocation must be a whole percentage between 1 and 100'
+    } else if (existing?.allocationDeclared) {
+      const requested = allocationFromPercentage(existing.maxSupply, percentage)
+      if (requested !== allocation) {
+        warnings.push(`Creator allocation is already declared as ${allocation} tokens; the ${percentage}% entered is ignored`)
+      }
+    } else if (supply) {
+      allocation = allocationFromPercentage(supply, percentage)
+      if (allocation === 0) errors.allocationPercent = `${percentage}% of ${supply} is less than one token`
+    }
+  }
+
+  if (hasVestingInput(row)) {
+    if (existing?.vestingConfigured) {
+      warnings.push('Vesting is already configured for this token ID; the vesting entered is ignored')
+    } else if (allocation === null) {
+      errors.allocationPercent = 'Declare a creator allocation to configure vesting'
+    } else {
+      validateVesting(row, allocation, errors, now)
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { key: row.key, tokenId, isNew, errors, warnings, steps }
+  }
+
+  const step = (method, args, label) => ({ id: `${tokenId}:${method}`, rowKey: row.key, tokenId, method, args, label })
+
+  if (isNew) {
+    steps.push(step('createNewToken', [tokenId, supply], `Create token ID ${tokenId} with a max supply of ${supply}`))
+  }
+  if (uri && uri !== existing?.uri) {
+    steps.push(step('setURI', [tokenId, uri], `Set the URI of token ID ${tokenId}`))
+  }
+  if (percentage && !existing?.allocationDeclared) {
+    steps.push(step('declareCreatorAllocation', [tokenId, Number(percentage)], `Declare a ${percentage}% creator allocation (${allocation} tokens) for token ID ${tokenId}`))
+  }
+  if (hasVestingInput(row) && !existing?.vestingConfigured) {
+    const cliffEnd = Math.floor(new Date(row.cliff).getTime() / 1000)
+    steps.push(step(
+      'configureCreatorVesting',
+      [tokenId, cliffEnd, Number(row.unlocks), Number(row.intervalDays) * SECONDS_PER_DAY],
+      `Vest token ID ${tokenId} over ${row.unlocks} unlocks every ${row.intervalDays} day${row.intervalDays === '1' ? '' : 's'}`
+    ))
+  }
+
+  return { key: row.key, tokenId, isNew, errors, warnings, steps }
+}
+
+/**
+ * Royalty step, if the entered royalty differs from the collection's
+ * @param {Object} royalty - { percentage, recipient } as entered
+ * @param {Object} current - { bps, recipient } on chain
+ * @returns {Object} { errors, step }
+ */
+function planRoyalty(royalty, current) {
+  const errors = {}
+  if (!royalty || (royalty.percentage === '' && royalty.recipient === '')) return { errors, step: null }
+
+  if (!DECIMAL_PATTERN.test(royalty.percentage) || Number(royalty.percentage) > 100) {
+    errors.percentage = 'Royalty must be a percentage between 0 and 100'
+  }
+  if (!ethers.utils.isAddress(royalty.recipient)) {
+    errors.recipient = 'Royalty recipient must be a valid address'
+  }
+  if (Object.keys(errors).length > 0) return { errors, step: null }
+
+  const bps = Math.floor(Number(royalty.percentage) * 100)
+  const unchanged = current && bps === current.bps && royalty.recipient.toLowerCase() === current.recipient?.toLowerCase()
+  if (unchanged) return { errors, step: null }
+
+  return {
+    errors,
+    step: {
+      id: 'collection:setRoyalty',
+      rowKey: null,
+      tokenId: null,
+      method: 'setRoyalty',
+      args: [bps, royalty.recipient],
+      label: `Set the collection royalty to ${royalty.percentage}%`,
+    },
+  }
+}
+
+/**
+ * Validate the editor rows against the collection's tokens and build the
+ * transaction plan. Rows with errors are left out of the plan.
+ * @param {Array} rows - Editor rows
+ * @param {Object} overview - { tokens: [], royalty: { bps, recipient } } from useTokenBatchPlan
+ * @param {Object} royalty - Collection royalty as entered { percentage, recipient }
+ * @param {Object} options - { now }
+ * @returns {Object} { rows, royaltyErrors, steps, invalidCount }
+ */
+export function buildTokenPlan(rows, overview, royalty, { now = Date.now() } = {}) {
+  const tokensById = new Map((overview?.tokens || []).map(token => [token.tokenId, token]))
+
+  const idCounts = new Map()
+  for (const row of rows) {
+    if (!WHOLE_NUMBER_PATTERN.test(row.tokenId)) continue
+    const id = normalizeId(row.tokenId)
+    idCounts.set(id, (idCounts.get(id) || 0) + 1)
+  }
+  const duplicateIds = new Set([...idCounts].filter(([, count]) => count > 1).map(([id]) => id))
+
+  const plannedRows = rows.map(row => planRow(row, tokensById, duplicateIds, now))
+  const { errors: royaltyErrors, step: royaltyStep } = planRoyalty(royalty, overview?.royalty)
+
+  const steps = plannedRows.flatMap(row => (Object.keys(row.errors).length === 0 ? row.steps : []))
+  if (royaltyStep) steps.push(royaltyStep)
+
+  return {
+    rows: plannedRows,
+    royaltyErrors,
+    steps,
+    invalidCount: plannedRows.filter(row => Object.keys(row.errors).length > 0).length,
+  }
+}
+
+/**
+ * Token ID and vesting schedule from a configureCreatorVesting receipt
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} collectionInterface - ethers Interface of the ERC1155 collection
+ * @returns {Object|null} { tokenId, cliffEnd, numberOfUnlocks, durationBetweenUnlocks, amountPerUnlock }
+ */
+export function vestingFromReceipt(receipt, collectionInterface) {
+  for (const log of receipt?.logs || []) {
+    try {
+      const parsed = collectionInterface.parseLog(log)
+      if (parsed.name === 'VestingConfiguredForToken') {
+        return {
+          tokenId: parsed.args.tokenId.toString(),
+          cliffEnd: parsed.args.cliffEnd.toString(),
+          numberOfUnlocks: parsed.args.numberOfUnlocks.toString(),
+          durationBetweenUnlocks: parsed.args.durationBetweenUnlocks.toString(),
+          amountPerUnlock: parsed.args.amountPerUnlock.toString(),
+        }
+      }
+    } catch {
+      // Log from another contract
+    }
+  }
+  return null
+}
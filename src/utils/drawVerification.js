@@ -0,0 +1,140 @@
+/**
+ * Provably-fair draw replay
+ *
+ * Mirrors Pool._processBatchWithRandomness. Each batch draws `batchSize`
+ * winners with a partial Fisher-Yates shuffle of the participant slots
+ * (one slot per purchased slot, in purchase order), starting at the batch's
+ * `shuffleStartIndex`:
+ *
+ *   for i in 0 .. batchSize - 1:
+ *     pos = shuffleStartIndex + i
+ *     j   = pos + uint256(keccak256(abi.encode(seed, i))) % (participantCount - pos)
+ *     swap(participants[pos], participants[j])
+ *     winners.push(participants[pos])
+ *
+ * Batches run in order on the same array, so each one continues from the
+ * order the previous batch left behind. The seed of batch k is
+ * batchRandomSeeds(k), the first VRF word delivered for that batch.
+ */
+
+import { ethers } from 'ethers'
+
+export const DRAW_ALGORITHM = 'dropr-pool-partial-fisher-yates-v1'
+export const PROOF_BUNDLE_VERSION = 1
+
+const { keccak256, defaultAbiCoder } = ethers.utils
+
+/**
+ * Participant slots in the order the pool pushed them
+ * @param {Array} purchases - SlotsPurchased logs { participant, quantity } in chain order
+ * @returns {Array} Lowercased addresses, one per slot
+ */
+export function participantsFromPurchases(purchases) {
+  const participants = []
+  for (const { participant, quantity } of purchases) {
+    const address = participant.toLowerCase()
+    for (let i = 0; i < Number(quantity); i++) participants.push(address)
+  }
+  return participants
+}
+
+/**
+ * Swap index drawn for slot `i` of a batch
+ * @param {string} seed - Batch seed (decimal or hex string)
+ * @param {number} i - Index within the batch
+ * @param {number} remaining - participantCount - pos
+ * @returns {number} Offset from pos
+ */
+export function drawOffset(seed, i, remaining) {
+  const hash = keccak256(defaultAbiCoder.encode(['uint256', 'uint256'], [seed, i]))
+  return ethers.BigNumber.from(hash).mod(remaining).toNumber()
+}
+
+/**
+ * Re-run the pool's winner selection
+ * @param {Array} participants - Slots in purchase order (not modified)
+ * @param {Array} batches - { batchNumber, seed, shuffleStartIndex, batchSize } in order
+ * @returns {Object} { winners, batches: [{ batchNumber, winners }] }
+ */
+export function replayDraw(participants, batches) {
+  const slots = [...participants]
+  const winners = []
+  const perBatch = []
+
+  for (const batch of batches) {
+    const batchWinners = []
+    for (let i = 0; i < batch.batchSize; i++) {
+      const pos = batch.shuffleStartIndex + i
+      if (pos >= slots.length) break
+      const j = pos + drawOffset(batch.seed, i, slots.length - pos)
+      ;[slots[pos], slots[j]] = [slots[j], slots[pos]]
+      batchWinners.push(slots[pos])
+    }
+    winners.push(...batchWinners)
+    perBatch.push({ batchNumber: batch.batchNumber, winners: batchWinners })
+  }
+
+  return { winners, batches: perBatch }
+}
+
+/**
+ * Random word a VRF v2.5 coordinator delivers for a fulfilment's output seed
+ * @param {string} outputSeed - outputSeed of RandomWordsFulfilled
+ * @param {number} index - Word index
+ * @returns {string} Word as a decimal string
+ */
+export function vrfWordFromOutputSeed(outputSeed, index = 0) {
+  return ethers.BigNumber.from(keccak256(defaultAbiCoder.encode(['uint256', 'uint256'], [outputSeed, index]))).toString()
+}
+
+/**
+ * Position-by-position comparison of the replayed and on-chain winner lists
+ * @param {Array} derived - Replayed winners
+ * @param {Array} onChain - winners(i) read from the pool
+ * @returns {Object} { rows: [{ index, derived, onChain, match }], passed, mismatches }
+ */
+export function compareWinners(derived, onChain) {
+  const length = Math.max(derived.length, onChain.length)
+  const rows = []
+  for (let index = 0; index < length; index++) {
+    const a = derived[index]?.toLowerCase() || null
+    const b = onChain[index]?.toLowerCase() || null
+    rows.push({ index, derived: a, onChain: b, match: a !== null && a === b })
+  }
+  const mismatches = rows.filter(row => !row.match).length
+  return { rows, passed: length > 0 && mismatches === 0, mismatches }
+}
+
+/**
+ * Self-contained JSON proof: every input the replay used, where it came from
+ * on chain, and the result. Re-checking it offline only needs replayDraw.
+ * @param {Object} params - { pool, chainId, inputs, derivedWinners, comparison, checks }
+ * @returns {Object} Proof bundle
+ */
+export function buildProofBundle({ pool, chainId, inputs, derivedWinners, comparison, checks }) {
+  return {
+    version: PROOF_BUNDLE_VERSION,
+    algorithm: DRAW_ALGORITHM,
+    description: 'For each batch in order: for i in 0..batchSize-1, pos = shuffleStartIndex + i, ' +
+      'j = pos + uint256(keccak256(abi.encode(seed, i))) % (participants.length - pos), ' +
+      'swap participants[pos] and participants[j], winner = participants[pos]. ' +
+      'participants starts as one entry per purchased slot in SlotsPurchased log order.',
+    pool,
+    chainId,
+    generatedAt: new Date().toISOString(),
+    inputs: {
+      purchases: inputs.purchases,
+      participantCount: inputs.participants.length,
+      batches: inputs.batches,
+    },
+    outputs: {
+      derivedWinners,
+      onChainWinners: inputs.onChainWinners,
+    },
+    result: {
+      passed: comparison.passed && checks.every(check => check.passed !== false),
+      mismatches: comparison.mismatches,
+      checks,
+    },
+  }
+}
@@ -26,6 +26,16 @@ const interfaces = (() => {
         ifaces.push({ name, iface: new ethers.utils.Interface(abi.abi) })
       }
     }
+    // OpenZeppelin 5 token errors, raised by prize and reward tokens
+    ifaces.push({
+      name: 'token',
+      iface: new ethers.utils.Interface([
+        'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+        'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+        'error ERC721InsufficientApproval(address operator, uint256 tokenId)',
+        'error ERC1155MissingApprovalForAll(address operator, address owner)',
+      ])
+    })
   } catch (e) {
     console.warn('ErrorDecoder: failed to init interfaces', e)
   }
@@ -82,9 +92,22 @@ export const decodeRevertData = (data) => {
   )
 }
 
+// Common require() strings from token contracts
+const revertStringMessages = [
+  [/insufficient allowance|allowance exceeded|transfer amount exceeds allowance/i, 'Insufficient token allowance. Approve the token first'],
+  [/transfer amount exceeds balance|insufficient balance/i, 'Insufficient token balance'],
+  [/caller is not token owner or approved|not owner nor approved|missing approval/i, 'The token is not approved for transfer'],
+]
+
+const friendlyRevertString = (message) => {
+  if (!message) return message
+  const match = revertStringMessages.find(([pattern]) => pattern.test(message))
+  return match ? match[1] : message
+}
+
 export const buildFriendlyMessage = (decoded, fallback) => {
   if (!decoded) return fallback || 'Transaction failed'
-  if (decoded.type === 'Error(string)') return decoded.message || fallback || 'Transaction failed'
+  if (decoded.type === 'Error(string)') return friendlyRevertString(decoded.message) || fallback || 'Transaction failed'
   if (decoded.type === 'Panic(uint256)') return decoded.message || fallback || 'Transaction failed'
   if (decoded.type === 'CustomError') {
     const name = decoded.errorName
@@ -102,6 +125,43 @@ export const buildFriendlyMessage = (decoded, fallback) => {
       ZeroSlotFee: 'Slot fee must be greater than zero',
       PrizeTransferFailed: 'Prize transfer failed',
       MintingNotSupported: 'Collection does not support minting for this action',
+      PoolNotActive: 'Pool is not active',
+      ExceedsMaxSlots: 'Not enough slots left in this pool',
+      CreatorNotAllowed: 'Pool creators cannot purchase slots in their own pool',
+      ProtocolAdminNotAllowed: 'Protocol administrators cannot purchase slots',
+      InvalidNonPrizedPurchase: 'Invalid purchase for this pool',
+      ExceedsWinnersCount: 'Cannot mint more prizes than the number of winners',
+      // PoolDeployer.sol
+      PoolCreationPaused: 'Pool creation is currently paused',
+      PoolNameTaken: 'A pool with this name already exists',
+      InvalidStartTime: 'Start time must be in the future',
+      InvalidSlotLimitConfig: 'Slot limit is outside the protocol limits',
+      InvalidWinnerConfig: 'Invalid number of winners for this slot limit',
+      InvalidMaxSlotsPerAddress: 'Invalid max slots per address',
+      InvalidSlotFee: 'Invalid slot fee',
+      InsufficientGatingTokenBalance: 'You do not hold enough of the gating token',
+      InvalidTokenGatingContract: 'Token gating contract is invalid',
+      InsufficientNativeBalance: 'Insufficient balance to fund the prize',
+      InsufficientPrizeAmountForEscrow: 'Prize amount is too low to escrow',
+      NotOwnerOfTokenID: 'You do not own this token ID',
+      IncompatiblePrizeContract: 'Prize contract is not compatible with this pool type',
+      AvailableSupplyInsufficient: 'Collection does not have enough supply left for all winners',
+      ExceedsApprovedWinnerLimit: 'Winners exceed the limit approved for this collection',
+      ApprovedSlotFeeMismatch: 'Slot fee does not match the fee approved for this collection',
+      SocialEngagementParametersNotConfigured: 'Social engagement is not configured on this network',
+      DescriptionTooLong: 'Description is too long',
+      InvalidTwitterLink: 'Invalid Twitter link',
+      InvalidDiscordLink: 'Invalid Discord link',
+      InvalidTelegramLink: 'Invalid Telegram link',
+      ContractsNotAllowed: 'Contract accounts cannot perform this action',
+      Unauthorized: 'You are not authorized to perform this action',
+      // NFTFactory.sol
+      MaxSupplyRequired: 'Max supply is required',
+      // Tokens
+      ERC20InsufficientAllowance: 'Insufficient token allowance. Approve the token first',
+      ERC20InsufficientBalance: 'Insufficient token balance',
+      ERC721InsufficientApproval: 'The NFT is not approved for transfer',
+      ERC1155MissingApprovalForAll: 'The tokens are not approved for transfer',
       // ERC721/1155 Prize
       UnauthorizedMinter: 'You are not authorized as minter for this collection',
       ZeroQuantity: 'Quantity must be greater than zero',
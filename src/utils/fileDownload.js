@@ -0,0 +1,25 @@
+/**
+ * Save generated content (JSON, CSV, ...) as a file in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Turn a display name into a safe file name stem
+ * @param {string} name - Display name
+ */
+export function toFileStem(name) {
+  return (name || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export'
+}
@@ -0,0 +1,32 @@
+/**
+ * Display helpers for the trait/rarity data served by api-collections?include=traits
+ */
+
+// Value api-collections assigns to tokens that lack a trait type
+export const NONE_TRAIT_VALUE = 'None'
+
+/**
+ * Trait frequency as a percentage string, e.g. 0.042 -> "4.2%"
+ */
+export const formatTraitFrequency = (frequency) => {
+  const percent = frequency * 100
+  if (percent > 0 && percent < 0.1) return '<0.1%'
+  return `${percent < 10 ? percent.toFixed(1) : Math.round(percent)}%`
+}
+
+/**
+ * Statistical rarity as odds, e.g. 0.0008 -> "1 in 1,250"
+ */
+export const formatRarityOdds = (statisticalRarity) => {
+  if (!statisticalRarity) return '—'
+  return `1 in ${Math.round(1 / statisticalRarity).toLocaleString()}`
+}
+
+/**
+ * Rank as a "top X%" label for the collection size
+ */
+export const formatRankPercentile = (rank, totalTokens) => {
+  if (!rank || !totalTokens) return null
+  const percent = Math.max((rank / totalTokens) * 100, 0.1)
+  return `Top ${percent < 10 ? percent.toFixed(1) : Math.round(percent)}%`
+}
@@ -0,0 +1,49 @@
+/**
+ * Stuck-draw reasons recorded by sync-pool-states (pools.draw_stuck_reason)
+ * and the recovery action each one calls for.
+ *
+ * Actions:
+ *   request_randomness   requestRandomness() for the next (or a replacement) batch
+ *   retry_mints          batchMintToWinners() for winners whose mint failed; only
+ *                        offered when the pool has mint_failed winners
+ *   check_subscription   top up the VRF subscription the pool draws from
+ */
+
+export const STUCK_DRAW_REASONS = {
+  randomness_not_requested: {
+    label: 'Randomness not requested',
+    description: 'More winners are needed but nobody has requested randomness for the next batch.',
+    actions: ['request_randomness'],
+  },
+  awaiting_fulfilment: {
+    label: 'VRF fulfilment missing',
+    description: 'Randomness was requested but Chainlink VRF has not delivered it. This usually means the VRF subscription is underfunded.',
+    actions: ['check_subscription', 'request_randomness'],
+  },
+  batch_processing_failed: {
+    label: 'Batch processing failed',
+    description: 'Winner processing reverted after randomness arrived.',
+    actions: ['retry_mints', 'request_randomness'],
+  },
+}
+
+/**
+ * Display info for a stuck-draw reason
+ * @param {string} reason - pools.draw_stuck_reason
+ * @returns {Object|null} { label, description, actions }
+ */
+export function getStuckDrawInfo(reason) {
+  return STUCK_DRAW_REASONS[reason] || null
+}
+
+/**
+ * Human readable age of a stall, e.g. "3h 20m"
+ * @param {string} since - ISO timestamp of the last draw progress
+ */
+export function formatStuckDuration(since) {
+  const minutes = Math.max(0, Math.floor((Date.now() - Date.parse(since)) / 60000))
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 48) return `${hours}h ${minutes % 60}m`
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`
+}
@@ -0,0 +1,61 @@
+import { decodeError } from './errorDecoder'
+
+/**
+ * Pre-flight simulation for write transactions: runs the call as an eth_call
+ * (callStatic) and an estimateGas before the wallet is asked to sign, so a
+ * revert surfaces as a friendly reason instead of a failed transaction.
+ */
+
+// Errors that mean the RPC could not answer, not that the transaction reverts
+const INFRA_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT']
+
+const hasRevertData = (error) => {
+  const data = error?.data?.data || error?.error?.data?.data || error?.error?.data || error?.data
+  return typeof data === 'string' && data.length > 2
+}
+
+/**
+ * Simulate a contract write
+ * @param {Object} contract - ethers Contract connected to the sender's signer
+ * @param {string} method - Method name
+ * @param {Array} args - Method arguments
+ * @param {Object} overrides - Transaction overrides (value, ...)
+ * @returns {Promise<Object>} { ok: true, gasLimit } or { ok: false, reason, errorName, error };
+ *   ok with unverified: true when the RPC failed rather than the call
+ */
+export const simulateTransaction = async (contract, method, args = [], overrides = {}) => {
+  try {
+    await contract.callStatic[method](...args, overrides)
+    const gasLimit = await contract.estimateGas[method](...args, overrides)
+    return { ok: true, gasLimit }
+  } catch (error) {
+    if (INFRA_ERROR_CODES.includes(error?.code) && !hasRevertData(error)) {
+      console.warn(`[Preflight] ${method} could not be simulated:`, error)
+      return { ok: true, unverified: true }
+    }
+    if (error?.code === 'INSUFFICIENT_FUNDS') {
+      return { ok: false, reason: 'Insufficient funds in your wallet to complete this transaction', errorName: 'INSUFFICIENT_FUNDS', error }
+    }
+    const { decoded, message } = decodeError(error)
+    return { ok: false, reason: message, errorName: decoded?.errorName || null, error }
+  }
+}
+
+/**
+ * Simulate a contract write and throw if it would revert. The thrown error
+ * carries the friendly reason as its message, so existing catch blocks
+ * (notifyError, toast) show it unchanged.
+ * @returns {Promise<Object>} { gasLimit } when the call would succeed
+ */
+export const preflightTransaction = async (contract, method, args = [], overrides = {}) => {
+  const result = await simulateTransaction(contract, method, args, overrides)
+  if (!result.ok) {
+    const error = new Error(result.reason)
+    error.reason = result.reason
+    error.errorName = result.errorName
+    error.isPreflight = true
+    error.cause = result.error
+    throw error
+  }
+  return { gasLimit: result.gasLimit }
+}
@@ -0,0 +1,16 @@
+/**
+ * Creator vesting rules shared by the vesting and token editor components
+ */
+
+export const SECONDS_PER_DAY = 86400
+
+/**
+ * Minimum number of unlocks a creator allocation must be vested over
+ * @param {number} allocation - Creator allocation in tokens
+ * @returns {number} Minimum unlocks
+ */
+export const getMinimumUnlocks = (allocation) => {
+  if (allocation >= 1000) return 8
+  if (allocation >= 500) return 4
+  return 2
+}
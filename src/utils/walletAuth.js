@@ -0,0 +1,98 @@
+/**
+ * Wallet auth headers for edge functions that act on behalf of a wallet
+ * (see supabase/functions/_shared/wallet-auth.ts). The user signs one
+ * message per session; the signature is cached until shortly before the
+ * server stops accepting it.
+ */
+
+const STORAGE_PREFIX = 'dropr_wallet_auth:'
+// Server accepts signatures for 24h; refresh an hour early
+const REUSE_WINDOW_MS = 23 * 60 * 60 * 1000
+
+/**
+ * Message to sign. Must match walletAuthMessage in _shared/wallet-auth.ts.
+ */
+export function walletAuthMessage(address, issuedAt) {
+  return `Sign in to Dropr\n\nWallet: ${address.toLowerCase()}\nIssued At: ${issuedAt}`
+}
+
+/**
+ * Returns cached auth headers for the address without prompting, or null.
+ * @param {string} address - Wallet address
+ */
+export function getCachedWalletAuthHeaders(address) {
+  if (!address) return null
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + address.toLowerCase()) || 'null')
+    if (stored && Date.now() - Date.parse(stored.issuedAt) < REUSE_WINDOW_MS) {
+      return toHeaders(address, stored)
+    }
+  } catch {
+    // fall through to null
+  }
+  return null
+}
+
+/**
+ * Returns auth headers for the address, asking the wallet to sign if there is
+ * no valid cached signature.
+ * @param {Object} signer - ethers Signer for the address
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object>} Headers to merge into the fetch request
+ */
+export async function getWalletAuthHeaders(signer, address) {
+  const cached = getCachedWalletAuthHeaders(address)
+  if (cached) return cached
+
+  const issuedAt = new Date().toISOString()
+  const signature = await signer.signMessage(walletAuthMessage(address, issuedAt))
+  const stored = { issuedAt, signature }
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + address.toLowerCase(), JSON.stringify(stored))
+  } catch {
+    // Storage unavailable; the signature is still valid for this request
+  }
+  return toHeaders(address, stored)
+}
+
+/**
+ * Forgets the cached signature (e.g. after the server rejected it)
+ * @param {string} address - Wallet address
+ */
+export function clearWalletAuth(address) {
+  if (!address) return
+  try {
+    sessionStorage.removeItem(STORAGE_PREFIX + address.toLowerCase())
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Runs an authenticated request, signing in first if needed. A 401 forgets the
+ * cached signature so the next call re-signs.
+ * @param {Object|null} signer - Signer used to sign in if needed; null never prompts
+ * @param {string} address - Wallet address
+ * @param {Function} request - Called with the auth headers
+ */
+export async function withWalletAuth(signer, address, request) {
+  const headers = signer
+    ? await getWalletAuthHeaders(signer, address)
+    : getCachedWalletAuthHeaders(address)
+  if (!headers) throw new Error('Wallet signature required')
+
+  try {
+    return await request(headers)
+  } catch (error) {
+    if (error.status === 401) clearWalletAuth(address)
+    throw error
+  }
+}
+
+function toHeaders(address, { issuedAt, signature }) {
+  return {
+    'x-wallet-address': address.toLowerCase(),
+    'x-wallet-issued-at': issuedAt,
+    'x-wallet-signature': signature,
+  }
+}
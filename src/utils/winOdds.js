@@ -0,0 +1,93 @@
+/**
+ * Participant win odds
+ *
+ * The pool draws winners as the first `winnersCount` entries of a uniform
+ * shuffle of all purchased slots (see drawVerification.js), so the number of
+ * winning slots an address holds is hypergeometric: `userSlots` marked slots
+ * among `totalSlots`, `winnersCount` drawn without replacement. Every winning
+ * slot is a win (winsPerAddress), which caps an address at one win per slot
+ * it holds and therefore at maxSlotsPerAddress.
+ *
+ * While a pool is Drawing, winners already selected are fixed; the remaining
+ * winners are drawn from the slots that have not won yet.
+ */
+
+/**
+ * Probability of drawing none of `marked` slots in `draws` picks from `total`
+ * @returns {number} C(total - marked, draws) / C(total, draws)
+ */
+function probabilityOfNoHit(total, marked, draws) {
+  if (draws <= 0 || marked <= 0) return 1
+  if (total - marked < draws) return 0
+  let p = 1
+  for (let i = 0; i < draws; i++) {
+    p *= (total - marked - i) / (total - i)
+    if (p === 0) break
+  }
+  return p
+}
+
+/**
+ * Exact odds for one address
+ * @param {Object} params
+ * @param {number} params.totalSlots - Slots sold (participant entries)
+ * @param {number} params.userSlots - Slots held by the address
+ * @param {number} params.winnersCount - Winners the pool will draw
+ * @param {number} [params.winnersSelected=0] - Winners already drawn
+ * @param {number} [params.userWins=0] - winsPerAddress for the address
+ * @returns {Object|null} { atLeastOne, expectedWins, maxWins } or null when there is nothing to draw from
+ */
+export function calculateWinOdds({ totalSlots, userSlots, winnersCount, winnersSelected = 0, userWins = 0 }) {
+  const total = Number(totalSlots) || 0
+  const held = Number(userSlots) || 0
+  if (total <= 0 || held <= 0 || !winnersCount) return null
+
+  // A pool that sells fewer slots than it has winners can only draw every slot
+  const winners = Math.min(Number(winnersCount), total)
+  const selected = Math.min(Number(winnersSelected) || 0, winners)
+  const won = Math.min(Number(userWins) || 0, held)
+
+  const remainingTotal = total - selected
+  const remainingHeld = held - won
+  const remainingDraws = winners - selected
+
+  const pNoMoreWins = probabilityOfNoHit(remainingTotal, remainingHeld, remainingDraws)
+  const expectedMore = remainingTotal > 0 ? remainingDraws * remainingHeld / remainingTotal : 0
+
+  return {
+    atLeastOne: won > 0 ? 1 : 1 - pNoMoreWins,
+    expectedWins: won + expectedMore,
+    maxWins: won + Math.min(remainingHeld, remainingDraws),
+  }
+}
+
+/**
+ * Odds after buying more slots, assuming nobody else buys in the meantime
+ * @param {Object} params - Same as calculateWinOdds
+ * @param {number} additional - Slots the address would add
+ * @returns {Object|null}
+ */
+export function simulatePurchaseOdds(params, additional) {
+  const extra = Math.max(0, Number(additional) || 0)
+  return calculateWinOdds({
+    ...params,
+    totalSlots: (Number(params.totalSlots) || 0) + extra,
+    userSlots: (Number(params.userSlots) || 0) + extra,
+  })
+}
+
+/**
+ * Percentage label that never rounds a near-certainty up to 100% or a
+ * long shot down to 0%
+ * @param {number} probability - 0..1
+ * @returns {string}
+ */
+export function formatOdds(probability) {
+  if (probability === null || probability === undefined || isNaN(probability)) return 'N/A'
+  if (probability >= 1) return '100%'
+  if (probability <= 0) return '0%'
+  const percent = probability * 100
+  if (percent < 0.01) return '<0.01%'
+  if (percent > 99.99) return '>99.99%'
+  return `${percent.toFixed(2)}%`
+}
@@ -0,0 +1,56 @@
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+
+// Allowlist Merkle tree compatible with OpenZeppelin's MerkleProof.verify:
+//   leaf   = keccak256(abi.encodePacked(address))
+//   parent = keccak256(sorted(left, right))
+// Leaves are ordered by address; an unpaired node is carried up unchanged.
+export const MERKLE_LEAF_ENCODING = 'keccak256(abi.encodePacked(address))';
+
+export interface AllowlistMerkle {
+  root: string;
+  leafEncoding: string;
+  proofs: Record<string, string[]>;
+}
+
+function hashPair(a: string, b: string): string {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.utils.keccak256(ethers.utils.concat([a, b]))
+    : ethers.utils.keccak256(ethers.utils.concat([b, a]));
+}
+
+/**
+ * Builds the tree over a deduplicated address list and returns its root plus
+ * a proof per (checksummed) address. An empty list has root 0x00..00.
+ */
+export function buildAllowlistMerkle(addresses: string[]): AllowlistMerkle {
+  const sorted = [...new Set(addresses.map((a) => ethers.utils.getAddress(a)))]
+    .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+
+  if (sorted.length === 0) {
+    return { root: ethers.constants.HashZero, leafEncoding: MERKLE_LEAF_ENCODING, proofs: {} };
+  }
+
+  const levels: string[][] = [sorted.map((a) => ethers.utils.solidityKeccak256(['address'], [a]))];
+  while (levels[levels.length - 1].length > 1) {
+    const nodes = levels[levels.length - 1];
+    const next: string[] = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      next.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+    }
+    levels.push(next);
+  }
+
+  const proofs: Record<string, string[]> = {};
+  sorted.forEach((address, leafIndex) => {
+    const proof: string[] = [];
+    let index = leafIndex;
+    for (let level = 0; level < levels.length - 1; level++) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < levels[level].length) proof.push(levels[level][sibling]);
+      index = Math.floor(index / 2);
+    }
+    proofs[address] = proof;
+  });
+
+  return { root: levels[levels.length - 1][0], leafEncoding: MERKLE_LEAF_ENCODING, proofs };
+}
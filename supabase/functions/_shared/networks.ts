@@ -5,6 +5,14 @@ export interface NetworkConfig {
   name: string;
   rpcUrl: string;
   explorer: string;
+  /** Blocks an event must be buried under before indexers mark it 'final'. */
+  confirmations: number;
+  /** PoolDeployer deployment block; backfills discover it via getCode when unset. */
+  deploymentBlock?: number;
+  /** Largest eth_getLogs block range the configured RPC accepts (default 2000). */
+  maxBlockRange?: number;
+  /** Minutes a pool may sit in Drawing without progress before it is flagged as stuck (default 30). */
+  stuckDrawMinutes?: number;
   nativeCurrency: {
     name: string;
     symbol: string;
@@ -26,6 +34,9 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Ethereum Mainnet',
     rpcUrl: 'https://ethereum-rpc.publicnode.com',
     explorer: 'https://etherscan.io',
+    confirmations: 12,
+    // Fulfilment is slower and costlier to retry on mainnet
+    stuckDrawMinutes: 60,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -41,6 +52,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'OP Mainnet',
     rpcUrl: 'https://mainnet.optimism.io',
     explorer: 'https://optimistic.etherscan.io',
+    confirmations: 10,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -56,6 +68,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'BNB Smart Chain',
     rpcUrl: 'https://bsc.blockrazor.xyz',
     explorer: 'https://bscscan.com',
+    confirmations: 15,
     nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -71,6 +84,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'BNB Smart Chain Testnet',
     rpcUrl: 'https://bsc-testnet-rpc.publicnode.com',
     explorer: 'https://testnet.bscscan.com',
+    confirmations: 15,
     nativeCurrency: { name: 'Test BNB', symbol: 'tBNB', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -86,6 +100,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Avalanche Fuji Testnet',
     rpcUrl: 'https://avalanche-fuji.drpc.org',
     explorer: 'https://testnet.snowscan.xyz',
+    confirmations: 1,
     nativeCurrency: { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -101,6 +116,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Avalanche C-Chain',
     rpcUrl: 'https://avalanche.drpc.org',
     explorer: 'https://snowscan.xyz',
+    confirmations: 1,
     nativeCurrency: { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -116,6 +132,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Base Mainnet',
     rpcUrl: 'https://base.drpc.org',
     explorer: 'https://basescan.org',
+    confirmations: 10,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -131,6 +148,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Base Sepolia',
     rpcUrl: 'https://base-sepolia-rpc.publicnode.com',
     explorer: 'https://sepolia.basescan.org',
+    confirmations: 10,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x0D984A5481e1d169C69eEdFD1C7E891e85954Dde',
@@ -146,6 +164,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Ethereum Sepolia',
     rpcUrl: 'https://sepolia.infura.io',
     explorer: 'https://sepolia.etherscan.io',
+    confirmations: 12,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -161,6 +180,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'OP Sepolia Testnet',
     rpcUrl: 'https://sepolia.optimism.io',
     explorer: 'https://sepolia-optimism.etherscan.io',
+    confirmations: 10,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -176,6 +196,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Ronin Mainnet',
     rpcUrl: 'https://ronin.drpc.org',
     explorer: 'https://app.roninchain.com/',
+    confirmations: 20,
     nativeCurrency: { name: 'Ronin', symbol: 'RON', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -191,6 +212,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Ronin Saigon Testnet',
     rpcUrl: 'https://saigon-testnet.roninchain.com/rpc',
     explorer: 'https://saigon-app.roninchain.com/explorer',
+    confirmations: 20,
     nativeCurrency: { name: 'Ronin', symbol: 'RON', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -206,6 +228,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Arbitrum One',
     rpcUrl: 'https://arbitrum.drpc.org',
     explorer: 'https://arbiscan.io',
+    confirmations: 20,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -221,6 +244,7 @@ export const SUPPORTED_NETWORKS: Record<number, NetworkConfig> = {
     name: 'Arbitrum Sepolia',
     rpcUrl: 'https://endpoints.omniatech.io/v1/arbitrum/sepolia/public',
     explorer: 'https://sepolia.arbiscan.io',
+    confirmations: 20,
     nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
     contractAddresses: {
       protocolManager: '0x...',
@@ -242,8 +266,48 @@ export function getNetworkConfig(chainId: number): NetworkConfig | null {
   return SUPPORTED_NETWORKS[chainId] || null;
 }
 
+/**
+ * Confirmation depth for a chain. Unknown chains fall back to a conservative depth.
+ */
+export function getConfirmationDepth(chainId: number): number {
+  return SUPPORTED_NETWORKS[chainId]?.confirmations ?? 12;
+}
+
+/**
+ * Largest block range to request per eth_getLogs call on a chain.
+ */
+export function getMaxBlockRange(chainId: number): number {
+  return SUPPORTED_NETWORKS[chainId]?.maxBlockRange ?? 2000;
+}
+
+/**
+ * How long a pool may sit in Drawing without progress before the watchdog flags it.
+ */
+export function getStuckDrawThresholdMs(chainId: number): number {
+  return (SUPPORTED_NETWORKS[chainId]?.stuckDrawMinutes ?? 30) * 60 * 1000;
+}
+
 export function getContractAddress(chainId: number, contractName: keyof NetworkConfig['contractAddresses']): string | null {
   const network = SUPPORTED_NETWORKS[chainId];
   if (!network) return null;
   return network.contractAddresses[contractName];
 }
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * True when a contract address has been filled in (not the '0x...' placeholder).
+ */
+export function isContractConfigured(address: string | null | undefined): boolean {
+  return !!address && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Returns the chain IDs that have a PoolDeployer configured, i.e. the networks
+ * the orchestrator should index. Other contracts are checked per indexer.
+ */
+export function getIndexedChainIds(): number[] {
+  return Object.entries(SUPPORTED_NETWORKS)
+    .filter(([, network]) => isContractConfigured(network.contractAddresses.poolDeployer))
+    .map(([chainId]) => Number(chainId));
+}
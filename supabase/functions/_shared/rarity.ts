@@ -0,0 +1,101 @@
+// Trait aggregation and statistical rarity for a collection's cached token metadata.
+// Statistical rarity is the probability of a token's exact trait combination: the
+// product of each of its trait frequencies. Tokens without a trait type count as
+// having the value 'None' for it, so a missing trait is as informative as a rare one.
+
+export const NONE_TRAIT_VALUE = 'None';
+
+export interface TokenMetadataRow {
+  token_id: number;
+  attributes: unknown;
+}
+
+export interface TraitValueSummary {
+  value: string;
+  count: number;
+  frequency: number;
+}
+
+export interface TraitTypeSummary {
+  traitType: string;
+  values: TraitValueSummary[];
+}
+
+export interface TokenRarity {
+  tokenId: number;
+  /** Probability of the token's trait combination (lower is rarer). */
+  statisticalRarity: number;
+  /** 1 = rarest; tied tokens share a rank. */
+  rank: number;
+  traits: Record<string, string>;
+}
+
+export interface CollectionTraits {
+  totalTokens: number;
+  traitTypes: TraitTypeSummary[];
+  tokens: TokenRarity[];
+}
+
+/**
+ * Reads { trait_type, value } attributes into a trait map. Display-only
+ * attributes without a trait_type are skipped.
+ */
+function parseAttributes(attributes: unknown): Record<string, string> {
+  const traits: Record<string, string> = {};
+  if (!Array.isArray(attributes)) return traits;
+  for (const attr of attributes) {
+    if (!attr || typeof attr !== 'object') continue;
+    const { trait_type: traitType, value } = attr as { trait_type?: unknown; value?: unknown };
+    if (typeof traitType !== 'string' || !traitType.trim()) continue;
+    if (value === undefined || value === null || value === '') continue;
+    traits[traitType.trim()] = String(value);
+  }
+  return traits;
+}
+
+/**
+ * Aggregates trait counts and ranks tokens by statistical rarity.
+ */
+export function computeCollectionTraits(rows: TokenMetadataRow[]): CollectionTraits {
+  const tokens = rows.map((row) => ({ tokenId: row.token_id, traits: parseAttributes(row.attributes) }));
+  const totalTokens = tokens.length;
+
+  const traitTypeNames = new Set<string>();
+  for (const token of tokens) {
+    Object.keys(token.traits).forEach((type) => traitTypeNames.add(type));
+  }
+
+  // counts[traitType][value] = number of tokens
+  const counts: Record<string, Record<string, number>> = {};
+  for (const type of traitTypeNames) counts[type] = {};
+  for (const token of tokens) {
+    for (const type of traitTypeNames) {
+      const value = token.traits[type] ?? NONE_TRAIT_VALUE;
+      counts[type][value] = (counts[type][value] || 0) + 1;
+    }
+  }
+
+  const traitTypes: TraitTypeSummary[] = [...traitTypeNames].sort().map((traitType) => ({
+    traitType,
+    values: Object.entries(counts[traitType])
+      .map(([value, count]) => ({ value, count, frequency: count / totalTokens }))
+      .sort((a, b) => a.count - b.count || a.value.localeCompare(b.value)),
+  }));
+
+  const scored = tokens.map((token) => {
+    let statisticalRarity = 1;
+    for (const type of traitTypeNames) {
+      const value = token.traits[type] ?? NONE_TRAIT_VALUE;
+      statisticalRarity *= counts[type][value] / totalTokens;
+    }
+    return { tokenId: token.tokenId, statisticalRarity, rank: 0, traits: token.traits };
+  });
+
+  scored.sort((a, b) => a.statisticalRarity - b.statisticalRarity || a.tokenId - b.tokenId);
+  scored.forEach((token, index) => {
+    const previous = scored[index - 1];
+    token.rank = previous && previous.statisticalRarity === token.statisticalRarity ? previous.rank : index + 1;
+  });
+
+  return { totalTokens, traitTypes, tokens: scored };
+}
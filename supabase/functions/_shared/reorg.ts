@@ -0,0 +1,147 @@
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+// How many range-tip checkpoints to keep per (chain, contract). Each indexer run
+// adds one, so this bounds how far back a reorg can be resolved precisely.
+const CHECKPOINT_HISTORY = 64;
+
+// Blocks to rewind when no stored checkpoint matches the canonical chain anymore
+// (reorg deeper than the checkpoint history, or a legacy row without checkpoints).
+const FALLBACK_REWIND_BLOCKS = 500;
+
+export interface ReorgCheckResult {
+  reorged: boolean;
+  /** Last block whose hash still matches the canonical chain. Rows above it are orphaned. */
+  forkBlock?: number;
+}
+
+interface SyncPointer {
+  chainId: number;
+  contractType: string;
+  contractAddress: string;
+}
+
+/**
+ * Compares the stored tip hash with the canonical chain and, on mismatch, walks
+ * back through the stored checkpoints to find the last common ancestor.
+ * Costs a single getBlock call when there is no reorg.
+ */
+export async function detectReorg(
+  supabase: SupabaseClient,
+  provider: ethers.providers.JsonRpcProvider,
+  pointer: SyncPointer,
+  lastIndexedBlock: number | null | undefined,
+  lastBlockHash: string | null | undefined
+): Promise<ReorgCheckResult> {
+  if (!lastIndexedBlock || !lastBlockHash) {
+    return { reorged: false };
+  }
+
+  const tip = await provider.getBlock(lastIndexedBlock);
+  if (tip && tip.hash === lastBlockHash) {
+    return { reorged: false };
+  }
+
+  console.warn(
+    `[Chain ${pointer.chainId}] Reorg detected for ${pointer.contractType}:${pointer.contractAddress} ` +
+    `at block ${lastIndexedBlock} (stored ${lastBlockHash}, canonical ${tip?.hash ?? 'missing'})`
+  );
+
+  const { data: checkpoints } = await supabase
+    .from('indexer_block_checkpoints')
+    .select('block_number, block_hash')
+    .eq('chain_id', pointer.chainId)
+    .eq('contract_type', pointer.contractType)
+    .eq('contract_address', pointer.contractAddress)
+    .lt('block_number', lastIndexedBlock)
+    .order('block_number', { ascending: false })
+    .limit(CHECKPOINT_HISTORY);
+
+  for (const checkpoint of (checkpoints || [])) {
+    const block = await provider.getBlock(checkpoint.block_number);
+    if (block && block.hash === checkpoint.block_hash) {
+      return { reorged: true, forkBlock: checkpoint.block_number };
+    }
+  }
+
+  return { reorged: true, forkBlock: Math.max(0, lastIndexedBlock - FALLBACK_REWIND_BLOCKS) };
+}
+
+/**
+ * Records the hash of an indexed range tip and prunes checkpoints beyond the
+ * retained history.
+ */
+export async function recordCheckpoint(
+  supabase: SupabaseClient,
+  pointer: SyncPointer,
+  blockNumber: number,
+  blockHash: string
+): Promise<void> {
+  await supabase
+    .from('indexer_block_checkpoints')
+    .upsert(
+      {
+        chain_id: pointer.chainId,
+        contract_type: pointer.contractType,
+        contract_address: pointer.contractAddress,
+        block_number: blockNumber,
+        block_hash: blockHash,
+      },
+      { onConflict: 'chain_id,contract_type,contract_address,block_number' }
+    );
+
+  const { data: stale } = await supabase
+    .from('indexer_block_checkpoints')
+    .select('block_number')
+    .eq('chain_id', pointer.chainId)
+    .eq('contract_type', pointer.contractType)
+    .eq('contract_address', pointer.contractAddress)
+    .order('block_number', { ascending: false })
+    .range(CHECKPOINT_HISTORY, CHECKPOINT_HISTORY);
+
+  if (stale && stale.length > 0) {
+    await supabase
+      .from('indexer_block_checkpoints')
+      .delete()
+      .eq('chain_id', pointer.chainId)
+      .eq('contract_type', pointer.contractType)
+      .eq('contract_address', pointer.contractAddress)
+      .lte('block_number', stale[0].block_number);
+  }
+}
+
+/**
+ * Rewinds the sync pointer to the fork block after a rollback, dropping
+ * checkpoints that belonged to the orphaned branch.
+ */
+export async function rewindSyncState(
+  supabase: SupabaseClient,
+  provider: ethers.providers.JsonRpcProvider,
+  pointer: SyncPointer,
+  forkBlock: number,
+  previousReorgCount: number | null | undefined
+): Promise<void> {
+  const forkHash = (await provider.getBlock(forkBlock))?.hash ?? null;
+
+  await supabase
+    .from('indexer_block_checkpoints')
+    .delete()
+    .eq('chain_id', pointer.chainId)
+    .eq('contract_type', pointer.contractType)
+    .eq('contract_address', pointer.contractAddress)
+    .gt('block_number', forkBlock);
+
+  await supabase
+    .from('indexer_sync_state')
+    .update({
+      last_indexed_block: forkBlock,
+      last_block_hash: forkHash,
+      last_reorg_at: new Date().toISOString(),
+      last_reorg_block: forkBlock,
+      reorg_count: (previousReorgCount || 0) + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('chain_id', pointer.chainId)
+    .eq('contract_type', pointer.contractType)
+    .eq('contract_address', pointer.contractAddress);
+}
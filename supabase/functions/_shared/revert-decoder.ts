@@ -0,0 +1,66 @@
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+
+// Mirrors src/utils/errorDecoder.js for the indexers, which only ever see raw
+// revert bytes inside BatchProcessingFailedBytes / MintingFailed payloads.
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_CODES: Record<number, string> = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow/underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Storage byte array that is incorrectly encoded',
+  0x31: 'Calling `.pop()` on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out-of-memory',
+  0x51: 'Invalid contract creation code',
+};
+
+// Parameterless custom errors a batch mint can bubble up from the pool or the
+// prize collection it mints into.
+const CUSTOM_ERRORS: Record<string, string> = {
+  MintingNotSupported: 'Collection does not support minting for this action',
+  PrizeTransferFailed: 'Prize transfer failed',
+  InvalidWinnerAddress: 'Invalid winner address',
+  ArrayLengthMismatch: 'Winner and quantity arrays differ in length',
+  BatchTooLarge: 'Batch is too large',
+  ExceedsWinnersCount: 'Exceeds the number of winners',
+  UnauthorizedMinter: 'Pool is not authorized as minter for this collection',
+  UnauthorizedCaller: 'Unauthorized caller',
+  SupplyNotSet: 'Supply is not set for this token',
+  ExceedsMaxSupply: "Mint would exceed the collection's max supply",
+  ZeroQuantity: 'Quantity must be greater than zero',
+  ZeroAddress: 'Zero address',
+};
+
+const CUSTOM_ERROR_SELECTORS = new Map<string, string>(
+  Object.keys(CUSTOM_ERRORS).map((name) => [ethers.utils.id(`${name}()`).slice(0, 10), name])
+);
+
+/**
+ * Turns raw revert data into a human-readable reason. Falls back to the
+ * 4-byte selector (or 'empty revert') when the data cannot be decoded.
+ */
+export function decodeRevertReason(data: string | null | undefined): string {
+  if (!data || data === '0x') return 'empty revert';
+
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0].toNumber();
+      return PANIC_CODES[code] || `Panic code 0x${code.toString(16)}`;
+    }
+  } catch {
+    // Malformed payload — fall through to the selector
+  }
+
+  const customError = CUSTOM_ERROR_SELECTORS.get(selector);
+  if (customError) return CUSTOM_ERRORS[customError];
+
+  return `unknown error ${selector}`;
+}
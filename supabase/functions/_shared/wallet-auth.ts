@@ -0,0 +1,53 @@
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+
+// Headers a browser sends to prove it controls a wallet. The signature covers
+// walletAuthMessage(address, issuedAt) and is reused until it expires, so the
+// user signs once per session rather than once per request.
+export const WALLET_AUTH_HEADERS = 'x-wallet-address, x-wallet-issued-at, x-wallet-signature';
+
+const WALLET_AUTH_TTL_MS = 24 * 60 * 60 * 1000;
+// Tolerated clock skew for issuedAt values slightly in the future
+const WALLET_AUTH_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Message the wallet signs (personal_sign). Must match src/utils/walletAuth.js.
+ */
+export function walletAuthMessage(address: string, issuedAt: string): string {
+  return `Sign in to Dropr\n\nWallet: ${address.toLowerCase()}\nIssued At: ${issuedAt}`;
+}
+
+/**
+ * Verifies the wallet auth headers. Returns the signer's lowercased address,
+ * or an error message suitable for a 401 response.
+ */
+export function verifyWalletAuth(req: Request): { address: string } | { error: string } {
+  const address = req.headers.get('x-wallet-address')?.toLowerCase();
+  const issuedAt = req.headers.get('x-wallet-issued-at');
+  const signature = req.headers.get('x-wallet-signature');
+
+  if (!address || !issuedAt || !signature) {
+    return { error: 'Missing wallet signature' };
+  }
+  if (!ethers.utils.isAddress(address)) {
+    return { error: 'Invalid wallet address' };
+  }
+
+  const issuedMs = Date.parse(issuedAt);
+  if (isNaN(issuedMs) || issuedMs > Date.now() + WALLET_AUTH_SKEW_MS) {
+    return { error: 'Invalid signature timestamp' };
+  }
+  if (Date.now() - issuedMs > WALLET_AUTH_TTL_MS) {
+    return { error: 'Wallet signature expired' };
+  }
+
+  try {
+    const recovered = ethers.utils.verifyMessage(walletAuthMessage(address, issuedAt), signature);
+    if (recovered.toLowerCase() !== address) {
+      return { error: 'Signature does not match wallet' };
+    }
+  } catch {
+    return { error: 'Invalid wallet signature' };
+  }
+
+  return { address };
+}
@@ -1,6 +1,8 @@
 // Supabase Edge Function: api-artwork
 // REST API for NFT artwork and metadata with caching
 // Provides fast access to cached artwork URLs without IPFS gateway delays
+// Collection-level requests for unrevealed artwork (the default) switch to the
+// revealed artwork once index-collection-events has marked the collection revealed
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
@@ -17,6 +19,7 @@ interface ArtworkResponse {
   collectionAddress: string;
   chainId: number;
   type: string;
+  isRevealed: boolean;
   metadata: {
     name: string | null;
     description: string | null;
@@ -124,6 +127,20 @@ serve(async (req) => {
       );
     }
 
+    const { data: collection } = await supabase
+      .from('collections')
+      .select('is_revealed')
+      .eq('address', params.collectionAddress)
+      .eq('chain_id', params.chainId)
+      .maybeSingle();
+    const isRevealed = !!collection?.is_revealed;
+    const requestedType = params.type;
+
+    // Unrevealed artwork is replaced by the revealed artwork once CollectionRevealed is indexed
+    if (params.tokenId === undefined && params.type === 'unrevealed' && isRevealed) {
+      params.type = 'revealed';
+    }
+
     // Build query based on whether requesting token or collection-level metadata
     let query = supabase
       .from('nft_metadata_cache')
@@ -139,7 +156,25 @@ serve(async (req) => {
       query = query.eq('metadata_type', params.type!).is('token_id', null);
     }
 
-    const { data: cacheEntry, error } = await query.single();
+    let { data: cacheEntry, error } = await query.single();
+
+    // Until the collection-level revealed entry is fetched, use the first revealed token's artwork
+    if (params.type === 'revealed' && params.tokenId === undefined && cacheEntry?.fetch_status !== 'success') {
+      const { data: tokenEntry } = await supabase
+        .from('nft_metadata_cache')
+        .select('*')
+        .eq('collection_address', params.collectionAddress)
+        .eq('chain_id', params.chainId)
+        .not('token_id', 'is', null)
+        .eq('fetch_status', 'success')
+        .order('token_id', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+      if (tokenEntry) {
+        cacheEntry = tokenEntry;
+        error = null;
+      }
+    }
 
     if (error || !cacheEntry) {
       // No cache entry found
@@ -149,12 +184,16 @@ serve(async (req) => {
           collectionAddress: params.collectionAddress,
           chainId: params.chainId,
           type: params.tokenId !== undefined ? 'token' : params.type,
+          requestedType,
+          isRevealed,
           tokenId: params.tokenId || null,
           metadata: null,
           cached: false,
           cachedAt: null,
           expiresAt: null,
-          message: 'No cached artwork found. Use POST /api-artwork/refresh to trigger fetch.',
+          message: params.type === 'revealed' && requestedType !== 'revealed'
+            ? 'Collection is revealed; revealed artwork is still being fetched.'
+            : 'No cached artwork found. Use POST /api-artwork/refresh to trigger fetch.',
         }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
@@ -168,6 +207,7 @@ serve(async (req) => {
       collectionAddress: params.collectionAddress,
       chainId: params.chainId,
       type: params.tokenId !== undefined ? 'token' : params.type!,
+      isRevealed,
       metadata: {
         name: cacheEntry.name,
         description: cacheEntry.description,
@@ -187,6 +227,7 @@ serve(async (req) => {
         JSON.stringify({
           success: true,
           ...response,
+          requestedType,
           tokenId: params.tokenId || null,
           status: isExpired ? 'expired' : 'failed',
           fetchError: cacheEntry.fetch_error,
@@ -202,6 +243,7 @@ serve(async (req) => {
       JSON.stringify({
         success: true,
         ...response,
+        requestedType,
         tokenId: params.tokenId || null,
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -4,24 +4,33 @@
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { computeCollectionTraits, TokenMetadataRow } from '../_shared/rarity.ts';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 };
 
+// Cached token metadata read per page, and the most tokens ranked per collection
+const TRAIT_PAGE_SIZE = 1000;
+const MAX_TRAIT_TOKENS = 10000;
+const HISTORY_PAGE_SIZE = 50;
+
 interface CollectionQuery {
   chainId?: number;
   creator?: string;
   address?: string; // Get specific collection
   isRevealed?: boolean;
   isExternal?: boolean; // Filter by external collections
+  awaitingReveal?: boolean; // Unrevealed Manual/Scheduled collections
   limit?: number;
   offset?: number;
   sortBy?: 'created_at' | 'total_supply';
   sortOrder?: 'asc' | 'desc';
   includeMetadata?: boolean; // Include NFT metadata for specific collection
   tokenId?: number; // Get specific token metadata
+  includeTraits?: boolean; // include=traits: trait counts and rarity ranks for a collection
+  includeHistory?: boolean; // include=history: owner actions indexed by index-collection-events
 }
 
 serve(async (req) => {
@@ -35,6 +44,7 @@ serve(async (req) => {
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
     const url = new URL(req.url);
+    const include = (url.searchParams.get('include') || '').split(',').map((s) => s.trim());
     const params: CollectionQuery = {
       chainId: url.searchParams.get('chainId') ? parseInt(url.searchParams.get('chainId')!) : undefined,
       creator: url.searchParams.get('creator')?.toLowerCase(),
@@ -43,14 +53,120 @@ serve(async (req) => {
                   url.searchParams.get('isRevealed') === 'false' ? false : undefined,
       isExternal: url.searchParams.get('isExternal') === 'true' ? true :
                   url.searchParams.get('isExternal') === 'false' ? false : undefined,
+      awaitingReveal: url.searchParams.get('awaitingReveal') === 'true',
       limit: Math.min(parseInt(url.searchParams.get('limit') || '50'), 100),
       offset: parseInt(url.searchParams.get('offset') || '0'),
       sortBy: (url.searchParams.get('sortBy') as any) || 'created_at',
       sortOrder: (url.searchParams.get('sortOrder') as any) || 'desc',
       includeMetadata: url.searchParams.get('includeMetadata') === 'true',
       tokenId: url.searchParams.get('tokenId') ? parseInt(url.searchParams.get('tokenId')!) : undefined,
+      includeTraits: include.includes('traits'),
+      includeHistory: include.includes('history'),
     };
 
+    // Change history: the collection's indexed owner actions, newest first
+    if (params.includeHistory) {
+      if (!params.address || !params.chainId) {
+        return new Response(
+          JSON.stringify({ error: 'include=history requires address and chainId' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+
+      const limit = Math.min(parseInt(url.searchParams.get('limit') || String(HISTORY_PAGE_SIZE)), 100);
+      // Optional events=KOLApproved,KOLRevoked filter on the event name
+      const eventNames = (url.searchParams.get('events') || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+      let historyQuery = supabase
+        .from('blockchain_events')
+        .select('event_name, block_number, transaction_hash, log_index, block_timestamp, event_data', { count: 'exact' })
+        .eq('contract_address', params.address)
+        .eq('chain_id', params.chainId);
+      if (eventNames.length > 0) {
+        historyQuery = historyQuery.in('event_name', eventNames);
+      }
+
+      const { data: events, error, count } = await historyQuery
+        .order('block_number', { ascending: false })
+        .order('log_index', { ascending: false })
+        .range(params.offset!, params.offset! + limit - 1);
+
+      if (error) {
+        console.error('Database error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to query collection history', details: error.message }),
+          { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          collectionAddress: params.address,
+          chainId: params.chainId,
+          events: events || [],
+          pagination: {
+            total: count || 0,
+            limit,
+            offset: params.offset,
+            hasMore: (params.offset! + limit) < (count || 0),
+          },
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Trait aggregation and statistical rarity from the cached token metadata.
+    // With tokenId, only that token's rank is returned alongside the trait counts.
+    if (params.includeTraits) {
+      if (!params.address || !params.chainId) {
+        return new Response(
+          JSON.stringify({ error: 'include=traits requires address and chainId' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+
+      const rows: TokenMetadataRow[] = [];
+      for (let from = 0; from < MAX_TRAIT_TOKENS; from += TRAIT_PAGE_SIZE) {
+        const { data: page, error } = await supabase
+          .from('nft_metadata_cache')
+          .select('token_id, attributes')
+          .eq('collection_address', params.address)
+          .eq('chain_id', params.chainId)
+          .eq('metadata_type', 'token')
+          .eq('fetch_status', 'success')
+          .not('token_id', 'is', null)
+          .order('token_id', { ascending: true })
+          .range(from, from + TRAIT_PAGE_SIZE - 1);
+
+        if (error) {
+          console.error('Database error:', error);
+          return new Response(
+            JSON.stringify({ error: 'Failed to query token metadata', details: error.message }),
+            { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+          );
+        }
+        rows.push(...(page || []));
+        if (!page || page.length < TRAIT_PAGE_SIZE) break;
+      }
+
+      const traits = computeCollectionTraits(rows);
+      const tokens = params.tokenId !== undefined
+        ? traits.tokens.filter((t) => t.tokenId === params.tokenId)
+        : traits.tokens;
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          collectionAddress: params.address,
+          chainId: params.chainId,
+          traits: { ...traits, tokens },
+          truncated: rows.length >= MAX_TRAIT_TOKENS,
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
     // Get specific token metadata
     if (params.address && params.tokenId !== undefined) {
       let metadataQuery = supabase
@@ -105,6 +221,13 @@ serve(async (req) => {
       if (params.isExternal !== undefined) {
         query = query.eq('is_external', params.isExternal);
       }
+      if (params.awaitingReveal) {
+        // reveal_type is null until the reveal watcher has read it
+        query = query
+          .eq('is_revealed', false)
+          .eq('is_external', false)
+          .or('reveal_type.is.null,reveal_type.in.(1,2)');
+      }
 
       // Apply sorting
       query = query.order(params.sortBy!, { ascending: params.sortOrder === 'asc' });
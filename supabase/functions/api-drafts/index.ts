@@ -0,0 +1,146 @@
+// Supabase Edge Function: api-drafts
+// Named pool creation drafts for CreateRafflePageV2, synced across devices.
+// Every request is scoped to the wallet proven by the x-wallet-* signature headers.
+//   GET    ?chainId=          - list the wallet's drafts (newest first)
+//   POST   { chainId, name, poolType, formData } - save; same name overwrites
+//   DELETE ?id=               - delete one of the wallet's drafts
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { verifyWalletAuth, WALLET_AUTH_HEADERS } from '../_shared/wallet-auth.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': `authorization, x-client-info, apikey, content-type, ${WALLET_AUTH_HEADERS}`,
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+};
+
+const POOL_TYPES = ['whitelist', 'nft-drop-721', 'nft-drop-1155', 'lucky-sale', 'native-giveaway', 'erc20-giveaway'];
+const MAX_DRAFTS_PER_CHAIN = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_FORM_DATA_BYTES = 32 * 1024;
+
+const DRAFT_COLUMNS = 'id, chain_id, name, pool_type, form_data, created_at, updated_at';
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = verifyWalletAuth(req);
+  if ('error' in auth) {
+    return json({ success: false, error: auth.error }, 401);
+  }
+  const creator = auth.address;
+
+  try {
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL')!,
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    );
+    const url = new URL(req.url);
+
+    if (req.method === 'GET') {
+      const chainId = url.searchParams.get('chainId') ? parseInt(url.searchParams.get('chainId')!) : undefined;
+
+      let query = supabase
+        .from('pool_drafts')
+        .select(DRAFT_COLUMNS)
+        .eq('creator_address', creator)
+        .order('updated_at', { ascending: false })
+        .limit(MAX_DRAFTS_PER_CHAIN);
+      if (chainId) query = query.eq('chain_id', chainId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return json({ success: true, drafts: data || [] });
+    }
+
+    if (req.method === 'POST') {
+      const body = await req.json().catch(() => null);
+      const chainId = Number(body?.chainId);
+      const name = typeof body?.name === 'string' ? body.name.trim() : '';
+
+      if (!Number.isInteger(chainId) || chainId <= 0) {
+        return json({ success: false, error: 'chainId is required' }, 400);
+      }
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        return json({ success: false, error: `name is required (max ${MAX_NAME_LENGTH} characters)` }, 400);
+      }
+      if (!POOL_TYPES.includes(body?.poolType)) {
+        return json({ success: false, error: 'Invalid poolType', supported: POOL_TYPES }, 400);
+      }
+      if (!body?.formData || typeof body.formData !== 'object' || Array.isArray(body.formData)) {
+        return json({ success: false, error: 'formData must be an object' }, 400);
+      }
+      if (JSON.stringify(body.formData).length > MAX_FORM_DATA_BYTES) {
+        return json({ success: false, error: 'formData is too large' }, 400);
+      }
+
+      // Overwriting an existing name never counts against the limit
+      const { data: existing } = await supabase
+        .from('pool_drafts')
+        .select('id')
+        .eq('creator_address', creator)
+        .eq('chain_id', chainId)
+        .eq('name', name)
+        .maybeSingle();
+      if (!existing) {
+        const { count } = await supabase
+          .from('pool_drafts')
+          .select('*', { count: 'exact', head: true })
+          .eq('creator_address', creator)
+          .eq('chain_id', chainId);
+        if ((count || 0) >= MAX_DRAFTS_PER_CHAIN) {
+          return json({ success: false, error: `Draft limit reached (${MAX_DRAFTS_PER_CHAIN} per network)` }, 400);
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('pool_drafts')
+        .upsert({
+          creator_address: creator,
+          chain_id: chainId,
+          name,
+          pool_type: body.poolType,
+          form_data: body.formData,
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'creator_address,chain_id,name' })
+        .select(DRAFT_COLUMNS)
+        .single();
+      if (error) throw error;
+      return json({ success: true, draft: data });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = url.searchParams.get('id');
+      if (!id) {
+        return json({ success: false, error: 'Missing required parameter: id' }, 400);
+      }
+
+      const { data, error } = await supabase
+        .from('pool_drafts')
+        .delete()
+        .eq('id', id)
+        .eq('creator_address', creator)
+        .select('id');
+      if (error) throw error;
+      if (!data?.length) {
+        return json({ success: false, error: 'Draft not found' }, 404);
+      }
+      return json({ success: true, id });
+    }
+
+    return json({ success: false, error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error(`[api-drafts] Error for ${creator}:`, error);
+    return json({ success: false, error: error.message }, 500);
+  }
+});
@@ -1,13 +1,23 @@
 // Supabase Edge Function: api-pools
 // REST API for querying pool data with filters, sorting, and pagination
 // Provides fast access to cached pool data without blockchain RPC calls
+// Lists page either by offset or by an opaque cursor keyed on (sort column, address);
+// every response carries nextCursor so a client can switch to cursors after page one.
+// search= runs the ranked full-text/trigram search_pools RPC; matches are returned
+// in rank order (unless sortBy is given) with search_rank and search_highlights.
+// /api-pools/:address/export?chainId= is the creator-only participant/winner
+// export (see handleExport); it needs the x-wallet-* signature headers.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+import { verifyWalletAuth, WALLET_AUTH_HEADERS } from '../_shared/wallet-auth.ts';
+import { buildAllowlistMerkle } from '../_shared/merkle.ts';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': `authorization, x-client-info, apikey, content-type, ${WALLET_AUTH_HEADERS}`,
+  'Access-Control-Expose-Headers': 'content-disposition, x-merkle-root',
 };
 
 interface PoolQuery {
@@ -19,15 +29,287 @@ interface PoolQuery {
   hasHolderToken?: boolean; // Whitelist Collab pools (has holder token address)
   prizeType?: 'nft' | 'erc20' | 'native' | 'none'; // Filter by prize type
   prizeStandard?: number; // 0=ERC721, 1=ERC1155
-  search?: string; // Search by name or address
+  search?: string; // Full-text search over name, description, collection, creator labels
   limit?: number;
   offset?: number;
-  sortBy?: 'created_at' | 'start_time' | 'slots_sold' | 'slot_fee';
+  cursor?: string; // nextCursor from a previous page; takes precedence over offset
+  sortBy?: SortKey;
   sortOrder?: 'asc' | 'desc';
   address?: string; // Get specific pool
   includeFilterCounts?: boolean; // Include counts for filter sidebar
 }
 
+type SortKey = 'created_at_timestamp' | 'created_at' | 'start_time' | 'slots_sold' | 'slot_fee';
+
+// Column each sortBy orders on, and the row value its cursor records. slot_fee is
+// a wei string, so it orders on the numeric slot_fee_wei but keeps the exact
+// string in the cursor (the numeric column loses precision once it is JSON).
+const SORT_KEYS: Record<SortKey, { column: string; value: (pool: any) => string | number | null }> = {
+  created_at_timestamp: { column: 'created_at_timestamp', value: (p) => p.created_at_timestamp },
+  created_at: { column: 'created_at_timestamp', value: (p) => p.created_at_timestamp },
+  start_time: { column: 'start_time', value: (p) => p.start_time },
+  slots_sold: { column: 'slots_sold', value: (p) => p.slots_sold },
+  slot_fee: { column: 'slot_fee_wei', value: (p) => p.slot_fee },
+};
+
+// Upper bound on ranked matches per search request (their addresses go into an
+// in() filter, so this also bounds the URL length)
+const SEARCH_MATCH_LIMIT = 100;
+
+interface SearchMatch {
+  chain_id: number;
+  address: string;
+  rank: number;
+  name_highlight: string | null;
+  description_highlight: string | null;
+  collection_highlight: string | null;
+}
+
+interface PoolCursor {
+  sortBy: SortKey;
+  sortOrder: 'asc' | 'desc';
+  value: string | number | null;
+  address: string;
+}
+
+function encodeCursor(cursor: PoolCursor): string {
+  return btoa(JSON.stringify(cursor)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns null for anything that is not a cursor this API issued
+function decodeCursor(raw: string): PoolCursor | null {
+  try {
+    const cursor = JSON.parse(atob(raw.replace(/-/g, '+').replace(/_/g, '/')));
+    if (!SORT_KEYS[cursor.sortBy as SortKey]) return null;
+    if (cursor.sortOrder !== 'asc' && cursor.sortOrder !== 'desc') return null;
+    if (typeof cursor.address !== 'string' || !/^0x[0-9a-f]{40}$/.test(cursor.address)) return null;
+    if (cursor.value !== null && !['string', 'number'].includes(typeof cursor.value)) return null;
+    // Values are quoted into a PostgREST filter below
+    if (typeof cursor.value === 'string' && /["\\]/.test(cursor.value)) return null;
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+// Rows strictly after the cursor in (column, address) order. NULL sort values
+// are always ordered last, so a non-null cursor also admits every NULL row.
+function cursorFilter(cursor: PoolCursor): string {
+  const { column } = SORT_KEYS[cursor.sortBy];
+  const op = cursor.sortOrder === 'asc' ? 'gt' : 'lt';
+  if (cursor.value === null) {
+    return `and(${column}.is.null,address.${op}.${cursor.address})`;
+  }
+  const value = `"${cursor.value}"`;
+  return `${column}.${op}.${value},and(${column}.eq.${value},address.${op}.${cursor.address}),${column}.is.null`;
+}
+
+// ==================== EXPORT ====================
+// GET /api-pools/:address/export?chainId=&list=participants|winners&format=json|csv|allowlist&merkle=true
+// Creator-only. participants: one row per address with slots, spend, wins,
+// claim/refund and social task status. winners: one row per winner index with
+// claim status. allowlist: the list's addresses, checksummed and deduped, one
+// per line. merkle=true adds a proof per address (JSON merkle object, CSV
+// merkle_proof column) and the root in the x-merkle-root header.
+
+const EXPORT_PATH = /\/(0x[0-9a-fA-F]{40})\/export\/?$/;
+const EXPORT_LISTS = ['participants', 'winners'];
+const EXPORT_FORMATS = ['json', 'csv', 'allowlist'];
+// PostgREST returns at most this many rows per request
+const EXPORT_PAGE_SIZE = 1000;
+const PARTICIPANT_COLUMNS = [
+  'address', 'slots_purchased', 'total_spent_wei', 'wins', 'prizes_claimed', 'refund_claimed',
+  'refundable_amount_wei', 'social_status', 'social_tasks_completed', 'first_purchase_at', 'last_purchase_at',
+];
+const WINNER_COLUMNS = [
+  'winner_index', 'address', 'selection_batch', 'prize_claimed', 'prize_claimed_at', 'prize_claimed_tx_hash',
+  'minted_token_id', 'minting_failed', 'social_status', 'social_tasks_completed', 'selected_at',
+];
+
+async function fetchAllRows(build: (from: number, to: number) => any): Promise<any[]> {
+  const rows: any[] = [];
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const { data, error } = await build(from, from + EXPORT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+  }
+}
+
+const csvCell = (value: unknown): string => {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(rows: Record<string, unknown>[], columns: string[]): string {
+  return [columns.join(','), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(','))].join('\n');
+}
+
+async function handleExport(req: Request, supabase: any, url: URL, poolAddress: string): Promise<Response> {
+  const json = (body: unknown, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+  const auth = verifyWalletAuth(req);
+  if ('error' in auth) {
+    return json({ success: false, error: auth.error }, 401);
+  }
+
+  const chainId = parseInt(url.searchParams.get('chainId') || '');
+  const list = url.searchParams.get('list') || 'participants';
+  const format = url.searchParams.get('format') || 'json';
+  const withMerkle = url.searchParams.get('merkle') === 'true';
+
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    return json({ success: false, error: 'chainId is required' }, 400);
+  }
+  if (!EXPORT_LISTS.includes(list)) {
+    return json({ success: false, error: 'Invalid list', supported: EXPORT_LISTS }, 400);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return json({ success: false, error: 'Invalid format', supported: EXPORT_FORMATS }, 400);
+  }
+
+  const { data: pool, error: poolError } = await supabase
+    .from('pools')
+    .select('address, chain_id, name, creator, state, social_engagement_required, winners_count, winners_selected')
+    .eq('address', poolAddress)
+    .eq('chain_id', chainId)
+    .maybeSingle();
+  if (poolError) throw poolError;
+  if (!pool) {
+    return json({ success: false, error: 'Pool not found' }, 404);
+  }
+  if (pool.creator?.toLowerCase() !== auth.address) {
+    return json({ success: false, error: 'Only the pool creator can export this pool' }, 403);
+  }
+
+  const [participants, winners, verifications] = await Promise.all([
+    fetchAllRows((from, to) => supabase
+      .from('pool_participants')
+      .select('participant_address, slots_purchased, total_spent, wins_count, prizes_claimed, refund_claimed, refundable_amount, first_purchase_at, last_purchase_at')
+      .eq('pool_address', poolAddress)
+      .eq('chain_id', chainId)
+      .order('first_purchase_block', { ascending: true, nullsFirst: false })
+      .order('participant_address', { ascending: true })
+      .range(from, to)),
+    fetchAllRows((from, to) => supabase
+      .from('pool_winners')
+      .select('winner_address, winner_index, selection_batch, prize_claimed, prize_claimed_at, prize_claimed_tx_hash, minted_token_id, minting_failed, selected_at')
+      .eq('pool_address', poolAddress)
+      .eq('chain_id', chainId)
+      .order('winner_index', { ascending: true })
+      .range(from, to)),
+    // raffle_id holds the pool address as the client sent it, so match case-insensitively
+    pool.social_engagement_required
+      ? fetchAllRows((from, to) => supabase
+          .from('social_media_verifications')
+          .select('user_address, platform, task_type, status')
+          .ilike('raffle_id', poolAddress)
+          .eq('chain_id', chainId)
+          .range(from, to))
+      : Promise.resolve([]),
+  ]);
+
+  // Completed and outstanding social tasks per address
+  const socialByAddress = new Map<string, { completed: string[]; pending: number }>();
+  for (const v of verifications) {
+    const key = v.user_address.toLowerCase();
+    const entry = socialByAddress.get(key) || { completed: [], pending: 0 };
+    if (v.status === 'completed') entry.completed.push(`${v.platform}:${v.task_type}`);
+    else entry.pending++;
+    socialByAddress.set(key, entry);
+  }
+  const socialStatus = (address: string) => {
+    if (!pool.social_engagement_required) return { social_status: 'not_required', social_tasks_completed: '' };
+    const entry = socialByAddress.get(address);
+    return {
+      social_status: !entry ? 'none' : entry.completed.length > 0 && entry.pending === 0 ? 'completed' : 'incomplete',
+      social_tasks_completed: entry ? entry.completed.sort().join('|') : '',
+    };
+  };
+
+  const rows: Record<string, unknown>[] = list === 'participants'
+    ? participants.map((p) => ({
+        address: ethers.utils.getAddress(p.participant_address),
+        slots_purchased: p.slots_purchased,
+        total_spent_wei: p.total_spent,
+        wins: p.wins_count || 0,
+        prizes_claimed: p.prizes_claimed || 0,
+        refund_claimed: !!p.refund_claimed,
+        refundable_amount_wei: p.refundable_amount || '0',
+        ...socialStatus(p.participant_address.toLowerCase()),
+        first_purchase_at: p.first_purchase_at,
+        last_purchase_at: p.last_purchase_at,
+      }))
+    : winners.map((w) => ({
+        winner_index: w.winner_index,
+        address: ethers.utils.getAddress(w.winner_address),
+        selection_batch: w.selection_batch,
+        prize_claimed: !!w.prize_claimed,
+        prize_claimed_at: w.prize_claimed_at,
+        prize_claimed_tx_hash: w.prize_claimed_tx_hash,
+        minted_token_id: w.minted_token_id,
+        minting_failed: !!w.minting_failed,
+        ...socialStatus(w.winner_address.toLowerCase()),
+        selected_at: w.selected_at,
+      }));
+
+  const allowlist = [...new Set(rows.map((r) => r.address as string))];
+  const merkle = withMerkle ? buildAllowlistMerkle(allowlist) : null;
+  const fileStem = `${poolAddress}-${list}`;
+  const headers: Record<string, string> = { ...corsHeaders };
+  if (merkle) headers['x-merkle-root'] = merkle.root;
+
+  if (format === 'allowlist') {
+    return new Response(allowlist.join('\n') + (allowlist.length ? '\n' : ''), {
+      headers: {
+        ...headers,
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileStem}-allowlist.txt"`,
+      },
+    });
+  }
+
+  if (format === 'csv') {
+    const csvRows = merkle ? rows.map((r) => ({ ...r, merkle_proof: merkle.proofs[r.address as string].join(' ') })) : rows;
+    const columns = [...(list === 'participants' ? PARTICIPANT_COLUMNS : WINNER_COLUMNS), ...(merkle ? ['merkle_proof'] : [])];
+    return new Response(toCsv(csvRows, columns) + '\n', {
+      headers: {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileStem}.csv"`,
+      },
+    });
+  }
+
+  return new Response(JSON.stringify({
+    success: true,
+    pool: {
+      address: pool.address,
+      chainId: pool.chain_id,
+      name: pool.name,
+      state: pool.state,
+      winnersCount: pool.winners_count,
+      winnersSelected: pool.winners_selected,
+      socialEngagementRequired: !!pool.social_engagement_required,
+    },
+    list,
+    generatedAt: new Date().toISOString(),
+    total: rows.length,
+    rows,
+    allowlist,
+    merkle,
+  }), {
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="${fileStem}.json"`,
+    },
+  });
+}
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders });
@@ -39,6 +321,17 @@ serve(async (req) => {
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
     const url = new URL(req.url);
+    const exportMatch = url.pathname.match(EXPORT_PATH);
+    if (exportMatch) {
+      if (req.method !== 'GET') {
+        return new Response(
+          JSON.stringify({ success: false, error: 'Method not allowed' }),
+          { status: 405, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      return await handleExport(req, supabase, url, exportMatch[1].toLowerCase());
+    }
+
     const params: PoolQuery = {
       chainId: url.searchParams.get('chainId') ? parseInt(url.searchParams.get('chainId')!) : undefined,
       creator: url.searchParams.get('creator')?.toLowerCase(),
@@ -58,26 +351,54 @@ serve(async (req) => {
       search: url.searchParams.get('search') || undefined,
       limit: Math.min(parseInt(url.searchParams.get('limit') || '50'), 100), // Max 100
       offset: parseInt(url.searchParams.get('offset') || '0'),
+      cursor: url.searchParams.get('cursor') || undefined,
       sortBy: (url.searchParams.get('sortBy') as any) || 'created_at_timestamp',
       sortOrder: (url.searchParams.get('sortOrder') as any) || 'desc',
       address: url.searchParams.get('address')?.toLowerCase(),
       includeFilterCounts: url.searchParams.get('includeFilterCounts') === 'true',
     };
 
-    // Build query
-    let query = supabase
-      .from('pools')
-      .select('*', { count: 'exact' });
+    if (!SORT_KEYS[params.sortBy!]) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid sortBy', supported: Object.keys(SORT_KEYS) }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+    if (params.sortOrder !== 'asc') params.sortOrder = 'desc';
+
+    let cursor: PoolCursor | null = null;
+    if (params.cursor && !params.address) {
+      cursor = decodeCursor(params.cursor);
+      if (!cursor || cursor.sortBy !== params.sortBy || cursor.sortOrder !== params.sortOrder) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid cursor', details: 'Cursor is malformed or was issued for a different sortBy/sortOrder' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+    }
 
-    // Apply filters
-    if (params.address) {
-      // Get specific pool
-      query = query.eq('address', params.address);
-      if (params.chainId) {
-        query = query.eq('chain_id', params.chainId);
+    // Ranked search: resolve matches first, then apply the remaining filters to
+    // them. Without an explicit sortBy, results are ordered and paged by rank.
+    let searchMatches: Map<string, SearchMatch> | null = null;
+    if (params.search && !params.address) {
+      const { data: matches, error: searchError } = await supabase.rpc('search_pools', {
+        p_query: params.search,
+        p_chain_id: params.chainId ?? null,
+        p_limit: SEARCH_MATCH_LIMIT,
+      });
+      if (searchError) {
+        console.warn('search_pools failed, falling back to name/address match:', searchError.message);
+      } else {
+        searchMatches = new Map(
+          (matches as SearchMatch[] || []).map((m) => [`${m.chain_id}:${m.address}`, m])
+        );
       }
-    } else {
-      // List pools with filters
+    }
+    const rankBySearch = !!searchMatches && !url.searchParams.has('sortBy');
+    if (rankBySearch) cursor = null;
+
+    // List filters, shared by the page query and the cursor-mode total count
+    const applyListFilters = (query: any) => {
       if (params.chainId) {
         query = query.eq('chain_id', params.chainId);
       }
@@ -128,20 +449,60 @@ serve(async (req) => {
       if (params.prizeStandard !== undefined) {
         query = query.eq('standard', params.prizeStandard);
       }
-      if (params.search) {
+      if (searchMatches) {
+        // '' matches no pool, so an empty match set stays empty
+        const addresses = [...new Set([...searchMatches.values()].map((m) => m.address))];
+        query = query.in('address', addresses.length > 0 ? addresses : ['']);
+      } else if (params.search) {
         const searchTerm = params.search.toLowerCase();
         // Search by name or address (case-insensitive)
         query = query.or(`name.ilike.%${searchTerm}%,address.ilike.%${searchTerm}%`);
       }
+      return query;
+    };
 
-      // Apply sorting
-      query = query.order(params.sortBy!, { ascending: params.sortOrder === 'asc' });
+    // Build query
+    let query = supabase
+      .from('pools')
+      .select('*', { count: 'exact' });
 
-      // Apply pagination
-      query = query.range(params.offset!, params.offset! + params.limit! - 1);
+    // Apply filters
+    if (params.address) {
+      // Get specific pool
+      query = query.eq('address', params.address);
+      if (params.chainId) {
+        query = query.eq('chain_id', params.chainId);
+      }
+    } else {
+      // List pools with filters
+      query = applyListFilters(query);
+
+      if (!rankBySearch) {
+        // Apply sorting; address breaks ties so the order is total and cursors are stable
+        const ascending = params.sortOrder === 'asc';
+        query = query
+          .order(SORT_KEYS[params.sortBy!].column, { ascending, nullsFirst: false })
+          .order('address', { ascending });
+
+        // Apply pagination
+        if (cursor) {
+          query = query.or(cursorFilter(cursor)).range(0, params.limit! - 1);
+        } else {
+          query = query.range(params.offset!, params.offset! + params.limit! - 1);
+        }
+      }
+      // Ranked search fetches every filtered match (at most SEARCH_MATCH_LIMIT)
+      // and pages after sorting by rank below
     }
 
-    const { data: pools, error, count } = await query;
+    // With a cursor the page query only counts rows after it, so the overall
+    // total comes from a separate head count
+    const [{ data: pools, error, count }, totalResult] = await Promise.all([
+      query,
+      cursor
+        ? applyListFilters(supabase.from('pools').select('*', { count: 'exact', head: true }))
+        : Promise.resolve(null),
+    ]);
 
     if (error) {
       console.error('Database error:', error);
@@ -172,7 +533,8 @@ serve(async (req) => {
         .eq('chain_id', pool.chain_id)
         .order('winner_index', { ascending: true });
 
-      // Get pool activity (slot purchases, refunds, prize claims, randomness requests)
+      // Get pool activity (slot purchases, refunds, prize claims, randomness requests).
+      // Each row carries status 'pending' until it is buried under the chain's confirmation depth.
       const { data: activity } = await supabase
         .from('user_activity')
         .select('*')
@@ -213,6 +575,7 @@ serve(async (req) => {
             participants: participants || [],
             winners: winners || [],
             activity: activity || [],
+            activity_pending_count: (activity || []).filter((a: { status?: string }) => a.status === 'pending').length,
             collection_artwork: collectionArtwork,
           },
         }),
@@ -302,14 +665,37 @@ serve(async (req) => {
       }
     }
 
+    let pagePools = pools || [];
+    if (searchMatches) {
+      const matchOf = (pool: any) => searchMatches!.get(`${pool.chain_id}:${pool.address}`);
+      if (rankBySearch) {
+        pagePools = [...pagePools]
+          .sort((a, b) => (matchOf(b)?.rank ?? 0) - (matchOf(a)?.rank ?? 0))
+          .slice(params.offset!, params.offset! + params.limit!);
+      }
+      pagePools = pagePools.map((pool) => {
+        const match = matchOf(pool);
+        if (!match) return pool;
+        return {
+          ...pool,
+          search_rank: match.rank,
+          search_highlights: {
+            name: match.name_highlight,
+            description: match.description_highlight,
+            collection: match.collection_highlight,
+          },
+        };
+      });
+    }
+
     // Enrich pools with collection artwork data for NFT prize pools
-    let enrichedPools = pools || [];
-    if (pools && pools.length > 0) {
+    let enrichedPools = pagePools;
+    if (pagePools.length > 0) {
       const ZERO_ADDR = '0x0000000000000000000000000000000000000000';
       
       // Get unique prize collection addresses
       const prizeCollections = [...new Set(
-        pools
+        pagePools
           .filter(p => p.prize_collection && p.prize_collection !== ZERO_ADDR)
           .map(p => p.prize_collection.toLowerCase())
       )];
@@ -338,7 +724,7 @@ serve(async (req) => {
         }
         
         // Enrich pools with collection artwork
-        enrichedPools = pools.map(pool => {
+        enrichedPools = pagePools.map(pool => {
           if (pool.prize_collection && pool.prize_collection !== ZERO_ADDR) {
             const key = `${pool.prize_collection.toLowerCase()}-${pool.chain_id}`;
             const artwork = collectionMap.get(key);
@@ -352,14 +738,28 @@ serve(async (req) => {
     }
 
     // Return list of pools
+    const hasMore = cursor
+      ? (count || 0) > pagePools.length
+      : (params.offset! + params.limit!) < (count || 0);
+    const lastPool = pagePools.length > 0 ? pagePools[pagePools.length - 1] : null;
+
     const response: any = {
       success: true,
       pools: enrichedPools,
       pagination: {
-        total: count || 0,
+        total: cursor ? totalResult?.count || 0 : count || 0,
         limit: params.limit,
-        offset: params.offset,
-        hasMore: (params.offset! + params.limit!) < (count || 0),
+        offset: cursor ? null : params.offset,
+        hasMore,
+        // Rank order has no stable key to resume from; ranked search pages by offset
+        nextCursor: hasMore && lastPool && !rankBySearch
+          ? encodeCursor({
+              sortBy: params.sortBy!,
+              sortOrder: params.sortOrder!,
+              value: SORT_KEYS[params.sortBy!].value(lastPool) ?? null,
+              address: lastPool.address.toLowerCase(),
+            })
+          : null,
       },
     };
 
@@ -0,0 +1,116 @@
+// Supabase Edge Function: api-protocol-config
+// REST API for the PoolDeployer configuration (fees, duration/slot limits, gating,
+// creation pause) and its change history, as indexed by index-pool-deployer.
+// Replaces direct RPC reads in the pool creation flow.
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/helpers.ts';
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseAnonKey);
+
+    const url = new URL(req.url);
+    const chainId = parseInt(url.searchParams.get('chainId') || '84532');
+    const includeHistory = url.searchParams.get('includeHistory') === 'true';
+    const limit = Math.min(
+      parseInt(url.searchParams.get('limit') || String(DEFAULT_HISTORY_LIMIT)) || DEFAULT_HISTORY_LIMIT,
+      MAX_HISTORY_LIMIT
+    );
+
+    const response: Record<string, unknown> = {
+      success: true,
+      chainId,
+      config: null,
+    };
+
+    const { data: config, error: configError } = await supabase
+      .from('protocol_config')
+      .select('*')
+      .eq('chain_id', chainId)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (configError) throw configError;
+
+    if (config) {
+      response.config = {
+        poolDeployer: config.pool_deployer,
+        slotFee: config.slot_fee,
+        protocolFeePercentage: config.protocol_fee_percentage,
+        creationFeePercentage: config.creation_fee_percentage,
+        socialEngagementFee: config.social_engagement_fee,
+        minPoolDuration: config.min_pool_duration,
+        maxPoolDuration: config.max_pool_duration,
+        minSlotLimitPrized: config.min_slot_limit_prized,
+        minSlotLimitNonPrized: config.min_slot_limit_non_prized,
+        maxSlotLimit: config.max_slot_limit,
+        gatingEnabled: config.gating_enabled,
+        gatingToken: config.gating_token,
+        minGatingTokenBalance: config.min_gating_token_balance,
+        creationPaused: config.creation_paused,
+        poolImplementation: config.pool_implementation,
+        syncedBlock: config.synced_block,
+        lastEventBlock: config.last_event_block,
+        updatedAt: config.updated_at,
+      };
+    }
+
+    // Newest change first; version counts up from the oldest change
+    if (includeHistory) {
+      let historyQuery = supabase
+        .from('protocol_config_versions')
+        .select('*')
+        .eq('chain_id', chainId)
+        .order('block_number', { ascending: false })
+        .order('log_index', { ascending: false })
+        .limit(limit);
+
+      if (config) {
+        historyQuery = historyQuery.eq('pool_deployer', config.pool_deployer);
+      }
+
+      const { data: history, error: historyError } = await historyQuery;
+      if (historyError) throw historyError;
+
+      response.history = (history || []).map((h) => ({
+        version: h.version,
+        eventName: h.event_name,
+        changes: h.changes,
+        blockNumber: h.block_number,
+        transactionHash: h.transaction_hash,
+        changedBy: h.changed_by,
+        changedAt: h.changed_at,
+      }));
+    }
+
+    return new Response(
+      JSON.stringify(response),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+  } catch (error) {
+    console.error('API error:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: error.message }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 500,
+      }
+    );
+  }
+});
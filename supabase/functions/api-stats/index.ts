@@ -1,6 +1,8 @@
 // Supabase Edge Function: api-stats
 // REST API for platform-wide statistics and analytics
-// Aggregates data across pools, collections, users, and rewards
+// Aggregates data across pools, collections, users, rewards, and VRF subscriptions
+// With ?series=hour|day it instead returns bucketed time series (slots sold, volume,
+// new pools, unique participants, prizes claimed) from the stats_rollups tables.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
@@ -15,6 +17,62 @@ interface StatsQuery {
   period?: 'all' | '24h' | '7d' | '30d'; // Time period for trending data
 }
 
+type SeriesInterval = 'hour' | 'day';
+
+const POOL_TYPES = ['non_prized', 'prized', 'nft_collab', 'whitelist_collab'];
+
+// Longest range one series request may cover, and the default when from is omitted
+const SERIES_LIMITS: Record<SeriesInterval, { maxMs: number; defaultMs: number; stepMs: number }> = {
+  hour: { maxMs: 31 * 86_400_000, defaultMs: 86_400_000, stepMs: 3_600_000 },
+  day: { maxMs: 730 * 86_400_000, defaultMs: 30 * 86_400_000, stepMs: 86_400_000 },
+};
+
+// PostgREST caps each response, so rollup rows are read in pages
+const ROLLUP_PAGE_SIZE = 1000;
+
+interface SeriesPoint {
+  bucket: string;
+  slotsSold: number;
+  volume: string;
+  newPools: number;
+  uniqueParticipants: number;
+  prizesClaimed: number;
+}
+
+function truncateToInterval(date: Date, interval: SeriesInterval): Date {
+  const d = new Date(date);
+  d.setUTCMinutes(0, 0, 0);
+  if (interval === 'day') d.setUTCHours(0);
+  return d;
+}
+
+function emptyPoint(bucket: string): SeriesPoint {
+  return { bucket, slotsSold: 0, volume: '0', newPools: 0, uniqueParticipants: 0, prizesClaimed: 0 };
+}
+
+/**
+ * Builds a zero-filled series (one point per bucket from `from` to `to`) from
+ * rollup rows. Rows from several chains in the same bucket are summed;
+ * uniqueParticipants is then an upper bound, as one address may be active on
+ * more than one chain.
+ */
+function buildSeries(rows: any[], from: Date, to: Date, interval: SeriesInterval): SeriesPoint[] {
+  const byBucket = new Map<number, SeriesPoint>();
+  for (let t = from.getTime(); t <= to.getTime(); t += SERIES_LIMITS[interval].stepMs) {
+    byBucket.set(t, emptyPoint(new Date(t).toISOString()));
+  }
+  for (const row of rows) {
+    const point = byBucket.get(new Date(row.bucket_start).getTime());
+    if (!point) continue;
+    point.slotsSold += Number(row.slots_sold) || 0;
+    point.volume = (BigInt(point.volume) + BigInt(row.volume || '0')).toString();
+    point.newPools += row.new_pools || 0;
+    point.uniqueParticipants += row.unique_participants || 0;
+    point.prizesClaimed += row.prizes_claimed || 0;
+  }
+  return [...byBucket.values()];
+}
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders });
@@ -31,6 +89,95 @@ serve(async (req) => {
       period: (url.searchParams.get('period') as any) || 'all',
     };
 
+    const seriesParam = url.searchParams.get('series');
+    if (seriesParam) {
+      if (seriesParam !== 'hour' && seriesParam !== 'day') {
+        return new Response(
+          JSON.stringify({ error: 'Invalid series', details: "series must be 'hour' or 'day'" }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      const interval: SeriesInterval = seriesParam;
+      const limits = SERIES_LIMITS[interval];
+
+      const toParam = url.searchParams.get('to');
+      const fromParam = url.searchParams.get('from');
+      const to = truncateToInterval(toParam ? new Date(toParam) : new Date(), interval);
+      const from = truncateToInterval(
+        fromParam ? new Date(fromParam) : new Date(to.getTime() - limits.defaultMs),
+        interval
+      );
+      if (isNaN(to.getTime()) || isNaN(from.getTime()) || from > to) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid range', details: 'from/to must be ISO dates with from <= to' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      if (to.getTime() - from.getTime() > limits.maxMs) {
+        return new Response(
+          JSON.stringify({ error: 'Range too large', details: `${interval} series cover at most ${limits.maxMs / 86_400_000} days` }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+
+      // byPoolType=true adds one series per pool type next to the total
+      const byPoolType = url.searchParams.get('byPoolType') === 'true';
+      const poolTypeParam = url.searchParams.get('poolType') || 'all';
+      if (poolTypeParam !== 'all' && !POOL_TYPES.includes(poolTypeParam)) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid poolType', supported: ['all', ...POOL_TYPES] }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      const poolTypes = byPoolType ? ['all', ...POOL_TYPES] : [poolTypeParam];
+
+      const rows: any[] = [];
+      for (let page = 0; ; page++) {
+        let rollupQuery = supabase
+          .from('stats_rollups')
+          .select('chain_id, pool_type, bucket_start, slots_sold, volume::text, new_pools, unique_participants, prizes_claimed')
+          .eq('bucket_size', interval)
+          .in('pool_type', poolTypes)
+          .gte('bucket_start', from.toISOString())
+          .lte('bucket_start', to.toISOString())
+          .order('bucket_start', { ascending: true })
+          .order('chain_id', { ascending: true })
+          .order('pool_type', { ascending: true })
+          .range(page * ROLLUP_PAGE_SIZE, (page + 1) * ROLLUP_PAGE_SIZE - 1);
+        if (params.chainId) {
+          rollupQuery = rollupQuery.eq('chain_id', params.chainId);
+        }
+
+        const { data, error } = await rollupQuery;
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < ROLLUP_PAGE_SIZE) break;
+      }
+
+      const series: Record<string, unknown> = {
+        interval,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        poolType: poolTypeParam,
+        points: buildSeries(rows.filter((r) => r.pool_type === poolTypeParam), from, to, interval),
+      };
+      if (byPoolType) {
+        series.byPoolType = Object.fromEntries(
+          POOL_TYPES.map((type) => [type, buildSeries(rows.filter((r) => r.pool_type === type), from, to, interval)])
+        );
+      }
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          chainId: params.chainId,
+          series,
+          generatedAt: new Date().toISOString(),
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
     // Calculate time threshold for period
     let timeThreshold: string | null = null;
     if (params.period !== 'all') {
@@ -44,6 +191,7 @@ serve(async (req) => {
       collections: {},
       users: {},
       rewards: {},
+      vrf: {},
       activity: {},
     };
 
@@ -113,6 +261,66 @@ serve(async (req) => {
       ? rewardsClaims.reduce((sum, r) => sum + BigInt(r.amount || '0'), BigInt(0)).toString()
       : '0';
 
+    // VRF Subscription Statistics
+    // Every subscription with its funding/consumer totals, plus the pools currently
+    // waiting on randomness (state 3 = Drawing) and the subscription each draws from.
+    const { data: vrfSubscriptions } = await buildQuery('vrf_subscriptions')
+      .select('chain_id, subscription_id, status, total_funded, funding_count, consumer_count, created_at, removed_at, last_event_block')
+      .order('created_block', { ascending: true });
+
+    stats.vrf.subscriptions = vrfSubscriptions || [];
+    stats.vrf.total = vrfSubscriptions?.length || 0;
+    stats.vrf.active = (vrfSubscriptions || []).filter((s: any) => s.status === 'active').length;
+    stats.vrf.totalFunded = (vrfSubscriptions || [])
+      .reduce((sum, s: any) => sum + BigInt(s.total_funded || '0'), BigInt(0))
+      .toString();
+    stats.vrf.drawingPools = [];
+
+    const { data: drawingPools } = await buildQuery('pools')
+      .select('address, name, chain_id')
+      .eq('state', 3);
+
+    if (drawingPools && drawingPools.length > 0) {
+      const drawingAddresses = drawingPools.map((p: any) => p.address);
+      const [{ data: consumers }, { data: randomnessRequests }] = await Promise.all([
+        buildQuery('vrf_subscription_consumers')
+          .select('chain_id, consumer_address, subscription_id, added_at')
+          .in('consumer_address', drawingAddresses)
+          .eq('is_active', true),
+        buildQuery('user_activity')
+          .select('chain_id, pool_address, timestamp')
+          .in('pool_address', drawingAddresses)
+          .eq('activity_type', 'randomness_requested')
+          .order('timestamp', { ascending: false }),
+      ]);
+
+      const key = (chainId: number, address: string) => `${chainId}:${address}`;
+      const subscriptionByPool = new Map(
+        (consumers || []).map((c: any) => [key(c.chain_id, c.consumer_address), c.subscription_id])
+      );
+      const statusBySubscription = new Map(
+        (vrfSubscriptions || []).map((s: any) => [key(s.chain_id, s.subscription_id), s.status])
+      );
+      // Results are newest first, so the first row per pool is its latest request
+      const lastRequestByPool = new Map<string, string>();
+      for (const r of (randomnessRequests || [])) {
+        const k = key(r.chain_id, r.pool_address);
+        if (!lastRequestByPool.has(k)) lastRequestByPool.set(k, r.timestamp);
+      }
+
+      stats.vrf.drawingPools = drawingPools.map((p: any) => {
+        const subscriptionId = subscriptionByPool.get(key(p.chain_id, p.address)) || null;
+        return {
+          ...p,
+          subscriptionId,
+          subscriptionStatus: subscriptionId
+            ? statusBySubscription.get(key(p.chain_id, subscriptionId)) || null
+            : null,
+          randomnessRequestedAt: lastRequestByPool.get(key(p.chain_id, p.address)) || null,
+        };
+      });
+    }
+
     // Activity Statistics (by type)
     let activityQuery = buildQuery('user_activity').select('activity_type', { count: 'exact' });
     if (timeThreshold) {
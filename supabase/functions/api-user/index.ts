@@ -17,6 +17,7 @@ interface UserQuery {
   includeStats?: boolean;
   activityLimit?: number;
   activityOffset?: number;
+  activityStatus?: 'pending' | 'final'; // Filter activity by finality; omit for both
 }
 
 serve(async (req) => {
@@ -37,6 +38,9 @@ serve(async (req) => {
       includeStats: url.searchParams.get('includeStats') !== 'false', // Default true
       activityLimit: Math.min(parseInt(url.searchParams.get('activityLimit') || '50'), 100),
       activityOffset: parseInt(url.searchParams.get('activityOffset') || '0'),
+      activityStatus: ['pending', 'final'].includes(url.searchParams.get('activityStatus') || '')
+        ? url.searchParams.get('activityStatus') as UserQuery['activityStatus']
+        : undefined,
     };
 
     if (!params.address) {
@@ -170,6 +174,9 @@ serve(async (req) => {
       if (params.chainId) {
         activityQuery = activityQuery.eq('chain_id', params.chainId);
       }
+      if (params.activityStatus) {
+        activityQuery = activityQuery.eq('status', params.activityStatus);
+      }
 
       const { data: activity, count: activityCount } = await activityQuery;
 
@@ -247,6 +254,7 @@ serve(async (req) => {
 
       result.activity = {
         items: enrichedActivity,
+        pendingCount: enrichedActivity.filter((item: any) => item.status === 'pending').length,
         pagination: {
           total: activityCount || 0,
           limit: params.activityLimit,
@@ -129,7 +129,7 @@ serve(async (req) => {
     // Get collection info
     const { data: collectionData } = await supabase
       .from('collections')
-      .select('name, total_supply, max_supply')
+      .select('name, current_supply, max_supply')
       .eq('address', collectionAddr)
       .eq('chain_id', chainId)
       .single();
@@ -153,12 +153,14 @@ serve(async (req) => {
         .from('nft_metadata_cache')
         .select('token_id')
         .eq('collection_address', collectionAddr)
-        .eq('chain_id', chainId);
+        .eq('chain_id', chainId)
+        .eq('metadata_type', 'token')
+        .eq('fetch_status', 'success');
 
       const cachedTokenIds = new Set(cachedTokens?.map(t => t.token_id) || []);
 
       // Fetch uncached tokens (up to maxTokens)
-      for (let i = 0; i < collectionData.total_supply && tokensToFetch.length < maxTokens; i++) {
+      for (let i = 0; i < collectionData.current_supply && tokensToFetch.length < maxTokens; i++) {
         if (!cachedTokenIds.has(i)) {
           tokensToFetch.push(i);
         }
@@ -199,24 +201,27 @@ serve(async (req) => {
           imageUrl = resolveMetadataURI(imageUrl, 0); // Use primary gateway
         }
 
-        // Cache metadata in database
+        // Cache metadata in database (columns per the nft_metadata_cache schema)
         const { error: cacheError } = await supabase
           .from('nft_metadata_cache')
           .upsert({
             collection_address: collectionAddr,
             chain_id: chainId,
             token_id: tokenId,
+            metadata_type: 'token',
             metadata_uri: tokenURI,
             name: metadata.name || null,
             description: metadata.description || null,
-            image_url: imageUrl || null,
-            animation_url: metadata.animation_url || null,
-            external_url: metadata.external_url || null,
-            attributes: metadata.attributes || null,
-            raw_metadata: metadata,
-            fetched_at: new Date().toISOString(),
+            image_uri: metadata.image || null,
+            resolved_image_uri: imageUrl || null,
+            animation_uri: metadata.animation_url || null,
+            attributes: Array.isArray(metadata.attributes) ? metadata.attributes : null,
+            fetch_status: 'success',
+            fetch_error: null,
+            last_fetched_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
           }, {
-            onConflict: 'collection_address,chain_id,token_id'
+            onConflict: 'collection_address,chain_id,token_id,metadata_type'
           });
 
         if (cacheError) {
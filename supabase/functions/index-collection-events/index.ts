@@ -1,28 +1,147 @@
 // Supabase Edge Function: index-collection-events
-// Indexes events from NFT collections: Revealed, Transfer (mints), VestingScheduleSet
-// Updates collection metadata and creates user activity records
+// Indexes events from NFT collections: CollectionRevealed, Transfer (mints), VestingScheduleSet
+// Updates collection metadata and creates user activity records.
+// It also keeps reveal_type/reveal_time current and reconciles reveals that took
+// effect without an event (scheduled reveals once revealTime has passed).
+// Owner actions (supply, allocation, vesting, KOL, minter and URI changes) are
+// recorded in blockchain_events as the collection's change history, served by
+// api-collections?include=history.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { ethers } from 'https://esm.sh/ethers@5.7.2';
-import { corsHeaders, verifyInternalAuth } from '../_shared/helpers.ts';
+import { corsHeaders, verifyInternalAuth, fetchBlockMap } from '../_shared/helpers.ts';
+import { providerCache } from '../_shared/provider-cache.ts';
+import { isSupportedNetwork } from '../_shared/networks.ts';
 
 // Collection ABI - for monitoring events
 const COLLECTION_ABI = [
-  'event Revealed(string baseURI)',
+  'event CollectionRevealed()',
   'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
   'event VestingScheduleSet(address indexed beneficiary, uint256 amount, uint256 startTime, uint256 duration)',
   'function totalSupply() view returns (uint256)',
   'function name() view returns (string)',
   'function baseURI() view returns (string)',
   'function isRevealed() view returns (bool)',
+  'function revealType() view returns (uint8)',
+  'function revealTime() view returns (uint256)',
 ];
 
+// Owner actions recorded as change history. DroprERC721A and DroprERC1155 share
+// event names with different parameters, so logs are matched by topic, not name.
+const HISTORY_EVENTS = [
+  'event BaseURIUpdated(string newBaseURI)',
+  'event CollectionRevealed()',
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'event KOLApproved(address kol, uint256 poolLimit, uint256 enforcedSlotFee, uint256 winnerLimit)',
+  'event KOLRevoked(address kol)',
+  'event KOLPoolCreated(address kol, address pool)',
+  // DroprERC721A
+  'event CreatorAllocationDeclared(uint256 allocation)',
+  'event CreatorAllocationReduced(uint256 newAllocation, uint256 reductionAmount)',
+  'event CreatorMinted(address winner, uint256 tokenId)',
+  'event MinterAndAllocationSet(address pool, uint256 allocation)',
+  'event MinterAllocationRestored(address pool, uint256 allocation)',
+  'event SupplyReduced(uint256 newMaxSupply, uint256 newCreatorAllocation)',
+  'event UnrevealedURISet(bytes32 uriHash, string uri)',
+  'event VestingConfigured(uint256 cliffEnd, uint256 numberOfUnlocks, uint256 durationBetweenUnlocks, uint256 amountPerUnlock)',
+  // DroprERC1155
+  'event CreatorAllocationDeclared(uint256 tokenId, uint256 allocation)',
+  'event CreatorAllocationReduced(uint256 tokenId, uint256 newAllocation, uint256 reductionAmount)',
+  'event CreatorMinted(address minter, uint256 tokenId, uint256 amount)',
+  'event MinterAndAllocationSet(address pool, uint256 tokenId, uint256 allocation)',
+  'event MinterAllocationRestored(address pool, uint256 tokenId, uint256 allocation)',
+  'event SupplyReduced(uint256 tokenId, uint256 newMaxSupply, uint256 newCreatorAllocation)',
+  'event NewTokenAdded(uint256 tokenId, uint256 maxSupply)',
+  'event URIUpdated(uint256 tokenId, string newURI)',
+  'event VestingConfiguredForToken(uint256 tokenId, uint256 cliffEnd, uint256 numberOfUnlocks, uint256 durationBetweenUnlocks, uint256 amountPerUnlock)',
+];
+const historyInterface = new ethers.utils.Interface(HISTORY_EVENTS);
+const HISTORY_TOPICS = Object.values(historyInterface.events).map((fragment) => historyInterface.getEventTopic(fragment));
+
 interface IndexRequest {
   chainId: number;
   collectionAddress: string;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  backfill?: boolean; // Range run from the orchestrator's backfill; leaves the sync state alone
+}
+
+/**
+ * Named event arguments as JSON: numbers as decimal strings, addresses lowercased.
+ */
+function serializeEventArgs(parsed: ethers.utils.LogDescription): Record<string, unknown> {
+  const data: Record<string, unknown> = {};
+  parsed.eventFragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    if (ethers.BigNumber.isBigNumber(value)) data[input.name] = value.toString();
+    else if (input.type === 'address') data[input.name] = String(value).toLowerCase();
+    else data[input.name] = value;
+  });
+  return data;
+}
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+/**
+ * Queues the revealed artwork for a collection: marks its collection-level
+ * 'revealed' cache entry and any pre-reveal token entries pending, then asks
+ * fetch-nft-metadata for token metadata.
+ * Never throws — api-artwork keeps serving unrevealed artwork until it lands.
+ */
+async function queueRevealedArtwork(
+  supabase: SupabaseClient,
+  chainId: number,
+  collectionAddr: string,
+  baseURI: string | null
+): Promise<void> {
+  try {
+    const pending = {
+      metadata_uri: baseURI,
+      fetch_status: 'pending',
+      fetch_error: null,
+      retry_count: 0,
+      updated_at: new Date().toISOString(),
+    };
+
+    // Collection-level rows have a NULL token_id, which the unique constraint never
+    // matches on, so update the existing row instead of upserting
+    const { data: existing } = await supabase
+      .from('nft_metadata_cache')
+      .select('id')
+      .eq('collection_address', collectionAddr)
+      .eq('chain_id', chainId)
+      .eq('metadata_type', 'revealed')
+      .is('token_id', null)
+      .maybeSingle();
+
+    const { error } = existing
+      ? await supabase.from('nft_metadata_cache').update(pending).eq('id', existing.id)
+      : await supabase.from('nft_metadata_cache').insert({
+          collection_address: collectionAddr,
+          chain_id: chainId,
+          token_id: null,
+          metadata_type: 'revealed',
+          ...pending,
+        });
+    if (error) {
+      console.error(`Error queueing revealed artwork for ${collectionAddr}:`, error);
+    }
+
+    // Token metadata cached before the reveal holds placeholder artwork; fetch it again
+    await supabase
+      .from('nft_metadata_cache')
+      .update({ fetch_status: 'pending', retry_count: 0, updated_at: new Date().toISOString() })
+      .eq('collection_address', collectionAddr)
+      .eq('chain_id', chainId)
+      .eq('metadata_type', 'token');
+
+    await supabase.functions.invoke('fetch-nft-metadata', {
+      body: { chainId, collectionAddress: collectionAddr },
+    });
+  } catch (err) {
+    console.warn(`Could not queue revealed artwork for ${collectionAddr}:`, err);
+  }
 }
 
 serve(async (req) => {
@@ -35,24 +154,20 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    const { chainId, collectionAddress, fromBlock, toBlock = 'latest' }: IndexRequest = await req.json();
+    const { chainId, collectionAddress, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
 
-    if (!chainId || !collectionAddress) {
+    if (!chainId || !isSupportedNetwork(chainId) || !collectionAddress) {
       return new Response(
-        JSON.stringify({ error: 'Missing required parameters: chainId, collectionAddress' }),
+        JSON.stringify({ error: 'Missing or invalid parameters: chainId, collectionAddress' }),
         { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
     const collectionAddr = collectionAddress.toLowerCase();
 
-    // Get RPC URL
-    const rpcUrl = Deno.env.get(`RPC_URL_${chainId}`) || 'https://base-sepolia-rpc.publicnode.com';
-
     console.log(`[Chain ${chainId}] Starting collection events indexer for ${collectionAddr}`);
 
-    // Connect to blockchain
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    const provider = providerCache.getProvider(chainId);
     const collection = new ethers.Contract(collectionAddr, COLLECTION_ABI, provider);
 
     // Get collection name for activity records
@@ -71,69 +186,99 @@ serve(async (req) => {
     const startBlock = fromBlock !== undefined ? fromBlock : (syncState?.last_indexed_block ? syncState.last_indexed_block + 1 : Math.max(0, currentBlock - 1000));
     const endBlock = toBlock === 'latest' ? currentBlock : toBlock;
 
+    if (startBlock > endBlock) {
+      return new Response(
+        JSON.stringify({ success: true, message: 'Already up to date' }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
     console.log(`[Chain ${chainId}] Scanning blocks ${startBlock} to ${endBlock}`);
 
     let successCount = 0;
     let errorCount = 0;
 
-    // 1. Index Revealed events
-    const revealedFilter = collection.filters.Revealed();
-    const revealedEvents = await collection.queryFilter(revealedFilter, startBlock, endBlock);
-    console.log(`[Chain ${chainId}] Found ${revealedEvents.length} Revealed events`);
+    // 1. Index CollectionRevealed and refresh the reveal configuration
+    const revealedEvents = await collection.queryFilter(collection.filters.CollectionRevealed(), startBlock, endBlock);
+    console.log(`[Chain ${chainId}] Found ${revealedEvents.length} CollectionRevealed events`);
+
+    const [onChainRevealed, revealType, revealTime, baseURI] = await Promise.all([
+      collection.isRevealed().catch(() => null),
+      collection.revealType().catch(() => null),
+      collection.revealTime().catch(() => null),
+      collection.baseURI().catch(() => null),
+    ]);
+    const revealTimeSeconds = revealTime ? revealTime.toNumber() : null;
+
+    const { data: collectionData } = await supabase
+      .from('collections')
+      .select('creator, is_revealed')
+      .eq('address', collectionAddr)
+      .eq('chain_id', chainId)
+      .single();
 
-    for (const event of revealedEvents) {
-      try {
-        const baseURI = event.args!.baseURI;
-        const block = await provider.getBlock(event.blockNumber);
+    const revealUpdate: Record<string, unknown> = {
+      reveal_type: revealType,
+      reveal_time: revealTimeSeconds,
+    };
 
-        // Update collection to mark as revealed
-        const { error: updateError } = await supabase
-          .from('collections')
-          .update({
-            is_revealed: true,
-            base_uri: baseURI,
-            last_synced_block: event.blockNumber,
-            last_synced_at: new Date().toISOString(),
-          })
-          .eq('address', collectionAddr)
-          .eq('chain_id', chainId);
-
-        if (updateError) {
-          console.error(`Error updating collection ${collectionAddr}:`, updateError);
-          errorCount++;
-        } else {
-          // Get collection creator for activity record
-          const { data: collectionData } = await supabase
-            .from('collections')
-            .select('creator')
-            .eq('address', collectionAddr)
-            .eq('chain_id', chainId)
-            .single();
-
-          if (collectionData) {
-            await supabase
-              .from('user_activity')
-              .upsert({
-                user_address: collectionData.creator,
-                chain_id: chainId,
-                activity_type: 'collection_revealed',
-                collection_address: collectionAddr,
-                collection_name: collectionName,
-                block_number: event.blockNumber,
-                transaction_hash: event.transactionHash,
-                timestamp: new Date(block.timestamp * 1000).toISOString(),
-              }, {
-                onConflict: 'chain_id,transaction_hash,activity_type,user_address',
-                ignoreDuplicates: true
-              });
-          }
-
-          successCount++;
+    // A collection reveals once, so only the first event matters
+    const revealEvent = revealedEvents[0];
+    if (revealEvent) {
+      try {
+        const block = await provider.getBlock(revealEvent.blockNumber);
+        Object.assign(revealUpdate, {
+          is_revealed: true,
+          base_uri: baseURI || null,
+          revealed_at: new Date(block.timestamp * 1000).toISOString(),
+          revealed_block: revealEvent.blockNumber,
+          reveal_tx_hash: revealEvent.transactionHash,
+        });
+
+        if (collectionData) {
+          await supabase
+            .from('user_activity')
+            .upsert({
+              user_address: collectionData.creator,
+              chain_id: chainId,
+              activity_type: 'collection_revealed',
+              collection_address: collectionAddr,
+              collection_name: collectionName,
+              block_number: revealEvent.blockNumber,
+              transaction_hash: revealEvent.transactionHash,
+              timestamp: new Date(block.timestamp * 1000).toISOString(),
+            }, {
+              onConflict: 'chain_id,transaction_hash,activity_type,user_address',
+              ignoreDuplicates: true
+            });
         }
+        successCount++;
       } catch (err) {
-        console.error(`Error processing Revealed event:`, err);
+        console.error(`Error processing CollectionRevealed event:`, err);
         errorCount++;
       }
+    } else if (onChainRevealed && collectionData && !collectionData.is_revealed) {
+      // Revealed outside the scanned range, or a scheduled reveal that took effect at revealTime
+      Object.assign(revealUpdate, {
+        is_revealed: true,
+        base_uri: baseURI || null,
+        revealed_at: revealTimeSeconds
+          ? new Date(revealTimeSeconds * 1000).toISOString()
+          : new Date().toISOString(),
+      });
+    }
+
+    const { error: revealError } = await supabase
+      .from('collections')
+      .update(revealUpdate)
+      .eq('address', collectionAddr)
+      .eq('chain_id', chainId);
+
+    if (revealError) {
+      console.error(`Error updating reveal state for ${collectionAddr}:`, revealError);
+      errorCount++;
+    } else if (revealUpdate.is_revealed && collectionData && !collectionData.is_revealed) {
+      await queueRevealedArtwork(supabase, chainId, collectionAddr, baseURI || null);
     }
 
     // 2. Index Transfer events (mints only: from = 0x0)
@@ -224,23 +369,59 @@ serve(async (req) => {
       }
     }
 
+    // 4. Record owner actions as the collection's change history
+    const historyLogs = await provider.getLogs({
+      address: collectionAddr,
+      topics: [HISTORY_TOPICS],
+      fromBlock: startBlock,
+      toBlock: endBlock,
+    });
+    console.log(`[Chain ${chainId}] Found ${historyLogs.length} history events`);
+
+    const historyBlocks = await fetchBlockMap(provider, historyLogs.map((log) => log.blockNumber));
+    for (const log of historyLogs) {
+      try {
+        const parsed = historyInterface.parseLog(log);
+        const block = historyBlocks.get(log.blockNumber);
+        const { error } = await supabase
+          .from('blockchain_events')
+          .upsert({
+            chain_id: chainId,
+            contract_address: collectionAddr,
+            event_name: parsed.name,
+            block_number: log.blockNumber,
+            transaction_hash: log.transactionHash,
+            log_index: log.logIndex,
+            block_timestamp: block ? new Date(block.timestamp * 1000).toISOString() : null,
+            event_data: serializeEventArgs(parsed),
+          }, { onConflict: 'chain_id,transaction_hash,log_index', ignoreDuplicates: true });
+        if (error) throw error;
+        successCount++;
+      } catch (err) {
+        console.error(`Error recording history event:`, err);
+        errorCount++;
+      }
+    }
+
     // Update sync state
-    await supabase
-      .from('indexer_sync_state')
-      .upsert({
-        chain_id: chainId,
-        contract_type: 'collection',
-        contract_address: collectionAddr,
-        last_indexed_block: endBlock,
-        last_block_hash: (await provider.getBlock(endBlock)).hash,
-        last_indexed_at: new Date().toISOString(),
-        is_healthy: true,
-        error_message: null,
-      }, {
-        onConflict: 'chain_id,contract_type,contract_address'
-      });
+    if (!backfill) {
+      await supabase
+        .from('indexer_sync_state')
+        .upsert({
+          chain_id: chainId,
+          contract_type: 'collection',
+          contract_address: collectionAddr,
+          last_indexed_block: endBlock,
+          last_block_hash: (await provider.getBlock(endBlock)).hash,
+          last_indexed_at: new Date().toISOString(),
+          is_healthy: true,
+          error_message: null,
+        }, {
+          onConflict: 'chain_id,contract_type,contract_address'
+        });
+    }
 
-    const totalEvents = revealedEvents.length + mintEvents.length + vestingEvents.length;
+    const totalEvents = revealedEvents.length + mintEvents.length + vestingEvents.length + historyLogs.length;
     console.log(`[Chain ${chainId}] Indexing complete: ${successCount} successful, ${errorCount} errors`);
 
     return new Response(
@@ -254,8 +435,14 @@ serve(async (req) => {
           revealed: revealedEvents.length,
           minted: mintEvents.length,
           vesting: vestingEvents.length,
+          history: historyLogs.length,
         },
         recordsProcessed: { success: successCount, errors: errorCount },
+        reveal: {
+          isRevealed: !!(revealUpdate.is_revealed ?? collectionData?.is_revealed),
+          revealType,
+          revealTime: revealTimeSeconds,
+        },
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
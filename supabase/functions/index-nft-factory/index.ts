@@ -24,6 +24,8 @@ const COLLECTION_ABI = [
   'function maxSupply() view returns (uint256)',
   'function baseURI() view returns (string)',
   'function isRevealed() view returns (bool)',
+  'function revealType() view returns (uint8)',
+  'function revealTime() view returns (uint256)',
   'function royaltyRecipient() view returns (address)',
   'function royaltyBps() view returns (uint256)',
 ];
@@ -32,6 +34,9 @@ interface IndexRequest {
   chainId: number;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  // Backfill runs (see index-orchestrator) scan an explicit historical range and
+  // must not move the live sync pointer.
+  backfill?: boolean;
 }
 
 serve(async (req) => {
@@ -44,7 +49,7 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    const { chainId, fromBlock, toBlock = 'latest' }: IndexRequest = await req.json();
+    const { chainId, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
 
     if (!chainId || !isSupportedNetwork(chainId)) {
       return new Response(
@@ -144,7 +149,7 @@ serve(async (req) => {
 
         const [
           name, symbol, totalSupply, maxSupply,
-          baseURI, isRevealed, royaltyRecipient, royaltyBps,
+          baseURI, isRevealed, revealType, revealTime, royaltyRecipient, royaltyBps,
         ] = await Promise.all([
           collectionContract.name().catch(() => ''),
           collectionContract.symbol().catch(() => ''),
@@ -152,6 +157,8 @@ serve(async (req) => {
           collectionContract.maxSupply().catch(() => ethers.BigNumber.from(0)),
           collectionContract.baseURI().catch(() => ''),
           collectionContract.isRevealed().catch(() => false),
+          collectionContract.revealType().catch(() => null),
+          collectionContract.revealTime().catch(() => null),
           collectionContract.royaltyRecipient().catch(() => ethers.constants.AddressZero),
           collectionContract.royaltyBps().catch(() => ethers.BigNumber.from(0)),
         ]);
@@ -170,6 +177,8 @@ serve(async (req) => {
               max_supply: maxSupply.toNumber(),
               base_uri: baseURI || null,
               is_revealed: isRevealed,
+              reveal_type: revealType,
+              reveal_time: revealTime ? revealTime.toNumber() : null,
               // Include URI data from CollectionURIsSet event if available
               drop_uri: uriData?.dropURI || null,
               unrevealed_uri: uriData?.unrevealedURI || null,
@@ -214,21 +223,23 @@ serve(async (req) => {
     }
 
     // Advance sync pointer
-    await supabase
-      .from('indexer_sync_state')
-      .upsert(
-        {
-          chain_id: chainId,
-          contract_type: 'nft_factory',
-          contract_address: nftFactoryAddress.toLowerCase(),
-          last_indexed_block: endBlock,
-          last_block_hash: (await provider.getBlock(endBlock)).hash,
-          last_indexed_at: new Date().toISOString(),
-          is_healthy: true,
-          error_message: null,
-        },
-        { onConflict: 'chain_id,contract_type,contract_address' }
-      );
+    if (!backfill) {
+      await supabase
+        .from('indexer_sync_state')
+        .upsert(
+          {
+            chain_id: chainId,
+            contract_type: 'nft_factory',
+            contract_address: nftFactoryAddress.toLowerCase(),
+            last_indexed_block: endBlock,
+            last_block_hash: (await provider.getBlock(endBlock)).hash,
+            last_indexed_at: new Date().toISOString(),
+            is_healthy: true,
+            error_message: null,
+          },
+          { onConflict: 'chain_id,contract_type,contract_address' }
+        );
+    }
 
     // Process standalone CollectionURIsSet events (for collections already in DB)
     // This handles cases where URIs are set after initial collection creation
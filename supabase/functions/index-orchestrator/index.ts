@@ -1,18 +1,48 @@
 // Supabase Edge Function: index-orchestrator
-// Called every 60 seconds by pg_cron. Fans out all indexer functions in parallel
-// with a concurrency lock to prevent overlapping runs.
+// Called every 60 seconds by pg_cron. Discovers every network with a configured
+// PoolDeployer and fans out all indexer functions per chain, each chain guarded
+// by its own concurrency lock to prevent overlapping runs.
+//
+// Backfill mode ({ mode: 'backfill', chainId }) rebuilds a chain's tables from the
+// PoolDeployer deployment block to head in chunked ranges. Progress is checkpointed
+// per chunk in indexer_sync_state (contract_type 'backfill'), so repeated calls
+// resume where the previous one stopped — including after a crash. A chunk only
+// counts as done once every pool in it was indexed; failed pool ranges are kept
+// in backfill_progress and retried.
+//
+// After each run the chain's stats_rollups (api-stats time series) are refreshed:
+// the recent window in live mode, the whole chain once a backfill completes.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders, verifyInternalAuth } from '../_shared/helpers.ts';
+import { providerCache } from '../_shared/provider-cache.ts';
+import {
+  getContractAddress,
+  getIndexedChainIds,
+  getMaxBlockRange,
+  getNetworkConfig,
+  isContractConfigured,
+  isSupportedNetwork,
+} from '../_shared/networks.ts';
 
-const CHAIN_ID = 84532;
-// Max pool-event indexers running concurrently — keeps RPC usage under rate limits.
+// Max pool-event indexers running concurrently per chain — keeps RPC usage under
+// each provider's rate limits. Chains themselves are indexed in parallel.
 const POOL_CONCURRENCY = 5;
 // Per-function call timeout in milliseconds.
 const CALL_TIMEOUT_MS = 30_000;
 // How long (ms) we consider a lock row "stale" (previous run crashed without releasing).
 const LOCK_STALENESS_MS = 90_000;
+// Smallest chunk a backfill will shrink to when the RPC rejects a log range.
+const MIN_BACKFILL_CHUNK = 100;
+// Wall-clock budget for one backfill invocation. Kept below LOCK_STALENESS_MS and the
+// Edge Function limit; callers re-invoke until the response reports done: true.
+const BACKFILL_TIME_BUDGET_MS = 75_000;
+// index-pool-events attempts per pool range in one invocation before the backfill stops with an error.
+const MAX_BACKFILL_POOL_ATTEMPTS = 3;
+// Live runs recompute stats_rollups buckets from this far back, which covers late
+// events and rollbacks from shallow reorgs.
+const ROLLUP_REFRESH_WINDOW_MS = 6 * 60 * 60 * 1000;
 
 interface IndexerCallResult {
   name: string;
@@ -49,43 +79,152 @@ async function callIndexer(
 }
 
 interface OrchestratorRequest {
+  mode?: 'live' | 'backfill';
   chainId?: number;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  // Backfill only: override the per-chain getLogs range, or discard a saved checkpoint.
+  chunkSize?: number;
+  restart?: boolean;
 }
 
-serve(async (req) => {
-  if (req.method === 'OPTIONS') {
-    return new Response('ok', { headers: corsHeaders });
-  }
+interface BackfillSummary {
+  chainId: number;
+  mode: 'backfill';
+  skipped?: boolean;
+  reason?: string;
+  error?: string;
+  startBlock?: number;
+  targetBlock?: number;
+  nextBlock?: number;
+  done?: boolean;
+  chunksProcessed?: number;
+  chunkSize?: number;
+  failedPoolCalls?: FailedPoolRange[];
+  rollups?: RollupRefreshResult;
+}
 
-  // Skip auth check - this function is only called by internal cron job
-  // The cron job itself is secured by pg_cron which only postgres role can schedule
-  
-  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
-  const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
-  const supabase = createClient(supabaseUrl, serviceKey);
+interface FailedPoolRange {
+  poolAddress: string;
+  fromBlock: number;
+  toBlock: number;
+  error: string;
+  attempts: number;
+}
 
-  // Parse request body for optional fromBlock/toBlock parameters
-  let requestParams: OrchestratorRequest = {};
-  try {
-    requestParams = await req.json();
-  } catch {
-    // No body or invalid JSON - use defaults
+// Chunk in flight after last_indexed_block (indexer_sync_state.backfill_progress)
+interface BackfillProgress {
+  fromBlock: number;
+  toBlock: number;
+  completedPools: string[];
+  failedRanges: FailedPoolRange[];
+}
+
+interface RollupRefreshResult {
+  buckets?: unknown;
+  error?: string;
+}
+
+interface ChainRunSummary {
+  chainId: number;
+  skipped?: boolean;
+  reason?: string;
+  elapsedMs?: number;
+  error?: string;
+  discovery?: Record<string, IndexerCallResult | null>;
+  pools?: IndexerCallResult[];
+  collections?: IndexerCallResult[];
+  collectionEvents?: IndexerCallResult[];
+  rollups?: RollupRefreshResult;
+  summary?: {
+    totalCalls: number;
+    failed: number;
+    poolsIndexed: number;
+    collectionsIndexed: number;
+    collectionEventsIndexed: number;
+  };
+}
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+/**
+ * True when the call itself failed or the indexer answered with an error body.
+ */
+function callFailed(r: IndexerCallResult): boolean {
+  return !!r.error || !!(r.result && typeof r.result === 'object' && 'error' in (r.result as object));
+}
+
+function callErrorMessage(r: IndexerCallResult): string {
+  if (r.error) return r.error;
+  const body = r.result as { error?: string; details?: string };
+  return [body?.error, body?.details].filter(Boolean).join(': ');
+}
+
+/**
+ * Recomputes stats_rollups for a chain from `since` (null = full rebuild).
+ * Never throws.
+ */
+async function refreshRollups(
+  supabase: SupabaseClient,
+  chainId: number,
+  since: Date | null
+): Promise<RollupRefreshResult> {
+  const { data, error } = await supabase.rpc('refresh_stats_rollups', {
+    p_chain_id: chainId,
+    p_since: since ? since.toISOString() : null,
+  });
+  if (error) {
+    console.error(`[orchestrator] [Chain ${chainId}] Rollup refresh failed:`, error.message);
+    return { error: error.message };
+  }
+  return { buckets: data };
+}
+
+/**
+ * Calls `name` once per address in batches of POOL_CONCURRENCY.
+ * `beforeBatch` runs ahead of every batch; returning false stops the fan-out,
+ * leaving the remaining addresses without a result.
+ */
+async function fanOut(
+  baseUrl: string,
+  headers: Record<string, string>,
+  name: string,
+  addresses: string[],
+  buildBody: (address: string) => object,
+  beforeBatch?: () => Promise<boolean>
+): Promise<IndexerCallResult[]> {
+  const results: IndexerCallResult[] = [];
+  for (let i = 0; i < addresses.length; i += POOL_CONCURRENCY) {
+    if (beforeBatch && !(await beforeBatch())) break;
+    const batch = addresses.slice(i, i + POOL_CONCURRENCY);
+    const batchResults = await Promise.all(
+      batch.map((addr) => callIndexer(baseUrl, headers, name, buildBody(addr)))
+    );
+    results.push(...batchResults);
   }
-  const { fromBlock, toBlock } = requestParams;
+  return results;
+}
+
+// ---------------------------------------------------------------
+// Concurrency lock: uses a dedicated row per chain in indexer_sync_state.
+//   is_healthy = false  →  a run is in progress (or crashed).
+//   is_healthy = true   →  the last run completed.
+// If the row is locked and the timestamp is older than LOCK_STALENESS_MS,
+// we treat it as a crashed run and take over.
+// ---------------------------------------------------------------
 
-  // ---------------------------------------------------------------
-  // Concurrency lock: uses a dedicated row in indexer_sync_state.
-  //   is_healthy = false  →  a run is in progress (or crashed).
-  //   is_healthy = true   →  the last run completed.
-  // If the row is locked and the timestamp is older than LOCK_STALENESS_MS,
-  // we treat it as a crashed run and take over.
-  // ---------------------------------------------------------------
+/**
+ * Tries to take the orchestrator lock for a chain.
+ * Returns the elapsed time of the active run when the lock is held elsewhere.
+ */
+async function acquireChainLock(
+  supabase: SupabaseClient,
+  chainId: number
+): Promise<{ acquired: boolean; elapsedMs?: number }> {
   const { data: lockRow } = await supabase
     .from('indexer_sync_state')
     .select('last_indexed_at, is_healthy')
-    .eq('chain_id', CHAIN_ID)
+    .eq('chain_id', chainId)
     .eq('contract_type', 'orchestrator_lock')
     .eq('contract_address', 'lock')
     .single();
@@ -93,20 +232,16 @@ serve(async (req) => {
   if (lockRow && !lockRow.is_healthy) {
     const elapsed = Date.now() - new Date(lockRow.last_indexed_at).getTime();
     if (elapsed < LOCK_STALENESS_MS) {
-      return new Response(
-        JSON.stringify({ skipped: true, reason: 'Previous run still active', elapsed_ms: elapsed }),
-        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+      return { acquired: false, elapsedMs: elapsed };
     }
-    console.log(`[orchestrator] Lock stale (${elapsed}ms) — taking over from crashed run`);
+    console.log(`[orchestrator] [Chain ${chainId}] Lock stale (${elapsed}ms) — taking over from crashed run`);
   }
 
-  // Acquire lock
   await supabase
     .from('indexer_sync_state')
     .upsert(
       {
-        chain_id: CHAIN_ID,
+        chain_id: chainId,
         contract_type: 'orchestrator_lock',
         contract_address: 'lock',
         last_indexed_block: 0,
@@ -117,82 +252,498 @@ serve(async (req) => {
       { onConflict: 'chain_id,contract_type,contract_address' }
     );
 
-  try {
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${serviceKey}`,
-    };
+  return { acquired: true };
+}
+
+/**
+ * Refreshes the lock timestamp so long backfill runs are not mistaken for crashed ones.
+ */
+async function heartbeatChainLock(supabase: SupabaseClient, chainId: number): Promise<void> {
+  await supabase
+    .from('indexer_sync_state')
+    .update({ last_indexed_at: new Date().toISOString() })
+    .eq('chain_id', chainId)
+    .eq('contract_type', 'orchestrator_lock')
+    .eq('contract_address', 'lock');
+}
+
+async function releaseChainLock(supabase: SupabaseClient, chainId: number): Promise<void> {
+  await supabase
+    .from('indexer_sync_state')
+    .update({ is_healthy: true, error_message: null, last_indexed_at: new Date().toISOString() })
+    .eq('chain_id', chainId)
+    .eq('contract_type', 'orchestrator_lock')
+    .eq('contract_address', 'lock');
+}
+
+/**
+ * Runs one full indexing cycle for a single chain under that chain's lock.
+ * Never throws — failures are reported in the returned summary.
+ */
+async function indexChain(
+  supabase: SupabaseClient,
+  supabaseUrl: string,
+  headers: Record<string, string>,
+  chainId: number,
+  { fromBlock, toBlock }: OrchestratorRequest
+): Promise<ChainRunSummary> {
+  const lock = await acquireChainLock(supabase, chainId);
+  if (!lock.acquired) {
+    return { chainId, skipped: true, reason: 'Previous run still active', elapsedMs: lock.elapsedMs };
+  }
 
+  try {
     // Build indexer payload with optional fromBlock/toBlock
-    const indexerPayload: { chainId: number; fromBlock?: number; toBlock?: number | 'latest' } = { chainId: CHAIN_ID };
+    const indexerPayload: { chainId: number; fromBlock?: number; toBlock?: number | 'latest' } = { chainId };
     if (fromBlock !== undefined) indexerPayload.fromBlock = fromBlock;
     if (toBlock !== undefined) indexerPayload.toBlock = toBlock;
 
+    // NFTFactory, RewardsFlywheel and ProtocolManager may roll out later than PoolDeployer on a new chain.
+    const hasNftFactory = isContractConfigured(getContractAddress(chainId, 'nftFactory'));
+    const hasRewards = isContractConfigured(getContractAddress(chainId, 'rewardsFlywheel'));
+    const hasProtocolManager = isContractConfigured(getContractAddress(chainId, 'protocolManager'));
+
     // Fire discovery indexers, state sync, and fetch pool list in parallel.
     // callIndexer never throws, so Promise.all here always resolves.
-    const [poolsRes, deployer, factory, rewards, stateSync, externalCollections] = await Promise.all([
-      supabase.from('pools').select('address').eq('chain_id', CHAIN_ID),
+    const [poolsRes, deployer, factory, rewards, vrfSubscriptions, stateSync, externalCollections] = await Promise.all([
+      supabase.from('pools').select('address').eq('chain_id', chainId),
       callIndexer(supabaseUrl, headers, 'index-pool-deployer', indexerPayload),
-      callIndexer(supabaseUrl, headers, 'index-nft-factory', indexerPayload),
-      callIndexer(supabaseUrl, headers, 'index-rewards', indexerPayload),
-      callIndexer(supabaseUrl, headers, 'sync-pool-states', { chainId: CHAIN_ID, batchSize: 50 }),
-      callIndexer(supabaseUrl, headers, 'index-external-collections', { chainId: CHAIN_ID, refreshStale: true }),
+      hasNftFactory ? callIndexer(supabaseUrl, headers, 'index-nft-factory', indexerPayload) : null,
+      hasRewards ? callIndexer(supabaseUrl, headers, 'index-rewards', indexerPayload) : null,
+      hasProtocolManager ? callIndexer(supabaseUrl, headers, 'index-vrf-subscriptions', indexerPayload) : null,
+      callIndexer(supabaseUrl, headers, 'sync-pool-states', { chainId, batchSize: 50 }),
+      callIndexer(supabaseUrl, headers, 'index-external-collections', { chainId, refreshStale: true }),
     ]);
 
     const poolAddresses: string[] = (poolsRes.data || []).map((p: { address: string }) => p.address);
-
-    // Fan out pool-event indexers in batches of POOL_CONCURRENCY.
-    const poolResults: IndexerCallResult[] = [];
-    for (let i = 0; i < poolAddresses.length; i += POOL_CONCURRENCY) {
-      const batch = poolAddresses.slice(i, i + POOL_CONCURRENCY);
-      const batchResults = await Promise.all(
-        batch.map((addr) =>
-          callIndexer(supabaseUrl, headers, 'index-pool-events', {
-            chainId: CHAIN_ID,
-            poolAddress: addr,
-          })
-        )
-      );
-      poolResults.push(...batchResults);
-    }
+    const poolResults = await fanOut(supabaseUrl, headers, 'index-pool-events', poolAddresses, (addr) => ({
+      chainId,
+      poolAddress: addr,
+    }));
 
     // Index NFT mints for all collections to track current_supply
     const collectionsRes = await supabase
       .from('collections')
-      .select('address')
-      .eq('chain_id', CHAIN_ID);
-
-    const collectionAddresses: string[] = (collectionsRes.data || []).map((c: { address: string }) => c.address);
-    const collectionResults: IndexerCallResult[] = [];
-
-    for (let i = 0; i < collectionAddresses.length; i += POOL_CONCURRENCY) {
-      const batch = collectionAddresses.slice(i, i + POOL_CONCURRENCY);
-      const batchResults = await Promise.all(
-        batch.map((addr) =>
-          callIndexer(supabaseUrl, headers, 'index-nft-mints', {
-            chainId: CHAIN_ID,
-            collectionAddress: addr,
-          })
-        )
+      .select('address, is_external')
+      .eq('chain_id', chainId);
+
+    const collections: { address: string; is_external: boolean | null }[] = collectionsRes.data || [];
+    const collectionAddresses = collections.map((c) => c.address);
+    const collectionResults = await fanOut(supabaseUrl, headers, 'index-nft-mints', collectionAddresses, (addr) => ({
+      chainId,
+      collectionAddress: addr,
+    }));
+
+    // Dropr collections: reveals (including scheduled ones) and the owner-action
+    // change history. External collections emit neither.
+    const droprAddresses = collections.filter((c) => !c.is_external).map((c) => c.address);
+    const collectionEventResults = await fanOut(supabaseUrl, headers, 'index-collection-events', droprAddresses, (addr) => ({
+      chainId,
+      collectionAddress: addr,
+    }));
+
+    const rollups = await refreshRollups(supabase, chainId, new Date(Date.now() - ROLLUP_REFRESH_WINDOW_MS));
+
+    const discoveryResults = [deployer, factory, rewards, vrfSubscriptions, stateSync, externalCollections]
+      .filter((r): r is IndexerCallResult => r !== null);
+    const failedCount =
+      [...discoveryResults, ...poolResults, ...collectionResults, ...collectionEventResults].filter(callFailed).length;
+
+    return {
+      chainId,
+      discovery: { poolDeployer: deployer, nftFactory: factory, rewards, vrfSubscriptions, stateSync, externalCollections },
+      pools: poolResults,
+      collections: collectionResults,
+      collectionEvents: collectionEventResults,
+      rollups,
+      summary: {
+        totalCalls: discoveryResults.length + poolResults.length + collectionResults.length + collectionEventResults.length,
+        failed: failedCount,
+        poolsIndexed: poolResults.length,
+        collectionsIndexed: collectionResults.length,
+        collectionEventsIndexed: collectionEventResults.length,
+      },
+    };
+  } catch (error) {
+    console.error(`[orchestrator] [Chain ${chainId}] Orchestration failed:`, error);
+    return { chainId, error: error instanceof Error ? error.message : String(error) };
+  } finally {
+    await releaseChainLock(supabase, chainId);
+  }
+}
+
+/**
+ * Binary-searches for the first block where `address` has code.
+ * Needs an RPC that serves historical eth_getCode (archive state).
+ */
+async function findDeploymentBlock(
+  provider: ReturnType<typeof providerCache.getProvider>,
+  address: string,
+  headBlock: number
+): Promise<number> {
+  let low = 0;
+  let high = headBlock;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, mid);
+    if (code && code !== '0x') {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Walks one chain from its backfill checkpoint towards the target block in
+ * getLogs-sized chunks until done or out of time budget. Each chunk runs the
+ * discovery indexers first, then pool events for every pool that exists by the
+ * chunk end. Indexers are called with backfill: true so live sync pointers are
+ * left alone; pool_participants stays correct because SlotsPurchased is
+ * deduplicated on transaction hash.
+ *
+ * The checkpoint only moves past a chunk once every pool in it succeeded.
+ * Until then backfill_progress records the pools already done and the failed
+ * pool ranges; failed ranges are retried up to MAX_BACKFILL_POOL_ATTEMPTS
+ * times before the backfill stops with an error. The time budget and the lock
+ * heartbeat are checked before every batch of pool calls, so a run cut short
+ * mid-chunk resumes with the pools it had not reached.
+ * Never throws — failures are reported in the returned summary.
+ */
+async function backfillChain(
+  supabase: SupabaseClient,
+  supabaseUrl: string,
+  headers: Record<string, string>,
+  chainId: number,
+  { fromBlock, toBlock, chunkSize, restart }: OrchestratorRequest
+): Promise<BackfillSummary> {
+  const startedAt = Date.now();
+  const poolDeployerAddress = getContractAddress(chainId, 'poolDeployer');
+  if (!isContractConfigured(poolDeployerAddress)) {
+    return { chainId, mode: 'backfill', error: `No PoolDeployer contract deployed on chain ${chainId}` };
+  }
+  const checkpointKey = {
+    chain_id: chainId,
+    contract_type: 'backfill',
+    contract_address: poolDeployerAddress!.toLowerCase(),
+  };
+
+  const lock = await acquireChainLock(supabase, chainId);
+  if (!lock.acquired) {
+    return { chainId, mode: 'backfill', skipped: true, reason: 'Previous run still active' };
+  }
+
+  try {
+    const provider = providerCache.getProvider(chainId);
+    const headBlock = await provider.getBlockNumber();
+
+    const { data: checkpoint } = await supabase
+      .from('indexer_sync_state')
+      .select('last_indexed_block, target_block, backfill_progress')
+      .eq('chain_id', chainId)
+      .eq('contract_type', 'backfill')
+      .eq('contract_address', checkpointKey.contract_address)
+      .single();
+
+    let cursor: number;
+    let targetBlock: number;
+    let progress: BackfillProgress | null = null;
+
+    if (!checkpoint || restart || fromBlock !== undefined) {
+      const startBlock = fromBlock
+        ?? getNetworkConfig(chainId)?.deploymentBlock
+        ?? await findDeploymentBlock(provider, poolDeployerAddress!, headBlock);
+      cursor = startBlock;
+      targetBlock = typeof toBlock === 'number' ? toBlock : headBlock;
+
+      await supabase
+        .from('indexer_sync_state')
+        .upsert(
+          {
+            ...checkpointKey,
+            last_indexed_block: startBlock - 1,
+            target_block: targetBlock,
+            backfill_progress: null,
+            last_indexed_at: new Date().toISOString(),
+            is_healthy: true,
+            error_message: 'running',
+          },
+          { onConflict: 'chain_id,contract_type,contract_address' }
+        );
+      console.log(`[orchestrator] [Chain ${chainId}] Backfill started: ${startBlock} → ${targetBlock}`);
+    } else {
+      cursor = checkpoint.last_indexed_block + 1;
+      targetBlock = checkpoint.target_block ?? headBlock;
+      progress = checkpoint.backfill_progress?.fromBlock === cursor ? checkpoint.backfill_progress : null;
+      console.log(`[orchestrator] [Chain ${chainId}] Backfill resuming at ${cursor} → ${targetBlock}`);
+    }
+
+    const hasNftFactory = isContractConfigured(getContractAddress(chainId, 'nftFactory'));
+    const hasRewards = isContractConfigured(getContractAddress(chainId, 'rewardsFlywheel'));
+    const hasProtocolManager = isContractConfigured(getContractAddress(chainId, 'protocolManager'));
+
+    let chunk = chunkSize && chunkSize > 0 ? chunkSize : getMaxBlockRange(chainId);
+    let chunksProcessed = 0;
+    let error: string | undefined;
+    const startCursor = cursor;
+    // Failures per pool in this invocation; saved attempts are totals across runs
+    const runFailures = new Map<string, number>();
+
+    // Only start calls that finish within the budget even if they run to CALL_TIMEOUT_MS
+    const withinBudget = () => Date.now() - startedAt + CALL_TIMEOUT_MS <= BACKFILL_TIME_BUDGET_MS;
+    // Ahead of each batch of indexer calls: stop when out of time, otherwise keep the lock fresh
+    const beforeBatch = async () => {
+      if (!withinBudget()) return false;
+      await heartbeatChainLock(supabase, chainId);
+      return true;
+    };
+    const saveProgress = async (update: Record<string, unknown>) => {
+      await supabase
+        .from('indexer_sync_state')
+        .update({ ...update, last_indexed_at: new Date().toISOString() })
+        .eq('chain_id', chainId)
+        .eq('contract_type', 'backfill')
+        .eq('contract_address', checkpointKey.contract_address);
+    };
+
+    while (cursor <= targetBlock && withinBudget()) {
+      // A resumed chunk keeps its original end so completed pools stay valid
+      const chunkEnd = progress?.toBlock ?? Math.min(cursor + chunk - 1, targetBlock);
+      await heartbeatChainLock(supabase, chainId);
+      const rangePayload = { chainId, fromBlock: cursor, toBlock: chunkEnd, backfill: true };
+
+      // 1. Discovery indexers — pools/collections created in this range
+      const discovery = await Promise.all([
+        callIndexer(supabaseUrl, headers, 'index-pool-deployer', rangePayload),
+        hasNftFactory ? callIndexer(supabaseUrl, headers, 'index-nft-factory', rangePayload) : null,
+        hasRewards ? callIndexer(supabaseUrl, headers, 'index-rewards', rangePayload) : null,
+        hasProtocolManager ? callIndexer(supabaseUrl, headers, 'index-vrf-subscriptions', rangePayload) : null,
+      ]);
+      const failedDiscovery = discovery.filter((r): r is IndexerCallResult => r !== null && callFailed(r));
+
+      if (failedDiscovery.length > 0) {
+        // Most often "block range too large" — retry the same range with a smaller chunk.
+        if (chunk > MIN_BACKFILL_CHUNK) {
+          chunk = Math.max(MIN_BACKFILL_CHUNK, Math.floor(chunk / 2));
+          // A smaller chunk changes the range, so pools done for the old one no longer count
+          progress = null;
+          console.warn(`[orchestrator] [Chain ${chainId}] Backfill chunk failed at ${cursor}, retrying with ${chunk} blocks`);
+          continue;
+        }
+        error = failedDiscovery.map((r) => `${r.name}: ${callErrorMessage(r)}`).join('; ');
+        break;
+      }
+
+      // 2. Pool events for every pool that exists by the end of this range
+      const { data: pools } = await supabase
+        .from('pools')
+        .select('address, created_at_block')
+        .eq('chain_id', chainId)
+        .lte('created_at_block', chunkEnd);
+
+      const chunkProgress: BackfillProgress = progress ?? { fromBlock: cursor, toBlock: chunkEnd, completedPools: [], failedRanges: [] };
+      const completed = new Set(chunkProgress.completedPools);
+      const poolStarts = new Map<string, number>(
+        (pools || [])
+          .filter((p: { address: string }) => !completed.has(p.address))
+          .map((p: { address: string; created_at_block: number }) => [p.address, Math.max(cursor, p.created_at_block)])
+      );
+      const pendingPools = [...poolStarts.keys()];
+      const poolResults = await fanOut(supabaseUrl, headers, 'index-pool-events', pendingPools, (addr) => ({
+        chainId,
+        poolAddress: addr,
+        fromBlock: poolStarts.get(addr),
+        toBlock: chunkEnd,
+        backfill: true,
+      }), beforeBatch);
+
+      const previousFailures = new Map(chunkProgress.failedRanges.map((f) => [f.poolAddress, f]));
+      const failedRanges: FailedPoolRange[] = [];
+      poolResults.forEach((r, i) => {
+        const poolAddress = pendingPools[i];
+        if (callFailed(r)) {
+          runFailures.set(poolAddress, (runFailures.get(poolAddress) ?? 0) + 1);
+          failedRanges.push({
+            poolAddress,
+            fromBlock: poolStarts.get(poolAddress)!,
+            toBlock: chunkEnd,
+            error: callErrorMessage(r),
+            attempts: (previousFailures.get(poolAddress)?.attempts ?? 0) + 1,
+          });
+        } else {
+          completed.add(poolAddress);
+        }
+      });
+      // Pools the budget cut off keep any earlier failure on record
+      for (const poolAddress of pendingPools.slice(poolResults.length)) {
+        const previous = previousFailures.get(poolAddress);
+        if (previous) failedRanges.push(previous);
+      }
+      progress = { fromBlock: cursor, toBlock: chunkEnd, completedPools: [...completed], failedRanges };
+
+      if (failedRanges.length > 0 || poolResults.length < pendingPools.length) {
+        // Leave last_indexed_block before this chunk; the next pass retries what is missing
+        const exhausted = failedRanges.filter((f) => (runFailures.get(f.poolAddress) ?? 0) >= MAX_BACKFILL_POOL_ATTEMPTS);
+        if (exhausted.length > 0) {
+          error = exhausted.map((f) => `index-pool-events ${f.poolAddress} [${f.fromBlock}-${f.toBlock}]: ${f.error}`).join('; ');
+        }
+        await saveProgress({ backfill_progress: progress, error_message: error ?? 'running' });
+        if (error) break;
+        if (failedRanges.length > 0) {
+          console.warn(`[orchestrator] [Chain ${chainId}] ${failedRanges.length} pool range(s) failed in ${cursor}-${chunkEnd}, retrying`);
+        }
+        continue;
+      }
+
+      // 3. Change history of the Dropr collections that exist by the end of this range
+      const { data: rangeCollections } = await supabase
+        .from('collections')
+        .select('address, created_at_block')
+        .eq('chain_id', chainId)
+        .eq('is_external', false)
+        .lte('created_at_block', chunkEnd);
+
+      const collectionStarts = new Map<string, number>(
+        (rangeCollections || []).map((c: { address: string; created_at_block: number }) => [c.address, Math.max(cursor, c.created_at_block)])
       );
-      collectionResults.push(...batchResults);
+      const collectionEventResults = await fanOut(supabaseUrl, headers, 'index-collection-events', [...collectionStarts.keys()], (addr) => ({
+        chainId,
+        collectionAddress: addr,
+        fromBlock: collectionStarts.get(addr),
+        toBlock: chunkEnd,
+        backfill: true,
+      }), beforeBatch);
+      if (collectionEventResults.length < collectionStarts.size) {
+        // Out of time: the pools are recorded, the next run redoes only discovery and collections
+        await saveProgress({ backfill_progress: progress, error_message: 'running' });
+        break;
+      }
+      collectionEventResults.filter(callFailed).forEach((r) => {
+        console.warn(`[orchestrator] [Chain ${chainId}] Collection history backfill failed: ${callErrorMessage(r)}`);
+      });
+
+      // 4. Checkpoint — the next call (or a crash recovery) resumes after chunkEnd
+      await saveProgress({
+        last_indexed_block: chunkEnd,
+        backfill_progress: null,
+        is_healthy: true,
+        error_message: chunkEnd >= targetBlock ? null : 'running',
+      });
+      await heartbeatChainLock(supabase, chainId);
+
+      cursor = chunkEnd + 1;
+      progress = null;
+      chunksProcessed++;
     }
 
-    const failedCount =
-      [deployer, factory, rewards, stateSync, externalCollections, ...poolResults, ...collectionResults].filter((r) => r.error).length;
+    if (error) {
+      await saveProgress({ is_healthy: false, error_message: error });
+    }
+
+    // Backfilled rows can land in any bucket, so rebuild the chain's series once done
+    const done = cursor > targetBlock;
+    const rollups = done && !error ? await refreshRollups(supabase, chainId, null) : undefined;
+
+    return {
+      chainId,
+      mode: 'backfill',
+      error,
+      startBlock: startCursor,
+      targetBlock,
+      nextBlock: cursor,
+      done,
+      chunksProcessed,
+      chunkSize: chunk,
+      failedPoolCalls: progress?.failedRanges ?? [],
+      rollups,
+    };
+  } catch (err) {
+    console.error(`[orchestrator] [Chain ${chainId}] Backfill failed:`, err);
+    return { chainId, mode: 'backfill', error: err instanceof Error ? err.message : String(err) };
+  } finally {
+    await releaseChainLock(supabase, chainId);
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Skip auth check - this function is only called by internal cron job
+  // The cron job itself is secured by pg_cron which only postgres role can schedule
+  
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+  const supabase = createClient(supabaseUrl, serviceKey);
+
+  // Parse request body for optional chainId/fromBlock/toBlock parameters
+  let requestParams: OrchestratorRequest = {};
+  try {
+    requestParams = await req.json();
+  } catch {
+    // No body or invalid JSON - use defaults
+  }
+
+  // A specific chainId narrows the run to that chain (manual re-index);
+  // otherwise every network with a configured PoolDeployer is indexed.
+  if (requestParams.chainId !== undefined && !isSupportedNetwork(requestParams.chainId)) {
+    return new Response(
+      JSON.stringify({ error: `Unsupported chainId ${requestParams.chainId}` }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+  // Block numbers are chain-specific, so an explicit range only makes sense for one chain.
+  if (requestParams.chainId === undefined && (requestParams.fromBlock !== undefined || requestParams.toBlock !== undefined)) {
+    return new Response(
+      JSON.stringify({ error: 'fromBlock/toBlock require a chainId' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${serviceKey}`,
+  };
+
+  if (requestParams.mode === 'backfill') {
+    if (requestParams.chainId === undefined) {
+      return new Response(
+        JSON.stringify({ error: 'Backfill requires a chainId' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+    const backfill = await backfillChain(supabase, supabaseUrl, headers, requestParams.chainId, requestParams);
+    return new Response(
+      JSON.stringify({ success: !backfill.error, ...backfill }),
+      { status: backfill.error ? 500 : 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const chainIds = requestParams.chainId !== undefined ? [requestParams.chainId] : getIndexedChainIds();
+
+  try {
+    const chainResults = await Promise.all(
+      chainIds.map((chainId) => indexChain(supabase, supabaseUrl, headers, chainId, requestParams))
+    );
+
+    const chains: Record<number, ChainRunSummary> = {};
+    for (const result of chainResults) {
+      chains[result.chainId] = result;
+    }
 
     return new Response(
       JSON.stringify({
         success: true,
-        chainId: CHAIN_ID,
-        discovery: { poolDeployer: deployer, nftFactory: factory, rewards, stateSync, externalCollections },
-        pools: poolResults,
-        collections: collectionResults,
+        chainIds,
+        chains,
         summary: {
-          totalCalls: 5 + poolResults.length + collectionResults.length,
-          failed: failedCount,
-          poolsIndexed: poolResults.length,
-          collectionsIndexed: collectionResults.length,
+          chainsIndexed: chainResults.filter((r) => r.summary).length,
+          chainsSkipped: chainResults.filter((r) => r.skipped).length,
+          chainsFailed: chainResults.filter((r) => r.error).length,
+          totalCalls: chainResults.reduce((sum, r) => sum + (r.summary?.totalCalls || 0), 0),
+          failed: chainResults.reduce((sum, r) => sum + (r.summary?.failed || 0), 0),
         },
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -203,13 +754,5 @@ serve(async (req) => {
       JSON.stringify({ error: 'Orchestration failed', details: error instanceof Error ? error.message : String(error) }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
-  } finally {
-    // Release lock
-    await supabase
-      .from('indexer_sync_state')
-      .update({ is_healthy: true, error_message: null, last_indexed_at: new Date().toISOString() })
-      .eq('chain_id', CHAIN_ID)
-      .eq('contract_type', 'orchestrator_lock')
-      .eq('contract_address', 'lock');
   }
 });
@@ -1,6 +1,11 @@
 // Supabase Edge Function: index-pool-deployer
 // Indexes PoolCreated and PoolMetadataSet events from PoolDeployer contract.
 // Creates new pool records, updates metadata, and fetches initial pool state from the blockchain.
+// Configuration events (fees, limits, gating, creation pause, implementation) are
+// recorded in protocol_config_history, and protocol_config is refreshed from the
+// contract whenever one is seen.
+// Before each run the stored tip hash is checked for reorgs; pools created in orphaned
+// blocks are removed by rollback_pool_deployer() and the range is re-indexed.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
@@ -9,10 +14,35 @@ import { corsHeaders, verifyInternalAuth, fetchBlockMap } from '../_shared/helpe
 import { providerCache } from '../_shared/provider-cache.ts';
 import { getContractAddress, isSupportedNetwork } from '../_shared/networks.ts';
 import { fetchPrizeArtworkURL } from '../_shared/artwork-fetcher.ts';
+import { detectReorg, recordCheckpoint, rewindSyncState } from '../_shared/reorg.ts';
 
 const POOL_DEPLOYER_ABI = [
   'event PoolCreated(address indexed pool, address indexed creator, uint256 poolId)',
   'event PoolMetadataSet(address indexed pool, string description, string twitterLink, string discordLink, string telegramLink)',
+  'event FeeConfigUpdated(uint256 slotFee, uint256 protocolFee, uint256 creationFee, uint256 socialFee)',
+  'event DurationLimitsUpdated(uint256 min, uint256 max)',
+  'event SlotLimitsUpdated(uint256 minPrized, uint256 minNonPrized, uint256 max)',
+  'event GatingTokenConfigUpdated(bool enabled, address token, uint256 minBalance)',
+  'event CreationPauseUpdated(bool paused)',
+  'event PoolImplementationUpdated(address indexed poolImplementation)',
+];
+
+// ABI for reading the current PoolDeployer configuration
+const POOL_DEPLOYER_CONFIG_ABI = [
+  'function globalSlotFee() view returns (uint256)',
+  'function protocolFeePercentage() view returns (uint256)',
+  'function creationFeePercentage() view returns (uint256)',
+  'function socialEngagementFee() view returns (uint256)',
+  'function minPoolDuration() view returns (uint256)',
+  'function maxPoolDuration() view returns (uint256)',
+  'function minSlotLimit() view returns (uint256)',
+  'function minSlotLimitNonPrized() view returns (uint256)',
+  'function maxSlotLimit() view returns (uint256)',
+  'function isGated() view returns (bool)',
+  'function gatingToken() view returns (address)',
+  'function minGatingTokenBalance() view returns (uint256)',
+  'function creationPaused() view returns (bool)',
+  'function poolImplementation() view returns (address)',
 ];
 
 const SOCIAL_ENGAGEMENT_MANAGER_ABI = [
@@ -74,6 +104,9 @@ interface IndexRequest {
   chainId: number;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  // Backfill runs (see index-orchestrator) scan an explicit historical range and
+  // must not move the live sync pointer.
+  backfill?: boolean;
 }
 
 serve(async (req) => {
@@ -86,7 +119,7 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    const { chainId, fromBlock, toBlock = 'latest' }: IndexRequest = await req.json();
+    const { chainId, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
 
     if (!chainId || !isSupportedNetwork(chainId)) {
       return new Response(
@@ -117,19 +150,47 @@ serve(async (req) => {
     // Resume from last indexed block
     const { data: syncState } = await supabase
       .from('indexer_sync_state')
-      .select('last_indexed_block')
+      .select('last_indexed_block, last_block_hash, reorg_count')
       .eq('chain_id', chainId)
       .eq('contract_type', 'pool_deployer')
       .eq('contract_address', poolDeployerAddress.toLowerCase())
       .single();
 
+    const syncPointer = { chainId, contractType: 'pool_deployer', contractAddress: poolDeployerAddress.toLowerCase() };
     const currentBlock = await provider.getBlockNumber();
+
+    // Reorg check — see index-pool-events for the rollback flow.
+    let resumeBlock: number | null = syncState?.last_indexed_block ?? null;
+    let reorg: { forkBlock: number; rollback: unknown } | null = null;
+
+    if (fromBlock === undefined && syncState) {
+      const reorgCheck = await detectReorg(
+        supabase, provider, syncPointer, syncState.last_indexed_block, syncState.last_block_hash
+      );
+
+      if (reorgCheck.reorged) {
+        const forkBlock = reorgCheck.forkBlock!;
+        const { data: rollback, error: rollbackError } = await supabase.rpc('rollback_pool_deployer', {
+          p_chain_id: chainId,
+          p_fork_block: forkBlock,
+        });
+        if (rollbackError) {
+          throw new Error(`Reorg rollback failed at block ${forkBlock}: ${rollbackError.message}`);
+        }
+
+        await rewindSyncState(supabase, provider, syncPointer, forkBlock, syncState.reorg_count);
+        console.warn(`[Chain ${chainId}] Rolled back PoolDeployer to block ${forkBlock}:`, rollback);
+        resumeBlock = forkBlock;
+        reorg = { forkBlock, rollback };
+      }
+    }
+
     // Handle sync state: if last_indexed_block is explicitly 0 or null, scan from beginning
     // Otherwise resume from last_indexed_block + 1
     const startBlock = fromBlock !== undefined
       ? fromBlock
-      : (syncState?.last_indexed_block !== null && syncState?.last_indexed_block !== undefined && syncState.last_indexed_block > 0
-          ? syncState.last_indexed_block + 1
+      : (resumeBlock !== null && resumeBlock > 0
+          ? resumeBlock + 1
           : Math.max(0, currentBlock - 100000)); // Scan last 100k blocks when resetting
     const endBlock = toBlock === 'latest' ? currentBlock : toBlock;
 
@@ -141,11 +202,70 @@ serve(async (req) => {
       ? new ethers.Contract(socialEngagementManagerAddress, SOCIAL_ENGAGEMENT_MANAGER_ABI, provider)
       : null;
 
-    const [poolCreatedEvents, metadataSetEvents] = await Promise.all([
+    const [
+      poolCreatedEvents,
+      metadataSetEvents,
+      feeConfigEvents,
+      durationLimitsEvents,
+      slotLimitsEvents,
+      gatingConfigEvents,
+      creationPauseEvents,
+      implementationEvents,
+    ] = await Promise.all([
       poolDeployer.queryFilter(poolDeployer.filters.PoolCreated(), startBlock, endBlock),
       poolDeployer.queryFilter(poolDeployer.filters.PoolMetadataSet(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.FeeConfigUpdated(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.DurationLimitsUpdated(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.SlotLimitsUpdated(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.GatingTokenConfigUpdated(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.CreationPauseUpdated(), startBlock, endBlock),
+      poolDeployer.queryFilter(poolDeployer.filters.PoolImplementationUpdated(), startBlock, endBlock),
     ]);
 
+    // Each config event mapped to the protocol_config columns it sets
+    const configChanges = [
+      ...feeConfigEvents.map((event) => ({
+        event,
+        changes: {
+          slot_fee: event.args!.slotFee.toString(),
+          protocol_fee_percentage: event.args!.protocolFee.toNumber(),
+          creation_fee_percentage: event.args!.creationFee.toNumber(),
+          social_engagement_fee: event.args!.socialFee.toString(),
+        },
+      })),
+      ...durationLimitsEvents.map((event) => ({
+        event,
+        changes: {
+          min_pool_duration: event.args!.min.toNumber(),
+          max_pool_duration: event.args!.max.toNumber(),
+        },
+      })),
+      ...slotLimitsEvents.map((event) => ({
+        event,
+        changes: {
+          min_slot_limit_prized: event.args!.minPrized.toNumber(),
+          min_slot_limit_non_prized: event.args!.minNonPrized.toNumber(),
+          max_slot_limit: event.args!.max.toNumber(),
+        },
+      })),
+      ...gatingConfigEvents.map((event) => ({
+        event,
+        changes: {
+          gating_enabled: event.args!.enabled,
+          gating_token: event.args!.token.toLowerCase(),
+          min_gating_token_balance: event.args!.minBalance.toString(),
+        },
+      })),
+      ...creationPauseEvents.map((event) => ({
+        event,
+        changes: { creation_paused: event.args!.paused },
+      })),
+      ...implementationEvents.map((event) => ({
+        event,
+        changes: { pool_implementation: event.args!.poolImplementation.toLowerCase() },
+      })),
+    ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
     // Query SocialTasksEnabled separately with error handling (different contract)
     let socialTaskEvents: any[] = [];
     if (socialManager) {
@@ -156,10 +276,10 @@ serve(async (req) => {
       }
     }
     
-    console.log(`[Chain ${chainId}] Found ${poolCreatedEvents.length} PoolCreated, ${metadataSetEvents.length} PoolMetadataSet, ${socialTaskEvents.length} SocialTasksEnabled events`);
+    console.log(`[Chain ${chainId}] Found ${poolCreatedEvents.length} PoolCreated, ${metadataSetEvents.length} PoolMetadataSet, ${socialTaskEvents.length} SocialTasksEnabled, ${configChanges.length} config events`);
 
     // Batch-fetch all required blocks in one round of parallel RPC calls
-    const allEvents = [...poolCreatedEvents, ...metadataSetEvents, ...socialTaskEvents];
+    const allEvents = [...poolCreatedEvents, ...metadataSetEvents, ...socialTaskEvents, ...configChanges.map((c) => c.event)];
     const blockMap = await fetchBlockMap(provider, allEvents.map((e) => e.blockNumber));
 
     let successCount = 0;
@@ -482,22 +602,128 @@ serve(async (req) => {
       }
     }
 
-    // Advance sync pointer
-    await supabase
-      .from('indexer_sync_state')
-      .upsert(
-        {
-          chain_id: chainId,
-          contract_type: 'pool_deployer',
-          contract_address: poolDeployerAddress.toLowerCase(),
-          last_indexed_block: endBlock,
-          last_block_hash: (await provider.getBlock(endBlock)).hash,
-          last_indexed_at: new Date().toISOString(),
-          is_healthy: true,
-          error_message: null,
-        },
-        { onConflict: 'chain_id,contract_type,contract_address' }
-      );
+    // Process PoolDeployer configuration events into the audit trail
+    const configTxs = [...new Set(configChanges.map((c) => c.event.transactionHash))];
+    const configTxList = await Promise.all(configTxs.map((hash) => provider.getTransaction(hash)));
+    const configSenders = new Map<string, string>();
+    configTxs.forEach((hash, i) => {
+      if (configTxList[i]?.from) configSenders.set(hash, configTxList[i].from.toLowerCase());
+    });
+
+    for (const { event, changes } of configChanges) {
+      try {
+        const block = blockMap.get(event.blockNumber)!;
+        const { error: historyError } = await supabase
+          .from('protocol_config_history')
+          .upsert({
+            chain_id: chainId,
+            pool_deployer: poolDeployerAddress.toLowerCase(),
+            event_name: event.event,
+            changes,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+            transaction_hash: event.transactionHash,
+            changed_by: configSenders.get(event.transactionHash) || null,
+            changed_at: new Date(block.timestamp * 1000).toISOString(),
+          }, { onConflict: 'chain_id,transaction_hash,log_index', ignoreDuplicates: true });
+
+        if (historyError) {
+          console.error(`Error recording ${event.event}:`, JSON.stringify(historyError));
+          errorCount++;
+        } else {
+          successCount++;
+        }
+      } catch (err) {
+        console.error(`Error processing ${event.event} event:`, err);
+        errorCount++;
+      }
+    }
+
+    // Refresh the current config from the contract when it may have changed
+    // (new config events, a rollback, or no row yet). Reading every field rather
+    // than replaying events keeps the row correct even if history is partial.
+    const { data: existingConfig } = await supabase
+      .from('protocol_config')
+      .select('last_event_block')
+      .eq('chain_id', chainId)
+      .eq('pool_deployer', poolDeployerAddress.toLowerCase())
+      .maybeSingle();
+
+    if (configChanges.length > 0 || reorg || !existingConfig) {
+      try {
+        const configReader = new ethers.Contract(poolDeployerAddress, POOL_DEPLOYER_CONFIG_ABI, provider);
+        const [
+          slotFee, protocolFee, creationFee, socialFee,
+          minDuration, maxDuration, minSlotPrized, minSlotNonPrized, maxSlot,
+          gated, gatingToken, minGatingBalance, creationPaused, poolImplementation,
+        ] = await Promise.all([
+          configReader.globalSlotFee(),
+          configReader.protocolFeePercentage(),
+          configReader.creationFeePercentage(),
+          configReader.socialEngagementFee(),
+          configReader.minPoolDuration(),
+          configReader.maxPoolDuration(),
+          configReader.minSlotLimit(),
+          configReader.minSlotLimitNonPrized(),
+          configReader.maxSlotLimit(),
+          configReader.isGated(),
+          configReader.gatingToken(),
+          configReader.minGatingTokenBalance(),
+          configReader.creationPaused(),
+          configReader.poolImplementation(),
+        ]);
+
+        const lastConfigEvent = configChanges[configChanges.length - 1]?.event.blockNumber;
+        await supabase
+          .from('protocol_config')
+          .upsert({
+            chain_id: chainId,
+            pool_deployer: poolDeployerAddress.toLowerCase(),
+            slot_fee: slotFee.toString(),
+            protocol_fee_percentage: protocolFee.toNumber(),
+            creation_fee_percentage: creationFee.toNumber(),
+            social_engagement_fee: socialFee.toString(),
+            min_pool_duration: minDuration.toNumber(),
+            max_pool_duration: maxDuration.toNumber(),
+            min_slot_limit_prized: minSlotPrized.toNumber(),
+            min_slot_limit_non_prized: minSlotNonPrized.toNumber(),
+            max_slot_limit: maxSlot.toNumber(),
+            gating_enabled: gated,
+            gating_token: gatingToken.toLowerCase(),
+            min_gating_token_balance: minGatingBalance.toString(),
+            creation_paused: creationPaused,
+            pool_implementation: poolImplementation.toLowerCase(),
+            synced_block: currentBlock,
+            last_event_block: Math.max(lastConfigEvent ?? 0, existingConfig?.last_event_block ?? 0) || null,
+            updated_at: new Date().toISOString(),
+          }, { onConflict: 'chain_id,pool_deployer' });
+
+        console.log(`[Chain ${chainId}] Refreshed protocol config at block ${currentBlock}`);
+      } catch (err) {
+        console.warn(`[Chain ${chainId}] Could not refresh protocol config:`, err);
+      }
+    }
+
+    // Advance sync pointer and checkpoint the tip hash for the next reorg check
+    if (!backfill) {
+      const endBlockHash = (await provider.getBlock(endBlock)).hash;
+      await supabase
+        .from('indexer_sync_state')
+        .upsert(
+          {
+            chain_id: chainId,
+            contract_type: 'pool_deployer',
+            contract_address: poolDeployerAddress.toLowerCase(),
+            last_indexed_block: endBlock,
+            last_block_hash: endBlockHash,
+            last_indexed_at: new Date().toISOString(),
+            is_healthy: true,
+            error_message: null,
+          },
+          { onConflict: 'chain_id,contract_type,contract_address' }
+        );
+      await recordCheckpoint(supabase, syncPointer, endBlock, endBlockHash);
+    }
 
     console.log(`[Chain ${chainId}] Indexing complete: ${successCount} successful, ${errorCount} errors`);
 
@@ -506,9 +732,15 @@ serve(async (req) => {
         success: true,
         chainId,
         blocksScanned: { from: startBlock, to: endBlock, total: endBlock - startBlock + 1 },
-        eventsFound: { poolCreated: poolCreatedEvents.length, metadataSet: metadataSetEvents.length, socialTasks: socialTaskEvents.length },
+        eventsFound: {
+          poolCreated: poolCreatedEvents.length,
+          metadataSet: metadataSetEvents.length,
+          socialTasks: socialTaskEvents.length,
+          configChanges: configChanges.length,
+        },
         recordsProcessed: { success: successCount, errors: errorCount },
         errorDetails: errorCount > 0 ? 'Check console logs for detailed error messages' : null,
+        reorg,
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
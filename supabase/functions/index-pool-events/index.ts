@@ -1,21 +1,32 @@
 // Supabase Edge Function: index-pool-events
 // Indexes all pool contract events: SlotsPurchased, WinnersSelected, RandomRequested,
-// PrizeClaimed, RefundClaimed, PoolActivated, PoolEnded.
+// PrizeClaimed, RefundClaimed, PoolActivated, PoolEnded, Paused, Unpaused,
+// SelectionStarted, MintingFailed, BatchProcessingFailed, BatchProcessingFailedBytes.
 //
 // Design decisions:
-//   - All 7 queryFilter calls fire in parallel (single block-range scan each).
+//   - All 13 queryFilter calls fire in parallel (single block-range scan each).
 //   - All block data is fetched in one batched round via fetchBlockMap.
 //   - SlotsPurchased: checks user_activity for already-indexed tx hashes before
 //     accumulating into pool_participants, preventing double-counting on re-index.
 //   - WinnersSelected: wins_count is set to the absolute count derived from
 //     pool_winners (not incremented), making it safe to re-run.
+//   - Finality: events above (head - confirmations) are written with status
+//     'pending' and promoted to 'final' on a later run once buried deep enough.
+//   - Reorgs: the stored tip hash is checked against the canonical chain before
+//     each run; on mismatch, rows above the last common ancestor are rolled back
+//     by rollback_pool_events() and the range is re-indexed.
+//   - Mint failures: failed_mint_count / batch_failure_count are recomputed from
+//     blockchain_events (absolute counts), and a winner's mint_failed flag clears
+//     once a PrizeClaimed lands after their latest MintingFailed.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { ethers } from 'https://esm.sh/ethers@5.7.2';
 import { corsHeaders, verifyInternalAuth, fetchBlockMap } from '../_shared/helpers.ts';
 import { providerCache } from '../_shared/provider-cache.ts';
-import { isSupportedNetwork } from '../_shared/networks.ts';
+import { getConfirmationDepth, isSupportedNetwork } from '../_shared/networks.ts';
+import { detectReorg, recordCheckpoint, rewindSyncState } from '../_shared/reorg.ts';
+import { decodeRevertReason } from '../_shared/revert-decoder.ts';
 
 const POOL_ABI = [
   'event SlotsPurchased(address indexed participant, uint256 quantity)',
@@ -25,6 +36,12 @@ const POOL_ABI = [
   'event RefundClaimed(address indexed participant, uint256 amount)',
   'event PoolActivated(uint256 timestamp)',
   'event PoolEnded(uint256 timestamp)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+  'event SelectionStarted(uint256 indexed batchNumber, uint256 participantCount, uint256 shuffleStartIndex, uint256 batchSize)',
+  'event MintingFailed(address indexed winner, string reason)',
+  'event BatchProcessingFailed(string reason)',
+  'event BatchProcessingFailedBytes(bytes lowLevelData)',
   'function name() view returns (string)',
   'function slotFee() view returns (uint256)',
   'function getRefundableAmount(address participant) view returns (uint256)',
@@ -36,6 +53,9 @@ interface IndexRequest {
   poolAddress: string;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  // Backfill runs (see index-orchestrator) scan an explicit historical range and
+  // must not move the live sync pointer.
+  backfill?: boolean;
 }
 
 serve(async (req) => {
@@ -48,7 +68,7 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    const { chainId, poolAddress, fromBlock, toBlock = 'latest' }: IndexRequest = await req.json();
+    const { chainId, poolAddress, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
 
     if (!chainId || !isSupportedNetwork(chainId) || !poolAddress) {
       return new Response(
@@ -71,22 +91,61 @@ serve(async (req) => {
     // Resume from last indexed block
     const { data: syncState } = await supabase
       .from('indexer_sync_state')
-      .select('last_indexed_block')
+      .select('last_indexed_block, last_block_hash, reorg_count')
       .eq('chain_id', chainId)
       .eq('contract_type', 'pool')
       .eq('contract_address', poolAddr)
       .single();
 
+    const syncPointer = { chainId, contractType: 'pool', contractAddress: poolAddr };
     const currentBlock = await provider.getBlockNumber();
+
+    // ---------------------------------------------------------------
+    // Reorg check: if the block we last indexed up to is no longer on the
+    // canonical chain, roll back everything above the common ancestor and
+    // resume from there. Skipped for explicit fromBlock re-index requests.
+    // ---------------------------------------------------------------
+    let resumeBlock: number | null = syncState?.last_indexed_block || null;
+    let reorg: { forkBlock: number; rollback: unknown } | null = null;
+
+    if (fromBlock === undefined && syncState) {
+      const reorgCheck = await detectReorg(
+        supabase, provider, syncPointer, syncState.last_indexed_block, syncState.last_block_hash
+      );
+
+      if (reorgCheck.reorged) {
+        const forkBlock = reorgCheck.forkBlock!;
+        const { data: rollback, error: rollbackError } = await supabase.rpc('rollback_pool_events', {
+          p_chain_id: chainId,
+          p_pool_address: poolAddr,
+          p_fork_block: forkBlock,
+        });
+        if (rollbackError) {
+          throw new Error(`Reorg rollback failed at block ${forkBlock}: ${rollbackError.message}`);
+        }
+
+        await rewindSyncState(supabase, provider, syncPointer, forkBlock, syncState.reorg_count);
+        console.warn(`[Chain ${chainId}] Rolled back pool ${poolAddr} to block ${forkBlock}:`, rollback);
+        resumeBlock = forkBlock;
+        reorg = { forkBlock, rollback };
+      }
+    }
+
     const startBlock = fromBlock !== undefined
       ? fromBlock
-      : (syncState?.last_indexed_block ? syncState.last_indexed_block + 1 : Math.max(0, currentBlock - 10000));
+      : (resumeBlock ? resumeBlock + 1 : Math.max(0, currentBlock - 10000));
     const endBlock = toBlock === 'latest' ? currentBlock : toBlock;
 
-    console.log(`[Chain ${chainId}] Scanning blocks ${startBlock} to ${endBlock}`);
+    // Events at or below the finality line are considered final; anything newer
+    // is indexed immediately but flagged 'pending' until enough blocks pass.
+    const finalizedBlock = currentBlock - getConfirmationDepth(chainId);
+    const eventStatus = (blockNumber: number): 'pending' | 'final' =>
+      blockNumber > finalizedBlock ? 'pending' : 'final';
+
+    console.log(`[Chain ${chainId}] Scanning blocks ${startBlock} to ${endBlock} (finalized ≤ ${finalizedBlock})`);
 
     // ---------------------------------------------------------------
-    // Fire all 7 event filters in parallel — single pass over the block range
+    // Fire all 13 event filters in parallel — single pass over the block range
     // ---------------------------------------------------------------
     const [
       slotsPurchasedEvents,
@@ -96,6 +155,12 @@ serve(async (req) => {
       refundClaimedEvents,
       poolActivatedEvents,
       poolEndedEvents,
+      pausedEvents,
+      unpausedEvents,
+      selectionStartedEvents,
+      mintingFailedEvents,
+      batchFailedEvents,
+      batchFailedBytesEvents,
     ] = await Promise.all([
       poolContract.queryFilter(poolContract.filters.SlotsPurchased(), startBlock, endBlock),
       poolContract.queryFilter(poolContract.filters.WinnersSelected(), startBlock, endBlock),
@@ -104,6 +169,12 @@ serve(async (req) => {
       poolContract.queryFilter(poolContract.filters.RefundClaimed(), startBlock, endBlock),
       poolContract.queryFilter(poolContract.filters.PoolActivated(), startBlock, endBlock),
       poolContract.queryFilter(poolContract.filters.PoolEnded(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.Paused(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.Unpaused(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.SelectionStarted(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.MintingFailed(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.BatchProcessingFailed(), startBlock, endBlock),
+      poolContract.queryFilter(poolContract.filters.BatchProcessingFailedBytes(), startBlock, endBlock),
     ]);
 
     // Batch-fetch all block data across every event type in one round
@@ -115,6 +186,12 @@ serve(async (req) => {
       ...refundClaimedEvents,
       ...poolActivatedEvents,
       ...poolEndedEvents,
+      ...pausedEvents,
+      ...unpausedEvents,
+      ...selectionStartedEvents,
+      ...mintingFailedEvents,
+      ...batchFailedEvents,
+      ...batchFailedBytesEvents,
     ];
     const blockMap = await fetchBlockMap(provider, allEvents.map((e) => e.blockNumber));
 
@@ -221,6 +298,7 @@ serve(async (req) => {
               amount: slotFee.mul(quantity).toString(),
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               timestamp: new Date(block.timestamp * 1000).toISOString(),
             },
             {
@@ -296,6 +374,7 @@ serve(async (req) => {
                 pool_name: poolName || null,
                 block_number: event.blockNumber,
                 transaction_hash: event.transactionHash,
+                status: eventStatus(event.blockNumber),
                 timestamp: new Date(block.timestamp * 1000).toISOString(),
               },
               {
@@ -412,6 +491,7 @@ serve(async (req) => {
               request_id: requestId,
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               timestamp: new Date(block.timestamp * 1000).toISOString(),
             },
             {
@@ -478,6 +558,7 @@ serve(async (req) => {
               amount: amount,
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               timestamp: new Date(block.timestamp * 1000).toISOString(),
             },
             {
@@ -524,6 +605,7 @@ serve(async (req) => {
               amount: amount,
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               timestamp: new Date(block.timestamp * 1000).toISOString(),
             },
             {
@@ -568,6 +650,7 @@ serve(async (req) => {
               event_name: 'PoolActivated',
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               log_index: event.logIndex,
               block_timestamp: new Date(block.timestamp * 1000).toISOString(),
               event_data: { activatedTimestamp },
@@ -628,6 +711,7 @@ serve(async (req) => {
               event_name: 'PoolEnded',
               block_number: event.blockNumber,
               transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
               log_index: event.logIndex,
               block_timestamp: new Date(block.timestamp * 1000).toISOString(),
               event_data: { endedTimestamp, actualDuration },
@@ -645,23 +729,354 @@ serve(async (req) => {
       }
     }
 
-    // Advance sync pointer
-    await supabase
-      .from('indexer_sync_state')
+    // Raw event log rows for the sections below — idempotent on (tx, log index)
+    const recordPoolEvent = (
+      event: ethers.Event,
+      eventName: string,
+      eventData: Record<string, unknown>
+    ) => supabase
+      .from('blockchain_events')
       .upsert(
         {
           chain_id: chainId,
-          contract_type: 'pool',
           contract_address: poolAddr,
-          last_indexed_block: endBlock,
-          last_block_hash: (await provider.getBlock(endBlock)).hash,
-          last_indexed_at: new Date().toISOString(),
-          is_healthy: true,
-          error_message: null,
+          event_name: eventName,
+          block_number: event.blockNumber,
+          transaction_hash: event.transactionHash,
+          status: eventStatus(event.blockNumber),
+          log_index: event.logIndex,
+          block_timestamp: new Date(blockMap.get(event.blockNumber)!.timestamp * 1000).toISOString(),
+          event_data: eventData,
         },
-        { onConflict: 'chain_id,contract_type,contract_address' }
+        {
+          onConflict: 'chain_id,transaction_hash,log_index',
+          ignoreDuplicates: true,
+        }
       );
 
+    // ============================================
+    // 8. Paused / Unpaused
+    // ============================================
+    console.log(`[Chain ${chainId}] Found ${pausedEvents.length} Paused, ${unpausedEvents.length} Unpaused events`);
+
+    const pauseToggles = [
+      ...pausedEvents.map((event) => ({ event, paused: true })),
+      ...unpausedEvents.map((event) => ({ event, paused: false })),
+    ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+    for (const { event, paused } of pauseToggles) {
+      try {
+        const account = event.args!.account.toLowerCase();
+        const block = blockMap.get(event.blockNumber)!;
+
+        await recordPoolEvent(event, paused ? 'Paused' : 'Unpaused', { account });
+
+        await supabase
+          .from('user_activity')
+          .upsert(
+            {
+              user_address: account,
+              chain_id: chainId,
+              activity_type: paused ? 'pool_paused' : 'pool_unpaused',
+              pool_address: poolAddr,
+              pool_name: poolName || null,
+              block_number: event.blockNumber,
+              transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
+              timestamp: new Date(block.timestamp * 1000).toISOString(),
+            },
+            {
+              onConflict: 'chain_id,transaction_hash,activity_type,user_address',
+              ignoreDuplicates: true,
+            }
+          );
+
+        eventsProcessed++;
+      } catch (err) {
+        console.error(`Error processing ${paused ? 'Paused' : 'Unpaused'} event:`, err);
+        errors++;
+      }
+    }
+
+    // Only the latest toggle decides the flag, and only if it is newer than the
+    // one already stored (a backfill of an older range must not flip it back).
+    if (pauseToggles.length > 0) {
+      const latest = pauseToggles[pauseToggles.length - 1];
+      const { data: pauseState } = await supabase
+        .from('pools')
+        .select('paused_changed_block')
+        .eq('address', poolAddr)
+        .eq('chain_id', chainId)
+        .single();
+
+      if (!pauseState?.paused_changed_block || latest.event.blockNumber >= pauseState.paused_changed_block) {
+        const block = blockMap.get(latest.event.blockNumber)!;
+        await supabase
+          .from('pools')
+          .update({
+            paused: latest.paused,
+            paused_at: latest.paused ? new Date(block.timestamp * 1000).toISOString() : null,
+            paused_changed_block: latest.event.blockNumber,
+          })
+          .eq('address', poolAddr)
+          .eq('chain_id', chainId);
+      }
+    }
+
+    // ============================================
+    // 9. SelectionStarted
+    // ============================================
+    console.log(`[Chain ${chainId}] Found ${selectionStartedEvents.length} SelectionStarted events`);
+
+    for (const event of selectionStartedEvents) {
+      try {
+        await recordPoolEvent(event, 'SelectionStarted', {
+          batchNumber: event.args!.batchNumber.toString(),
+          participantCount: event.args!.participantCount.toString(),
+          shuffleStartIndex: event.args!.shuffleStartIndex.toString(),
+          batchSize: event.args!.batchSize.toString(),
+        });
+        eventsProcessed++;
+      } catch (err) {
+        console.error('Error processing SelectionStarted event:', err);
+        errors++;
+      }
+    }
+
+    // selection_started_at marks the first batch; later batches don't move it
+    if (selectionStartedEvents.length > 0) {
+      const first = selectionStartedEvents.reduce((a, b) => (b.blockNumber < a.blockNumber ? b : a));
+      const { data: selectionState } = await supabase
+        .from('pools')
+        .select('selection_started_block')
+        .eq('address', poolAddr)
+        .eq('chain_id', chainId)
+        .single();
+
+      if (!selectionState?.selection_started_block || first.blockNumber < selectionState.selection_started_block) {
+        await supabase
+          .from('pools')
+          .update({
+            selection_started_at: new Date(blockMap.get(first.blockNumber)!.timestamp * 1000).toISOString(),
+            selection_started_block: first.blockNumber,
+          })
+          .eq('address', poolAddr)
+          .eq('chain_id', chainId);
+      }
+    }
+
+    // ============================================
+    // 10. MintingFailed
+    // ============================================
+    console.log(`[Chain ${chainId}] Found ${mintingFailedEvents.length} MintingFailed events`);
+
+    for (const event of mintingFailedEvents) {
+      try {
+        const winner = event.args!.winner.toLowerCase();
+        const reason = event.args!.reason || 'unknown';
+        const block = blockMap.get(event.blockNumber)!;
+
+        await recordPoolEvent(event, 'MintingFailed', { winner, reason });
+
+        await supabase
+          .from('user_activity')
+          .upsert(
+            {
+              user_address: winner,
+              chain_id: chainId,
+              activity_type: 'minting_failed',
+              pool_address: poolAddr,
+              pool_name: poolName || null,
+              reason,
+              block_number: event.blockNumber,
+              transaction_hash: event.transactionHash,
+              status: eventStatus(event.blockNumber),
+              timestamp: new Date(block.timestamp * 1000).toISOString(),
+            },
+            {
+              onConflict: 'chain_id,transaction_hash,activity_type,user_address',
+              ignoreDuplicates: true,
+            }
+          );
+
+        eventsProcessed++;
+      } catch (err) {
+        console.error('Error processing MintingFailed event:', err);
+        errors++;
+      }
+    }
+
+    // ============================================
+    // 11. BatchProcessingFailed / BatchProcessingFailedBytes
+    // ============================================
+    const batchFailures = [
+      ...batchFailedEvents.map((event) => ({
+        event,
+        name: 'BatchProcessingFailed',
+        reason: (event.args!.reason as string) || 'unknown',
+        data: {} as Record<string, unknown>,
+      })),
+      ...batchFailedBytesEvents.map((event) => ({
+        event,
+        name: 'BatchProcessingFailedBytes',
+        reason: decodeRevertReason(event.args!.lowLevelData),
+        data: { lowLevelData: event.args!.lowLevelData } as Record<string, unknown>,
+      })),
+    ];
+    console.log(`[Chain ${chainId}] Found ${batchFailures.length} BatchProcessingFailed events`);
+
+    // The failure events carry no caller, so attribute them to the tx sender
+    const batchTxSenders = new Map<string, string>();
+    if (batchFailures.length > 0) {
+      const uniqueTxs = [...new Set(batchFailures.map((f) => f.event.transactionHash))];
+      const txs = await Promise.all(uniqueTxs.map((hash) => provider.getTransaction(hash)));
+      uniqueTxs.forEach((hash, i) => {
+        if (txs[i]?.from) batchTxSenders.set(hash, txs[i].from.toLowerCase());
+      });
+    }
+
+    for (const { event, name, reason, data } of batchFailures) {
+      try {
+        const block = blockMap.get(event.blockNumber)!;
+        const sender = batchTxSenders.get(event.transactionHash);
+
+        await recordPoolEvent(event, name, { ...data, reason, sender: sender || null });
+
+        if (sender) {
+          await supabase
+            .from('user_activity')
+            .upsert(
+              {
+                user_address: sender,
+                chain_id: chainId,
+                activity_type: 'batch_failed',
+                pool_address: poolAddr,
+                pool_name: poolName || null,
+                reason,
+                block_number: event.blockNumber,
+                transaction_hash: event.transactionHash,
+                status: eventStatus(event.blockNumber),
+                timestamp: new Date(block.timestamp * 1000).toISOString(),
+              },
+              {
+                onConflict: 'chain_id,transaction_hash,activity_type,user_address',
+                ignoreDuplicates: true,
+              }
+            );
+        }
+
+        eventsProcessed++;
+      } catch (err) {
+        console.error(`Error processing ${name} event:`, err);
+        errors++;
+      }
+    }
+
+    // ============================================
+    // 12. Failure counters and per-winner mint status
+    // ============================================
+    // Absolute recount from the event log so re-runs and rollbacks stay
+    // consistent. A PrizeClaimed after a winner's latest MintingFailed means a
+    // batchMintToWinners retry went through.
+    if (mintingFailedEvents.length > 0 || batchFailures.length > 0 || prizeClaimedEvents.length > 0) {
+      const { data: failureEvents } = await supabase
+        .from('blockchain_events')
+        .select('event_name, block_number, log_index, event_data')
+        .eq('chain_id', chainId)
+        .eq('contract_address', poolAddr)
+        .in('event_name', ['MintingFailed', 'BatchProcessingFailed', 'BatchProcessingFailedBytes'])
+        .order('block_number', { ascending: true })
+        .order('log_index', { ascending: true });
+
+      const mintFailures = (failureEvents || []).filter((e: { event_name: string }) => e.event_name === 'MintingFailed');
+      const latestFailure = (failureEvents || [])[(failureEvents || []).length - 1];
+
+      const latestFailureByWinner = new Map<string, { block: number; reason: string }>();
+      for (const f of mintFailures) {
+        latestFailureByWinner.set(f.event_data.winner, { block: f.block_number, reason: f.event_data.reason });
+      }
+
+      if (latestFailureByWinner.size > 0) {
+        const { data: failedWinners } = await supabase
+          .from('pool_winners')
+          .select('winner_address, prize_claimed_block')
+          .eq('pool_address', poolAddr)
+          .eq('chain_id', chainId)
+          .in('winner_address', [...latestFailureByWinner.keys()]);
+
+        const recovered = new Set(
+          (failedWinners || [])
+            .filter((w: { winner_address: string; prize_claimed_block: number | null }) =>
+              (w.prize_claimed_block || 0) > latestFailureByWinner.get(w.winner_address)!.block)
+            .map((w: { winner_address: string }) => w.winner_address)
+        );
+
+        for (const [winner, failure] of latestFailureByWinner) {
+          const stillFailed = !recovered.has(winner);
+          await supabase
+            .from('pool_winners')
+            .update({
+              mint_failed: stillFailed,
+              mint_failure_reason: stillFailed ? failure.reason : null,
+            })
+            .eq('pool_address', poolAddr)
+            .eq('chain_id', chainId)
+            .eq('winner_address', winner);
+        }
+      }
+
+      await supabase
+        .from('pools')
+        .update({
+          failed_mint_count: mintFailures.length,
+          batch_failure_count: (failureEvents || []).length - mintFailures.length,
+          last_mint_failure_reason: latestFailure?.event_data.reason ?? null,
+        })
+        .eq('address', poolAddr)
+        .eq('chain_id', chainId);
+    }
+
+    // ============================================
+    // 13. Promote pending rows that are now below the finality line
+    // ============================================
+    const [{ count: promotedActivity }, { count: promotedEvents }] = await Promise.all([
+      supabase
+        .from('user_activity')
+        .update({ status: 'final' }, { count: 'exact' })
+        .eq('chain_id', chainId)
+        .eq('pool_address', poolAddr)
+        .eq('status', 'pending')
+        .lte('block_number', finalizedBlock),
+      supabase
+        .from('blockchain_events')
+        .update({ status: 'final' }, { count: 'exact' })
+        .eq('chain_id', chainId)
+        .eq('contract_address', poolAddr)
+        .eq('status', 'pending')
+        .lte('block_number', finalizedBlock),
+    ]);
+
+    // Advance sync pointer and checkpoint the tip hash for the next reorg check
+    if (!backfill) {
+      const endBlockHash = (await provider.getBlock(endBlock)).hash;
+      await supabase
+        .from('indexer_sync_state')
+        .upsert(
+          {
+            chain_id: chainId,
+            contract_type: 'pool',
+            contract_address: poolAddr,
+            last_indexed_block: endBlock,
+            last_block_hash: endBlockHash,
+            last_indexed_at: new Date().toISOString(),
+            is_healthy: true,
+            error_message: null,
+          },
+          { onConflict: 'chain_id,contract_type,contract_address' }
+        );
+      await recordCheckpoint(supabase, syncPointer, endBlock, endBlockHash);
+    }
+
     console.log(`[Chain ${chainId}] Pool indexing complete: ${eventsProcessed} events processed, ${errors} errors`);
 
     return new Response(
@@ -672,6 +1087,9 @@ serve(async (req) => {
         blocksScanned: { from: startBlock, to: endBlock },
         eventsProcessed,
         errors,
+        finalizedBlock,
+        promoted: { activity: promotedActivity || 0, events: promotedEvents || 0 },
+        reorg,
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
@@ -45,6 +45,9 @@ interface IndexRequest {
   chainId: number;
   fromBlock?: number;
   toBlock?: number | 'latest';
+  // Backfill runs (see index-orchestrator) scan an explicit historical range and
+  // must not move the live sync pointer.
+  backfill?: boolean;
 }
 
 serve(async (req) => {
@@ -57,7 +60,7 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    const { chainId, fromBlock, toBlock = 'latest' }: IndexRequest = await req.json();
+    const { chainId, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
 
     if (!chainId || !isSupportedNetwork(chainId)) {
       return new Response(
@@ -581,18 +584,20 @@ serve(async (req) => {
     }
 
     // Advance sync pointer
-    await supabase
-      .from('indexer_sync_state')
-      .upsert({
-        chain_id: chainId,
-        contract_type: 'rewards_flywheel',
-        contract_address: rewardsFlywheelAddress.toLowerCase(),
-        last_indexed_block: endBlock,
-        last_block_hash: (await provider.getBlock(endBlock)).hash,
-        last_indexed_at: new Date().toISOString(),
-        is_healthy: true,
-        error_message: null,
-      }, { onConflict: 'chain_id,contract_type,contract_address' });
+    if (!backfill) {
+      await supabase
+        .from('indexer_sync_state')
+        .upsert({
+          chain_id: chainId,
+          contract_type: 'rewards_flywheel',
+          contract_address: rewardsFlywheelAddress.toLowerCase(),
+          last_indexed_block: endBlock,
+          last_block_hash: (await provider.getBlock(endBlock)).hash,
+          last_indexed_at: new Date().toISOString(),
+          is_healthy: true,
+          error_message: null,
+        }, { onConflict: 'chain_id,contract_type,contract_address' });
+    }
 
     console.log(`[Chain ${chainId}] Indexing complete: ${successCount} successful, ${errorCount} errors`);
 
@@ -0,0 +1,468 @@
+// Supabase Edge Function: index-vrf-subscriptions
+// Indexes ProtocolManager VRF subscription lifecycle events into vrf_subscriptions,
+// vrf_subscription_consumers and vrf_subscription_fundings.
+// Tracks: subscription creation/registration/removal/cancellation, consumer pools,
+// LINK funding history.
+//
+// Design decisions:
+//   - total_funded, funding_count and consumer_count are recomputed from the
+//     child tables after each run (absolute values), so re-indexing is safe.
+//   - SubscriptionFunded and VRFSubscriptionCancelled carry no subscription id;
+//     they refer to the protocol's primary subscription, read at the event's block.
+//   - Consumer add/remove events go through apply_vrf_consumer_change, which
+//     ignores an event older than the consumer's last recorded add/remove.
+//   - Subscription status is reconciled against getAllSubscriptions() at the end
+//     of every run — the contract is the source of truth for active/removed.
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { ethers } from 'https://esm.sh/ethers@5.7.2';
+import { corsHeaders, fetchBlockMap } from '../_shared/helpers.ts';
+import { providerCache } from '../_shared/provider-cache.ts';
+import { getContractAddress, isContractConfigured, isSupportedNetwork } from '../_shared/networks.ts';
+
+const PROTOCOL_MANAGER_ABI = [
+  'event SubscriptionCreated(uint256 indexed subscriptionId)',
+  'event SubscriptionFunded(uint96 amount)',
+  'event SubscriptionFundedWithDetails(uint256 indexed subscriptionId, uint96 amount)',
+  'event SubscriptionPreAssigned(address indexed pool, uint256 indexed assignedSubscriptionId)',
+  'event VRFConsumerAddedToSubscription(address indexed consumer, uint256 indexed subscriptionId)',
+  'event VRFConsumerRemovedFromSubscription(address indexed consumer, uint256 indexed subscriptionId)',
+  'event VRFSubscriptionAdded(uint256 indexed subscriptionId, uint256 index)',
+  'event VRFSubscriptionRemoved(uint256 indexed subscriptionId)',
+  'event VRFSubscriptionCancelled()',
+  'event PoolRegistered(address indexed pool)',
+  'function getSubscriptionId() view returns (uint256)',
+  'function getAllSubscriptions() view returns (uint256[] ids, bool[] active, uint256[] consumerCounts)',
+];
+
+interface IndexRequest {
+  chainId: number;
+  fromBlock?: number;
+  toBlock?: number | 'latest';
+  // Backfill runs (see index-orchestrator) scan an explicit historical range and
+  // must not move the live sync pointer.
+  backfill?: boolean;
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    const { chainId, fromBlock, toBlock = 'latest', backfill = false }: IndexRequest = await req.json();
+
+    if (!chainId || !isSupportedNetwork(chainId)) {
+      return new Response(
+        JSON.stringify({ error: 'Missing or unsupported chainId' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const protocolManagerAddress = getContractAddress(chainId, 'protocolManager');
+    if (!isContractConfigured(protocolManagerAddress)) {
+      return new Response(
+        JSON.stringify({ error: `No ProtocolManager contract deployed on chain ${chainId}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const managerAddr = protocolManagerAddress!.toLowerCase();
+    console.log(`[Chain ${chainId}] Starting VRF subscription indexer for ProtocolManager at ${managerAddr}`);
+
+    const provider = providerCache.getProvider(chainId);
+    const protocolManager = new ethers.Contract(managerAddr, PROTOCOL_MANAGER_ABI, provider);
+
+    // Resume from last indexed block
+    const { data: syncState } = await supabase
+      .from('indexer_sync_state')
+      .select('last_indexed_block')
+      .eq('chain_id', chainId)
+      .eq('contract_type', 'protocol_manager')
+      .eq('contract_address', managerAddr)
+      .single();
+
+    const currentBlock = await provider.getBlockNumber();
+    const startBlock = fromBlock !== undefined
+      ? fromBlock
+      : (syncState?.last_indexed_block ? syncState.last_indexed_block + 1 : Math.max(0, currentBlock - 100000));
+    const endBlock = toBlock === 'latest' ? currentBlock : toBlock;
+
+    console.log(`[Chain ${chainId}] Scanning blocks ${startBlock} to ${endBlock}`);
+
+    // Query all event types in parallel
+    const [
+      createdEvents,
+      fundedEvents,
+      fundedWithDetailsEvents,
+      preAssignedEvents,
+      consumerAddedEvents,
+      consumerRemovedEvents,
+      subscriptionAddedEvents,
+      subscriptionRemovedEvents,
+      cancelledEvents,
+      poolRegisteredEvents,
+    ] = await Promise.all([
+      protocolManager.queryFilter(protocolManager.filters.SubscriptionCreated(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.SubscriptionFunded(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.SubscriptionFundedWithDetails(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.SubscriptionPreAssigned(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.VRFConsumerAddedToSubscription(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.VRFConsumerRemovedFromSubscription(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.VRFSubscriptionAdded(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.VRFSubscriptionRemoved(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.VRFSubscriptionCancelled(), startBlock, endBlock),
+      protocolManager.queryFilter(protocolManager.filters.PoolRegistered(), startBlock, endBlock),
+    ]);
+
+    const allEvents = [
+      ...createdEvents, ...fundedEvents, ...fundedWithDetailsEvents, ...preAssignedEvents,
+      ...consumerAddedEvents, ...consumerRemovedEvents, ...subscriptionAddedEvents,
+      ...subscriptionRemovedEvents, ...cancelledEvents, ...poolRegisteredEvents,
+    ];
+
+    console.log(`[Chain ${chainId}] Found ${allEvents.length} total events`);
+
+    // Batch-fetch all required blocks
+    const blockMap = await fetchBlockMap(provider, allEvents.map((e) => e.blockNumber));
+    const blockTime = (blockNumber: number) =>
+      new Date(blockMap.get(blockNumber)!.timestamp * 1000).toISOString();
+
+    // Subscriptions touched in this run — their aggregates are recomputed at the end
+    const touchedSubscriptions = new Set<string>();
+
+    // The primary subscription as of a given block, for events that don't name one.
+    // Falls back to the current value when the RPC cannot serve historical state.
+    const primarySubscriptionAt = async (blockNumber: number): Promise<string | null> => {
+      try {
+        const id = await protocolManager.getSubscriptionId({ blockTag: blockNumber });
+        return id.isZero() ? null : id.toString();
+      } catch {
+        const id = await protocolManager.getSubscriptionId().catch(() => null);
+        return id && !id.isZero() ? id.toString() : null;
+      }
+    };
+
+    // Creates the subscription row if this is the first event we see for it.
+    // Existing rows are left alone so a later event doesn't clobber created_*.
+    const ensureSubscription = async (subscriptionId: string, event: ethers.Event) => {
+      touchedSubscriptions.add(subscriptionId);
+      await supabase
+        .from('vrf_subscriptions')
+        .upsert({
+          chain_id: chainId,
+          subscription_id: subscriptionId,
+          protocol_manager: managerAddr,
+          created_block: event.blockNumber,
+          created_at: blockTime(event.blockNumber),
+          created_tx_hash: event.transactionHash,
+        }, { onConflict: 'chain_id,subscription_id', ignoreDuplicates: true });
+    };
+
+    const recordEvent = (event: ethers.Event, eventName: string, eventData: Record<string, unknown>) =>
+      supabase
+        .from('blockchain_events')
+        .upsert({
+          chain_id: chainId,
+          contract_address: managerAddr,
+          event_name: eventName,
+          block_number: event.blockNumber,
+          transaction_hash: event.transactionHash,
+          log_index: event.logIndex,
+          block_timestamp: blockTime(event.blockNumber),
+          event_data: eventData,
+        }, { onConflict: 'chain_id,transaction_hash,log_index', ignoreDuplicates: true });
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    // Process SubscriptionCreated / VRFSubscriptionAdded events
+    const registrations = [
+      ...createdEvents.map((event) => ({ event, name: 'SubscriptionCreated' })),
+      ...subscriptionAddedEvents.map((event) => ({ event, name: 'VRFSubscriptionAdded' })),
+    ];
+    for (const { event, name } of registrations) {
+      try {
+        const subscriptionId = event.args!.subscriptionId.toString();
+        await ensureSubscription(subscriptionId, event);
+        await recordEvent(event, name, {
+          subscriptionId,
+          ...(event.args!.index !== undefined ? { index: event.args!.index.toString() } : {}),
+        });
+        successCount++;
+      } catch (err) {
+        console.error(`Error processing ${name}:`, err);
+        errorCount++;
+      }
+    }
+
+    // Process SubscriptionFunded / SubscriptionFundedWithDetails events
+    const fundings = [
+      ...fundedEvents.map((event) => ({ event, name: 'SubscriptionFunded' })),
+      ...fundedWithDetailsEvents.map((event) => ({ event, name: 'SubscriptionFundedWithDetails' })),
+    ];
+    // A funding with details is usually emitted alongside the plain event in the
+    // same tx; skip the plain one then, or the amount is counted twice.
+    const detailedFundingTxs = new Set(fundedWithDetailsEvents.map((e) => e.transactionHash));
+
+    const fundingTxs = [...new Set(fundings.map((f) => f.event.transactionHash))];
+    const fundingTxList = await Promise.all(fundingTxs.map((hash) => provider.getTransaction(hash)));
+    const funders = new Map<string, string>();
+    fundingTxs.forEach((hash, i) => {
+      if (fundingTxList[i]?.from) funders.set(hash, fundingTxList[i].from.toLowerCase());
+    });
+
+    for (const { event, name } of fundings) {
+      try {
+        if (name === 'SubscriptionFunded' && detailedFundingTxs.has(event.transactionHash)) {
+          continue;
+        }
+
+        const subscriptionId = event.args!.subscriptionId !== undefined
+          ? event.args!.subscriptionId.toString()
+          : await primarySubscriptionAt(event.blockNumber);
+        if (!subscriptionId) {
+          console.warn(`[Chain ${chainId}] Could not attribute ${name} in tx ${event.transactionHash} to a subscription`);
+          continue;
+        }
+
+        const amount = event.args!.amount.toString();
+        await ensureSubscription(subscriptionId, event);
+        const { error: fundingError } = await supabase
+          .from('vrf_subscription_fundings')
+          .upsert({
+            chain_id: chainId,
+            subscription_id: subscriptionId,
+            amount,
+            funder: funders.get(event.transactionHash) || null,
+            block_number: event.blockNumber,
+            transaction_hash: event.transactionHash,
+            log_index: event.logIndex,
+            funded_at: blockTime(event.blockNumber),
+          }, { onConflict: 'chain_id,transaction_hash,log_index', ignoreDuplicates: true });
+        if (fundingError) {
+          console.error(`Error recording ${name} in tx ${event.transactionHash}:`, JSON.stringify(fundingError));
+          errorCount++;
+          continue;
+        }
+        await recordEvent(event, name, { subscriptionId, amount });
+
+        successCount++;
+      } catch (err) {
+        console.error(`Error processing ${name}:`, err);
+        errorCount++;
+      }
+    }
+
+    // Process consumer events in chain order so add → remove → add ends up active
+    const consumerChanges = [
+      ...preAssignedEvents.map((event) => ({ event, name: 'SubscriptionPreAssigned', active: true })),
+      ...consumerAddedEvents.map((event) => ({ event, name: 'VRFConsumerAddedToSubscription', active: true })),
+      ...consumerRemovedEvents.map((event) => ({ event, name: 'VRFConsumerRemovedFromSubscription', active: false })),
+    ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+    for (const { event, name, active } of consumerChanges) {
+      try {
+        const consumer = (event.args!.consumer ?? event.args!.pool).toLowerCase();
+        const subscriptionId = (event.args!.subscriptionId ?? event.args!.assignedSubscriptionId).toString();
+        await ensureSubscription(subscriptionId, event);
+
+        // Skipped when the consumer already has a later add / remove (see apply_vrf_consumer_change)
+        const { data: applied, error: changeError } = await supabase.rpc('apply_vrf_consumer_change', {
+          p_chain_id: chainId,
+          p_subscription_id: subscriptionId,
+          p_consumer_address: consumer,
+          p_active: active,
+          p_pre_assigned: name === 'SubscriptionPreAssigned',
+          p_block_number: event.blockNumber,
+          p_block_time: blockTime(event.blockNumber),
+          p_transaction_hash: event.transactionHash,
+        });
+        if (changeError) {
+          console.error(`Error applying ${name} for consumer ${consumer}:`, JSON.stringify(changeError));
+          errorCount++;
+          continue;
+        }
+        if (!applied) {
+          console.log(`[Chain ${chainId}] Skipped stale ${name} for ${consumer} at block ${event.blockNumber}`);
+        }
+
+        await recordEvent(event, name, { consumer, subscriptionId });
+        successCount++;
+      } catch (err) {
+        console.error(`Error processing ${name}:`, err);
+        errorCount++;
+      }
+    }
+
+    // Process VRFSubscriptionRemoved / VRFSubscriptionCancelled events
+    const terminations = [
+      ...subscriptionRemovedEvents.map((event) => ({ event, name: 'VRFSubscriptionRemoved', status: 'removed' })),
+      ...cancelledEvents.map((event) => ({ event, name: 'VRFSubscriptionCancelled', status: 'cancelled' })),
+    ];
+    for (const { event, name, status } of terminations) {
+      try {
+        // A cancelled subscription is gone by the end of its block — read the id just before
+        const subscriptionId = event.args!.subscriptionId !== undefined
+          ? event.args!.subscriptionId.toString()
+          : await primarySubscriptionAt(event.blockNumber - 1);
+        if (!subscriptionId) {
+          console.warn(`[Chain ${chainId}] Could not attribute ${name} in tx ${event.transactionHash} to a subscription`);
+          continue;
+        }
+
+        await ensureSubscription(subscriptionId, event);
+        await supabase
+          .from('vrf_subscriptions')
+          .update({
+            status,
+            removed_block: event.blockNumber,
+            removed_at: blockTime(event.blockNumber),
+          })
+          .eq('chain_id', chainId)
+          .eq('subscription_id', subscriptionId);
+
+        await recordEvent(event, name, { subscriptionId });
+        successCount++;
+      } catch (err) {
+        console.error(`Error processing ${name}:`, err);
+        errorCount++;
+      }
+    }
+
+    // Process PoolRegistered events (raw log only — pools come from index-pool-deployer)
+    for (const event of poolRegisteredEvents) {
+      try {
+        await recordEvent(event, 'PoolRegistered', { pool: event.args!.pool.toLowerCase() });
+        successCount++;
+      } catch (err) {
+        console.error('Error processing PoolRegistered:', err);
+        errorCount++;
+      }
+    }
+
+    // Recompute aggregates for touched subscriptions — absolute, not incremental
+    for (const subscriptionId of touchedSubscriptions) {
+      try {
+        const [{ data: fundingRows }, { count: activeConsumers }, { data: lastEvent }] = await Promise.all([
+          supabase
+            .from('vrf_subscription_fundings')
+            .select('amount')
+            .eq('chain_id', chainId)
+            .eq('subscription_id', subscriptionId),
+          supabase
+            .from('vrf_subscription_consumers')
+            .select('*', { count: 'exact', head: true })
+            .eq('chain_id', chainId)
+            .eq('subscription_id', subscriptionId)
+            .eq('is_active', true),
+          supabase
+            .from('blockchain_events')
+            .select('block_number')
+            .eq('chain_id', chainId)
+            .eq('contract_address', managerAddr)
+            .eq('event_data->>subscriptionId', subscriptionId)
+            .order('block_number', { ascending: false })
+            .limit(1),
+        ]);
+
+        const totalFunded = (fundingRows || []).reduce(
+          (sum: ethers.BigNumber, f: { amount: string }) => sum.add(f.amount),
+          ethers.BigNumber.from(0)
+        );
+
+        await supabase
+          .from('vrf_subscriptions')
+          .update({
+            total_funded: totalFunded.toString(),
+            funding_count: fundingRows?.length || 0,
+            consumer_count: activeConsumers || 0,
+            last_event_block: lastEvent?.[0]?.block_number ?? null,
+            updated_at: new Date().toISOString(),
+          })
+          .eq('chain_id', chainId)
+          .eq('subscription_id', subscriptionId);
+      } catch (err) {
+        console.warn(`Could not recompute aggregates for subscription ${subscriptionId}:`, err);
+      }
+    }
+
+    // Reconcile active/removed status with the contract's registry
+    try {
+      const { ids, active } = await protocolManager.getAllSubscriptions();
+      for (let i = 0; i < ids.length; i++) {
+        const subscriptionId = ids[i].toString();
+        const { data: existing } = await supabase
+          .from('vrf_subscriptions')
+          .select('status')
+          .eq('chain_id', chainId)
+          .eq('subscription_id', subscriptionId)
+          .single();
+
+        // Cancellation is terminal; the registry may still list the id
+        if (existing?.status === 'cancelled') continue;
+
+        await supabase
+          .from('vrf_subscriptions')
+          .upsert({
+            chain_id: chainId,
+            subscription_id: subscriptionId,
+            protocol_manager: managerAddr,
+            status: active[i] ? 'active' : 'removed',
+            updated_at: new Date().toISOString(),
+          }, { onConflict: 'chain_id,subscription_id' });
+      }
+    } catch (err) {
+      console.warn('Could not reconcile subscriptions with getAllSubscriptions():', err);
+    }
+
+    // Advance sync pointer
+    if (!backfill) {
+      await supabase
+        .from('indexer_sync_state')
+        .upsert({
+          chain_id: chainId,
+          contract_type: 'protocol_manager',
+          contract_address: managerAddr,
+          last_indexed_block: endBlock,
+          last_block_hash: (await provider.getBlock(endBlock)).hash,
+          last_indexed_at: new Date().toISOString(),
+          is_healthy: true,
+          error_message: null,
+        }, { onConflict: 'chain_id,contract_type,contract_address' });
+    }
+
+    console.log(`[Chain ${chainId}] VRF subscription indexing complete: ${successCount} successful, ${errorCount} errors`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        chainId,
+        blocksScanned: { from: startBlock, to: endBlock, total: endBlock - startBlock + 1 },
+        eventsFound: {
+          subscriptionsCreated: createdEvents.length + subscriptionAddedEvents.length,
+          fundings: fundedEvents.length + fundedWithDetailsEvents.length,
+          consumersAdded: consumerAddedEvents.length + preAssignedEvents.length,
+          consumersRemoved: consumerRemovedEvents.length,
+          subscriptionsRemoved: subscriptionRemovedEvents.length + cancelledEvents.length,
+          poolsRegistered: poolRegisteredEvents.length,
+          total: allEvents.length,
+        },
+        subscriptionsUpdated: touchedSubscriptions.size,
+        recordsProcessed: { success: successCount, errors: errorCount },
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('VRF subscription indexer error:', error);
+    return new Response(
+      JSON.stringify({ error: 'Indexing failed', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+});
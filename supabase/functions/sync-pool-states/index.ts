@@ -2,20 +2,144 @@
 // Actively fetches and syncs pool states from blockchain for all pools
 // Handles states that don't emit events: Pending, Unengaged, Deleted, AllPrizesClaimed
 // Also updates states for pools that may have missed event indexing
+// Stuck-draw watchdog: pools left in Drawing (3) without progress for longer than
+// the chain's threshold get draw_stuck_reason/details; cleared once they move on
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { ethers } from 'https://esm.sh/ethers@5.7.2';
 import { corsHeaders, verifyInternalAuth } from '../_shared/helpers.ts';
 import { providerCache } from '../_shared/provider-cache.ts';
-import { isSupportedNetwork } from '../_shared/networks.ts';
+import { isSupportedNetwork, getStuckDrawThresholdMs } from '../_shared/networks.ts';
 
 const POOL_ABI = [
   'function state() view returns (uint8)',
   'function winnersCount() view returns (uint256)',
   'function getWinners() view returns (address[])',
+  'function winnersSelected() view returns (uint256)',
+  'function randomRequested() view returns (bool)',
+  'function s_vrf_lastRequestId() view returns (uint256)',
+  'function poolSubscriptionId() view returns (uint256)',
+  'function i_vrfCoordinator() view returns (address)',
 ];
 
+// VRF v2.5 coordinator
+const VRF_COORDINATOR_ABI = [
+  'function getSubscription(uint256 subId) view returns (uint96 balance, uint96 nativeBalance, uint64 reqCount, address subOwner, address[] consumers)',
+];
+
+type StuckReason = 'randomness_not_requested' | 'awaiting_fulfilment' | 'batch_processing_failed';
+
+interface StuckDraw {
+  reason: StuckReason;
+  since: string;
+  details: Record<string, unknown>;
+}
+
+const latestTime = (...values: Array<string | null | undefined>): number =>
+  Math.max(0, ...values.filter(Boolean).map((v) => Date.parse(v!)).filter((t) => !isNaN(t)));
+
+/**
+ * Works out whether a Drawing pool has stalled and why. Progress is the latest
+ * of selection start, randomness request and winner selection; a failure
+ * logged after the latest request takes precedence over a pending request.
+ */
+async function detectStuckDraw(
+  supabase: any,
+  provider: ethers.providers.Provider,
+  chainId: number,
+  pool: { address: string; selection_started_at: string | null }
+): Promise<StuckDraw | null> {
+  const [requestResult, failureResult, winnerResult] = await Promise.all([
+    supabase
+      .from('user_activity')
+      .select('request_id, transaction_hash, timestamp')
+      .eq('chain_id', chainId)
+      .eq('pool_address', pool.address)
+      .eq('activity_type', 'randomness_requested')
+      .order('block_number', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('blockchain_events')
+      .select('event_data, transaction_hash, block_timestamp')
+      .eq('chain_id', chainId)
+      .eq('contract_address', pool.address)
+      .in('event_name', ['BatchProcessingFailed', 'BatchProcessingFailedBytes'])
+      .order('block_number', { ascending: false })
+      .order('log_index', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('pool_winners')
+      .select('selected_at')
+      .eq('chain_id', chainId)
+      .eq('pool_address', pool.address)
+      .order('selected_block', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+  const request = requestResult.data;
+  const failure = failureResult.data;
+  const lastWinner = winnerResult.data;
+
+  const lastProgress = latestTime(pool.selection_started_at, request?.timestamp, lastWinner?.selected_at);
+  if (lastProgress === 0 || Date.now() - lastProgress < getStuckDrawThresholdMs(chainId)) {
+    return null;
+  }
+
+  const poolContract = new ethers.Contract(pool.address, POOL_ABI, provider);
+  const [randomRequested, lastRequestId, winnersSelected, winnersCount, subscriptionId, coordinator] = await Promise.all([
+    poolContract.randomRequested(),
+    poolContract.s_vrf_lastRequestId().catch(() => null),
+    poolContract.winnersSelected(),
+    poolContract.winnersCount(),
+    poolContract.poolSubscriptionId().catch(() => null),
+    poolContract.i_vrfCoordinator().catch(() => null),
+  ]);
+
+  const details: Record<string, unknown> = {
+    winnersSelected: winnersSelected.toNumber(),
+    winnersCount: winnersCount.toNumber(),
+    randomRequested,
+    lastRequestId: lastRequestId?.toString() ?? request?.request_id ?? null,
+    requestTxHash: request?.transaction_hash ?? null,
+    requestedAt: request?.timestamp ?? null,
+  };
+
+  let reason: StuckReason;
+  const failedAfterRequest = failure && latestTime(failure.block_timestamp) >= latestTime(request?.timestamp);
+  if (failedAfterRequest) {
+    reason = 'batch_processing_failed';
+    details.failureReason = failure.event_data?.reason ?? null;
+    details.failureTxHash = failure.transaction_hash;
+    details.failedAt = failure.block_timestamp;
+  } else if (randomRequested) {
+    reason = 'awaiting_fulfilment';
+  } else if (winnersSelected.lt(winnersCount)) {
+    reason = 'randomness_not_requested';
+  } else {
+    // Every winner is drawn and nothing failed; the state change is just not synced yet
+    return null;
+  }
+
+  // Subscription balance is the usual cause of a missing fulfilment; record it either way
+  if (subscriptionId && coordinator && coordinator !== ethers.constants.AddressZero) {
+    details.subscriptionId = subscriptionId.toString();
+    details.vrfCoordinator = coordinator.toLowerCase();
+    try {
+      const vrf = new ethers.Contract(coordinator, VRF_COORDINATOR_ABI, provider);
+      const subscription = await vrf.getSubscription(subscriptionId);
+      details.subscriptionBalance = subscription.balance.toString();
+      details.subscriptionNativeBalance = subscription.nativeBalance.toString();
+    } catch (err) {
+      console.warn(`Could not read VRF subscription ${subscriptionId} for ${pool.address}:`, err.message);
+    }
+  }
+
+  return { reason, since: new Date(lastProgress).toISOString(), details };
+}
+
 interface SyncRequest {
   chainId: number;
   poolAddress?: string; // Optional: sync specific pool, otherwise sync all pools
@@ -47,7 +171,7 @@ serve(async (req) => {
     // Get pools to sync
     let query = supabase
       .from('pools')
-      .select('address, state, winners_selected')
+      .select('address, state, winners_selected, selection_started_at, draw_stuck_reason, draw_stuck_detected_at')
       .eq('chain_id', chainId);
 
     if (poolAddress) {
@@ -162,6 +286,51 @@ serve(async (req) => {
       }
     }
 
+    // Stuck-draw watchdog over the pools checked in this run
+    const stuckDraws: Array<{ address: string; reason: StuckReason; since: string }> = [];
+    for (const result of results) {
+      if (!result) continue;
+      const pool = pools.find((p) => p.address === result.address)!;
+
+      let stuck: StuckDraw | null = null;
+      if (result.onChainState === 3) {
+        try {
+          stuck = await detectStuckDraw(supabase, provider, chainId, pool);
+        } catch (err) {
+          console.error(`Stuck-draw check failed for ${pool.address}:`, err);
+          continue;
+        }
+      }
+
+      if (!stuck && !pool.draw_stuck_reason) continue;
+
+      const { error: watchdogError } = await supabase
+        .from('pools')
+        .update(stuck
+          ? {
+              draw_stuck_reason: stuck.reason,
+              draw_stuck_since: stuck.since,
+              draw_stuck_details: stuck.details,
+              // Keep the first detection time while the stall continues
+              draw_stuck_detected_at: pool.draw_stuck_reason ? pool.draw_stuck_detected_at : new Date().toISOString(),
+            }
+          : {
+              draw_stuck_reason: null,
+              draw_stuck_since: null,
+              draw_stuck_details: null,
+              draw_stuck_detected_at: null,
+            })
+        .eq('address', pool.address)
+        .eq('chain_id', chainId);
+
+      if (watchdogError) {
+        console.error(`Failed to update stuck-draw status for ${pool.address}:`, watchdogError);
+      } else if (stuck) {
+        console.warn(`⚠️ Draw stuck on ${pool.address}: ${stuck.reason} since ${stuck.since}`);
+        stuckDraws.push({ address: pool.address, reason: stuck.reason, since: stuck.since });
+      }
+    }
+
     console.log(`✅ Sync complete: ${synced} pools synced, ${errors} errors`);
 
     return new Response(
@@ -171,6 +340,7 @@ serve(async (req) => {
         poolsSynced: synced,
         errors,
         stateChanges,
+        stuckDraws,
         totalPoolsChecked: pools.length,
       }),
       { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
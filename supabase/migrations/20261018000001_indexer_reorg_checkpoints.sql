@@ -0,0 +1,257 @@
+-- ================================================
+-- INDEXER REORG CHECKPOINTS
+-- Stores the block hash of every indexed range tip so the pool indexers can
+-- detect chain reorganisations and roll back rows written from orphaned blocks.
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS indexer_block_checkpoints (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    contract_type TEXT NOT NULL,     -- matches indexer_sync_state.contract_type
+    contract_address TEXT NOT NULL,  -- matches indexer_sync_state.contract_address
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, contract_type, contract_address, block_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_checkpoints_lookup
+    ON indexer_block_checkpoints(chain_id, contract_type, contract_address, block_number DESC);
+
+ALTER TABLE indexer_block_checkpoints ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access to block checkpoints"
+    ON indexer_block_checkpoints
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to block checkpoints"
+    ON indexer_block_checkpoints
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- Reorg bookkeeping on the sync state row
+ALTER TABLE indexer_sync_state
+ADD COLUMN IF NOT EXISTS last_reorg_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_reorg_block BIGINT,
+ADD COLUMN IF NOT EXISTS reorg_count INTEGER DEFAULT 0;
+
+COMMENT ON TABLE indexer_block_checkpoints IS 'Block hash of each indexed range tip, used for reorg detection';
+COMMENT ON COLUMN indexer_sync_state.last_reorg_block IS 'Last common ancestor block the indexer rolled back to';
+
+-- ================================================
+-- rollback_pool_events
+-- Removes everything index-pool-events wrote for one pool above p_fork_block
+-- and rebuilds the accumulated participant/pool totals from what remains.
+-- Runs in a single transaction so readers never see a half-rolled-back pool.
+-- ================================================
+CREATE OR REPLACE FUNCTION rollback_pool_events(
+    p_chain_id INTEGER,
+    p_pool_address TEXT,
+    p_fork_block BIGINT
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_activity_removed INTEGER;
+    v_events_removed INTEGER;
+    v_winners_removed INTEGER;
+    v_participants_removed INTEGER;
+BEGIN
+    -- Participants touched by orphaned purchases, captured before their activity rows go away
+    CREATE TEMP TABLE _affected_participants ON COMMIT DROP AS
+    SELECT DISTINCT user_address
+    FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND activity_type IN ('slot_purchase', 'refund_claimed')
+      AND block_number > p_fork_block;
+
+    DELETE FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND block_number > p_fork_block
+      AND activity_type IN ('slot_purchase', 'prize_won', 'randomness_requested', 'prize_claimed', 'refund_claimed');
+    GET DIAGNOSTICS v_activity_removed = ROW_COUNT;
+
+    DELETE FROM blockchain_events
+    WHERE chain_id = p_chain_id
+      AND contract_address = p_pool_address
+      AND block_number > p_fork_block;
+    GET DIAGNOSTICS v_events_removed = ROW_COUNT;
+
+    DELETE FROM pool_winners
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND selected_block > p_fork_block;
+    GET DIAGNOSTICS v_winners_removed = ROW_COUNT;
+
+    UPDATE pool_winners
+    SET prize_claimed = false,
+        prize_claimed_at = NULL,
+        prize_claimed_block = NULL,
+        prize_claimed_tx_hash = NULL
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND prize_claimed_block > p_fork_block;
+
+    -- Rebuild slot totals for affected participants from surviving purchases
+    WITH totals AS (
+        SELECT
+            ua.user_address,
+            SUM(ua.quantity) AS slots,
+            SUM(COALESCE(ua.amount, '0')::numeric) AS spent,
+            MIN(ua.block_number) AS first_block,
+            MIN(ua.timestamp) AS first_at,
+            MAX(ua.block_number) AS last_block,
+            MAX(ua.timestamp) AS last_at
+        FROM user_activity ua
+        WHERE ua.chain_id = p_chain_id
+          AND ua.pool_address = p_pool_address
+          AND ua.activity_type = 'slot_purchase'
+          AND ua.user_address IN (SELECT user_address FROM _affected_participants)
+        GROUP BY ua.user_address
+    )
+    UPDATE pool_participants pp
+    SET slots_purchased = t.slots,
+        total_spent = t.spent::text,
+        first_purchase_block = t.first_block,
+        first_purchase_at = t.first_at,
+        last_purchase_block = t.last_block,
+        last_purchase_at = t.last_at,
+        updated_at = NOW()
+    FROM totals t
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.participant_address = t.user_address;
+
+    -- Participants whose only purchases were orphaned never existed on the canonical chain
+    DELETE FROM pool_participants pp
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.participant_address IN (SELECT user_address FROM _affected_participants)
+      AND NOT EXISTS (
+          SELECT 1 FROM user_activity ua
+          WHERE ua.chain_id = p_chain_id
+            AND ua.pool_address = p_pool_address
+            AND ua.activity_type = 'slot_purchase'
+            AND ua.user_address = pp.participant_address
+      );
+    GET DIAGNOSTICS v_participants_removed = ROW_COUNT;
+
+    UPDATE pool_participants pp
+    SET refund_claimed = false
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.refund_claimed = true
+      AND pp.participant_address IN (SELECT user_address FROM _affected_participants)
+      AND NOT EXISTS (
+          SELECT 1 FROM user_activity ua
+          WHERE ua.chain_id = p_chain_id
+            AND ua.pool_address = p_pool_address
+            AND ua.activity_type = 'refund_claimed'
+            AND ua.user_address = pp.participant_address
+      );
+
+    UPDATE pool_participants pp
+    SET wins_count = (
+        SELECT COUNT(*)
+        FROM pool_winners pw
+        WHERE pw.chain_id = pp.chain_id
+          AND pw.pool_address = pp.pool_address
+          AND pw.winner_address = pp.participant_address
+    )
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address;
+
+    -- Pool-level aggregates and lifecycle markers from orphaned blocks.
+    -- The state column itself is re-read from chain by sync-pool-states.
+    UPDATE pools p
+    SET slots_sold = COALESCE((
+            SELECT SUM(pp.slots_purchased)
+            FROM pool_participants pp
+            WHERE pp.chain_id = p.chain_id AND pp.pool_address = p.address
+        ), 0),
+        winners_selected = (
+            SELECT COUNT(*)
+            FROM pool_winners pw
+            WHERE pw.chain_id = p.chain_id AND pw.pool_address = p.address
+        ),
+        activated_at = CASE WHEN p.activated_block > p_fork_block THEN NULL ELSE p.activated_at END,
+        activated_block = CASE WHEN p.activated_block > p_fork_block THEN NULL ELSE p.activated_block END,
+        ended_at = CASE WHEN p.ended_block > p_fork_block THEN NULL ELSE p.ended_at END,
+        ended_block = CASE WHEN p.ended_block > p_fork_block THEN NULL ELSE p.ended_block END,
+        updated_at = NOW()
+    WHERE p.chain_id = p_chain_id
+      AND p.address = p_pool_address;
+
+    RETURN jsonb_build_object(
+        'activityRemoved', v_activity_removed,
+        'eventsRemoved', v_events_removed,
+        'winnersRemoved', v_winners_removed,
+        'participantsRemoved', v_participants_removed
+    );
+END;
+$$;
+
+-- ================================================
+-- rollback_pool_deployer
+-- Removes pools (and everything hanging off them) whose PoolCreated event
+-- was in an orphaned block on p_chain_id.
+-- ================================================
+CREATE OR REPLACE FUNCTION rollback_pool_deployer(
+    p_chain_id INTEGER,
+    p_fork_block BIGINT
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_pools_removed INTEGER;
+BEGIN
+    CREATE TEMP TABLE _orphaned_pools ON COMMIT DROP AS
+    SELECT address
+    FROM pools
+    WHERE chain_id = p_chain_id
+      AND created_at_block > p_fork_block;
+
+    DELETE FROM pool_participants
+    WHERE chain_id = p_chain_id AND pool_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM pool_winners
+    WHERE chain_id = p_chain_id AND pool_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND (
+          pool_address IN (SELECT address FROM _orphaned_pools)
+          OR (activity_type = 'raffle_created' AND block_number > p_fork_block)
+      );
+
+    DELETE FROM blockchain_events
+    WHERE chain_id = p_chain_id AND contract_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM indexer_sync_state
+    WHERE chain_id = p_chain_id
+      AND contract_type = 'pool'
+      AND contract_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM pools
+    WHERE chain_id = p_chain_id AND address IN (SELECT address FROM _orphaned_pools);
+    GET DIAGNOSTICS v_pools_removed = ROW_COUNT;
+
+    RETURN jsonb_build_object('poolsRemoved', v_pools_removed);
+END;
+$$;
+
+-- Destructive helpers: only the indexers (service role) may call them
+REVOKE EXECUTE ON FUNCTION rollback_pool_events FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rollback_pool_deployer FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rollback_pool_events TO service_role;
+GRANT EXECUTE ON FUNCTION rollback_pool_deployer TO service_role;
@@ -0,0 +1,33 @@
+-- Migration: Confirmation-depth aware event status
+-- Purpose: index-pool-events writes events newer than (head - confirmations) as
+-- 'pending' and promotes them to 'final' once they are buried deep enough.
+-- Rows indexed before this migration are treated as final.
+
+ALTER TABLE user_activity
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'final'
+    CHECK (status IN ('pending', 'final'));
+
+ALTER TABLE blockchain_events
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'final'
+    CHECK (status IN ('pending', 'final'));
+
+-- Partial indexes: the promotion pass only ever looks for pending rows
+CREATE INDEX IF NOT EXISTS idx_activity_pending
+    ON user_activity(chain_id, pool_address, block_number)
+    WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_events_pending
+    ON blockchain_events(chain_id, contract_address, block_number)
+    WHERE status = 'pending';
+
+COMMENT ON COLUMN user_activity.status IS 'pending = above the chain confirmation depth, final = confirmed';
+COMMENT ON COLUMN blockchain_events.status IS 'pending = above the chain confirmation depth, final = confirmed';
+
+-- Pending -> final promotions are UPDATEs; publish them so the detail page can
+-- clear its "unconfirmed" badges live. Ignore if the table is already published.
+DO $$
+BEGIN
+  ALTER PUBLICATION supabase_realtime ADD TABLE user_activity;
+EXCEPTION WHEN duplicate_object THEN
+  NULL;
+END $$;
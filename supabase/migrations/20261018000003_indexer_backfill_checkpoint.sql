@@ -0,0 +1,10 @@
+-- Migration: Resumable historical backfill checkpoints
+-- Purpose: index-orchestrator's backfill mode stores its cursor in
+-- indexer_sync_state with contract_type = 'backfill'. last_indexed_block is the
+-- last fully processed chunk end; target_block is the head captured when the
+-- backfill started, so a resumed run finishes the same range.
+
+ALTER TABLE indexer_sync_state
+ADD COLUMN IF NOT EXISTS target_block BIGINT;
+
+COMMENT ON COLUMN indexer_sync_state.target_block IS 'Backfill rows only: block the backfill walks up to';
@@ -0,0 +1,263 @@
+-- Migration: Pause, selection and mint-failure pool events
+-- Purpose: index-pool-events now also indexes Paused/Unpaused, SelectionStarted,
+-- MintingFailed and BatchProcessingFailed(Bytes). Their effects are mirrored on
+-- pools / pool_winners so creators can spot a failed batch mint and retry it via
+-- batchMintToWinners.
+
+ALTER TABLE pools
+ADD COLUMN IF NOT EXISTS paused BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS paused_changed_block BIGINT,
+ADD COLUMN IF NOT EXISTS selection_started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS selection_started_block BIGINT,
+ADD COLUMN IF NOT EXISTS failed_mint_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS batch_failure_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_mint_failure_reason TEXT;
+
+ALTER TABLE pool_winners
+ADD COLUMN IF NOT EXISTS mint_failed BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS mint_failure_reason TEXT;
+
+-- Decoded revert reason for 'minting_failed' / 'batch_failed' activity
+ALTER TABLE user_activity
+ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_winners_mint_failed
+    ON pool_winners(pool_address, chain_id)
+    WHERE mint_failed = true;
+
+COMMENT ON COLUMN pools.paused_changed_block IS 'Block of the Paused/Unpaused event the paused flag reflects';
+COMMENT ON COLUMN pools.failed_mint_count IS 'Number of MintingFailed events emitted by the pool';
+COMMENT ON COLUMN pools.batch_failure_count IS 'Number of BatchProcessingFailed / BatchProcessingFailedBytes events';
+COMMENT ON COLUMN pool_winners.mint_failed IS 'Latest mint to this winner failed and has not been retried successfully';
+COMMENT ON COLUMN user_activity.reason IS 'Decoded revert reason for minting_failed / batch_failed activity';
+
+-- ================================================
+-- rollback_pool_events
+-- Same as 20261018000001, extended to the new activity types and to rebuild
+-- the pause / selection / failure columns from the surviving event log.
+-- ================================================
+CREATE OR REPLACE FUNCTION rollback_pool_events(
+    p_chain_id INTEGER,
+    p_pool_address TEXT,
+    p_fork_block BIGINT
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_activity_removed INTEGER;
+    v_events_removed INTEGER;
+    v_winners_removed INTEGER;
+    v_participants_removed INTEGER;
+BEGIN
+    -- Participants touched by orphaned purchases, captured before their activity rows go away
+    CREATE TEMP TABLE _affected_participants ON COMMIT DROP AS
+    SELECT DISTINCT user_address
+    FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND activity_type IN ('slot_purchase', 'refund_claimed')
+      AND block_number > p_fork_block;
+
+    DELETE FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND block_number > p_fork_block
+      AND activity_type IN (
+          'slot_purchase', 'prize_won', 'randomness_requested', 'prize_claimed', 'refund_claimed',
+          'pool_paused', 'pool_unpaused', 'minting_failed', 'batch_failed'
+      );
+    GET DIAGNOSTICS v_activity_removed = ROW_COUNT;
+
+    DELETE FROM blockchain_events
+    WHERE chain_id = p_chain_id
+      AND contract_address = p_pool_address
+      AND block_number > p_fork_block;
+    GET DIAGNOSTICS v_events_removed = ROW_COUNT;
+
+    DELETE FROM pool_winners
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND selected_block > p_fork_block;
+    GET DIAGNOSTICS v_winners_removed = ROW_COUNT;
+
+    UPDATE pool_winners
+    SET prize_claimed = false,
+        prize_claimed_at = NULL,
+        prize_claimed_block = NULL,
+        prize_claimed_tx_hash = NULL
+    WHERE chain_id = p_chain_id
+      AND pool_address = p_pool_address
+      AND prize_claimed_block > p_fork_block;
+
+    -- Rebuild slot totals for affected participants from surviving purchases
+    WITH totals AS (
+        SELECT
+            ua.user_address,
+            SUM(ua.quantity) AS slots,
+            SUM(COALESCE(ua.amount, '0')::numeric) AS spent,
+            MIN(ua.block_number) AS first_block,
+            MIN(ua.timestamp) AS first_at,
+            MAX(ua.block_number) AS last_block,
+            MAX(ua.timestamp) AS last_at
+        FROM user_activity ua
+        WHERE ua.chain_id = p_chain_id
+          AND ua.pool_address = p_pool_address
+          AND ua.activity_type = 'slot_purchase'
+          AND ua.user_address IN (SELECT user_address FROM _affected_participants)
+        GROUP BY ua.user_address
+    )
+    UPDATE pool_participants pp
+    SET slots_purchased = t.slots,
+        total_spent = t.spent::text,
+        first_purchase_block = t.first_block,
+        first_purchase_at = t.first_at,
+        last_purchase_block = t.last_block,
+        last_purchase_at = t.last_at,
+        updated_at = NOW()
+    FROM totals t
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.participant_address = t.user_address;
+
+    -- Participants whose only purchases were orphaned never existed on the canonical chain
+    DELETE FROM pool_participants pp
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.participant_address IN (SELECT user_address FROM _affected_participants)
+      AND NOT EXISTS (
+          SELECT 1 FROM user_activity ua
+          WHERE ua.chain_id = p_chain_id
+            AND ua.pool_address = p_pool_address
+            AND ua.activity_type = 'slot_purchase'
+            AND ua.user_address = pp.participant_address
+      );
+    GET DIAGNOSTICS v_participants_removed = ROW_COUNT;
+
+    UPDATE pool_participants pp
+    SET refund_claimed = false
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address
+      AND pp.refund_claimed = true
+      AND pp.participant_address IN (SELECT user_address FROM _affected_participants)
+      AND NOT EXISTS (
+          SELECT 1 FROM user_activity ua
+          WHERE ua.chain_id = p_chain_id
+            AND ua.pool_address = p_pool_address
+            AND ua.activity_type = 'refund_claimed'
+            AND ua.user_address = pp.participant_address
+      );
+
+    UPDATE pool_participants pp
+    SET wins_count = (
+        SELECT COUNT(*)
+        FROM pool_winners pw
+        WHERE pw.chain_id = pp.chain_id
+          AND pw.pool_address = pp.pool_address
+          AND pw.winner_address = pp.participant_address
+    )
+    WHERE pp.chain_id = p_chain_id
+      AND pp.pool_address = p_pool_address;
+
+    -- Per-winner mint status from the latest surviving MintingFailed
+    UPDATE pool_winners pw
+    SET mint_failed = lf.block_number IS NOT NULL
+            AND COALESCE(pw.prize_claimed_block, 0) <= lf.block_number,
+        mint_failure_reason = CASE
+            WHEN lf.block_number IS NOT NULL AND COALESCE(pw.prize_claimed_block, 0) <= lf.block_number
+            THEN lf.reason
+        END
+    FROM (
+        SELECT w.winner_address, f.block_number, f.reason
+        FROM (
+            SELECT DISTINCT winner_address
+            FROM pool_winners
+            WHERE chain_id = p_chain_id AND pool_address = p_pool_address AND mint_failed = true
+        ) w
+        LEFT JOIN LATERAL (
+            SELECT be.block_number, be.event_data->>'reason' AS reason
+            FROM blockchain_events be
+            WHERE be.chain_id = p_chain_id
+              AND be.contract_address = p_pool_address
+              AND be.event_name = 'MintingFailed'
+              AND be.event_data->>'winner' = w.winner_address
+            ORDER BY be.block_number DESC, be.log_index DESC
+            LIMIT 1
+        ) f ON true
+    ) lf
+    WHERE pw.chain_id = p_chain_id
+      AND pw.pool_address = p_pool_address
+      AND pw.winner_address = lf.winner_address;
+
+    -- Pool-level aggregates and lifecycle markers from orphaned blocks.
+    -- The state column itself is re-read from chain by sync-pool-states.
+    UPDATE pools p
+    SET slots_sold = COALESCE((
+            SELECT SUM(pp.slots_purchased)
+            FROM pool_participants pp
+            WHERE pp.chain_id = p.chain_id AND pp.pool_address = p.address
+        ), 0),
+        winners_selected = (
+            SELECT COUNT(*)
+            FROM pool_winners pw
+            WHERE pw.chain_id = p.chain_id AND pw.pool_address = p.address
+        ),
+        activated_at = CASE WHEN p.activated_block > p_fork_block THEN NULL ELSE p.activated_at END,
+        activated_block = CASE WHEN p.activated_block > p_fork_block THEN NULL ELSE p.activated_block END,
+        ended_at = CASE WHEN p.ended_block > p_fork_block THEN NULL ELSE p.ended_at END,
+        ended_block = CASE WHEN p.ended_block > p_fork_block THEN NULL ELSE p.ended_block END,
+        selection_started_at = CASE WHEN p.selection_started_block > p_fork_block THEN NULL ELSE p.selection_started_at END,
+        selection_started_block = CASE WHEN p.selection_started_block > p_fork_block THEN NULL ELSE p.selection_started_block END,
+        failed_mint_count = (
+            SELECT COUNT(*) FROM blockchain_events be
+            WHERE be.chain_id = p.chain_id AND be.contract_address = p.address
+              AND be.event_name = 'MintingFailed'
+        ),
+        batch_failure_count = (
+            SELECT COUNT(*) FROM blockchain_events be
+            WHERE be.chain_id = p.chain_id AND be.contract_address = p.address
+              AND be.event_name IN ('BatchProcessingFailed', 'BatchProcessingFailedBytes')
+        ),
+        last_mint_failure_reason = (
+            SELECT be.event_data->>'reason' FROM blockchain_events be
+            WHERE be.chain_id = p.chain_id AND be.contract_address = p.address
+              AND be.event_name IN ('MintingFailed', 'BatchProcessingFailed', 'BatchProcessingFailedBytes')
+            ORDER BY be.block_number DESC, be.log_index DESC
+            LIMIT 1
+        ),
+        updated_at = NOW()
+    WHERE p.chain_id = p_chain_id
+      AND p.address = p_pool_address;
+
+    -- Pause flag falls back to the latest surviving toggle
+    UPDATE pools p
+    SET paused = COALESCE(lt.event_name = 'Paused', false),
+        paused_at = CASE WHEN lt.event_name = 'Paused' THEN lt.block_timestamp END,
+        paused_changed_block = lt.block_number
+    FROM (SELECT 1) one
+    LEFT JOIN LATERAL (
+        SELECT be.event_name, be.block_number, be.block_timestamp
+        FROM blockchain_events be
+        WHERE be.chain_id = p_chain_id
+          AND be.contract_address = p_pool_address
+          AND be.event_name IN ('Paused', 'Unpaused')
+        ORDER BY be.block_number DESC, be.log_index DESC
+        LIMIT 1
+    ) lt ON true
+    WHERE p.chain_id = p_chain_id
+      AND p.address = p_pool_address
+      AND p.paused_changed_block > p_fork_block;
+
+    RETURN jsonb_build_object(
+        'activityRemoved', v_activity_removed,
+        'eventsRemoved', v_events_removed,
+        'winnersRemoved', v_winners_removed,
+        'participantsRemoved', v_participants_removed
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION rollback_pool_events FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rollback_pool_events TO service_role;
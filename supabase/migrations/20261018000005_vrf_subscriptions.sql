@@ -0,0 +1,115 @@
+-- ================================================
+-- VRF SUBSCRIPTIONS SCHEMA
+-- ProtocolManager VRF subscription lifecycle, indexed by index-vrf-subscriptions:
+-- every subscription, the pools consuming it, and its funding history.
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS vrf_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    subscription_id TEXT NOT NULL,   -- uint256, stored as decimal string
+    protocol_manager TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'removed', 'cancelled')),
+    total_funded TEXT NOT NULL DEFAULT '0',  -- LINK (juels), sum of vrf_subscription_fundings
+    funding_count INTEGER NOT NULL DEFAULT 0,
+    consumer_count INTEGER NOT NULL DEFAULT 0,  -- active consumers
+    created_block BIGINT,
+    created_at TIMESTAMPTZ,
+    created_tx_hash TEXT,
+    removed_block BIGINT,
+    removed_at TIMESTAMPTZ,
+    last_event_block BIGINT,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, subscription_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vrf_subscriptions_status ON vrf_subscriptions(chain_id, status);
+
+CREATE TABLE IF NOT EXISTS vrf_subscription_consumers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    subscription_id TEXT NOT NULL,
+    consumer_address TEXT NOT NULL,  -- pool contract
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    pre_assigned BOOLEAN NOT NULL DEFAULT false,  -- via SubscriptionPreAssigned before deployment
+    added_block BIGINT,
+    added_at TIMESTAMPTZ,
+    added_tx_hash TEXT,
+    removed_block BIGINT,
+    removed_at TIMESTAMPTZ,
+    removed_tx_hash TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, subscription_id, consumer_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vrf_consumers_consumer ON vrf_subscription_consumers(chain_id, consumer_address);
+CREATE INDEX IF NOT EXISTS idx_vrf_consumers_active
+    ON vrf_subscription_consumers(chain_id, subscription_id)
+    WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS vrf_subscription_fundings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    subscription_id TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    funder TEXT,  -- tx sender
+    block_number BIGINT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    funded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, transaction_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vrf_fundings_subscription
+    ON vrf_subscription_fundings(chain_id, subscription_id, block_number DESC);
+
+-- Enable Row Level Security
+ALTER TABLE vrf_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vrf_subscription_consumers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vrf_subscription_fundings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access to vrf subscriptions"
+    ON vrf_subscriptions
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to vrf subscriptions"
+    ON vrf_subscriptions
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Public read access to vrf subscription consumers"
+    ON vrf_subscription_consumers
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to vrf subscription consumers"
+    ON vrf_subscription_consumers
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Public read access to vrf subscription fundings"
+    ON vrf_subscription_fundings
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to vrf subscription fundings"
+    ON vrf_subscription_fundings
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+COMMENT ON TABLE vrf_subscriptions IS 'ProtocolManager VRF subscriptions and their lifecycle status';
+COMMENT ON TABLE vrf_subscription_consumers IS 'Pools added to (or removed from) a VRF subscription';
+COMMENT ON TABLE vrf_subscription_fundings IS 'LINK funding history per VRF subscription';
+COMMENT ON COLUMN indexer_sync_state.contract_type IS 'Type of contract being indexed: pool_deployer, nft_factory, rewards_flywheel, protocol_manager, pool';
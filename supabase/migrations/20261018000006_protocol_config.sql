@@ -0,0 +1,159 @@
+-- ================================================
+-- PROTOCOL CONFIG SCHEMA
+-- PoolDeployer configuration (fees, duration/slot limits, gating, creation pause,
+-- pool implementation) as indexed by index-pool-deployer.
+--   protocol_config          - current config per chain, refreshed from the contract
+--   protocol_config_history  - one row per config event (audit trail)
+--   protocol_config_versions - history numbered in chain order
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS protocol_config (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    pool_deployer TEXT NOT NULL,
+    slot_fee TEXT,
+    protocol_fee_percentage INTEGER,
+    creation_fee_percentage INTEGER,
+    social_engagement_fee TEXT,
+    min_pool_duration BIGINT,
+    max_pool_duration BIGINT,
+    min_slot_limit_prized BIGINT,
+    min_slot_limit_non_prized BIGINT,
+    max_slot_limit BIGINT,
+    gating_enabled BOOLEAN DEFAULT false,
+    gating_token TEXT,
+    min_gating_token_balance TEXT,
+    creation_paused BOOLEAN DEFAULT false,
+    pool_implementation TEXT,
+    synced_block BIGINT,         -- head block the values were read at
+    last_event_block BIGINT,     -- latest config event seen
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, pool_deployer)
+);
+
+CREATE TABLE IF NOT EXISTS protocol_config_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    pool_deployer TEXT NOT NULL,
+    event_name TEXT NOT NULL,
+    -- Only the fields the event sets, keyed like protocol_config columns
+    changes JSONB NOT NULL,
+    block_number BIGINT NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    changed_by TEXT,  -- tx sender
+    changed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, transaction_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_config_history_chain_block
+    ON protocol_config_history(chain_id, pool_deployer, block_number DESC, log_index DESC);
+CREATE INDEX IF NOT EXISTS idx_config_history_event
+    ON protocol_config_history(chain_id, event_name);
+
+CREATE OR REPLACE VIEW protocol_config_versions
+WITH (security_invoker = true) AS
+SELECT
+    h.*,
+    ROW_NUMBER() OVER (
+        PARTITION BY h.chain_id, h.pool_deployer
+        ORDER BY h.block_number, h.log_index
+    ) AS version
+FROM protocol_config_history h;
+
+-- Enable Row Level Security
+ALTER TABLE protocol_config ENABLE ROW LEVEL SECURITY;
+ALTER TABLE protocol_config_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access to protocol config"
+    ON protocol_config
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to protocol config"
+    ON protocol_config
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Public read access to protocol config history"
+    ON protocol_config_history
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to protocol config history"
+    ON protocol_config_history
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+GRANT SELECT ON protocol_config_versions TO authenticated, anon, service_role;
+
+COMMENT ON TABLE protocol_config IS 'Current PoolDeployer configuration per chain';
+COMMENT ON TABLE protocol_config_history IS 'PoolDeployer configuration change events';
+COMMENT ON VIEW protocol_config_versions IS 'protocol_config_history numbered in chain order (version 1 = oldest change)';
+
+-- ================================================
+-- rollback_pool_deployer
+-- Same as 20261018000001, plus config history from orphaned blocks. The current
+-- config row is re-read from the contract by the indexer after a rollback.
+-- ================================================
+CREATE OR REPLACE FUNCTION rollback_pool_deployer(
+    p_chain_id INTEGER,
+    p_fork_block BIGINT
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_pools_removed INTEGER;
+    v_config_removed INTEGER;
+BEGIN
+    CREATE TEMP TABLE _orphaned_pools ON COMMIT DROP AS
+    SELECT address
+    FROM pools
+    WHERE chain_id = p_chain_id
+      AND created_at_block > p_fork_block;
+
+    DELETE FROM pool_participants
+    WHERE chain_id = p_chain_id AND pool_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM pool_winners
+    WHERE chain_id = p_chain_id AND pool_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM user_activity
+    WHERE chain_id = p_chain_id
+      AND (
+          pool_address IN (SELECT address FROM _orphaned_pools)
+          OR (activity_type = 'raffle_created' AND block_number > p_fork_block)
+      );
+
+    DELETE FROM blockchain_events
+    WHERE chain_id = p_chain_id AND contract_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM indexer_sync_state
+    WHERE chain_id = p_chain_id
+      AND contract_type = 'pool'
+      AND contract_address IN (SELECT address FROM _orphaned_pools);
+
+    DELETE FROM pools
+    WHERE chain_id = p_chain_id AND address IN (SELECT address FROM _orphaned_pools);
+    GET DIAGNOSTICS v_pools_removed = ROW_COUNT;
+
+    DELETE FROM protocol_config_history
+    WHERE chain_id = p_chain_id
+      AND block_number > p_fork_block;
+    GET DIAGNOSTICS v_config_removed = ROW_COUNT;
+
+    RETURN jsonb_build_object('poolsRemoved', v_pools_removed, 'configChangesRemoved', v_config_removed);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION rollback_pool_deployer FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rollback_pool_deployer TO service_role;
@@ -0,0 +1,21 @@
+-- ================================================
+-- POOLS CURSOR SORT KEYS
+-- api-pools pages with opaque cursors keyed on (sort column, address).
+-- slot_fee is stored as a wei string, which sorts lexically ("9" > "10"), so a
+-- numeric copy is generated for ordering and cursor comparisons.
+-- ================================================
+
+ALTER TABLE pools
+    ADD COLUMN IF NOT EXISTS slot_fee_wei NUMERIC GENERATED ALWAYS AS (slot_fee::numeric) STORED;
+
+-- One index per supported sortBy, with address as the tie-breaker
+CREATE INDEX IF NOT EXISTS idx_pools_cursor_created
+    ON pools(chain_id, created_at_timestamp, address);
+CREATE INDEX IF NOT EXISTS idx_pools_cursor_start_time
+    ON pools(chain_id, start_time, address);
+CREATE INDEX IF NOT EXISTS idx_pools_cursor_slots_sold
+    ON pools(chain_id, slots_sold, address);
+CREATE INDEX IF NOT EXISTS idx_pools_cursor_slot_fee
+    ON pools(chain_id, slot_fee_wei, address);
+
+COMMENT ON COLUMN pools.slot_fee_wei IS 'slot_fee as NUMERIC, used for sorting (generated)';
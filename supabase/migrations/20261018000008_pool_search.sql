@@ -0,0 +1,295 @@
+-- ================================================
+-- POOL SEARCH
+-- Ranked full-text search (with trigram fallback) for api-pools ?search=.
+-- Each pool carries a search document built from its name, prize collection
+-- name/symbol, description (pools or pool_metadata_cache) and creator labels;
+-- triggers keep it current when any of those sources change.
+-- ================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+-- Written by index-pool-deployer (PoolMetadataSet)
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS description TEXT;
+
+ALTER TABLE pools
+    ADD COLUMN IF NOT EXISTS search_vector tsvector,
+    ADD COLUMN IF NOT EXISTS search_text TEXT;  -- lowercased name/collection/labels for trigram matching
+
+-- Human-readable labels for addresses (ENS names, verified handles), matched
+-- against pool creators. Written by the service role.
+CREATE TABLE IF NOT EXISTS address_labels (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    address TEXT NOT NULL,
+    label TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'manual',  -- e.g. 'ens', 'manual'
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(address, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_address_labels_address ON address_labels(address);
+
+ALTER TABLE address_labels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access to address labels"
+    ON address_labels
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to address labels"
+    ON address_labels
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- ================================================
+-- pool_search_document
+-- Weights: A = pool name, B = collection name/symbol, C = description,
+-- D = creator labels. Uses the 'simple' config so names are not stemmed;
+-- queries use prefix matching instead.
+-- ================================================
+CREATE OR REPLACE FUNCTION pool_search_document(
+    p_chain_id INTEGER,
+    p_address TEXT,
+    p_name TEXT,
+    p_description TEXT,
+    p_creator TEXT,
+    p_prize_collection TEXT,
+    OUT search_vector tsvector,
+    OUT search_text TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+    v_description TEXT := NULLIF(p_description, '');
+    v_collection TEXT;
+    v_labels TEXT;
+BEGIN
+    IF v_description IS NULL THEN
+        SELECT NULLIF(m.description, '') INTO v_description
+        FROM pool_metadata_cache m
+        WHERE m.pool_address = p_address AND m.chain_id = p_chain_id;
+    END IF;
+
+    IF p_prize_collection IS NOT NULL THEN
+        SELECT NULLIF(concat_ws(' ', c.name, c.symbol), '') INTO v_collection
+        FROM collections c
+        WHERE c.address = lower(p_prize_collection) AND c.chain_id = p_chain_id;
+    END IF;
+
+    SELECT string_agg(l.label, ' ') INTO v_labels
+    FROM address_labels l
+    WHERE l.address = lower(p_creator);
+
+    search_vector :=
+        setweight(to_tsvector('simple', coalesce(p_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(v_collection, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(v_description, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(v_labels, '')), 'D');
+    search_text := lower(concat_ws(' ', p_name, v_collection, v_labels));
+END;
+$$;
+
+-- Pools: rebuild on insert and when a source column actually changes
+CREATE OR REPLACE FUNCTION pools_refresh_search_document()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+       AND NEW.name IS NOT DISTINCT FROM OLD.name
+       AND NEW.description IS NOT DISTINCT FROM OLD.description
+       AND NEW.creator IS NOT DISTINCT FROM OLD.creator
+       AND NEW.prize_collection IS NOT DISTINCT FROM OLD.prize_collection
+       AND NEW.search_vector IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT d.search_vector, d.search_text
+    INTO NEW.search_vector, NEW.search_text
+    FROM pool_search_document(NEW.chain_id, NEW.address, NEW.name, NEW.description, NEW.creator, NEW.prize_collection) d;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_pools_search_document ON pools;
+CREATE TRIGGER trg_pools_search_document
+    BEFORE INSERT OR UPDATE OF name, description, creator, prize_collection ON pools
+    FOR EACH ROW
+    EXECUTE FUNCTION pools_refresh_search_document();
+
+-- Related tables: recompute the affected pools in place. These UPDATEs do not
+-- touch the columns above, so the pools trigger does not fire again.
+CREATE OR REPLACE FUNCTION refresh_related_pool_search()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'pool_metadata_cache' THEN
+        IF TG_OP = 'UPDATE' AND NEW.description IS NOT DISTINCT FROM OLD.description THEN
+            RETURN NULL;
+        END IF;
+        UPDATE pools p
+        SET (search_vector, search_text) = (
+            SELECT d.search_vector, d.search_text
+            FROM pool_search_document(p.chain_id, p.address, p.name, p.description, p.creator, p.prize_collection) d
+        )
+        WHERE p.address = NEW.pool_address AND p.chain_id = NEW.chain_id;
+
+    ELSIF TG_TABLE_NAME = 'collections' THEN
+        IF TG_OP = 'UPDATE' AND NEW.name IS NOT DISTINCT FROM OLD.name AND NEW.symbol IS NOT DISTINCT FROM OLD.symbol THEN
+            RETURN NULL;
+        END IF;
+        UPDATE pools p
+        SET (search_vector, search_text) = (
+            SELECT d.search_vector, d.search_text
+            FROM pool_search_document(p.chain_id, p.address, p.name, p.description, p.creator, p.prize_collection) d
+        )
+        WHERE lower(p.prize_collection) = lower(NEW.address) AND p.chain_id = NEW.chain_id;
+
+    ELSIF TG_TABLE_NAME = 'address_labels' THEN
+        UPDATE pools p
+        SET (search_vector, search_text) = (
+            SELECT d.search_vector, d.search_text
+            FROM pool_search_document(p.chain_id, p.address, p.name, p.description, p.creator, p.prize_collection) d
+        )
+        -- NEW is NULL on DELETE and OLD on INSERT; an UPDATE may move the label
+        WHERE p.creator IN (lower(NEW.address), lower(OLD.address));
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_pool_metadata_search ON pool_metadata_cache;
+CREATE TRIGGER trg_pool_metadata_search
+    AFTER INSERT OR UPDATE OF description ON pool_metadata_cache
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_related_pool_search();
+
+DROP TRIGGER IF EXISTS trg_collections_search ON collections;
+CREATE TRIGGER trg_collections_search
+    AFTER INSERT OR UPDATE OF name, symbol ON collections
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_related_pool_search();
+
+DROP TRIGGER IF EXISTS trg_address_labels_search ON address_labels;
+CREATE TRIGGER trg_address_labels_search
+    AFTER INSERT OR UPDATE OR DELETE ON address_labels
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_related_pool_search();
+
+-- Backfill existing pools
+UPDATE pools p
+SET (search_vector, search_text) = (
+    SELECT d.search_vector, d.search_text
+    FROM pool_search_document(p.chain_id, p.address, p.name, p.description, p.creator, p.prize_collection) d
+);
+
+CREATE INDEX IF NOT EXISTS idx_pools_search_vector ON pools USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_pools_search_text_trgm ON pools USING gin(search_text extensions.gin_trgm_ops);
+
+-- ================================================
+-- search_pools
+-- Ranked matches for a free-text query. Every word is prefix-matched against
+-- the search document; pools that miss full-text but are close by trigram
+-- word similarity (typos) are included with a lower rank. Hex queries also
+-- match pool and creator address prefixes. Highlights wrap matched words in
+-- <mark></mark> and are NULL for fields that did not match.
+-- ================================================
+CREATE OR REPLACE FUNCTION search_pools(
+    p_query TEXT,
+    p_chain_id INTEGER DEFAULT NULL,
+    p_limit INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+    chain_id INTEGER,
+    address TEXT,
+    rank REAL,
+    name_highlight TEXT,
+    description_highlight TEXT,
+    collection_highlight TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_query TEXT := lower(trim(p_query));
+    v_tsquery tsquery;
+    v_is_hex BOOLEAN;
+BEGIN
+    IF v_query IS NULL OR length(v_query) < 2 THEN
+        RETURN;
+    END IF;
+
+    v_is_hex := v_query ~ '^0x[0-9a-f]+$';
+
+    SELECT to_tsquery('simple', string_agg(quote_literal(w) || ':*', ' & '))
+    INTO v_tsquery
+    FROM regexp_split_to_table(regexp_replace(v_query, '[^[:alnum:]]+', ' ', 'g'), ' ') AS w
+    WHERE w <> '';
+
+    RETURN QUERY
+    WITH candidates AS (
+        SELECT
+            p.chain_id,
+            p.address,
+            p.name,
+            p.created_at_timestamp,
+            COALESCE(NULLIF(p.description, ''), NULLIF(m.description, '')) AS description,
+            NULLIF(concat_ws(' ', c.name, c.symbol), '') AS collection,
+            COALESCE(ts_rank_cd(p.search_vector, v_tsquery), 0)
+                + word_similarity(v_query, COALESCE(p.search_text, ''))
+                + CASE
+                    WHEN v_is_hex AND (p.address = v_query OR p.creator = v_query) THEN 10
+                    WHEN v_is_hex AND p.address LIKE v_query || '%' THEN 5
+                    WHEN v_is_hex AND p.creator LIKE v_query || '%' THEN 2
+                    ELSE 0
+                  END AS score
+        FROM pools p
+        LEFT JOIN pool_metadata_cache m
+            ON m.pool_address = p.address AND m.chain_id = p.chain_id
+        LEFT JOIN collections c
+            ON c.address = lower(p.prize_collection) AND c.chain_id = p.chain_id
+        WHERE (p_chain_id IS NULL OR p.chain_id = p_chain_id)
+          AND (
+              (v_tsquery IS NOT NULL AND p.search_vector @@ v_tsquery)
+              OR v_query <% p.search_text
+              OR (v_is_hex AND (p.address LIKE v_query || '%' OR p.creator LIKE v_query || '%'))
+          )
+        ORDER BY score DESC, p.created_at_timestamp DESC NULLS LAST
+        LIMIT LEAST(GREATEST(COALESCE(p_limit, 100), 1), 200)
+    )
+    SELECT
+        cd.chain_id,
+        cd.address,
+        cd.score::REAL,
+        CASE WHEN v_tsquery IS NOT NULL AND to_tsvector('simple', COALESCE(cd.name, '')) @@ v_tsquery
+            THEN ts_headline('simple', cd.name, v_tsquery, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        END,
+        CASE WHEN v_tsquery IS NOT NULL AND to_tsvector('simple', COALESCE(cd.description, '')) @@ v_tsquery
+            THEN ts_headline('simple', cd.description, v_tsquery, 'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=8, MaxFragments=1')
+        END,
+        CASE WHEN v_tsquery IS NOT NULL AND to_tsvector('simple', COALESCE(cd.collection, '')) @@ v_tsquery
+            THEN ts_headline('simple', cd.collection, v_tsquery, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        END
+    FROM candidates cd
+    ORDER BY cd.score DESC, cd.created_at_timestamp DESC NULLS LAST;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_pools TO anon, authenticated, service_role;
+
+COMMENT ON TABLE address_labels IS 'Display labels for addresses (ENS-style names), matched by pool search';
+COMMENT ON COLUMN pools.search_vector IS 'Full-text search document, maintained by trg_pools_search_document';
+COMMENT ON FUNCTION search_pools IS 'Ranked full-text + trigram pool search with highlight snippets';
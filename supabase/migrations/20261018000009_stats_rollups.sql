@@ -0,0 +1,153 @@
+-- ================================================
+-- STATS ROLLUPS
+-- Hourly and daily time series for api-stats (?series=), per chain and per
+-- pool type. Rows are recomputed from user_activity and pools by
+-- refresh_stats_rollups, which index-orchestrator calls after each cycle.
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS stats_rollups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_id INTEGER NOT NULL,
+    bucket_size TEXT NOT NULL CHECK (bucket_size IN ('hour', 'day')),
+    bucket_start TIMESTAMPTZ NOT NULL,
+    -- 'all', or a pool type: non_prized, prized, nft_collab, whitelist_collab
+    pool_type TEXT NOT NULL,
+    slots_sold BIGINT NOT NULL DEFAULT 0,
+    volume NUMERIC NOT NULL DEFAULT 0,  -- native currency (wei) spent on slots
+    new_pools INTEGER NOT NULL DEFAULT 0,
+    unique_participants INTEGER NOT NULL DEFAULT 0,
+    prizes_claimed INTEGER NOT NULL DEFAULT 0,
+    refreshed_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(chain_id, bucket_size, pool_type, bucket_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stats_rollups_series
+    ON stats_rollups(bucket_size, pool_type, bucket_start DESC);
+
+ALTER TABLE stats_rollups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access to stats rollups"
+    ON stats_rollups
+    FOR SELECT
+    TO authenticated, anon
+    USING (true);
+
+CREATE POLICY "Service role only write access to stats rollups"
+    ON stats_rollups
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- Same classification as api-pools filterCounts.raffleType
+CREATE OR REPLACE FUNCTION pool_type_label(
+    p_is_collab_pool BOOLEAN,
+    p_is_prized BOOLEAN,
+    p_holder_token_address TEXT
+) RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_is_collab_pool THEN 'nft_collab'
+        WHEN p_holder_token_address IS NOT NULL
+             AND p_holder_token_address <> '0x0000000000000000000000000000000000000000'
+             AND NOT COALESCE(p_is_prized, false) THEN 'whitelist_collab'
+        WHEN p_is_prized THEN 'prized'
+        ELSE 'non_prized'
+    END;
+$$;
+
+-- ================================================
+-- refresh_stats_rollups
+-- Recomputes every bucket from p_since (truncated to the bucket size) onwards;
+-- NULL rebuilds the chain from scratch. Buckets are rewritten whole, so the
+-- call is idempotent and also picks up rows removed by a reorg rollback.
+-- Hourly buckets older than 90 days are dropped; daily buckets are kept.
+-- ================================================
+CREATE OR REPLACE FUNCTION refresh_stats_rollups(
+    p_chain_id INTEGER,
+    p_since TIMESTAMPTZ DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_size TEXT;
+    v_from TIMESTAMPTZ;
+    v_rows INTEGER;
+    v_result jsonb := '{}'::jsonb;
+BEGIN
+    FOREACH v_size IN ARRAY ARRAY['hour', 'day'] LOOP
+        v_from := COALESCE(date_trunc(v_size, p_since), '-infinity'::timestamptz);
+
+        DELETE FROM stats_rollups
+        WHERE chain_id = p_chain_id
+          AND bucket_size = v_size
+          AND bucket_start >= v_from;
+
+        INSERT INTO stats_rollups (
+            chain_id, bucket_size, bucket_start, pool_type,
+            slots_sold, volume, new_pools, unique_participants, prizes_claimed, refreshed_at
+        )
+        SELECT
+            p_chain_id,
+            v_size,
+            e.bucket,
+            COALESCE(e.pool_type, 'all'),
+            COALESCE(SUM(e.quantity) FILTER (WHERE e.kind = 'slot_purchase'), 0),
+            COALESCE(SUM(e.amount) FILTER (WHERE e.kind = 'slot_purchase'), 0),
+            COUNT(*) FILTER (WHERE e.kind = 'pool_created'),
+            COUNT(DISTINCT e.user_address) FILTER (WHERE e.kind = 'slot_purchase'),
+            COUNT(*) FILTER (WHERE e.kind = 'prize_claimed'),
+            NOW()
+        FROM (
+            SELECT
+                date_trunc(v_size, a.timestamp) AS bucket,
+                pool_type_label(p.is_collab_pool, p.is_prized, p.holder_token_address) AS pool_type,
+                a.activity_type AS kind,
+                a.quantity,
+                CASE WHEN a.amount ~ '^[0-9]+$' THEN a.amount::numeric ELSE 0 END AS amount,
+                a.user_address
+            FROM user_activity a
+            JOIN pools p ON p.address = a.pool_address AND p.chain_id = a.chain_id
+            WHERE a.chain_id = p_chain_id
+              AND a.activity_type IN ('slot_purchase', 'prize_claimed')
+              AND a.timestamp >= v_from
+
+            UNION ALL
+
+            SELECT
+                date_trunc(v_size, p.created_at_timestamp),
+                pool_type_label(p.is_collab_pool, p.is_prized, p.holder_token_address),
+                'pool_created',
+                NULL,
+                NULL,
+                NULL
+            FROM pools p
+            WHERE p.chain_id = p_chain_id
+              AND p.created_at_timestamp >= v_from
+        ) e
+        GROUP BY GROUPING SETS ((e.bucket, e.pool_type), (e.bucket));
+
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_result := v_result || jsonb_build_object(v_size, v_rows);
+    END LOOP;
+
+    DELETE FROM stats_rollups
+    WHERE chain_id = p_chain_id
+      AND bucket_size = 'hour'
+      AND bucket_start < NOW() - INTERVAL '90 days';
+
+    RETURN v_result;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION refresh_stats_rollups FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_stats_rollups TO service_role;
+
+CREATE INDEX IF NOT EXISTS idx_activity_chain_type_time
+    ON user_activity(chain_id, activity_type, timestamp);
+
+COMMENT ON TABLE stats_rollups IS 'Hourly/daily platform time series per chain and pool type, maintained by refresh_stats_rollups';
@@ -0,0 +1,35 @@
+-- ================================================
+-- POOL DRAFTS
+-- Named pool creation drafts synced across devices, keyed by creator wallet.
+-- Only api-drafts (service role) reads and writes them, after checking a
+-- wallet signature; drafts are private, so there is no public read policy.
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS pool_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_address TEXT NOT NULL,
+    chain_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    -- CreateRafflePageV2 type id: whitelist, nft-drop-721, nft-drop-1155,
+    -- lucky-sale, native-giveaway, erc20-giveaway
+    pool_type TEXT NOT NULL,
+    -- The form's formData plus its tokenGatedEnabled/socialEngagementEnabled toggles
+    form_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(creator_address, chain_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_drafts_creator
+    ON pool_drafts(creator_address, chain_id, updated_at DESC);
+
+ALTER TABLE pool_drafts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role only access to pool drafts"
+    ON pool_drafts
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+COMMENT ON TABLE pool_drafts IS 'Saved pool creation form drafts per creator wallet, served by api-drafts';
@@ -0,0 +1,26 @@
+-- ================================================
+-- COLLECTION REVEAL TRACKING
+-- Stores each Dropr collection's reveal configuration (revealType/revealTime)
+-- and when CollectionRevealed was indexed, so the creator dashboard can list
+-- collections awaiting reveal and api-artwork can switch to revealed artwork.
+-- ================================================
+
+-- Reveal configuration read from the collection contract
+-- reveal_type: 0 = Instant, 1 = Manual, 2 = Scheduled
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS reveal_type SMALLINT;
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS reveal_time BIGINT;
+
+-- Set once the collection is revealed on-chain
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMPTZ;
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS revealed_block BIGINT;
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS reveal_tx_hash TEXT;
+
+-- Collections the reveal watcher polls and the creator dashboard lists
+CREATE INDEX IF NOT EXISTS idx_collections_awaiting_reveal
+    ON collections(chain_id, creator)
+    WHERE is_revealed = false;
+
+COMMENT ON COLUMN collections.reveal_type IS 'revealType() of the collection: 0 Instant, 1 Manual, 2 Scheduled';
+COMMENT ON COLUMN collections.reveal_time IS 'revealTime() of the collection in unix seconds (Scheduled reveals)';
+COMMENT ON COLUMN collections.revealed_at IS 'Block time of the CollectionRevealed event, or revealTime when a scheduled reveal took effect without one';
+COMMENT ON COLUMN collections.reveal_tx_hash IS 'Transaction that emitted CollectionRevealed';
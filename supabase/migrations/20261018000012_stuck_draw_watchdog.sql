@@ -0,0 +1,26 @@
+-- ================================================
+-- STUCK DRAW WATCHDOG
+-- sync-pool-states flags pools that have sat in the Drawing state (3) longer
+-- than their chain's threshold without progress, with the reason and the
+-- on-chain context needed to recover. Cleared once the draw moves again.
+-- ================================================
+
+-- draw_stuck_reason:
+--   'randomness_not_requested' - no RandomRequested for the next batch
+--   'awaiting_fulfilment'      - RandomRequested but the VRF callback never arrived
+--   'batch_processing_failed'  - BatchProcessingFailed after the latest request
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS draw_stuck_reason TEXT
+    CHECK (draw_stuck_reason IN ('randomness_not_requested', 'awaiting_fulfilment', 'batch_processing_failed'));
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS draw_stuck_since TIMESTAMPTZ;
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS draw_stuck_detected_at TIMESTAMPTZ;
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS draw_stuck_details JSONB;
+
+-- Operator view: every stuck draw across chains, oldest first
+CREATE INDEX IF NOT EXISTS idx_pools_draw_stuck
+    ON pools(draw_stuck_since)
+    WHERE draw_stuck_reason IS NOT NULL;
+
+COMMENT ON COLUMN pools.draw_stuck_reason IS 'Why the draw is stuck; NULL when the pool is not drawing or still within its chain threshold';
+COMMENT ON COLUMN pools.draw_stuck_since IS 'Last draw progress (selection start, randomness request or winners selected) before the pool stalled';
+COMMENT ON COLUMN pools.draw_stuck_detected_at IS 'When sync-pool-states first flagged the current stall';
+COMMENT ON COLUMN pools.draw_stuck_details IS 'Recovery context: request id/tx, failure reason, VRF subscription id, coordinator and balances';
@@ -0,0 +1,14 @@
+-- Migration: Per-chunk backfill progress
+-- Purpose: a backfill chunk only advances last_indexed_block once every pool in
+-- it has been indexed. backfill_progress holds the chunk in flight: the pools
+-- already done (skipped when a run resumes mid-chunk) and the pool ranges whose
+-- index-pool-events call failed, with attempt counts, so failures are visible
+-- and retried instead of being skipped.
+--
+-- Shape: { "fromBlock": n, "toBlock": n, "completedPools": [address],
+--          "failedRanges": [{ "poolAddress", "fromBlock", "toBlock", "error", "attempts" }] }
+
+ALTER TABLE indexer_sync_state
+ADD COLUMN IF NOT EXISTS backfill_progress JSONB;
+
+COMMENT ON COLUMN indexer_sync_state.backfill_progress IS 'Backfill rows only: completed pools and failed pool ranges of the chunk after last_indexed_block';
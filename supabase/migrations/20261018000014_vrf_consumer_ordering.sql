@@ -0,0 +1,78 @@
+-- Migration: Ordered VRF consumer changes
+-- Purpose: index-vrf-subscriptions applies consumer add / remove events in
+-- chain order within a run, but a re-scan or overlapping run can deliver an
+-- older event after a newer one. apply_vrf_consumer_change only applies an
+-- event from a block at or after the consumer's last add / remove, so a stale
+-- event can no longer flip is_active back.
+
+CREATE OR REPLACE FUNCTION apply_vrf_consumer_change(
+    p_chain_id INTEGER,
+    p_subscription_id TEXT,
+    p_consumer_address TEXT,
+    p_active BOOLEAN,
+    p_pre_assigned BOOLEAN,
+    p_block_number BIGINT,
+    p_block_time TIMESTAMPTZ,
+    p_transaction_hash TEXT
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_id UUID;
+BEGIN
+    INSERT INTO vrf_subscription_consumers (
+        chain_id,
+        subscription_id,
+        consumer_address,
+        is_active,
+        pre_assigned,
+        added_block,
+        added_at,
+        added_tx_hash,
+        removed_block,
+        removed_at,
+        removed_tx_hash,
+        updated_at
+    ) VALUES (
+        p_chain_id,
+        p_subscription_id,
+        LOWER(p_consumer_address),
+        p_active,
+        p_pre_assigned,
+        CASE WHEN p_active THEN p_block_number END,
+        CASE WHEN p_active THEN p_block_time END,
+        CASE WHEN p_active THEN p_transaction_hash END,
+        CASE WHEN NOT p_active THEN p_block_number END,
+        CASE WHEN NOT p_active THEN p_block_time END,
+        CASE WHEN NOT p_active THEN p_transaction_hash END,
+        NOW()
+    )
+    ON CONFLICT (chain_id, subscription_id, consumer_address)
+    DO UPDATE SET
+        is_active = EXCLUDED.is_active,
+        pre_assigned = vrf_subscription_consumers.pre_assigned OR EXCLUDED.pre_assigned,
+        -- An add starts a new membership; a remove keeps the add it ends
+        added_block = CASE WHEN p_active THEN EXCLUDED.added_block ELSE vrf_subscription_consumers.added_block END,
+        added_at = CASE WHEN p_active THEN EXCLUDED.added_at ELSE vrf_subscription_consumers.added_at END,
+        added_tx_hash = CASE WHEN p_active THEN EXCLUDED.added_tx_hash ELSE vrf_subscription_consumers.added_tx_hash END,
+        removed_block = EXCLUDED.removed_block,
+        removed_at = EXCLUDED.removed_at,
+        removed_tx_hash = EXCLUDED.removed_tx_hash,
+        updated_at = NOW()
+    WHERE GREATEST(
+        COALESCE(vrf_subscription_consumers.added_block, 0),
+        COALESCE(vrf_subscription_consumers.removed_block, 0)
+    ) <= p_block_number
+    RETURNING id INTO v_id;
+
+    RETURN v_id IS NOT NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_vrf_consumer_change FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_vrf_consumer_change TO service_role;
+
+COMMENT ON FUNCTION apply_vrf_consumer_change IS
+'Applies a VRF consumer add / remove event unless the consumer already has one from a later block. Returns false when the event was stale.';